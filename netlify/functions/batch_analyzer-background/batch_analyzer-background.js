@@ -0,0 +1,23 @@
+// netlify/functions/batch_analyzer-background/batch_analyzer-background.js
+// The batch worker (BATCH_RUNNER=background): a Netlify background function, so it may run for up to 15 minutes
+// after answering 202. Called by the batch API with { "job_id": "<id>" } for a queued job; processes it
+// (see processJob in headline_analyzer/src/batch_jobs.js); after its time budget it queues the rest of the job and
+// calls itself again. The job must be in a store both functions reach (BATCH_JOB_STORE=dynamodb).
+
+const { processJob } = require('../headline_analyzer/src/batch_jobs');
+
+exports.handler = async (event) => {
+    let jobId;
+    try {
+        jobId = JSON.parse(event.body || '{}').job_id;
+    } catch (parseError) {
+        console.error('[BATCH] Worker got an invalid body:', parseError.message);
+        return { statusCode: 400 };
+    }
+    try {
+        await processJob(jobId);
+    } catch (error) {
+        console.error(`[BATCH] Worker failed on job ${jobId}:`, error);
+    }
+    return { statusCode: 200 }; // Netlify has already answered 202; nobody reads this
+};
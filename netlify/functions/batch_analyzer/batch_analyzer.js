@@ -0,0 +1,105 @@
+// netlify/functions/batch_analyzer/batch_analyzer.js
+// The batch API: analyze many headlines with one request, then poll for progress and results
+// (see headline_analyzer/src/batch_jobs.js for the job model).
+//   POST { "headlines": ["...", { "headline": "...", "metadata": {...} }], "graphId"?, "concurrency"? }
+//                                               -> 202 the queued job (its "job_id" is what to poll)
+//   GET  ?job_id=<id>                           -> the job: status, progress, and every item's status and result
+//   POST { "job_id": "<id>", "action": "cancel" } -> the job (running items finish, the rest are cancelled)
+//   POST { "job_id": "<id>", "action": "retry", "items"?: [<item index>, ...] }
+//                                               -> 202 the job, with its failed (or the listed) items queued again
+// Each job starts paid model runs, so every request needs the BATCH_API_KEY, as "X-Api-Key: <key>" or
+// "Authorization: Bearer <key>" (401 otherwise); without BATCH_API_KEY the API answers only outside a deployed
+// function (local runs, netlify dev). Queued headlines also count against an hourly quota (429, see batch_jobs.js).
+
+const crypto = require('crypto');
+const { DEFAULT_GRAPH_ID } = require('../headline_analyzer/src/graph_registry');
+const { isDeployedFunction } = require('../headline_analyzer/src/batch_job_store');
+const { BatchJobError, createJob, getJob, cancelJob, retryFailedItems, startJobProcessing } = require('../headline_analyzer/src/batch_jobs');
+
+const BATCH_ACTIONS = ['cancel', 'retry'];
+
+const commonHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Api-Key',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+};
+
+function respond(statusCode, body) {
+    return { statusCode, headers: commonHeaders, body: JSON.stringify(body) };
+}
+
+// The response refusing the request, or undefined if its API key is right (or none is needed)
+function checkApiKey(headers = {}) {
+    const expectedKey = process.env.BATCH_API_KEY;
+    if (!expectedKey) {
+        if (!isDeployedFunction()) return undefined;
+        console.error('[BATCH] BATCH_API_KEY is not set; refusing batch requests.');
+        return respond(503, { error: 'The batch API is not configured (BATCH_API_KEY is not set).' });
+    }
+    const headerValue = (name) => Object.entries(headers).find(([key]) => key.toLowerCase() === name)?.[1] || '';
+    const givenKey = headerValue('x-api-key') || headerValue('authorization').replace(/^Bearer\s+/i, '');
+    const given = crypto.createHash('sha256').update(givenKey).digest();
+    const expected = crypto.createHash('sha256').update(expectedKey).digest();
+    if (givenKey && crypto.timingSafeEqual(given, expected)) return undefined;
+    return respond(401, { error: 'A valid API key is required (X-Api-Key or Authorization: Bearer).' });
+}
+
+// A job that was queued (created or retried): start its worker, and answer 202 once that has been asked to run
+async function respondQueued(job) {
+    try {
+        await startJobProcessing(job.job_id);
+    } catch (startError) {
+        console.error(`[BATCH] Could not start job ${job.job_id}:`, startError);
+        // The job stays queued; { "job_id", "action": "retry" } starts it again
+        return respond(500, { error: 'Batch job was created but could not be started.', details: startError.message, job_id: job.job_id });
+    }
+    return respond(202, job);
+}
+
+async function handleBatchRequest(event) {
+    if (event.httpMethod === 'GET') {
+        const jobId = event.queryStringParameters && event.queryStringParameters.job_id;
+        if (!jobId) throw new BatchJobError('job_id is required (?job_id=...).');
+        return respond(200, await getJob(jobId));
+    }
+
+    let body;
+    try {
+        body = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+        throw new BatchJobError(`Body is not valid JSON: ${parseError.message}`);
+    }
+
+    if (body.job_id !== undefined) {
+        if (body.action === 'cancel') return respond(200, await cancelJob(body.job_id));
+        if (body.action === 'retry') return respondQueued(await retryFailedItems(body.job_id, { itemIndexes: body.items }));
+        throw new BatchJobError(`action should be one of: ${BATCH_ACTIONS.join(', ')}.`);
+    }
+
+    // The body wins over ?graphId=, as for single headlines
+    const graphId = body.graphId || (event.queryStringParameters && event.queryStringParameters.graphId) || DEFAULT_GRAPH_ID;
+    return respondQueued(await createJob({ headlines: body.headlines, graphId, concurrency: body.concurrency }));
+}
+
+async function batchAnalyzer(event) {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 204, headers: commonHeaders, body: '' };
+    }
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+        return respond(405, { error: 'Method Not Allowed' });
+    }
+    const refusal = checkApiKey(event.headers);
+    if (refusal) return refusal;
+    try {
+        return await handleBatchRequest(event);
+    } catch (error) {
+        if (error instanceof BatchJobError) {
+            return respond(error.statusCode, { error: (error.statusCode === 400 ? 'Invalid request: ' : '') + error.message });
+        }
+        console.error('[BATCH] Request failed:', error);
+        return respond(500, { error: 'Batch request failed unexpectedly.', details: error.message });
+    }
+}
+
+exports.handler = batchAnalyzer;
@@ -5,48 +5,85 @@
 // For deployed Netlify, environment variables are set in the Netlify UI.
 // require('dotenv').config({ path: '../../.env' }); // If .env is in project root, 2 levels up
 
-const { app, nodeDefinitionsForClient } = require('./src/graph_builder');
+const { Readable } = require('stream');
+const { stream } = require('@netlify/functions'); // Lets the handler return a streamed body (used for Server-Sent Events)
+const { getGraph } = require('./src/graph_builder');
+const { DEFAULT_GRAPH_ID, isRegisteredGraphId, listGraphIds } = require('./src/graph_registry');
+const { streamGraphEvents, formatSseEvent } = require('./src/graph_streaming');
+const { SUBGRAPH_ID_SEPARATOR } = require('./src/subgraph_node');
+const { getSubgraphStateKey } = require('./src/config_derivation');
+const { resolvePath } = require('./src/utils/objectPathUtils');
+const { createThreadId, getThreadGraphId } = require('./src/checkpointers');
 
-// Helper to construct graphStructure for the client (same as in previous Netlify handler)
-function getGraphStructureForClient(nodesFromBuilder) {
-    const graphNodes = [];
-    const stateToDetailsKeyMap = {};
-
-    // Pseudo-node for input display
-    graphNodes.push({
-        id: "input_display",
-        displayName: "Input Headline",
-        type: "input",
-        detailsKey: "input_headline",
-        statusKey: "input_headline"
+// Turns a node's conditionalRoutes into a flat list of branches the client can label, e.g.
+// [{ route: "no_framing", target: "main_headline_reverter", targetDisplayName: "3. Revert ...", isDefault: false }]
+function getClientBranches(node, nodesFromBuilder) {
+    if (!node.conditionalRoutes || node.conditionalRoutes.length === 0) return undefined;
+    const branches = [];
+    node.conditionalRoutes.forEach(conditional => {
+        for (const [route, target] of Object.entries(conditional.routes)) {
+            const targetNode = nodesFromBuilder.find(n => n.id === target);
+            branches.push({
+                route,
+                target,
+                targetDisplayName: targetNode ? targetNode.displayName : target,
+                isDefault: route === conditional.defaultRoute
+            });
+        }
     });
-    stateToDetailsKeyMap["input_headline"] = "input_headline";
+    return branches;
+}
+
+// Client nodes for one graph's node list. Subgraph nodes become a "subgraph" entry with their child graph's
+// nodes nested inside; those get ids prefixed with "<subgraph node id>/" and read their data from the
+// child's final state (kept in "<subgraph node id>_state"), e.g. client key "mask_flip_revert/flipped_headline"
+// -> state path "mask_flip_revert_state.flipped_headline".
+function getClientNodes(nodesFromBuilder, derivedKeys, stateToDetailsKeyMap, { idPrefix = '', statePathPrefix = '' } = {}) {
+    const graphNodes = [];
+    const clientKey = (key) => `${idPrefix}${key}`;
+    const mapDetailsKey = (key) => { stateToDetailsKeyMap[clientKey(key)] = `${statePathPrefix}${key}`; };
 
     nodesFromBuilder.forEach(node => {
         if (node.type === "parallel_llm_group_coordinator" && node.subTasks) {
             graphNodes.push({
-                id: `${node.id}_group_display`,
+                id: clientKey(`${node.id}_group_display`),
                 displayName: node.displayName,
                 type: "parallel-group",
+                branches: getClientBranches(node, nodesFromBuilder),
+                isConditionalTarget: node.isConditionalTarget,
                 subNodes: node.subTasks.map(subTask => {
-                    stateToDetailsKeyMap[subTask.stateOutputKey] = subTask.stateOutputKey;
+                    mapDetailsKey(subTask.stateOutputKey);
                     // Add details keys for each sub-task's reverter if they exist
                     // This part requires knowing the convention, e.g. `${subTask.id}_reverter_details`
                     // For now, we just map the main output key. UI can decide how to fetch details.
                     return {
-                        id: subTask.id,
+                        id: clientKey(subTask.id),
                         displayName: subTask.displayName,
-                        detailsKey: subTask.stateOutputKey,
-                        statusKey: subTask.stateOutputKey
+                        detailsKey: clientKey(subTask.stateOutputKey),
+                        statusKey: clientKey(subTask.stateOutputKey)
                     };
                 })
             });
+        } else if (node.type === "subgraph" && node.subgraph) {
+            graphNodes.push({
+                id: clientKey(`${node.id}_group_display`),
+                displayName: node.displayName,
+                type: "subgraph",
+                graphId: node.subgraph.graphId,
+                graphVersion: node.subgraph.graphVersion,
+                branches: getClientBranches(node, nodesFromBuilder),
+                isConditionalTarget: node.isConditionalTarget,
+                nodes: getClientNodes(node.subgraph.nodes, node.subgraph.responseKeys, stateToDetailsKeyMap, {
+                    idPrefix: clientKey(`${node.id}${SUBGRAPH_ID_SEPARATOR}`),
+                    statePathPrefix: `${statePathPrefix}${getSubgraphStateKey(node)}.`
+                })
+            });
         } else {
             const detailsKey = node.stateOutputKey || node.id;
-            stateToDetailsKeyMap[detailsKey] = detailsKey;
+            mapDetailsKey(detailsKey);
             // Also map details keys for reverter nodes, e.g. for 'speculative_reverter', map 'speculative_reverter_details'
             if (node.id.endsWith('_reverter')) {
-                 stateToDetailsKeyMap[`${node.id}_details`] = `${node.id}_details`;
+                 mapDetailsKey(`${node.id}_details`);
             }
 
 
@@ -54,23 +91,130 @@ function getGraphStructureForClient(nodesFromBuilder) {
              if (node.id === "properNoun_replacer1") clientNodeType = "initial_processing";
              else if (node.type === "local_function" && node.functionName && node.functionName.toLowerCase().includes('revert')) clientNodeType = "reversion_step";
              else if (node.type === "local_function" && node.functionName && node.functionName.toLowerCase().includes('save')) clientNodeType = "final_step";
-             else if (node.type === "llm_agent") clientNodeType = "llm_processing";
-
+             else if (node.type === "llm_agent" || node.type === "llm_judge") clientNodeType = "llm_processing";
 
+            const reverterDetailsKey = derivedKeys.reverterDetailsKeyByNodeId[node.id];
+            if (reverterDetailsKey) mapDetailsKey(reverterDetailsKey);
             graphNodes.push({
-                id: node.id,
+                id: clientKey(node.id),
                 displayName: node.displayName,
                 type: clientNodeType,
-                detailsKey: detailsKey,
-                statusKey: detailsKey
+                detailsKey: clientKey(detailsKey),
+                statusKey: clientKey(detailsKey),
+                branches: getClientBranches(node, nodesFromBuilder),
+                isConditionalTarget: node.isConditionalTarget, // Only runs when a branch routes to it
+                reverterDetailsKey: reverterDetailsKey ? clientKey(reverterDetailsKey) : undefined
             });
         }
     });
+    return graphNodes;
+}
+
+// Helper to construct graphStructure for the client (same as in previous Netlify handler)
+function getGraphStructureForClient(nodesFromBuilder, derivedKeys) {
+    const graphNodes = [];
+    const stateToDetailsKeyMap = {};
+
+    // Pseudo-node for input display
+    graphNodes.push({
+        id: "input_display",
+        displayName: "Input Headline",
+        type: "input",
+        detailsKey: "input_headline",
+        statusKey: "input_headline"
+    });
+    stateToDetailsKeyMap["input_headline"] = "input_headline";
+
+    graphNodes.push(...getClientNodes(nodesFromBuilder, derivedKeys, stateToDetailsKeyMap));
     return { nodes: graphNodes, stateToDetailsKeyMap };
 }
 
 
-exports.handler = async function(event, context) { // Added context for completeness
+// The response body for a finished run; the same shape in both the JSON and the streamed ("result" event) modes.
+function buildResponseBody(finalState, responseKeys, stateToDetailsKeyMap, graphStructureForClient, threadId) {
+    const responsePayload = {
+        // Always include these for the client
+        input_headline: finalState.input_headline,
+        flipped_headline: finalState.flipped_headline, // Main synthesized and reverted
+        db_save_status: finalState.db_save_status,
+        llm_call_attempts: finalState.llm_call_attempts, // Per LLM node/analyzer task attempt logs (retries, timeouts)
+        llm_usage: finalState.llm_usage, // Tokens, latency and estimated cost per LLM node/analyzer task and for the run
+        // Add all other keys client expects based on stateToDetailsKeyMap
+    };
+
+    for (const [clientKey, statePath] of Object.entries(stateToDetailsKeyMap)) {
+        // Ensure we don't overwrite already set primary keys if mapping is redundant
+        if (!responsePayload.hasOwnProperty(clientKey)) {
+            responsePayload[clientKey] = resolvePath(finalState, statePath); // A dot path for subgraph internals
+        }
+    }
+
+    // Explicitly ensure all reverted headlines and their details are in payload if they exist in finalState.
+    // Both lists are derived from the reverter nodes in graph_config.json.
+    [...responseKeys.revertedHeadlineKeys, ...responseKeys.reverterDetailsKeys].forEach(key => {
+        if (finalState[key] !== undefined) responsePayload[key] = finalState[key];
+    });
+
+    // Also include raw analysis results (raw_analysis1..N, in analyzer task order)
+    for (const [payloadKey, stateKey] of Object.entries(responseKeys.rawAnalysisKeys)) {
+        responsePayload[payloadKey] = finalState[stateKey];
+    }
+
+    let overallStatusMessage = "Processing successful";
+    if (finalState.error_messages && finalState.error_messages.length > 0) {
+        overallStatusMessage = `Processing completed with ${finalState.error_messages.length} error(s). First: ${finalState.error_messages[0].substring(0,100)}`;
+    }
+    if (finalState.db_save_status && !finalState.db_save_status.success) {
+        overallStatusMessage += " Warning: Failed to save results to database.";
+    }
+
+    return {
+        message: overallStatusMessage,
+        thread_id: threadId, // Only with checkpointing on; pass it back as "thread_id" to resume this run
+        data: responsePayload,
+        graphStructure: graphStructureForClient,
+        errors: finalState.error_messages // Optionally include all errors
+    };
+}
+
+// Streaming is opted into with { "stream": true } in the body or an "Accept: text/event-stream" header.
+function wantsEventStream(event, body) {
+    const headers = event.headers || {};
+    const accept = headers.accept || headers.Accept || '';
+    return body.stream === true || accept.includes('text/event-stream');
+}
+
+// SSE frames for one run: "graph_structure" first (so the client can draw the graph right away), then
+// "run_started" ({ thread_id, resumed }) when checkpointing is on, then the per-node events from
+// graph_streaming.js, then "result" (the JSON mode body) or "error" (the 500 body).
+async function* generateSseFrames(graph, run, stateToDetailsKeyMap, graphStructureForClient) {
+    yield formatSseEvent({ event: 'graph_structure', data: graphStructureForClient });
+    if (run.threadId) {
+        yield formatSseEvent({ event: 'run_started', data: { thread_id: run.threadId, resumed: run.resumed } });
+    }
+
+    for await (const graphEvent of streamGraphEvents(run.app, run.input, run.config)) {
+        if (graphEvent.event === 'run_finished') {
+            console.log("[HANDLER] LangGraph app finished (streamed).");
+            yield formatSseEvent({ event: 'result', data: buildResponseBody(graphEvent.data.state, graph.responseKeys, stateToDetailsKeyMap, graphStructureForClient, run.threadId) });
+        } else if (graphEvent.event === 'run_error') {
+            yield formatSseEvent({
+                event: 'error',
+                data: {
+                    error: 'Graph execution failed unexpectedly.',
+                    details: graphEvent.data.error,
+                    input_headline: run.headline,
+                    thread_id: run.threadId
+                }
+            });
+        } else {
+            yield formatSseEvent(graphEvent);
+        }
+    }
+}
+
+
+async function analyzeHeadline(event, context) { // Added context for completeness
     const commonHeaders = {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
@@ -86,89 +230,100 @@ exports.handler = async function(event, context) { // Added context for complete
     }
 
     let headline;
+    let graphId;
+    let resumeThreadId;
+    let streamResponse;
     try {
         const body = JSON.parse(event.body || '{}');
-        headline = body.headline;
-        if (!headline || typeof headline !== 'string' || headline.trim() === '') {
-            throw new Error('Headline is required and must be a non-empty string.');
+        // { "thread_id": "..." } resumes an earlier run from its last checkpoint (see src/checkpointers.js);
+        // the graph comes from the thread id, and no headline is needed
+        resumeThreadId = body.thread_id;
+        if (resumeThreadId !== undefined) {
+            graphId = getThreadGraphId(resumeThreadId);
+            if (!graphId) throw new Error(`thread_id '${resumeThreadId}' was not issued by this service.`);
+        } else {
+            headline = body.headline;
+            if (!headline || typeof headline !== 'string' || headline.trim() === '') {
+                throw new Error('Headline is required and must be a non-empty string.');
+            }
+            // Which registered graph config to run (see src/graph_registry.js); the body wins over ?graphId=
+            graphId = body.graphId || (event.queryStringParameters && event.queryStringParameters.graphId) || DEFAULT_GRAPH_ID;
+        }
+        if (!isRegisteredGraphId(graphId)) {
+            throw new Error(`Unknown graphId '${graphId}'. Available: ${listGraphIds().join(', ')}.`);
         }
+        streamResponse = wantsEventStream(event, body);
     } catch (error) {
         console.error("Invalid request body:", error);
         return { statusCode: 400, headers: commonHeaders, body: JSON.stringify({ error: 'Invalid request: ' + error.message }) };
     }
 
-    const { nodes: clientGraphNodes, stateToDetailsKeyMap } = getGraphStructureForClient(nodeDefinitionsForClient);
-    const graphStructureForClient = { nodes: clientGraphNodes };
-
-    const initialState = {
-        input_headline: headline,
-        error_messages: []
-    };
-
+    let graph;
     try {
-        console.log(`[HANDLER] Invoking LangGraph app for headline: "${headline}"`);
-        const finalState = await app.invoke(initialState, { recursionLimit: 25 });
-        console.log("[HANDLER] LangGraph app finished.");
-
-        const responsePayload = {
-            // Always include these for the client
-            input_headline: finalState.input_headline,
-            flipped_headline: finalState.flipped_headline, // Main synthesized and reverted
-            db_save_status: finalState.db_save_status,
-            // Add all other keys client expects based on stateToDetailsKeyMap
+        graph = getGraph(graphId); // Compiled on first use, then cached
+    } catch (buildError) {
+        console.error(`[HANDLER] Could not build graph '${graphId}':`, buildError);
+        return {
+            statusCode: 500,
+            headers: commonHeaders,
+            body: JSON.stringify({ error: `Graph '${graphId}' could not be built.`, details: buildError.message }),
         };
+    }
 
-        for (const [clientKey, stateKey] of Object.entries(stateToDetailsKeyMap)) {
-            // Ensure we don't overwrite already set primary keys if mapping is redundant
-            if (!responsePayload.hasOwnProperty(clientKey)) {
-                responsePayload[clientKey] = finalState[stateKey];
-            }
-        }
-        
-        // Explicitly ensure all reverted headlines and their details are in payload if they exist in finalState
-        const revertedHeadlines = [
-            'speculative_reframing_reverted_headline', 'episodic_thematic_reverted_headline', 'violence_type_reverted_headline','cognitive_frames_reverted_headline', 'euphemism_reverted_headline',
-            // Add more state keys for reverted headlines if you have them
-        ];
-        const reverterDetails = [
-            'properNoun_replacement2_details', // for main reverter
-            'speculative_reverter_details', 'episodic_thematic_reverter_details', 'violence_type_reverter_details', 'cognitive_frames_reverter_details','euphemism_reverter_details',
-             // Add more state keys for reverter details
-        ];
-
-        revertedHeadlines.forEach(key => {
-            if (finalState[key] !== undefined) responsePayload[key] = finalState[key];
-        });
-        reverterDetails.forEach(key => {
-            if (finalState[key] !== undefined) responsePayload[key] = finalState[key];
-        });
-
-
-        // Also include raw analysis results if the client needs them (as per original code)
-        responsePayload.raw_analysis1 = finalState.cognitive_frames_analysis_result;
-        responsePayload.raw_analysis2 = finalState.speculative_reframing_result;
-        responsePayload.raw_analysis3 = finalState.euphemism_analysis_result;
-        responsePayload.raw_analysis4 = finalState.episodic_thematic_analysis_result;
-        responsePayload.raw_analysis5 = finalState.violence_type_analysis_result;
-
-        let overallStatusMessage = "Processing successful";
-        if (finalState.error_messages && finalState.error_messages.length > 0) {
-            overallStatusMessage = `Processing completed with ${finalState.error_messages.length} error(s). First: ${finalState.error_messages[0].substring(0,100)}`;
+    const { nodes: clientGraphNodes, stateToDetailsKeyMap } = getGraphStructureForClient(graph.nodeDefinitionsForClient, graph.responseKeys);
+    const graphStructureForClient = {
+        graphId: graph.graphId,
+        graphVersion: graph.graphVersion, // Content hash of the config, also stored with saved results
+        nodes: clientGraphNodes,
+        outputHeadlines: graph.responseKeys.outputHeadlines, // Which state keys hold final headlines, their display names and details keys
+        judgeScoresKey: graph.responseKeys.judgeScoresKey, // Where the judge's scores per output headline are, if the graph has a judge
+        factCheckKey: graph.responseKeys.factCheckKey, // Where the local fact checker's findings are, if the graph has one
+        frameLabelsKey: graph.responseKeys.frameLabelsKey // Where the collected frame labels are, if the graph has them
+    };
+
+    // With a checkpointer configured every run gets a thread, so it can be resumed if it dies halfway
+    const run = { app: graph.app, input: { input_headline: headline, error_messages: [] }, config: { recursionLimit: 25 }, headline, resumed: false };
+    if (graph.resumableApp) {
+        run.app = graph.resumableApp;
+        run.threadId = resumeThreadId || createThreadId(graphId);
+        run.config.configurable = { thread_id: run.threadId };
+    }
+    if (resumeThreadId !== undefined) {
+        if (!graph.resumableApp) {
+            return { statusCode: 400, headers: commonHeaders, body: JSON.stringify({ error: 'Invalid request: checkpointing is disabled (CHECKPOINTER is not set), so runs cannot be resumed.' }) };
         }
-        if (finalState.db_save_status && !finalState.db_save_status.success) {
-            overallStatusMessage += " Warning: Failed to save results to database.";
+        try {
+            const snapshot = await run.app.getState(run.config);
+            if (!snapshot.config.configurable.checkpoint_id) {
+                return { statusCode: 404, headers: commonHeaders, body: JSON.stringify({ error: `No checkpoint found for thread_id '${resumeThreadId}'.` }) };
+            }
+            run.headline = snapshot.values.input_headline;
+        } catch (checkpointError) {
+            console.error(`[HANDLER] Could not load checkpoint for thread '${resumeThreadId}':`, checkpointError);
+            return { statusCode: 500, headers: commonHeaders, body: JSON.stringify({ error: 'Could not load checkpoint.', details: checkpointError.message }) };
         }
+        run.input = null; // LangGraph continues from the last checkpoint (a finished run just returns its final state)
+        run.resumed = true;
+    }
 
+    if (streamResponse) {
+        console.log(`[HANDLER] Streaming LangGraph app '${graphId}' for headline: "${run.headline}"${run.resumed ? ` (resuming thread ${run.threadId})` : ''}`);
+        return {
+            statusCode: 200,
+            headers: { ...commonHeaders, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' },
+            body: Readable.from(generateSseFrames(graph, run, stateToDetailsKeyMap, graphStructureForClient)),
+        };
+    }
+
+    try {
+        console.log(`[HANDLER] Invoking LangGraph app '${graphId}' for headline: "${run.headline}"${run.resumed ? ` (resuming thread ${run.threadId})` : ''}`);
+        const finalState = await run.app.invoke(run.input, run.config);
+        console.log("[HANDLER] LangGraph app finished.");
 
         return {
             statusCode: 200,
             headers: commonHeaders,
-            body: JSON.stringify({
-                message: overallStatusMessage,
-                data: responsePayload,
-                graphStructure: graphStructureForClient,
-                errors: finalState.error_messages // Optionally include all errors
-            }),
+            body: JSON.stringify(buildResponseBody(finalState, graph.responseKeys, stateToDetailsKeyMap, graphStructureForClient, run.threadId)),
         };
 
     } catch (graphError) {
@@ -179,9 +334,15 @@ exports.handler = async function(event, context) { // Added context for complete
             body: JSON.stringify({
                 error: 'Graph execution failed unexpectedly.',
                 details: graphError.message,
-                input_headline: headline, // For context
+                input_headline: run.headline, // For context
+                thread_id: run.threadId, // Resume from the last completed step with { "thread_id": ... }
                 graphStructure: graphStructureForClient
             }),
         };
     }
-};
\ No newline at end of file
+}
+
+// stream() needs the Lambda runtime's global "awslambda"; scripts that load this file outside it (e.g.
+// run_golden_tests.js) call analyzeHeadline directly
+exports.handler = typeof awslambda !== 'undefined' ? stream(analyzeHeadline) : analyzeHeadline;
+exports.analyzeHeadline = analyzeHeadline;
@@ -0,0 +1,101 @@
+// src/analyzer_output.js
+// Reading analyzer results: which fields hold placeholder text to revert, and whether the analyzer offered no alternative.
+// Used by revertGenericAnalyzerHeadline (node_functions.js) and the allAnalyzersReportNoFraming router; isGeneratedHeadline
+// by the nodes that check the final headlines (judge_node.js, checkFactPreservation).
+// A final headline that was not generated is null; its reverter's details "status" says why.
+//   "revertPaths": ["rewritten_headline", "alternatives[*]", "analysis"]
+//       JSON paths in the analyzer result; "[*]" (or ".*") visits every array item / object value, "[0]" one item.
+//       The first path is the primary output: its (first) string becomes the reverter's stateOutputKey.
+//   "noAlternative": { "patterns": ["no alternative", "no significant"], "path": "framing_detected", "equals": false }
+//       The analyzer offered no alternative when the primary output is missing, matches one of the patterns
+//       (case-insensitive regular expressions), or when the value at "path" in the result equals "equals".
+
+const DEFAULT_REVERT_PATHS = ['rewritten_headline'];
+const DEFAULT_NO_ALTERNATIVE_PATTERNS = ['no alternative', 'no significant'];
+
+// "alternatives[*].headline" -> ["alternatives", "*", "headline"]
+function splitPath(path) {
+    return String(path).replace(/\[(\*|\d+)\]/g, '.$1').split('.').filter(segment => segment !== '');
+}
+
+/**
+ * Values at a path, with wildcards expanded.
+ * @param {*} value - Where to start (e.g. the analyzer result).
+ * @param {string} path
+ * @returns {{path: string, value: *}[]} One entry per value found, with its concrete path (e.g. "alternatives[1]").
+ */
+function collectPathValues(value, path) {
+    let matches = [{ path: '', value }];
+    for (const segment of splitPath(path)) {
+        const next = [];
+        for (const match of matches) {
+            const container = match.value;
+            if (container === null || typeof container !== 'object') continue;
+            const keys = segment === '*' ? Object.keys(container) : [segment];
+            for (const key of keys) {
+                if (!Object.prototype.hasOwnProperty.call(container, key)) continue;
+                const concretePath = Array.isArray(container) ? `${match.path}[${key}]` : (match.path ? `${match.path}.${key}` : key);
+                next.push({ path: concretePath, value: container[key] });
+            }
+        }
+        matches = next;
+    }
+    return matches;
+}
+
+/**
+ * Copy of an object with the value at a concrete path (as returned by collectPathValues) replaced.
+ * @param {object} object
+ * @param {string} concretePath
+ * @param {*} newValue
+ * @returns {object}
+ */
+function withPathValue(object, concretePath, newValue) {
+    const [head, ...rest] = splitPath(concretePath);
+    const copy = Array.isArray(object) ? [...object] : { ...object };
+    copy[head] = rest.length === 0 ? newValue : withPathValue(object[head], rest.join('.'), newValue);
+    return copy;
+}
+
+/**
+ * Whether an analyzer result says it has no alternative to offer.
+ * @param {object} analyzerResult
+ * @param {*} primaryText - The value at the first revertPath.
+ * @param {{patterns?: string[], path?: string, equals?: *}} [noAlternative]
+ * @returns {boolean}
+ */
+function reportsNoAlternative(analyzerResult, primaryText, noAlternative = {}) {
+    if (!primaryText || typeof primaryText !== 'string') return true;
+    const { patterns = DEFAULT_NO_ALTERNATIVE_PATTERNS, path, equals } = noAlternative;
+    if (patterns.some(pattern => new RegExp(pattern, 'i').test(primaryText))) return true;
+    return path !== undefined && collectPathValues(analyzerResult, path).some(match => match.value === equals);
+}
+
+/**
+ * Whether a final headline (e.g. a reverter's output) was generated: the reverters leave it null when not.
+ * @param {*} headline
+ * @returns {boolean}
+ */
+function isGeneratedHeadline(headline) {
+    return typeof headline === 'string' && headline.trim() !== '';
+}
+
+/**
+ * Why a final headline was not generated, for { skipped } entries.
+ * @param {object} [details] - The reverter's details (see outputHeadlines[].detailsKey in deriveResponseKeys).
+ * @returns {string}
+ */
+function describeMissingHeadline(details) {
+    return details && details.status ? `no headline generated (${details.status})` : 'no headline generated';
+}
+
+module.exports = {
+    DEFAULT_REVERT_PATHS,
+    DEFAULT_NO_ALTERNATIVE_PATTERNS,
+    splitPath,
+    collectPathValues,
+    withPathValue,
+    reportsNoAlternative,
+    isGeneratedHeadline,
+    describeMissingHeadline,
+};
@@ -1,6 +1,7 @@
 // src/aws_utils.js
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
+const { labelAttributes } = require('./frame_taxonomy');
 
 let docClient;
 
@@ -25,22 +26,22 @@ function getDocClient() {
     return docClient;
 }
 
-/**cognitive_frames_reverted_headline euphemism_reverted_headline
+/**
  * Saves various headline data to DynamoDB.
- * @param {object} dataToSave - An object containing all data to be saved.
+ * @param {object} dataToSave - An object containing all data to be saved (the data collector's package).
  * @param {string} dataToSave.input_headline - The original input headline.
- * @param {string} [dataToSave.main_flipped_headline] - The primary flipped headline from the synthesizer.
- * @param {string} [dataToSave.speculative_reframing_reverted_headline] - Reverted headline from speculative analyzer.
- * @param {string} [dataToSave.episodic_thematic_reverted_headline] - Reverted headline from episodic_thematic analyzer.
- * @param {string} [dataToSave.violence_type_reverted_headline] - Reverted headline from violence type analyzer.
- * @param {string} [dataToSave.cognitive_frames_reverted_headline] - Reverted headline from episodic_thematic analyzer.
- * @param {string} [dataToSave.euphemism_reverted_headline] - Reverted headline from violence type analyzer.
  * @param {object} [dataToSave.raw_analysis_results] - Optional object to store raw results from analyzers.
  *                                                    e.g., { cognitive_frames: ..., speculative_reframing: ... }
+ * @param {object} [dataToSave.frame_labels] - Optional frame labels (collectFrameLabels), also stored flat as
+ *                                            label_<dimension> and label_<dimension>_confidence so they can be queried.
+ * @param {Object<string, string>} [dbAttributeMapping] - Package key -> DynamoDB attribute name, derived from
+ *                                                      graph_config.json (see deriveDbAttributeMapping).
+ *                                                      Defaults to storing each package key under its own name.
+ * @param {{graph_id?: string, graph_version?: string, llm_usage?: object}} [runMetadata] - Stored as top-level attributes, e.g. which
+ *                                                                    graph config (and version hash) produced the result.
  * @returns {Promise<{success: boolean, message?: string, headline_id?: string, saved_item_keys?: string[]}>}
  */
-async function saveHeadlineData(dataToSave) {
-    const client = getDocClient();
+async function saveHeadlineData(dataToSave, dbAttributeMapping, runMetadata = {}) {
     const tableName = 'NewsFrames'; // Consider making this configurable if needed, e.g., via process.env.DYNAMODB_TABLE_NAME
 
     if (!dataToSave || !dataToSave.input_headline) {
@@ -55,15 +56,16 @@ async function saveHeadlineData(dataToSave) {
         created_at: new Date().toISOString(),
     };
 
-    const dbAttributeMapping = {
-        "input_headline": "input_headline",
-        "main_flipped_headline_from_state": "flipped_headline", 
-        "speculative_reframing_reverted_headline": "speculative_reframing_reverted_headline_db", // Example: if DB attr name is different
-        "episodic_thematic_reverted_headline": "episodic_thematic_reverted_headline_db",
-        "violence_type_reverted_headline": "violence_type_reverted_headline_db",
-        "cognitive_frames_reverted_headline": "cognitive_frames_reverted_db",
-        "euphemism_reverted_headline": "euphemism_reverted_db",
-    };
+    for (const [attribute, value] of Object.entries(runMetadata)) {
+        if (value !== undefined && value !== null) itemToSave[attribute] = value;
+    }
+
+    if (!dbAttributeMapping) {
+        dbAttributeMapping = {};
+        Object.keys(dataToSave)
+            .filter(key => key !== 'raw_analysis_results')
+            .forEach(key => { dbAttributeMapping[key] = key; });
+    }
 
     for (const dataKey in dbAttributeMapping) {
         if (dataToSave.hasOwnProperty(dataKey)) {
@@ -88,13 +90,24 @@ async function saveHeadlineData(dataToSave) {
         itemToSave.raw_analysis_data = dataToSave.raw_analysis_results; // Storing as a map
     }
 
+    // Frame labels as top-level attributes (e.g. label_generic_frame: "conflict"), not only inside a map
+    if (dataToSave.frame_labels && typeof dataToSave.frame_labels === 'object') {
+        Object.assign(itemToSave, labelAttributes(dataToSave.frame_labels));
+    }
+
     const params = {
         TableName: tableName,
         Item: itemToSave,
     };
 
+    // DYNAMODB_DRY_RUN=true builds the item but does not write it (offline runs, the golden-file suite)
+    if (process.env.DYNAMODB_DRY_RUN === 'true') {
+        console.log(`[DRY RUN] Would save to DynamoDB (Table: ${tableName}, ID: ${headline_id})`);
+        return { success: true, dry_run: true, headline_id, saved_item_keys: Object.keys(itemToSave) };
+    }
+
     try {
-        await client.put(params).promise();
+        await getDocClient().put(params).promise();
         console.log(`Data saved to DynamoDB (Table: ${tableName}, ID: ${headline_id})`);
         return {
             success: true,
@@ -0,0 +1,175 @@
+// src/batch_job_store.js
+// Where batch jobs (see batch_jobs.js) are kept between the request that creates one, the worker that processes
+// it and the requests that poll it. Chosen with the BATCH_JOB_STORE environment variable:
+//   "memory"   - a Map; only lives as long as the process, so polling must reach the same instance
+//                (default for local runs and netlify dev)
+//   "file"     - one JSON file per job in BATCH_JOB_DIR (default: <os tmpdir>/newsframes-batch-jobs)
+//   "dynamodb" - one item per job in BATCH_JOB_TABLE_NAME (default: NewsFramesBatchJobs, partition key
+//                "job_id"), in the same DynamoDB account as the saved results (default in a deployed function)
+// A deployed function needs "dynamodb": the worker and the polls run in other function instances than the request
+// that created the job, so "memory" and "file" are refused there (see isDeployedFunction).
+// Saves are conditional: a job carries a "version" that every save increments, and store.save(job, expectedVersion)
+// fails with a BatchJobConflictError unless the stored job is still at expectedVersion (0: no stored job yet), so
+// a worker and a cancel request never silently overwrite each other's changes.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getDocClient } = require('./aws_utils');
+
+const BATCH_JOB_STORE_KINDS = ['memory', 'file', 'dynamodb'];
+const BATCH_JOB_TTL_SECONDS = 30 * 24 * 60 * 60; // DynamoDB items carry an "expires_at" for the table's TTL setting
+const INSTANCE_LOCAL_STORE_KINDS = ['memory', 'file'];
+
+// Another save reached the job first: reload it and apply the change again
+class BatchJobConflictError extends Error {
+    constructor(jobId, expectedVersion) {
+        super(`Batch job '${jobId}' is no longer at version ${expectedVersion}; it was saved by someone else meanwhile.`);
+        this.name = 'BatchJobConflictError';
+    }
+}
+
+function checkVersion(stored, job, expectedVersion) {
+    const storedVersion = stored ? stored.version : 0;
+    if (storedVersion !== expectedVersion) throw new BatchJobConflictError(job.job_id, expectedVersion);
+}
+
+// Whether this runs as a deployed function (AWS Lambda under Netlify), where every request may reach another
+// instance, rather than locally or under netlify dev
+function isDeployedFunction() {
+    return !process.env.NETLIFY_DEV && Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME || process.env.NETLIFY);
+}
+
+class MemoryBatchJobStore {
+    constructor() {
+        this.jobs = new Map(); // job_id -> JSON text, so callers never share (and mutate) a stored job
+    }
+
+    async load(jobId) {
+        const stored = this.jobs.get(jobId);
+        return stored === undefined ? undefined : JSON.parse(stored);
+    }
+
+    async save(job, expectedVersion) {
+        // Checked and set without an await in between, so two saves cannot both pass the check
+        const stored = this.jobs.get(job.job_id);
+        checkVersion(stored === undefined ? undefined : JSON.parse(stored), job, expectedVersion);
+        this.jobs.set(job.job_id, JSON.stringify(job));
+    }
+}
+
+class FileBatchJobStore {
+    constructor(directory = process.env.BATCH_JOB_DIR || path.join(os.tmpdir(), 'newsframes-batch-jobs')) {
+        this.directory = directory;
+    }
+
+    jobPath(jobId) {
+        return path.join(this.directory, `${encodeURIComponent(jobId)}.json`);
+    }
+
+    async load(jobId) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.jobPath(jobId), 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    }
+
+    // The version check and the rename are not one atomic step: the file store is for local runs, with one worker
+    async save(job, expectedVersion) {
+        checkVersion(await this.load(job.job_id), job, expectedVersion);
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        // Written whole and renamed into place, so a poll never reads a half-written job
+        const temporaryPath = `${this.jobPath(job.job_id)}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temporaryPath, JSON.stringify(job));
+        await fs.promises.rename(temporaryPath, this.jobPath(job.job_id));
+    }
+}
+
+class DynamoDBBatchJobStore {
+    constructor(tableName = process.env.BATCH_JOB_TABLE_NAME || 'NewsFramesBatchJobs') {
+        this.tableName = tableName;
+    }
+
+    async load(jobId) {
+        const { Item } = await getDocClient().get({ TableName: this.tableName, Key: { job_id: jobId } }).promise();
+        return Item ? JSON.parse(Item.job_data) : undefined;
+    }
+
+    async save(job, expectedVersion) {
+        // Stored as one JSON string: item results may hold empty strings and deep nesting. The version is also a
+        // top-level attribute, for the condition.
+        const condition = expectedVersion === 0
+            ? { ConditionExpression: 'attribute_not_exists(job_id)' }
+            : {
+                ConditionExpression: '#version = :expectedVersion',
+                ExpressionAttributeNames: { '#version': 'version' },
+                ExpressionAttributeValues: { ':expectedVersion': expectedVersion }
+            };
+        try {
+            await getDocClient().put({
+                TableName: this.tableName,
+                Item: {
+                    job_id: job.job_id,
+                    job_data: JSON.stringify(job),
+                    version: job.version,
+                    status: job.status,
+                    updated_at: job.updated_at,
+                    expires_at: Math.floor(Date.now() / 1000) + BATCH_JOB_TTL_SECONDS
+                },
+                ...condition
+            }).promise();
+        } catch (error) {
+            if (error.code === 'ConditionalCheckFailedException') throw new BatchJobConflictError(job.job_id, expectedVersion);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Creates a batch job store of the given kind.
+ * @param {string} [kind=process.env.BATCH_JOB_STORE] - One of BATCH_JOB_STORE_KINDS; unset means "dynamodb" in a
+ *   deployed function and "memory" elsewhere.
+ * @returns {{load: function(string): Promise<object|undefined>, save: function(object, number): Promise<void>}}
+ */
+function createBatchJobStore(kind = process.env.BATCH_JOB_STORE || (isDeployedFunction() ? 'dynamodb' : 'memory')) {
+    if (INSTANCE_LOCAL_STORE_KINDS.includes(kind) && isDeployedFunction()) {
+        throw new Error(`BATCH_JOB_STORE=${kind} keeps jobs in one function instance, but a deployed function's worker and polls `
+            + 'run in other instances (and would answer 404). Use BATCH_JOB_STORE=dynamodb.');
+    }
+    switch (kind) {
+        case 'memory':
+            return new MemoryBatchJobStore();
+        case 'file':
+            return new FileBatchJobStore();
+        case 'dynamodb':
+            return new DynamoDBBatchJobStore();
+        default:
+            throw new Error(`Unknown batch job store '${kind}'. Available: ${BATCH_JOB_STORE_KINDS.join(', ')}.`);
+    }
+}
+
+let defaultBatchJobStore;
+
+// The process-wide store from BATCH_JOB_STORE (created once; a script may pick one first with setDefaultBatchJobStore)
+function getDefaultBatchJobStore() {
+    if (!defaultBatchJobStore) defaultBatchJobStore = createBatchJobStore();
+    return defaultBatchJobStore;
+}
+
+function setDefaultBatchJobStore(kind) {
+    defaultBatchJobStore = createBatchJobStore(kind);
+}
+
+module.exports = {
+    BATCH_JOB_STORE_KINDS,
+    isDeployedFunction,
+    BatchJobConflictError,
+    MemoryBatchJobStore,
+    FileBatchJobStore,
+    DynamoDBBatchJobStore,
+    createBatchJobStore,
+    getDefaultBatchJobStore,
+    setDefaultBatchJobStore,
+};
@@ -0,0 +1,562 @@
+// src/batch_jobs.js
+// Batch analysis: a job is a list of headlines (each with optional metadata) run through one graph, at most
+// "concurrency" at a time, with progress and per-item status and results kept in a batch job store
+// (batch_job_store.js) for polling. The API is netlify/functions/batch_analyzer; the processing runs either in
+// the same process or in the batch_analyzer-background function (BATCH_RUNNER, see startJobProcessing).
+//   job:  { job_id, graph_id, graph_version, status, concurrency, progress, created_at, updated_at, started_at,
+//           finished_at, cancel_requested_at, worker_id?, version, items }
+//         status: queued -> running -> completed (every item ran, some may have failed) or cancelled; a worker
+//         that used up its time budget puts the job back to queued and starts another worker for the rest
+//   item: { index, headline, metadata, status, attempts, thread_id?, started_at, finished_at, result?, error? }
+//         status: pending -> running -> succeeded / failed, or cancelled (a pending item of a cancelled job)
+// A run fails when it throws, or ends with errors and no headline; a run with some errors but a headline succeeds
+// (its errors are in result.errors). Failed items can be retried once the job is no longer running; with a
+// checkpointer (see checkpointers.js) a retried item continues its earlier run from the last checkpoint.
+// Every save is conditional on the job's version (see batch_job_store.js): the API's changes are reapplied to the
+// stored job when they conflict with the worker's, and the worker merges a cancel request into its own.
+
+const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
+const { getGraph } = require('./graph_builder');
+const { isRegisteredGraphId, listGraphIds, DEFAULT_GRAPH_ID } = require('./graph_registry');
+const { createThreadId } = require('./checkpointers');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { isGeneratedHeadline } = require('./analyzer_output');
+const { getDefaultBatchJobStore, isDeployedFunction, BatchJobConflictError } = require('./batch_job_store');
+
+// A job is one DynamoDB item (at most 400 KB), so each of its items is kept under about 3.5 KB: the headline, its
+// metadata and its result (see fitResult) are capped, and a full job stays under 400 KB (test/batch_jobs.test.js)
+const MAX_BATCH_ITEMS = 100;
+const MAX_HEADLINE_BYTES = 500;
+const MAX_METADATA_BYTES = 500;
+const MAX_RESULT_BYTES = 2000;
+const MAX_ERROR_LENGTH = 300;
+const DEFAULT_BATCH_CONCURRENCY = 2;
+const MAX_BATCH_CONCURRENCY = 8;
+// A job that has not been updated for this long lost its worker (a background function runs at most 15 minutes)
+const STALE_JOB_MS = 20 * 60 * 1000;
+// A worker starts no item after this long, so the items it started can finish within the 15 minutes
+const WORKER_TIME_BUDGET_MS = 10 * 60 * 1000;
+const BATCH_RUNNERS = ['inline', 'background'];
+const BATCH_WORKER_FUNCTION = 'batch_analyzer-background';
+const ITEM_STATUSES = ['pending', 'running', 'succeeded', 'failed', 'cancelled'];
+const MAX_UPDATE_ATTEMPTS = 5;
+// Headlines queued (created or retried) per clock hour over all callers, counted in a record of the job store;
+// BATCH_MAX_HEADLINES_PER_HOUR overrides it
+const DEFAULT_MAX_HEADLINES_PER_HOUR = 500;
+const QUOTA_RECORD_PREFIX = 'quota#';
+// A worker's save that fails (throttling, a network error) is tried again after 0.5, 1 and 2 seconds
+const MAX_SAVE_ATTEMPTS = 4;
+const SAVE_RETRY_BASE_MS = 500;
+
+// A request the batch API refuses; statusCode is the HTTP status to answer with
+class BatchJobError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [statusCode=400]
+     */
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'BatchJobError';
+        this.statusCode = statusCode;
+    }
+}
+
+const now = () => new Date().toISOString();
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const byteSize = (value) => Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+const truncateError = (error) => String(error).slice(0, MAX_ERROR_LENGTH);
+
+// "headline" or { headline, metadata } -> a pending item
+function parseBatchItem(entry, index) {
+    const { headline, metadata } = typeof entry === 'string' ? { headline: entry } : (entry || {});
+    if (typeof headline !== 'string' || headline.trim() === '') {
+        throw new BatchJobError(`headlines[${index}]: expected a non-empty string or { "headline": "...", "metadata": {...} }.`);
+    }
+    if (byteSize(headline.trim()) > MAX_HEADLINE_BYTES) {
+        throw new BatchJobError(`headlines[${index}]: the headline is longer than ${MAX_HEADLINE_BYTES} bytes.`);
+    }
+    if (metadata !== undefined && (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata))) {
+        throw new BatchJobError(`headlines[${index}]: metadata should be an object.`);
+    }
+    if (metadata !== undefined && byteSize(metadata) > MAX_METADATA_BYTES) {
+        throw new BatchJobError(`headlines[${index}]: metadata is larger than ${MAX_METADATA_BYTES} bytes.`);
+    }
+    return { index, headline: headline.trim(), metadata, status: 'pending', attempts: 0, started_at: null, finished_at: null };
+}
+
+function countProgress(items) {
+    const progress = { total: items.length };
+    ITEM_STATUSES.forEach(status => { progress[status] = 0; });
+    items.forEach(item => { progress[item.status] += 1; });
+    return progress;
+}
+
+// Whether a worker is (or should soon be) processing the job
+function isJobActive(job) {
+    if (job.status !== 'queued' && job.status !== 'running') return false;
+    return Date.now() - Date.parse(job.updated_at) < STALE_JOB_MS;
+}
+
+async function loadJobOrThrow(store, jobId) {
+    const isJobId = typeof jobId === 'string' && jobId !== '' && !jobId.startsWith(QUOTA_RECORD_PREFIX);
+    const job = isJobId ? await store.load(jobId) : undefined;
+    if (!job) throw new BatchJobError(`No batch job '${jobId}'.`, 404);
+    return job;
+}
+
+// Saves the job as its next version; a BatchJobConflictError if the stored job is no longer the version it was loaded at
+async function saveJob(store, job) {
+    const expectedVersion = job.version;
+    job.progress = countProgress(job.items);
+    job.updated_at = now();
+    job.version = expectedVersion + 1;
+    try {
+        await store.save(job, expectedVersion);
+    } catch (error) {
+        job.version = expectedVersion;
+        throw error;
+    }
+    return job;
+}
+
+// Loads the job, changes it and saves it; when another save came in between, starts again from the job as stored
+// then, so neither change is lost. change (which may be async) returns false when there is nothing to save.
+async function updateJob(store, jobId, change) {
+    for (let attempt = 1; ; attempt += 1) {
+        const job = await loadJobOrThrow(store, jobId);
+        if (await change(job) === false) return job;
+        try {
+            return await saveJob(store, job);
+        } catch (error) {
+            if (!(error instanceof BatchJobConflictError)) throw error;
+            if (attempt === MAX_UPDATE_ATTEMPTS) {
+                throw new BatchJobError(`Job '${jobId}' kept changing while it was being updated; try again.`, 409);
+            }
+        }
+    }
+}
+
+function maxHeadlinesPerHour() {
+    const configured = Number(process.env.BATCH_MAX_HEADLINES_PER_HOUR);
+    return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_MAX_HEADLINES_PER_HOUR;
+}
+
+// Counts headlines about to be queued against this hour's quota; a BatchJobError (429) if they do not fit
+async function reserveHeadlineQuota(store, count) {
+    const limit = maxHeadlinesPerHour();
+    const recordId = `${QUOTA_RECORD_PREFIX}${now().slice(0, 13)}`; // quota#2024-05-01T14
+    for (let attempt = 1; ; attempt += 1) {
+        const record = (await store.load(recordId)) || { job_id: recordId, status: 'quota', headlines: 0, version: 0 };
+        if (record.headlines + count > limit) {
+            throw new BatchJobError(`At most ${limit} headlines can be queued per hour (${limit - record.headlines} left this hour); try again later.`, 429);
+        }
+        const expectedVersion = record.version;
+        record.headlines += count;
+        record.updated_at = now();
+        record.version = expectedVersion + 1;
+        try {
+            await store.save(record, expectedVersion);
+            return;
+        } catch (error) {
+            if (!(error instanceof BatchJobConflictError)) throw error;
+            if (attempt === MAX_UPDATE_ATTEMPTS) throw new BatchJobError('The batch API is busy; try again.', 429);
+        }
+    }
+}
+
+/**
+ * Creates a queued job (processing starts with startJobProcessing). Its headlines count against the hourly quota.
+ * @param {{headlines: Array<string|{headline: string, metadata?: object}>, graphId?: string, concurrency?: number}} request
+ * @param {object} [store] - Default: the BATCH_JOB_STORE store.
+ * @returns {Promise<object>} The job.
+ */
+async function createJob({ headlines, graphId = DEFAULT_GRAPH_ID, concurrency = DEFAULT_BATCH_CONCURRENCY }, store = getDefaultBatchJobStore()) {
+    if (!Array.isArray(headlines) || headlines.length === 0) {
+        throw new BatchJobError('headlines is required and must be a non-empty array.');
+    }
+    if (headlines.length > MAX_BATCH_ITEMS) {
+        throw new BatchJobError(`A batch holds at most ${MAX_BATCH_ITEMS} headlines (got ${headlines.length}); split it into several jobs.`);
+    }
+    if (!isRegisteredGraphId(graphId)) {
+        throw new BatchJobError(`Unknown graphId '${graphId}'. Available: ${listGraphIds().join(', ')}.`);
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+        throw new BatchJobError(`concurrency should be an integer from 1 to ${MAX_BATCH_CONCURRENCY}.`);
+    }
+    const job = {
+        job_id: uuidv4(),
+        graph_id: graphId,
+        status: 'queued',
+        concurrency,
+        created_at: now(),
+        started_at: null,
+        finished_at: null,
+        cancel_requested_at: null,
+        version: 0,
+        items: headlines.map(parseBatchItem)
+    };
+    await reserveHeadlineQuota(store, job.items.length);
+    console.log(`[BATCH] Created job ${job.job_id}: ${job.items.length} headline(s), graph '${graphId}', concurrency ${concurrency}.`);
+    return saveJob(store, job);
+}
+
+/**
+ * @param {string} jobId
+ * @param {object} [store]
+ * @returns {Promise<object>} The job; a BatchJobError (404) if there is none.
+ */
+async function getJob(jobId, store = getDefaultBatchJobStore()) {
+    return loadJobOrThrow(store, jobId);
+}
+
+/**
+ * Cancels a job: a job no worker has started (or whose worker died) is cancelled at once; a running one stops
+ * starting items, lets the running ones finish, then cancels the rest. Cancelling a finished job changes nothing.
+ * @param {string} jobId
+ * @param {object} [store]
+ * @returns {Promise<object>} The job.
+ */
+async function cancelJob(jobId, store = getDefaultBatchJobStore()) {
+    const job = await updateJob(store, jobId, (job) => {
+        if (job.status === 'completed' || job.status === 'cancelled') return false;
+        job.cancel_requested_at = job.cancel_requested_at || now();
+        if (job.status === 'queued' || !isJobActive(job)) {
+            job.items.filter(item => item.status === 'pending' || item.status === 'running').forEach(item => { item.status = 'cancelled'; });
+            job.status = 'cancelled';
+            job.finished_at = now();
+        }
+        return true;
+    });
+    console.log(`[BATCH] Job ${jobId}: cancel requested (${job.status}).`);
+    return job;
+}
+
+/**
+ * Queues a job's failed items again: all of them, or those of itemIndexes (which may also name cancelled items).
+ * Items left over by a worker that died are picked up too. The job must not be running; processing starts with
+ * startJobProcessing. The retried items count against the hourly quota.
+ * @param {string} jobId
+ * @param {{itemIndexes?: number[]}} [options]
+ * @param {object} [store]
+ * @returns {Promise<object>} The job.
+ */
+async function retryFailedItems(jobId, { itemIndexes } = {}, store = getDefaultBatchJobStore()) {
+    let retriedCount = 0;
+    let reservedCount = 0; // Reserved once, however often a conflict makes the change run again
+    const job = await updateJob(store, jobId, async (job) => {
+        if (job.status === 'running' && isJobActive(job)) {
+            throw new BatchJobError(`Job '${jobId}' is still running; retry its failed items once it has finished (or cancel it).`, 409);
+        }
+        if (itemIndexes !== undefined && (!Array.isArray(itemIndexes) || itemIndexes.some(index => !Number.isInteger(index) || !job.items[index]))) {
+            throw new BatchJobError(`items should be an array of item indexes (0 to ${job.items.length - 1}).`);
+        }
+        const retriedStatuses = itemIndexes === undefined ? ['failed', 'running'] : ['failed', 'running', 'cancelled'];
+        const chosen = itemIndexes === undefined ? job.items : itemIndexes.map(index => job.items[index]);
+        const retried = chosen.filter(item => retriedStatuses.includes(item.status));
+        retried.forEach(item => {
+            item.status = 'pending';
+            item.finished_at = null;
+            delete item.error;
+            delete item.result;
+        });
+        if (!job.items.some(item => item.status === 'pending')) {
+            throw new BatchJobError(`Job '${jobId}' has no failed items to retry.`, 409);
+        }
+        if (retried.length > reservedCount) {
+            await reserveHeadlineQuota(store, retried.length - reservedCount);
+            reservedCount = retried.length;
+        }
+        job.status = 'queued';
+        job.cancel_requested_at = null;
+        job.finished_at = null;
+        retriedCount = retried.length;
+        return true;
+    });
+    console.log(`[BATCH] Job ${jobId}: ${retriedCount} item(s) queued for retry.`);
+    return job;
+}
+
+// Brings a result within MAX_RESULT_BYTES, dropping first the frame label spans, then all errors but the first, and
+// last the headlines and labels (the saved result, under headline_id, has them all)
+function fitResult(result) {
+    if (!result || typeof result !== 'object') return result;
+    const errors = Array.isArray(result.errors) ? result.errors : [];
+    const withoutSpans = !result.frame_labels ? result : {
+        ...result,
+        frame_labels: Object.fromEntries(Object.entries(result.frame_labels).map(([dimension, label]) => (
+            [dimension, label && typeof label === 'object' ? { ...label, span: undefined } : label])))
+    };
+    const firstErrorOnly = { ...withoutSpans, errors: errors.slice(0, 1).map(truncateError) };
+    const checksOnly = {
+        headline_id: result.headline_id,
+        saved: result.saved,
+        errors: firstErrorOnly.errors,
+        cost_usd: result.cost_usd,
+        fact_check_status: typeof result.fact_check_status === 'string' ? truncateError(result.fact_check_status) : undefined,
+        truncated: true
+    };
+    return [result, withoutSpans, firstErrorOnly].find(candidate => byteSize(candidate) <= MAX_RESULT_BYTES) || checksOnly;
+}
+
+// What a batch item keeps of a finished run: the final headlines and the main checks, not the whole state
+function summarizeRun(finalState, responseKeys) {
+    const outputHeadlines = {};
+    responseKeys.outputHeadlines.forEach(({ stateKey }) => { outputHeadlines[stateKey] = finalState[stateKey]; });
+    const errors = finalState.error_messages || [];
+    const result = {
+        output_headlines: outputHeadlines,
+        headline_id: finalState.db_save_status?.headline_id, // The saved result's id, to look it up in DynamoDB
+        saved: finalState.db_save_status ? finalState.db_save_status.success : undefined,
+        errors,
+        cost_usd: finalState.llm_usage?.run?.cost_usd
+    };
+    if (responseKeys.frameLabelsKey) result.frame_labels = finalState[responseKeys.frameLabelsKey];
+    if (responseKeys.factCheckKey) result.fact_check_status = finalState[responseKeys.factCheckKey]?.status;
+    const failed = errors.length > 0 && !Object.values(outputHeadlines).some(isGeneratedHeadline);
+    return { result, error: failed ? errors[0] : undefined };
+}
+
+/**
+ * Runs the job's graph for one item (setting item.thread_id when a checkpointer is configured).
+ * @param {object} job
+ * @param {object} item
+ * @returns {Promise<{result: object, error?: string}>} error: why the run counts as failed.
+ */
+async function runBatchItem(job, item) {
+    const graph = getGraph(job.graph_id);
+    const config = { recursionLimit: 25 };
+    let app = graph.app;
+    let input = { input_headline: item.headline, error_messages: [] };
+    if (graph.resumableApp) {
+        app = graph.resumableApp;
+        config.configurable = { thread_id: item.thread_id || createThreadId(job.graph_id) };
+        if (item.thread_id) {
+            const snapshot = await app.getState(config);
+            if (snapshot.config.configurable.checkpoint_id) input = null; // Continue the earlier attempt
+        }
+        item.thread_id = config.configurable.thread_id;
+    }
+    return summarizeRun(await app.invoke(input, config), graph.responseKeys);
+}
+
+/**
+ * Processes a queued job's pending items, at most job.concurrency at a time, saving the job as each item starts
+ * and finishes. Returns without doing anything if the job is not queued, or another save reaches it before this
+ * worker's claim (e.g. another worker took it); stops starting items if the job is meanwhile cancelled or retried
+ * as stale. Once timeBudgetMs has passed it starts no more items: the job is queued again and continueJob hands
+ * the remaining ones to a new worker. A save the store keeps failing (MAX_SAVE_ATTEMPTS) also stops it: the job is
+ * queued again without a worker, for a retry to start.
+ * @param {string} jobId
+ * @param {{store?: object, runItem?: function(object, object): Promise<{result: object, error?: string}>,
+ *   timeBudgetMs?: number, continueJob?: function(string): Promise<void>, saveRetryBaseMs?: number}} [options]
+ *   runItem: how one item is run (default: runBatchItem); timeBudgetMs: default WORKER_TIME_BUDGET_MS;
+ *   continueJob: default startJobProcessing; saveRetryBaseMs: the first wait before a failed save is tried again
+ *   (default SAVE_RETRY_BASE_MS, doubling).
+ * @returns {Promise<object>} The job.
+ */
+async function processJob(jobId, {
+    store = getDefaultBatchJobStore(),
+    runItem = runBatchItem,
+    timeBudgetMs = WORKER_TIME_BUDGET_MS,
+    continueJob = startJobProcessing,
+    saveRetryBaseMs = SAVE_RETRY_BASE_MS
+} = {}) {
+    const job = await loadJobOrThrow(store, jobId);
+    if (job.status !== 'queued') {
+        console.log(`[BATCH] Job ${jobId} is ${job.status}; nothing to process.`);
+        return job;
+    }
+
+    // Claim the job with a save of the version just loaded; if anything saved it first, leave it alone
+    const claimedAt = Date.now();
+    const workerId = uuidv4();
+    job.status = 'running';
+    job.worker_id = workerId;
+    job.started_at = job.started_at || now();
+    try {
+        job.graph_version = getGraph(job.graph_id).graphVersion;
+    } catch (buildError) {
+        console.error(`[BATCH] Job ${jobId}: graph '${job.graph_id}' could not be built:`, buildError);
+    }
+    try {
+        await saveJob(store, job);
+    } catch (error) {
+        if (!(error instanceof BatchJobConflictError)) throw error;
+        console.log(`[BATCH] Job ${jobId} changed before this worker claimed it (another worker took it, or it was cancelled).`);
+        return loadJobOrThrow(store, jobId);
+    }
+
+    // Saves are chained so they reach the store in order. A save that conflicts (with a cancel request) takes the
+    // stored cancel_requested_at and is made again on top of it; if the job is no longer this worker's (cancelled or
+    // retried as stale), the worker stops. A store error is retried with backoff and never rejects the chain: when
+    // the attempts run out, the worker stops too.
+    let lastSave = Promise.resolve();
+    let cancelRequested = false;
+    let claimLost = false;
+    let storeFailed = false;
+    const saveOrMerge = async () => {
+        try {
+            await saveJob(store, job);
+            return true;
+        } catch (error) {
+            if (!(error instanceof BatchJobConflictError)) throw error;
+        }
+        const stored = await loadJobOrThrow(store, jobId);
+        if (stored.status !== 'running' || stored.worker_id !== workerId) {
+            console.log(`[BATCH] Job ${jobId} is no longer this worker's (${stored.status}); stopping.`);
+            claimLost = true;
+        } else {
+            job.version = stored.version;
+            if (stored.cancel_requested_at) {
+                job.cancel_requested_at = stored.cancel_requested_at;
+                cancelRequested = true;
+            }
+        }
+        return false;
+    };
+    const persist = () => {
+        lastSave = lastSave.then(async () => {
+            let failedAttempts = 0;
+            while (!claimLost && !storeFailed) {
+                try {
+                    if (await saveOrMerge()) return;
+                } catch (storeError) {
+                    failedAttempts += 1;
+                    if (failedAttempts === MAX_SAVE_ATTEMPTS) {
+                        console.error(`[BATCH] Job ${jobId}: saving failed ${failedAttempts} times; stopping:`, storeError);
+                        storeFailed = true;
+                    } else {
+                        console.warn(`[BATCH] Job ${jobId}: saving failed (${storeError.message}); trying again.`);
+                        await sleep(saveRetryBaseMs * 2 ** (failedAttempts - 1));
+                    }
+                }
+            }
+        });
+        return lastSave;
+    };
+    console.log(`[BATCH] Processing job ${jobId}: ${job.items.filter(item => item.status === 'pending').length} pending item(s).`);
+
+    const pendingItems = job.items.filter(item => item.status === 'pending');
+    let startedCount = 0;
+    let outOfTime = false;
+    await mapWithConcurrency(pendingItems, job.concurrency, async (item) => {
+        if (claimLost || cancelRequested || outOfTime || storeFailed) return;
+        if (startedCount > 0 && Date.now() - claimedAt >= timeBudgetMs) { // Every worker runs at least one item
+            outOfTime = true;
+            return;
+        }
+        // Picks up a cancel request before starting another item (a failed read leaves it to the next save)
+        const stored = await store.load(jobId).catch(() => undefined);
+        if (stored && stored.cancel_requested_at) {
+            cancelRequested = true;
+            return;
+        }
+        startedCount += 1;
+        item.status = 'running';
+        item.attempts += 1;
+        item.started_at = now();
+        await persist();
+        try {
+            const { result, error } = await runItem(job, item);
+            item.result = fitResult(result);
+            item.status = error ? 'failed' : 'succeeded';
+            if (error) item.error = truncateError(error);
+        } catch (runError) {
+            console.error(`[BATCH] Job ${jobId} item ${item.index} failed:`, runError);
+            item.status = 'failed';
+            item.error = truncateError(runError.message);
+        }
+        item.finished_at = now();
+        console.log(`[BATCH] Job ${jobId} item ${item.index}: ${item.status}.`);
+        await persist();
+    });
+
+    if (storeFailed) {
+        // Release the job with what it has done, so a retry can start a worker at once rather than after
+        // STALE_JOB_MS; its items that were running finished meanwhile
+        storeFailed = false;
+        job.status = 'queued';
+        job.worker_id = null;
+        await persist();
+        if (storeFailed) console.error(`[BATCH] Job ${jobId} could not be released; it counts as stale after ${STALE_JOB_MS / 60000} minutes.`);
+        return job;
+    }
+    await persist(); // Reads a cancel request that arrived while the last items ran
+    if (claimLost) return loadJobOrThrow(store, jobId);
+    const pendingCount = job.items.filter(item => item.status === 'pending').length;
+    if (outOfTime && !cancelRequested && pendingCount > 0) {
+        job.status = 'queued';
+        job.worker_id = null;
+        await persist();
+        if (claimLost) return loadJobOrThrow(store, jobId);
+        console.log(`[BATCH] Job ${jobId}: time budget used up with ${pendingCount} pending item(s); starting another worker.`);
+        try {
+            await continueJob(jobId);
+        } catch (continueError) {
+            // The job stays queued; { "job_id", "action": "retry" } starts it again
+            console.error(`[BATCH] Job ${jobId}: could not start another worker:`, continueError);
+        }
+        return job;
+    }
+    if (cancelRequested) {
+        job.items.filter(item => item.status === 'pending').forEach(item => { item.status = 'cancelled'; });
+        job.status = 'cancelled';
+    } else {
+        job.status = 'completed';
+    }
+    job.finished_at = now();
+    await persist();
+    console.log(`[BATCH] Job ${jobId} ${job.status}: ${JSON.stringify(job.progress)}`);
+    return job;
+}
+
+/**
+ * Starts processing a queued job, as chosen with the BATCH_RUNNER environment variable:
+ *   "inline"     - in this process, without waiting for it (default for local runs and netlify dev, where the
+ *                  process outlives the request); refused in a deployed function, which is frozen once it answers
+ *   "background" - by calling the batch_analyzer-background function (at BATCH_WORKER_URL, default
+ *                  <site URL>/.netlify/functions/batch_analyzer-background), which may run for 15 minutes;
+ *                  needs a store the functions share (BATCH_JOB_STORE=dynamodb). Default in a deployed function.
+ * @param {string} jobId
+ * @param {string} [runner=process.env.BATCH_RUNNER]
+ * @returns {Promise<void>} Resolves once processing has been started.
+ */
+async function startJobProcessing(jobId, runner = process.env.BATCH_RUNNER || (isDeployedFunction() ? 'background' : 'inline')) {
+    switch (runner) {
+        case 'inline':
+            if (isDeployedFunction()) {
+                throw new Error('BATCH_RUNNER=inline cannot run in a deployed function: it is frozen once the 202 is sent, '
+                    + 'so the job would never progress. Use BATCH_RUNNER=background.');
+            }
+            processJob(jobId).catch(error => console.error(`[BATCH] Job ${jobId}: processing failed:`, error));
+            return;
+        case 'background': {
+            const workerUrl = process.env.BATCH_WORKER_URL
+                || (process.env.URL && `${process.env.URL}/.netlify/functions/${BATCH_WORKER_FUNCTION}`);
+            if (!workerUrl) throw new Error('BATCH_RUNNER=background needs BATCH_WORKER_URL (or the site URL in URL).');
+            const response = await fetch(workerUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ job_id: jobId })
+            });
+            if (!response.ok) throw new Error(`The batch worker answered ${response.status} ${response.statusText}.`);
+            return;
+        }
+        default:
+            throw new Error(`Unknown batch runner '${runner}'. Available: ${BATCH_RUNNERS.join(', ')}.`);
+    }
+}
+
+module.exports = {
+    MAX_BATCH_ITEMS,
+    BATCH_RUNNERS,
+    BatchJobError,
+    createJob,
+    getJob,
+    cancelJob,
+    retryFailedItems,
+    processJob,
+    runBatchItem,
+    startJobProcessing,
+};
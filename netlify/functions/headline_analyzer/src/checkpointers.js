@@ -0,0 +1,388 @@
+// src/checkpointers.js
+// LangGraph checkpointers, so a run that dies halfway (e.g. a function timeout after the analyzers finished)
+// can be resumed by thread_id from its last completed step instead of paying for every LLM call again.
+// Chosen with the CHECKPOINTER environment variable:
+//   "none" (default) - no checkpointing; runs cannot be resumed
+//   "memory"         - LangGraph's MemorySaver; only lives as long as the process (a warm function instance)
+//   "file"           - one JSON file per thread in CHECKPOINT_DIR (default: <os tmpdir>/newsframes-checkpoints)
+//   "dynamodb"       - one item per checkpoint and per pending write in CHECKPOINT_TABLE_NAME (default:
+//                      NewsFramesCheckpoints, partition key "thread_id", sort key "item_key"), in the same DynamoDB
+//                      account as the saved results; a step writes only what it added, and an item over DynamoDB's
+//                      400 KB limit fails the run with an error saying so
+// The file and DynamoDB savers keep only the last few checkpoints of a thread, which is all resuming needs.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { MemorySaver } = require('@langchain/langgraph');
+const { BaseCheckpointSaver, TASKS, WRITES_IDX_MAP, copyCheckpoint, getCheckpointId } = require('@langchain/langgraph-checkpoint');
+const { getDocClient } = require('./aws_utils');
+
+const CHECKPOINTER_KINDS = ['none', 'memory', 'file', 'dynamodb'];
+const KEPT_CHECKPOINTS_PER_NAMESPACE = 2; // The latest one, plus its parent (LangGraph reads pending sends from it)
+const MAX_CACHED_THREADS = 50;
+const CHECKPOINT_TTL_SECONDS = 7 * 24 * 60 * 60; // DynamoDB items carry an "expires_at" for the table's TTL setting
+const THREAD_ID_SEPARATOR = ':';
+const MAX_DYNAMODB_ITEM_BYTES = 400 * 1024;
+
+const EMPTY_THREAD_RECORD = () => ({ checkpoints: {}, writes: {} });
+
+// Serialized values are kept as [type, text] pairs, so a thread record is plain JSON
+function toStoredValue([type, data]) {
+    return [type, Buffer.from(data).toString(type === 'bytes' ? 'base64' : 'utf8')];
+}
+
+function fromStoredValue([type, text]) {
+    return [type, type === 'bytes' ? Buffer.from(text, 'base64') : text];
+}
+
+/**
+ * A checkpoint saver whose threads are loaded from, and written back to, a persistent store.
+ * A thread is one record: { checkpoints: { <ns>: { <checkpointId>: { checkpoint, metadata, parentCheckpointId } } },
+ * writes: { <ns>: { <checkpointId>: { "<taskId>,<index>": [taskId, channel, value] } } } }.
+ * Subclasses implement loadThread(threadId) and saveThread(threadId, record, change, dropped): change is what put or
+ * putWrites added ({ namespace, checkpointId } for a checkpoint, with writeKeys for writes), dropped the checkpoints
+ * pruned from the record ({ namespace, checkpointId, writeKeys }[]); a saver may write the whole record instead.
+ */
+class PersistentThreadSaver extends BaseCheckpointSaver {
+    constructor(serde) {
+        super(serde);
+        this.loadedThreads = new Map(); // threadId -> Promise (thread record), in load order
+        this.pendingSaves = new Map(); // threadId -> Promise (last save), so saves of one thread stay in order
+    }
+
+    async getThread(threadId) {
+        if (!this.loadedThreads.has(threadId)) {
+            // Records written before the current layout (no "checkpoints") cannot be resumed; the thread starts over
+            this.loadedThreads.set(threadId, this.loadThread(threadId)
+                .then(record => (record && record.checkpoints ? record : EMPTY_THREAD_RECORD())));
+            this.evictOldThreads();
+        }
+        return this.loadedThreads.get(threadId);
+    }
+
+    // Forget the oldest loaded threads (they are persisted, and reloaded if asked for again)
+    evictOldThreads() {
+        for (const threadId of this.loadedThreads.keys()) {
+            if (this.loadedThreads.size <= MAX_CACHED_THREADS) break;
+            if (this.pendingSaves.has(threadId)) continue;
+            this.loadedThreads.delete(threadId);
+        }
+    }
+
+    // Drops all but the newest checkpoints of each namespace, and the writes that belonged to the dropped ones;
+    // returns what it dropped
+    pruneThread(record) {
+        const dropped = [];
+        for (const [checkpointNamespace, checkpoints] of Object.entries(record.checkpoints)) {
+            const checkpointIds = Object.keys(checkpoints).sort((a, b) => b.localeCompare(a));
+            for (const checkpointId of checkpointIds.slice(KEPT_CHECKPOINTS_PER_NAMESPACE)) {
+                const namespaceWrites = record.writes[checkpointNamespace] || {};
+                dropped.push({ namespace: checkpointNamespace, checkpointId, writeKeys: Object.keys(namespaceWrites[checkpointId] || {}) });
+                delete checkpoints[checkpointId];
+                delete namespaceWrites[checkpointId];
+            }
+        }
+        return dropped;
+    }
+
+    persistThread(threadId, record, change) {
+        const dropped = this.pruneThread(record);
+        const previousSave = this.pendingSaves.get(threadId) || Promise.resolve();
+        const save = previousSave
+            .then(() => this.saveThread(threadId, record, change, dropped))
+            .finally(() => {
+                if (this.pendingSaves.get(threadId) === save) this.pendingSaves.delete(threadId);
+            });
+        this.pendingSaves.set(threadId, save);
+        return save;
+    }
+
+    async loadValue(storedValue) {
+        return this.serde.loadsTyped(...fromStoredValue(storedValue));
+    }
+
+    async toCheckpointTuple(record, threadId, checkpointNamespace, checkpointId) {
+        const saved = record.checkpoints[checkpointNamespace][checkpointId];
+        const writesOf = id => Object.values((record.writes[checkpointNamespace] || {})[id] || {});
+        // Sends scheduled by the parent checkpoint's tasks are replayed into this one
+        const pendingSends = saved.parentCheckpointId === undefined ? [] : await Promise.all(
+            writesOf(saved.parentCheckpointId)
+                .filter(([, channel]) => channel === TASKS)
+                .map(([, , value]) => this.loadValue(value)));
+        const checkpointTuple = {
+            config: { configurable: { thread_id: threadId, checkpoint_ns: checkpointNamespace, checkpoint_id: checkpointId } },
+            checkpoint: { ...(await this.loadValue(saved.checkpoint)), pending_sends: pendingSends },
+            metadata: await this.loadValue(saved.metadata),
+            pendingWrites: await Promise.all(writesOf(checkpointId)
+                .map(async ([taskId, channel, value]) => [taskId, channel, await this.loadValue(value)])),
+        };
+        if (saved.parentCheckpointId !== undefined) {
+            checkpointTuple.parentConfig = {
+                configurable: { thread_id: threadId, checkpoint_ns: checkpointNamespace, checkpoint_id: saved.parentCheckpointId }
+            };
+        }
+        return checkpointTuple;
+    }
+
+    async getTuple(config) {
+        const threadId = config.configurable?.thread_id;
+        if (threadId === undefined) return undefined;
+        const checkpointNamespace = config.configurable?.checkpoint_ns ?? '';
+        const record = await this.getThread(threadId);
+        const checkpoints = record.checkpoints[checkpointNamespace];
+        if (!checkpoints) return undefined;
+        // Without a checkpoint id, the latest (ids sort by creation time)
+        const checkpointId = getCheckpointId(config) || Object.keys(checkpoints).sort((a, b) => b.localeCompare(a))[0];
+        if (!checkpoints[checkpointId]) return undefined;
+        return this.toCheckpointTuple(record, threadId, checkpointNamespace, checkpointId);
+    }
+
+    // Only lists threads that are loaded (always true of the config's thread_id, when it has one)
+    async *list(config, options = {}) {
+        const { before, filter } = options;
+        let { limit } = options;
+        const threadIds = config.configurable?.thread_id !== undefined
+            ? [config.configurable.thread_id]
+            : [...this.loadedThreads.keys()];
+        for (const threadId of threadIds) {
+            const record = await this.getThread(threadId);
+            for (const [checkpointNamespace, checkpoints] of Object.entries(record.checkpoints)) {
+                if (config.configurable?.checkpoint_ns !== undefined && checkpointNamespace !== config.configurable.checkpoint_ns) continue;
+                for (const checkpointId of Object.keys(checkpoints).sort((a, b) => b.localeCompare(a))) {
+                    if (config.configurable?.checkpoint_id && checkpointId !== config.configurable.checkpoint_id) continue;
+                    if (before?.configurable?.checkpoint_id && checkpointId >= before.configurable.checkpoint_id) continue;
+                    if (filter) {
+                        const metadata = await this.loadValue(checkpoints[checkpointId].metadata);
+                        if (!Object.entries(filter).every(([key, value]) => metadata[key] === value)) continue;
+                    }
+                    if (limit !== undefined) {
+                        if (limit <= 0) return;
+                        limit -= 1;
+                    }
+                    yield this.toCheckpointTuple(record, threadId, checkpointNamespace, checkpointId);
+                }
+            }
+        }
+    }
+
+    async put(config, checkpoint, metadata) {
+        const threadId = config.configurable?.thread_id;
+        if (threadId === undefined) {
+            throw new Error('Failed to put checkpoint: the config has no "thread_id" in its "configurable" property.');
+        }
+        const checkpointNamespace = config.configurable?.checkpoint_ns ?? '';
+        const record = await this.getThread(threadId);
+        const preparedCheckpoint = copyCheckpoint(checkpoint);
+        delete preparedCheckpoint.pending_sends; // Rebuilt from the parent's writes on load
+        record.checkpoints[checkpointNamespace] = record.checkpoints[checkpointNamespace] || {};
+        record.checkpoints[checkpointNamespace][checkpoint.id] = {
+            checkpoint: toStoredValue(this.serde.dumpsTyped(preparedCheckpoint)),
+            metadata: toStoredValue(this.serde.dumpsTyped(metadata)),
+            parentCheckpointId: config.configurable?.checkpoint_id,
+        };
+        await this.persistThread(threadId, record, { namespace: checkpointNamespace, checkpointId: checkpoint.id });
+        return { configurable: { thread_id: threadId, checkpoint_ns: checkpointNamespace, checkpoint_id: checkpoint.id } };
+    }
+
+    async putWrites(config, writes, taskId) {
+        const threadId = config.configurable?.thread_id;
+        const checkpointId = config.configurable?.checkpoint_id;
+        if (threadId === undefined || checkpointId === undefined) {
+            throw new Error('Failed to put writes: the config needs a "thread_id" and a "checkpoint_id" in its "configurable" property.');
+        }
+        const checkpointNamespace = config.configurable?.checkpoint_ns ?? '';
+        const record = await this.getThread(threadId);
+        const namespaceWrites = record.writes[checkpointNamespace] = record.writes[checkpointNamespace] || {};
+        const checkpointWrites = namespaceWrites[checkpointId] = namespaceWrites[checkpointId] || {};
+        const writeKeys = [];
+        writes.forEach(([channel, value], index) => {
+            // Special channels (errors, interrupts...) have fixed negative indexes and are overwritten; regular writes are kept
+            const writeIndex = WRITES_IDX_MAP[channel] || index;
+            const writeKey = `${taskId},${writeIndex}`;
+            if (writeIndex >= 0 && writeKey in checkpointWrites) return;
+            checkpointWrites[writeKey] = [taskId, channel, toStoredValue(this.serde.dumpsTyped(value))];
+            writeKeys.push(writeKey);
+        });
+        await this.persistThread(threadId, record, { namespace: checkpointNamespace, checkpointId, writeKeys });
+    }
+}
+
+class FileCheckpointSaver extends PersistentThreadSaver {
+    constructor(directory = process.env.CHECKPOINT_DIR || path.join(os.tmpdir(), 'newsframes-checkpoints')) {
+        super();
+        this.directory = directory;
+    }
+
+    threadPath(threadId) {
+        return path.join(this.directory, `${encodeURIComponent(threadId)}.json`);
+    }
+
+    async loadThread(threadId) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.threadPath(threadId), 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    }
+
+    async saveThread(threadId, record) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(this.threadPath(threadId), JSON.stringify(record));
+    }
+}
+
+// Sort keys of a thread's items; namespaces may hold "#", but checkpoint ids and write keys do not
+const checkpointItemKey = (checkpointNamespace, checkpointId) => `checkpoint#${checkpointNamespace}#${checkpointId}`;
+const writeItemKey = (checkpointNamespace, checkpointId, writeKey) => `write#${checkpointNamespace}#${checkpointId}#${writeKey}`;
+
+class DynamoDBCheckpointSaver extends PersistentThreadSaver {
+    /**
+     * @param {string} [tableName=process.env.CHECKPOINT_TABLE_NAME]
+     * @param {object} [docClient] - Default: the DocumentClient of aws_utils.js.
+     */
+    constructor(tableName = process.env.CHECKPOINT_TABLE_NAME || 'NewsFramesCheckpoints', docClient = undefined) {
+        super();
+        this.tableName = tableName;
+        this.docClient = docClient;
+    }
+
+    get client() {
+        return this.docClient || getDocClient();
+    }
+
+    async loadThread(threadId) {
+        const record = EMPTY_THREAD_RECORD();
+        let exclusiveStartKey;
+        do {
+            const page = await this.client.query({
+                TableName: this.tableName,
+                KeyConditionExpression: 'thread_id = :threadId',
+                ExpressionAttributeValues: { ':threadId': threadId },
+                ExclusiveStartKey: exclusiveStartKey
+            }).promise();
+            for (const item of page.Items) {
+                const byNamespace = item.kind === 'checkpoint' ? record.checkpoints : record.writes;
+                const namespaceEntries = byNamespace[item.checkpoint_ns] = byNamespace[item.checkpoint_ns] || {};
+                if (item.kind === 'checkpoint') {
+                    namespaceEntries[item.checkpoint_id] = JSON.parse(item.data);
+                } else {
+                    namespaceEntries[item.checkpoint_id] = namespaceEntries[item.checkpoint_id] || {};
+                    namespaceEntries[item.checkpoint_id][item.write_key] = JSON.parse(item.data);
+                }
+            }
+            exclusiveStartKey = page.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        return record;
+    }
+
+    async putItem(threadId, itemKey, attributes) {
+        // Values are stored as JSON strings: checkpoint values may hold empty strings and deep nesting
+        const item = {
+            thread_id: threadId,
+            item_key: itemKey,
+            ...attributes,
+            updated_at: new Date().toISOString(),
+            expires_at: Math.floor(Date.now() / 1000) + CHECKPOINT_TTL_SECONDS
+        };
+        const itemBytes = Buffer.byteLength(JSON.stringify(item));
+        if (itemBytes > MAX_DYNAMODB_ITEM_BYTES) {
+            throw new Error(`Checkpoint item '${itemKey}' of thread '${threadId}' is ${Math.ceil(itemBytes / 1024)} KB, over `
+                + 'DynamoDB\'s 400 KB item limit: the graph state is too large to checkpoint in DynamoDB (use CHECKPOINTER=file, or keep less in state).');
+        }
+        await this.client.put({ TableName: this.tableName, Item: item }).promise();
+    }
+
+    // Writes only the checkpoint or writes just added, and deletes the pruned ones
+    async saveThread(threadId, record, change, dropped = []) {
+        const operations = [];
+        if (change) {
+            const { namespace, checkpointId, writeKeys } = change;
+            const itemAttributes = { checkpoint_ns: namespace, checkpoint_id: checkpointId };
+            if (writeKeys === undefined) {
+                const saved = (record.checkpoints[namespace] || {})[checkpointId];
+                if (saved) { // Not yet pruned by a later step
+                    operations.push(this.putItem(threadId, checkpointItemKey(namespace, checkpointId),
+                        { ...itemAttributes, kind: 'checkpoint', data: JSON.stringify(saved) }));
+                }
+            } else {
+                const checkpointWrites = (record.writes[namespace] || {})[checkpointId] || {};
+                writeKeys.filter(writeKey => checkpointWrites[writeKey]).forEach(writeKey => {
+                    operations.push(this.putItem(threadId, writeItemKey(namespace, checkpointId, writeKey),
+                        { ...itemAttributes, kind: 'write', write_key: writeKey, data: JSON.stringify(checkpointWrites[writeKey]) }));
+                });
+            }
+        }
+        dropped.forEach(({ namespace, checkpointId, writeKeys }) => {
+            const itemKeys = [checkpointItemKey(namespace, checkpointId), ...writeKeys.map(writeKey => writeItemKey(namespace, checkpointId, writeKey))];
+            itemKeys.forEach(itemKey => {
+                operations.push(this.client.delete({ TableName: this.tableName, Key: { thread_id: threadId, item_key: itemKey } }).promise());
+            });
+        });
+        await Promise.all(operations);
+    }
+}
+
+/**
+ * Creates a checkpointer of the given kind.
+ * @param {string} [kind=process.env.CHECKPOINTER] - One of CHECKPOINTER_KINDS; unset means "none".
+ * @returns {object|undefined} A LangGraph checkpointer, or undefined for "none".
+ */
+function createCheckpointer(kind = process.env.CHECKPOINTER || 'none') {
+    switch (kind) {
+        case 'none':
+            return undefined;
+        case 'memory':
+            return new MemorySaver();
+        case 'file':
+            return new FileCheckpointSaver();
+        case 'dynamodb':
+            return new DynamoDBCheckpointSaver();
+        default:
+            throw new Error(`Unknown checkpointer '${kind}'. Available: ${CHECKPOINTER_KINDS.join(', ')}.`);
+    }
+}
+
+let defaultCheckpointer;
+let defaultCheckpointerCreated = false;
+
+// The process-wide checkpointer from CHECKPOINTER (created once; the CLI may pick one first with setDefaultCheckpointer)
+function getDefaultCheckpointer() {
+    if (!defaultCheckpointerCreated) {
+        defaultCheckpointer = createCheckpointer();
+        defaultCheckpointerCreated = true;
+    }
+    return defaultCheckpointer;
+}
+
+function setDefaultCheckpointer(kind) {
+    defaultCheckpointer = createCheckpointer(kind);
+    defaultCheckpointerCreated = true;
+}
+
+// Thread ids carry their graph id ("<graphId>:<uuid>"), so a resume request knows which graph to rebuild
+function createThreadId(graphId) {
+    return `${graphId}${THREAD_ID_SEPARATOR}${uuidv4()}`;
+}
+
+/**
+ * @param {string} threadId
+ * @returns {string|undefined} The graph id a thread was started with, or undefined if the id has none.
+ */
+function getThreadGraphId(threadId) {
+    const separatorIndex = typeof threadId === 'string' ? threadId.lastIndexOf(THREAD_ID_SEPARATOR) : -1;
+    return separatorIndex > 0 ? threadId.slice(0, separatorIndex) : undefined;
+}
+
+module.exports = {
+    CHECKPOINTER_KINDS,
+    FileCheckpointSaver,
+    DynamoDBCheckpointSaver,
+    createCheckpointer,
+    getDefaultCheckpointer,
+    setDefaultCheckpointer,
+    createThreadId,
+    getThreadGraphId,
+};
@@ -0,0 +1,176 @@
+// src/config_derivation.js
+// Everything that used to be hand-maintained next to graph_config.json (state channels,
+// the handler's response keys, the DynamoDB attribute mapping) is derived here from the
+// node definitions, so adding an analyzer task + reverter in the config is enough.
+
+const { buildStateChannels } = require('./state_definition');
+
+const GENERIC_REVERTER_FUNCTION = 'revertGenericAnalyzerHeadline';
+const DATA_COLLECTOR_FUNCTION = 'collectAndVerifyDataForSaver';
+const FACT_CHECKER_FUNCTION = 'checkFactPreservation';
+const FRAME_LABEL_COLLECTOR_FUNCTION = 'collectFrameLabels';
+const MAIN_FLIPPED_HEADLINE = { stateKey: 'flipped_headline', displayName: 'Main Synthesized Flip' };
+const MAIN_FLIPPED_HEADLINE_DETAILS_KEY = 'properNoun_replacement2_details'; // Written by revertMainSynthesizedHeadline
+
+// Where a subgraph node keeps its child graph's final state.
+function getSubgraphStateKey(nodeConfig) {
+    return `${nodeConfig.id}_state`;
+}
+
+/**
+ * State keys a node writes (besides error_messages).
+ * @param {object} nodeConfig - A node definition from graph_config.json.
+ * @param {object} customNodeOutputKeys - From node_functions.js; maps functionName -> (nodeConfig) => keys.
+ * @returns {string[]} May contain undefined when a node has no stateOutputKey.
+ */
+function getNodeOutputKeys(nodeConfig, customNodeOutputKeys = {}) {
+    switch (nodeConfig.type) {
+        case 'llm_agent':
+            return [nodeConfig.stateOutputKey, ...Object.keys(nodeConfig.derivedStateOutputs || {})];
+        case 'local_function': {
+            const outputKeysFor = customNodeOutputKeys[nodeConfig.functionName];
+            return outputKeysFor ? outputKeysFor(nodeConfig) : [nodeConfig.stateOutputKey];
+        }
+        case 'parallel_llm_group_coordinator':
+            return ['headlineToAnalyze', ...(nodeConfig.analyzerTasks || []).map(task => task.stateOutputKey)];
+        case 'subgraph':
+            // Mapped outputs, plus the child's whole final state (for showing its internal nodes)
+            return [...Object.keys(nodeConfig.outputMapping || {}), getSubgraphStateKey(nodeConfig)];
+        case 'map':
+            // One array with a result (or { error }) per item
+            return [nodeConfig.stateOutputKey];
+        case 'llm_judge':
+            // One verdict per judged headline, keyed by its state key
+            return [nodeConfig.stateOutputKey];
+        default:
+            return [];
+    }
+}
+
+function getAllOutputKeys(graphConfig, customNodeOutputKeys) {
+    const keys = new Set();
+    for (const nodeConfig of graphConfig.nodeDefinitions || []) {
+        getNodeOutputKeys(nodeConfig, customNodeOutputKeys).forEach(key => {
+            if (typeof key === 'string') keys.add(key);
+        });
+    }
+    return [...keys];
+}
+
+/**
+ * One entry per analyzer task, joined with the generic reverter that reads its result (if any).
+ * @param {object} graphConfig
+ * @returns {{analyzerId: string, displayName: string, resultKey: string, reverterId?: string,
+ *            revertedHeadlineKey?: string, reverterDetailsKey?: string, dbAttribute?: string}[]}
+ */
+function getAnalyzerOutputs(graphConfig) {
+    const nodeDefinitions = graphConfig.nodeDefinitions || [];
+    const reverters = nodeDefinitions.filter(n => n.type === 'local_function' && n.functionName === GENERIC_REVERTER_FUNCTION);
+    const analyzers = [];
+
+    nodeDefinitions
+        .filter(n => n.type === 'parallel_llm_group_coordinator')
+        .forEach(coordinator => {
+            (coordinator.analyzerTasks || []).forEach(task => {
+                const reverter = reverters.find(r => r.stateInputArgs && r.stateInputArgs.analyzer_result_object === task.stateOutputKey);
+                analyzers.push({
+                    analyzerId: task.id,
+                    displayName: task.displayName,
+                    resultKey: task.stateOutputKey,
+                    reverterId: reverter?.id,
+                    revertedHeadlineKey: reverter?.stateOutputKey,
+                    reverterDetailsKey: reverter ? `${reverter.id}_details` : undefined,
+                    // Reverter nodes may pin their DynamoDB attribute name with "dbAttribute"
+                    dbAttribute: reverter ? (reverter.dbAttribute || `${reverter.stateOutputKey}_db`) : undefined
+                });
+            });
+        });
+    return analyzers;
+}
+
+/**
+ * LangGraph channels for every key the config's nodes write, on top of the base channels.
+ */
+function deriveStateChannels(graphConfig, customNodeOutputKeys) {
+    return buildStateChannels(getAllOutputKeys(graphConfig, customNodeOutputKeys));
+}
+
+/**
+ * Keys the Netlify handler copies from final state into its response payload.
+ */
+function deriveResponseKeys(graphConfig, customNodeOutputKeys) {
+    const analyzers = getAnalyzerOutputs(graphConfig);
+    const allOutputKeys = getAllOutputKeys(graphConfig, customNodeOutputKeys);
+
+    const reverterDetailsKeys = [];
+    const reverterDetailsKeyByNodeId = {};
+    for (const nodeConfig of graphConfig.nodeDefinitions || []) {
+        if (nodeConfig.type !== 'local_function') continue;
+        getNodeOutputKeys(nodeConfig, customNodeOutputKeys)
+            .filter(key => typeof key === 'string' && key.endsWith('_details'))
+            .forEach(key => {
+                // Alternative nodes may write the same details (e.g. the main reverter and reportNoReframingNeeded)
+                if (!reverterDetailsKeys.includes(key)) reverterDetailsKeys.push(key);
+                reverterDetailsKeyByNodeId[nodeConfig.id] = key;
+            });
+    }
+
+    // raw_analysis1..N follow analyzer task order (the same order as the synthesizer's analysis1..N)
+    const rawAnalysisKeys = {};
+    analyzers.forEach((analyzer, index) => {
+        rawAnalysisKeys[`raw_analysis${index + 1}`] = analyzer.resultKey;
+    });
+
+    // Each final headline, with the details that say why it is null when it was not generated
+    const outputHeadlines = [];
+    if (allOutputKeys.includes(MAIN_FLIPPED_HEADLINE.stateKey)) {
+        const detailsKey = allOutputKeys.includes(MAIN_FLIPPED_HEADLINE_DETAILS_KEY) ? MAIN_FLIPPED_HEADLINE_DETAILS_KEY : undefined;
+        outputHeadlines.push({ ...MAIN_FLIPPED_HEADLINE, detailsKey });
+    }
+    analyzers
+        .filter(a => a.revertedHeadlineKey)
+        .forEach(a => outputHeadlines.push({ stateKey: a.revertedHeadlineKey, displayName: a.displayName, detailsKey: a.reverterDetailsKey }));
+
+    // Where the judge's verdicts and the fact checker's findings on the output headlines are, and the run's frame
+    // labels, if the config has them
+    const judge = (graphConfig.nodeDefinitions || []).find(n => n.type === 'llm_judge');
+    const factChecker = (graphConfig.nodeDefinitions || []).find(n => n.type === 'local_function' && n.functionName === FACT_CHECKER_FUNCTION);
+    const frameLabelCollector = (graphConfig.nodeDefinitions || []).find(n => n.type === 'local_function' && n.functionName === FRAME_LABEL_COLLECTOR_FUNCTION);
+
+    return {
+        revertedHeadlineKeys: analyzers.filter(a => a.revertedHeadlineKey).map(a => a.revertedHeadlineKey),
+        reverterDetailsKeys,
+        reverterDetailsKeyByNodeId,
+        rawAnalysisKeys,
+        outputHeadlines,
+        judgeScoresKey: judge?.stateOutputKey,
+        factCheckKey: factChecker?.stateOutputKey,
+        frameLabelsKey: frameLabelCollector?.stateOutputKey
+    };
+}
+
+/**
+ * Maps data-package keys (the data collector's stateInputArgs) to DynamoDB attribute names.
+ * Analyzer reverted headlines use their reverter's dbAttribute; anything else is stored under its state key.
+ */
+function deriveDbAttributeMapping(graphConfig) {
+    const analyzers = getAnalyzerOutputs(graphConfig);
+    const collector = (graphConfig.nodeDefinitions || []).find(n => n.type === 'local_function' && n.functionName === DATA_COLLECTOR_FUNCTION);
+    const mapping = { input_headline: 'input_headline' };
+    if (!collector || !collector.stateInputArgs) return mapping;
+
+    for (const [packageKey, stateKey] of Object.entries(collector.stateInputArgs)) {
+        const analyzer = analyzers.find(a => a.revertedHeadlineKey === stateKey);
+        mapping[packageKey] = analyzer ? analyzer.dbAttribute : stateKey;
+    }
+    return mapping;
+}
+
+module.exports = {
+    getSubgraphStateKey,
+    getNodeOutputKeys,
+    getAnalyzerOutputs,
+    deriveStateChannels,
+    deriveResponseKeys,
+    deriveDbAttributeMapping,
+};
@@ -0,0 +1,155 @@
+// src/ensemble.js
+// Self-consistency for analyzer tasks: "ensemble": { "samples": 5 } on a task of a parallel_llm_group_coordinator
+// draws several samples (repeated calls, each with its own LLM cache entry) and aggregates them into one result:
+//   voteFields     - JSON paths of labels decided by majority vote (e.g. ["frame"]); a tie goes to the earliest sample
+//   noAlternative  - whether the analyzer offered an alternative at all is voted on too (see analyzer_output.js)
+//   textPath       - the rewritten headline (default: rewritten_headline)
+//   scorers        - how the rewritten headlines are ranked, averaged (default: all of them):
+//                      consensus    - word overlap with the other samples' headlines
+//                      placeholders - share of the input headline's placeholders kept
+//   temperature    - generation temperature for the samples (default: the promptConfig's)
+// The result is the best-ranked sample that agrees with the votes, with the voted labels, plus "confidence" (the
+// mean agreement of the votes, 0-1) and "ensemble" (sample counts, votes and the ranked candidates).
+
+const { DEFAULT_REVERT_PATHS, collectPathValues, withPathValue, reportsNoAlternative } = require('./analyzer_output');
+
+const DEFAULT_TEXT_PATH = DEFAULT_REVERT_PATHS[0];
+const PLACEHOLDER_PATTERN = /\[[A-Z]+(?:_[A-Z]+)*_[A-Z0-9]{1,3}\]/g;
+
+function words(text) {
+    return new Set(String(text).toLowerCase().match(/[\p{L}\p{N}\[\]_]+/gu) || []);
+}
+
+function jaccard(a, b) {
+    const union = new Set([...a, ...b]);
+    if (union.size === 0) return 1;
+    return [...a].filter(word => b.has(word)).length / union.size;
+}
+
+// Each scorer rates one candidate headline from 0 to 1
+const ENSEMBLE_SCORERS = {
+    consensus: (text, otherTexts) => {
+        if (otherTexts.length === 0) return 1;
+        const own = words(text);
+        return otherTexts.reduce((sum, other) => sum + jaccard(own, words(other)), 0) / otherTexts.length;
+    },
+    placeholders: (text, otherTexts, { headline }) => {
+        const expected = [...new Set(String(headline || '').match(PLACEHOLDER_PATTERN) || [])];
+        if (expected.length === 0) return 1;
+        return expected.filter(placeholder => text.includes(placeholder)).length / expected.length;
+    },
+};
+
+const valueAt = (result, path) => collectPathValues(result, path)[0]?.value;
+
+// Most frequent value (compared as JSON); a tie goes to the value seen first
+function majorityVote(values) {
+    const counts = new Map();
+    values.forEach(value => {
+        const key = JSON.stringify(value ?? null);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    let winnerKey;
+    for (const [key, count] of counts) {
+        if (winnerKey === undefined || count > counts.get(winnerKey)) winnerKey = key;
+    }
+    return {
+        value: JSON.parse(winnerKey),
+        agreement: Number((counts.get(winnerKey) / values.length).toFixed(3)),
+        counts: [...counts].map(([key, count]) => ({ value: JSON.parse(key), count }))
+    };
+}
+
+/**
+ * Generation args for the samples: the promptConfig's, with the ensemble's temperature. The sample index is not part
+ * of them (it is not sent to the model); it goes to callModelForStructuredOutput as its own sampleIndex option.
+ * @param {object} generationArgs
+ * @param {object} ensembleConfig
+ * @returns {object}
+ */
+function sampleGenerationArgs(generationArgs, ensembleConfig) {
+    const args = { ...generationArgs };
+    if (ensembleConfig.temperature !== undefined) args.temperature = ensembleConfig.temperature;
+    return args;
+}
+
+/**
+ * Aggregates the samples of one analyzer task.
+ * @param {object[]} sampleResults - Parsed results (or error objects), in sample order.
+ * @param {object} ensembleConfig
+ * @param {{headline?: string}} [context] - headline: the analyzed headline (for the placeholders scorer).
+ * @returns {object} The aggregated result; the first error if no sample succeeded.
+ */
+function aggregateSamples(sampleResults, ensembleConfig, context = {}) {
+    const { voteFields = [], noAlternative, textPath = DEFAULT_TEXT_PATH, scorers = Object.keys(ENSEMBLE_SCORERS) } = ensembleConfig;
+    const succeeded = sampleResults.filter(result => result && !result.error);
+    if (succeeded.length === 0) return sampleResults[0];
+
+    const samples = succeeded.map(result => {
+        const text = valueAt(result, textPath);
+        return { result, text, noAlternative: reportsNoAlternative(result, text, noAlternative) };
+    });
+    const votes = { no_alternative: majorityVote(samples.map(sample => sample.noAlternative)) };
+    voteFields.forEach(path => { votes[path] = majorityVote(samples.map(sample => valueAt(sample.result, path))); });
+
+    // Samples on the winning side of every vote (failing that, of the no-alternative vote)
+    const agreesOn = (sample, paths) => paths.every(path => path === 'no_alternative'
+        ? sample.noAlternative === votes.no_alternative.value
+        : JSON.stringify(valueAt(sample.result, path) ?? null) === JSON.stringify(votes[path].value));
+    let pool = samples.filter(sample => agreesOn(sample, Object.keys(votes)));
+    if (pool.length === 0) pool = samples.filter(sample => agreesOn(sample, ['no_alternative']));
+
+    let candidates = [];
+    let chosen = pool[0];
+    if (!votes.no_alternative.value) {
+        const alternatives = samples.filter(sample => !sample.noAlternative);
+        candidates = pool.map(sample => {
+            const otherTexts = alternatives.filter(other => other !== sample).map(other => other.text);
+            const scores = scorers.map(name => ENSEMBLE_SCORERS[name](sample.text, otherTexts, context));
+            return { sample, score: scores.reduce((sum, score) => sum + score, 0) / scores.length };
+        });
+        candidates.sort((a, b) => b.score - a.score); // Stable: a tie keeps sample order
+        chosen = candidates[0].sample;
+    }
+
+    let result = chosen.result;
+    voteFields.filter(path => votes[path].value !== null).forEach(path => { result = withPathValue(result, path, votes[path].value); });
+    const agreements = Object.values(votes).map(vote => vote.agreement);
+    return {
+        ...result,
+        confidence: Number((agreements.reduce((sum, agreement) => sum + agreement, 0) / agreements.length).toFixed(3)),
+        ensemble: {
+            samples: sampleResults.length,
+            succeeded: succeeded.length,
+            votes,
+            candidates: candidates.map(({ sample, score }) => ({ [textPath]: sample.text, score: Number(score.toFixed(3)) }))
+        }
+    };
+}
+
+/**
+ * Draws the samples (in parallel) and aggregates them.
+ * @param {(sampleIndex: number) => Promise<{result: object, attempts: object[]}>} drawSample - One model call
+ *   (with retries and re-asks), e.g. callModelForStructuredOutput with sampleGenerationArgs and the sampleIndex option.
+ * @param {object} ensembleConfig
+ * @param {{headline?: string, label?: string}} [context]
+ * @returns {Promise<{result: object, attempts: object[]}>} attempts of all samples, each marked with its sample index.
+ */
+async function runEnsemble(drawSample, ensembleConfig, context = {}) {
+    const sampleCount = ensembleConfig.samples;
+    const draws = await Promise.all(Array.from({ length: sampleCount }, (_, sampleIndex) => drawSample(sampleIndex)));
+    const attempts = draws.flatMap(({ attempts: sampleAttempts }, sampleIndex) =>
+        sampleAttempts.map(attempt => ({ ...attempt, sample: sampleIndex })));
+    const result = aggregateSamples(draws.map(draw => draw.result), ensembleConfig, context);
+    if (!result.error) {
+        console.log(`[ENSEMBLE] ${context.label || 'task'}: ${result.ensemble.succeeded}/${sampleCount} sample(s), confidence ${result.confidence}.`);
+    }
+    return { result, attempts };
+}
+
+module.exports = {
+    ENSEMBLE_SCORERS,
+    sampleGenerationArgs,
+    aggregateSamples,
+    runEnsemble,
+};
@@ -0,0 +1,186 @@
+// src/fact_checker.js
+// Deterministic fact-preservation check (no model call): the facts of a headline - proper-noun entities (as found by
+// proper_noun_masker.js), numbers, dates and quoted phrases - are extracted from the input headline and from a rewrite
+// and compared. A finding is one fact that was
+//   dropped   - in the input headline, not in the rewrite
+//   altered   - replaced by a different fact of the same kind ("12 dead" -> "20 dead", "Monday" -> "Tuesday")
+//   invented  - in the rewrite, not in the input headline
+// A fact counts as kept when the other text contains it anywhere (case-insensitive), so rewording around it is fine.
+// Known gaps: numbers are compared by value, so "a dozen" and "12" match only if both are written as numbers
+// ("dozen" is not read), and an entity spelled differently ("U.S." / "United States") is not matched: the rewrite's
+// spelling is reported as invented.
+
+const nlp = require('compromise');
+const { findProperNouns } = require('./proper_noun_masker');
+
+const FACT_TYPES = ['entity', 'number', 'date', 'quote'];
+
+const NUMBER_WORDS = {
+    two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+    thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20,
+    thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90, hundred: 100,
+};
+const SCALES = { thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12, k: 1e3, m: 1e6, bn: 1e9 };
+// Longest first, and only as whole words: "seventeen" is not "seven", "tense" and "fourth" hold no number
+const NUMBER_WORD_PATTERN = Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|');
+// "12", "1,200", "3.5 million", "40%", "$2bn", "Twelve"; years are dates, not numbers
+const NUMBER_PATTERN = new RegExp(
+    `(?<![\\w.,])([$€£]?)(\\d+(?:,\\d{3})*(?:\\.\\d+)?|(?:${NUMBER_WORD_PATTERN})\\b)(?:\\s*(${Object.keys(SCALES).join('|')})\\b)?(%| per ?cent\\b)?`,
+    'gi');
+const YEAR_PATTERN = /^(?:19|20)\d{2}$/;
+const UNIT_PATTERN = /^\s+([a-z]+)/i; // The word after a number ("12 dead") tells what it counts
+
+const MONTHS = 'January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept?|Oct|Nov|Dec';
+const WEEKDAYS = 'Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday';
+const RELATIVE_DAYS = 'today|yesterday|tomorrow|tonight';
+const DATE_PATTERNS = [
+    ['month', new RegExp(`\\b(?:\\d{1,2}\\s+)?(?:${MONTHS})\\.?(?:\\s+\\d{1,2}(?:st|nd|rd|th)?)?(?:,?\\s+(?:19|20)\\d{2})?\\b`, 'gi')],
+    ['weekday', new RegExp(`\\b(?:${WEEKDAYS})\\b`, 'gi')],
+    ['relative', new RegExp(`\\b(?:${RELATIVE_DAYS})\\b`, 'gi')],
+    ['year', /\b(?:19|20)\d{2}\b/g],
+];
+
+// "double", “curly”, ‘single curly’ and 'single' quotes (the last only around words, so apostrophes are not quotes)
+const QUOTE_PATTERN = /"([^"]+)"|“([^”]+)”|‘([^’]+)’|(?<![\w'])'([^']+?)'(?![\w'])/g;
+
+const normalize = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}%$€£.\s]/gu, ' ').replace(/\s+/g, ' ').replace(/^[\s.]+|[\s.]+$/g, '');
+
+function parseNumber(digitsOrWord, scale, percent) {
+    const base = NUMBER_WORDS[digitsOrWord.toLowerCase()] ?? Number(digitsOrWord.replace(/,/g, ''));
+    const value = scale ? base * SCALES[scale.toLowerCase()] : base;
+    return percent ? `${value}%` : String(value);
+}
+
+const overlaps = (spans, start, end) => spans.some(span => start < span.end && end > span.start);
+
+// Numbers inside a date ("3 May") are part of the date
+function extractNumbers(text, dateSpans) {
+    const numbers = [];
+    for (const match of text.matchAll(NUMBER_PATTERN)) {
+        const [found, currency, digitsOrWord, scale, percent] = match;
+        if (!scale && !percent && !currency && YEAR_PATTERN.test(digitsOrWord)) continue;
+        if (overlaps(dateSpans, match.index, match.index + found.length)) continue;
+        const unit = text.slice(match.index + found.length).match(UNIT_PATTERN);
+        numbers.push({
+            text: found.trim(),
+            value: `${currency}${parseNumber(digitsOrWord, scale, percent)}`,
+            unit: unit ? unit[1].toLowerCase() : undefined
+        });
+    }
+    return numbers;
+}
+
+function extractDates(text) {
+    const dates = [];
+    for (const [kind, pattern] of DATE_PATTERNS) {
+        for (const match of text.matchAll(pattern)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (overlaps(dates, start, end)) continue; // "March 2024" is one date, not two
+            dates.push({ text: match[0], value: normalize(match[0]), kind, start, end });
+        }
+    }
+    return dates;
+}
+
+function extractQuotes(text) {
+    return [...text.matchAll(QUOTE_PATTERN)]
+        .map(match => match.slice(1).find(group => group !== undefined))
+        .filter(quote => normalize(quote).length > 0)
+        .map(quote => ({ text: quote.trim().replace(/[,;:]+$/, ''), value: normalize(quote) }));
+}
+
+// A capitalized common word opening the headline ("City council ..."), which compromise may take for a name
+function isHeadlineInitialWord(span) {
+    return span.start === 0 && !/\s/.test(span.text) && span.category !== 'PERSON'
+        && !nlp(span.text.toLowerCase()).has('(#Person|#Place|#Organization|#ProperNoun)');
+}
+
+// Dates ("March") are not entities
+function extractEntities(text, dateSpans) {
+    const seen = new Set();
+    const entities = [];
+    for (const span of findProperNouns(text)) {
+        const value = normalize(span.text);
+        if (!value || seen.has(value) || overlaps(dateSpans, span.start, span.end)) continue;
+        if (isHeadlineInitialWord(span)) continue;
+        seen.add(value);
+        entities.push({ text: span.text, value, category: span.category });
+    }
+    return entities;
+}
+
+/**
+ * The checkable facts of a headline.
+ * @param {string} text
+ * @returns {{entity: object[], number: object[], date: object[], quote: object[]}} Each fact has its text and a
+ *   normalized value; numbers also the word after them (unit), dates their kind, entities their category.
+ */
+function extractFacts(text) {
+    const source = typeof text === 'string' ? text : '';
+    const dates = extractDates(source);
+    return {
+        entity: extractEntities(source, dates),
+        number: extractNumbers(source, dates),
+        date: dates.map(({ text: dateText, value, kind }) => ({ text: dateText, value, kind })),
+        quote: extractQuotes(source),
+    };
+}
+
+// Whether a fact of one headline is in the other: among its facts, or (for text facts) anywhere in its text
+function isKept(fact, type, otherFacts, otherText) {
+    if (otherFacts.some(other => other.value === fact.value)) return true;
+    if (type === 'number') return false; // "12" inside "2012" is not the same number
+    if (type === 'entity' && otherFacts.some(other => other.value.includes(fact.value) || fact.value.includes(other.value))) return true;
+    return ` ${normalize(otherText)} `.includes(` ${fact.value} `);
+}
+
+// Leftover facts of the same kind on both sides are one altered fact rather than a dropped and an invented one;
+// so is a single leftover number, date or quote on each side
+function isSameKind(type, original, rewrite, isOnlyPair) {
+    if (isOnlyPair && type !== 'entity') return true;
+    if (type === 'number') return original.unit !== undefined && original.unit === rewrite.unit;
+    if (type === 'date') return original.kind === rewrite.kind;
+    if (type === 'entity') return original.category === rewrite.category && original.category !== 'ENTITY';
+    return true;
+}
+
+/**
+ * Compares the facts of an input headline and a rewrite.
+ * @param {string} originalText
+ * @param {string} rewriteText
+ * @param {{factTypes?: string[]}} [options] - Which fact types to check (default: all of FACT_TYPES).
+ * @returns {{status: string, findings: {type: string, change: string, original?: string, rewrite?: string}[],
+ *   counts: {dropped: number, altered: number, invented: number}}} status is "ok" or "flagged".
+ */
+function compareFacts(originalText, rewriteText, { factTypes = FACT_TYPES } = {}) {
+    const originalFacts = extractFacts(originalText);
+    const rewriteFacts = extractFacts(rewriteText);
+    const findings = [];
+
+    for (const type of factTypes) {
+        const dropped = originalFacts[type].filter(fact => !isKept(fact, type, rewriteFacts[type], rewriteText));
+        const invented = rewriteFacts[type].filter(fact => !isKept(fact, type, originalFacts[type], originalText));
+        const isOnlyPair = dropped.length === 1 && invented.length === 1;
+        for (const original of dropped) {
+            const index = invented.findIndex(rewrite => isSameKind(type, original, rewrite, isOnlyPair));
+            if (index === -1) {
+                findings.push({ type, change: 'dropped', original: original.text });
+            } else {
+                findings.push({ type, change: 'altered', original: original.text, rewrite: invented[index].text });
+                invented.splice(index, 1);
+            }
+        }
+        invented.forEach(rewrite => findings.push({ type, change: 'invented', rewrite: rewrite.text }));
+    }
+
+    const counts = { dropped: 0, altered: 0, invented: 0 };
+    findings.forEach(finding => { counts[finding.change] += 1; });
+    return { status: findings.length > 0 ? 'flagged' : 'ok', findings, counts };
+}
+
+module.exports = {
+    FACT_TYPES,
+    extractFacts,
+    compareFacts,
+};
@@ -0,0 +1,119 @@
+// src/frame_taxonomy.js
+// Frame labels from a controlled taxonomy. The config declares the taxonomy once, at the top level:
+//   "frameTaxonomy": { "generic_frame": { "description": "...", "values": ["conflict", "economic", ...] },
+//                      "euphemism_present": { "values": [true, false] }, ... }
+// and each analyzer task the dimensions it labels: "labels": ["generic_frame"]. The coordinator then asks the task for
+//   "labels": { "generic_frame": { "value": "conflict", "confidence": 0.8, "span": "slams" } }
+// (value from the taxonomy, confidence 0-1, span: the words of the headline that support the label) on top of its
+// usual output, and normalizes what comes back. A missing label does not fail the analyzer.
+// The collectFrameLabels node (node_functions.js) gathers one label per dimension for the saver, which stores each
+// as its own attribute (label_<dimension>, label_<dimension>_confidence; see aws_utils.js).
+
+/**
+ * The promptConfig a labelling task is called with: its own, plus the labels in the outputSchema and the instructions.
+ * @param {object} promptConfig
+ * @param {object} taxonomy - The config's frameTaxonomy.
+ * @param {string[]} dimensions - The task's "labels".
+ * @returns {object}
+ */
+function withLabelPrompt(promptConfig, taxonomy, dimensions) {
+    const labelProperties = {};
+    dimensions.forEach(dimension => {
+        const { values } = taxonomy[dimension];
+        const valueTypes = [...new Set(values.map(value => typeof value))];
+        labelProperties[dimension] = {
+            type: 'object',
+            required: ['value', 'confidence'],
+            properties: {
+                value: { type: valueTypes.length === 1 ? valueTypes[0] : valueTypes, enum: values },
+                confidence: { type: 'number' },
+                span: { type: 'string' }
+            }
+        };
+    });
+    const outputSchema = promptConfig.outputSchema || { type: 'object', properties: {} };
+    const lines = dimensions.map(dimension => {
+        const { description, values } = taxonomy[dimension];
+        return `- "${dimension}"${description ? ` (${description})` : ''}: one of ${values.map(value => JSON.stringify(value)).join(', ')}`;
+    });
+    const instructions = 'Frame labels: your JSON output MUST also have a "labels" object with one entry per dimension below, '
+        + 'each { "value": one of the allowed values, "confidence": a number from 0 to 1, '
+        + '"span": the exact words of the input headline that support the label ("" if none) }.\n' + lines.join('\n');
+    return {
+        ...promptConfig,
+        developerInstructionsTemplate: [promptConfig.developerInstructionsTemplate, instructions].filter(Boolean).join('\n\n'),
+        outputSchema: {
+            ...outputSchema,
+            properties: { ...(outputSchema.properties || {}), labels: { type: 'object', properties: labelProperties } }
+        }
+    };
+}
+
+/**
+ * A task's labels, checked against the taxonomy: confidence clamped to 0-1, span_found says whether the span is in
+ * the analyzed headline. Labels outside the task's dimensions or the taxonomy's values are dropped.
+ * @param {object} [labels] - The task's "labels" output.
+ * @param {object} taxonomy
+ * @param {string[]} dimensions
+ * @param {string} [headline] - The headline the task analyzed.
+ * @returns {{labels: object, problems: string[]}}
+ */
+function normalizeLabels(labels, taxonomy, dimensions, headline) {
+    const normalized = {};
+    const problems = [];
+    for (const dimension of dimensions) {
+        const label = labels && labels[dimension];
+        if (!label || typeof label !== 'object') {
+            problems.push(`no '${dimension}' label`);
+            continue;
+        }
+        if (!taxonomy[dimension].values.some(value => value === label.value)) {
+            problems.push(`'${dimension}' value ${JSON.stringify(label.value)} is not in the taxonomy`);
+            continue;
+        }
+        const confidence = typeof label.confidence === 'number' && !Number.isNaN(label.confidence)
+            ? Math.min(1, Math.max(0, label.confidence)) : null;
+        const span = typeof label.span === 'string' ? label.span.trim() : '';
+        normalized[dimension] = {
+            value: label.value,
+            confidence: confidence === null ? null : Number(confidence.toFixed(3)),
+            span,
+            span_found: span !== '' && typeof headline === 'string' && headline.toLowerCase().includes(span.toLowerCase())
+        };
+    }
+    return { labels: normalized, problems };
+}
+
+/**
+ * The labelling analyzer tasks of a config.
+ * @param {object} graphConfig
+ * @returns {{id: string, stateOutputKey: string, labels: string[]}[]}
+ */
+function getLabellingTasks(graphConfig) {
+    return (graphConfig.nodeDefinitions || [])
+        .filter(nodeConfig => nodeConfig && nodeConfig.type === 'parallel_llm_group_coordinator')
+        .flatMap(nodeConfig => nodeConfig.analyzerTasks || [])
+        .filter(task => task && Array.isArray(task.labels) && task.labels.length > 0);
+}
+
+/**
+ * Flat, queryable attributes for a set of labels (one per dimension): label_<dimension> and label_<dimension>_confidence.
+ * @param {object} frameLabels - dimension -> { value, confidence, ... }
+ * @returns {object}
+ */
+function labelAttributes(frameLabels) {
+    const attributes = {};
+    for (const [dimension, label] of Object.entries(frameLabels || {})) {
+        if (!label || label.value === undefined) continue;
+        attributes[`label_${dimension}`] = label.value;
+        if (typeof label.confidence === 'number') attributes[`label_${dimension}_confidence`] = label.confidence;
+    }
+    return attributes;
+}
+
+module.exports = {
+    withLabelPrompt,
+    normalizeLabels,
+    getLabellingTasks,
+    labelAttributes,
+};
@@ -1,117 +1,66 @@
 // src/graph_builder.js
 const { StateGraph, END } = require('@langchain/langgraph');
-// const fs = require('fs');
-// const path = require('path');
 
-const graphConfig = require('./graph_config.json'); // <--- THE HACK
-const { appStateChannels } = require('./state_definition'); // Corrected path
-const { executeLlmAgentNode, customNodeFunctions } = require('./node_functions'); // Corrected path
-const { callModel } = require('./llm_utils'); // For parallel_llm_group_coordinator
+const { DEFAULT_GRAPH_ID, loadRegisteredConfig, computeConfigVersion } = require('./graph_registry'); // Named configs (graph_config.json is the default)
+const { deriveStateChannels, deriveResponseKeys } = require('./config_derivation');
+const { executeLlmAgentNode, customNodeFunctions, customNodeOutputKeys } = require('./node_functions');
+const { resolveRetryPolicy } = require('./retry_policy'); // For parallel_llm_group_coordinator
+const { callModelForStructuredOutput } = require('./structured_output');
+const { getModelSettings, buildMessagesFromPromptConfig } = require('./llm_utils');
+const { TemplateError } = require('./utils/templateEngine');
+const { customRouterFunctions } = require('./router_functions'); // For conditionalEdges
+const { validateGraphConfig, formatValidationReport } = require('./graph_validator');
+const { createSubgraphNodeFunction } = require('./subgraph_node');
+const { createMapNodeFunction } = require('./map_node');
+const { createJudgeNodeFunction } = require('./judge_node');
+const { getDefaultCheckpointer } = require('./checkpointers');
+const { withUsageAccounting } = require('./usage_accounting');
+const { runEnsemble, sampleGenerationArgs } = require('./ensemble');
+const { withLabelPrompt, normalizeLabels } = require('./frame_taxonomy');
 
-// --- Utilities from node_functions.js (or move to a shared utils file) ---
-function interpolateTemplate(template, data) {
-    if (!template) return "";
-    return template.replace(/\{\{(\w+(?:\.\w+)*)\}\}/g, (match, key) => {
-        const keys = key.split('.');
-        let value = data;
-        for (const k of keys) {
-            if (value && typeof value === 'object' && k in value) {
-                value = value[k];
-            } else {
-                return match;
-            }
-        }
-        if (typeof value === 'object' && value !== null) return JSON.stringify(value);
-        return value !== undefined ? String(value) : match;
-    });
+// graph_config.json uses the literal string "END" for the terminal node; LangGraph expects its END constant.
+function resolveEdgeTarget(target) {
+    return target === "END" ? END : target;
 }
-// --- End Utilities ---
-
-
-// Function to load graph definition from graph_config.json in the project root
-// src/graph_builder.js
-
-// function loadGraphDefinition() {
-//     // Path for local development:
-//     // Assumes graph_builder.js is in '.../headline_analyzer/src/'
-//     // and graph_config.json is in '.../headline_analyzer/graph_config.json'
-//     const localDevConfigPath = path.resolve(__dirname, '../graph_config.json');
-
-//     // Path for deployed Lambda environment:
-//     // Assumes included_files = ["graph_config.json"] (from function root)
-//     // places graph_config.json at /var/task/graph_config.json.
-//     // And __dirname (for loadGraphDefinition in bundle) is /var/task/netlify/functions/headline_analyzer/
-//     // So, we need to go up three levels from __dirname to reach /var/task/
-//     const deployedLambdaPath = path.resolve(__dirname, '../../../graph_config.json');
 
-//     let pathToTry;
-//     let foundPath = null;
-
-//     console.log(`[GRAPH_BUILDER] Current __dirname: ${__dirname}`);
-
-//     // Check local dev path first
-//     // Adjusted local dev check: if .env is present one level up (project root for local)
-//     // or if NETLIFY_DEV is set, and the local path exists.
-//     const isLikelyLocalDev = (process.env.NETLIFY_DEV || process.env.NODE_ENV === 'development');
-    
-//     if (isLikelyLocalDev && __dirname.includes(path.join('headline_analyzer', 'src'))) {
-//         console.log(`[GRAPH_BUILDER] Detected local dev structure. Trying local path: ${localDevConfigPath}`);
-//         if (fs.existsSync(localDevConfigPath)) {
-//             foundPath = localDevConfigPath;
-//         }
-//     }
-
-//     // If not found locally, or not local dev, try the deployed Lambda path
-//     if (!foundPath) {
-//         console.log(`[GRAPH_BUILDER] Not found locally or not in local dev mode. Trying deployed Lambda path: ${deployedLambdaPath}`);
-//         if (fs.existsSync(deployedLambdaPath)) {
-//             foundPath = deployedLambdaPath;
-//         }
-//     }
-
-//     if (!foundPath) {
-//         console.error(`FATAL: Graph configuration file not found after trying a_paths.`);
-//         console.error(`  Tried local path: ${localDevConfigPath} (exists: ${fs.existsSync(localDevConfigPath)})`);
-//         console.error(`  Tried deployed path: ${deployedLambdaPath} (exists: ${fs.existsSync(deployedLambdaPath)})`);
-        
-//         // Log directory contents for debugging in deployment
-//         try {
-//             console.log(`[GRAPH_BUILDER] Contents of __dirname (${__dirname}):`, fs.readdirSync(__dirname)); // Should be ['headline_analyzer.js']
-//             const dirLevel1Up = path.resolve(__dirname, '..'); // /var/task/netlify/functions/
-//             console.log(`[GRAPH_BUILDER] Contents of ${dirLevel1Up}:`, fs.readdirSync(dirLevel1Up)); // Should be ['headline_analyzer']
-//             const dirLevel2Up = path.resolve(__dirname, '../..'); // /var/task/netlify/
-//             console.log(`[GRAPH_BUILDER] Contents of ${dirLevel2Up}:`, fs.readdirSync(dirLevel2Up)); // Should be ['functions']
-//             const dirLevel3Up = path.resolve(__dirname, '../../..'); // /var/task/
-//             console.log(`[GRAPH_BUILDER] Contents of ${dirLevel3Up} (expected /var/task/):`, fs.readdirSync(dirLevel3Up)); // Should show graph_config.json here
-//         } catch (e) {
-//             console.error("[GRAPH_BUILDER] Error reading directory for debug:", e.message);
-//         }
-//         throw new Error(`Graph configuration file could not be located after checking common paths.`);
-//     }
+/**
+ * Validates and compiles one graph config.
+ * @param {object} graphConfig
+ * @param {{graphId?: string, graphVersion?: string, ancestry?: string[], checkpointer?: object}} [graphMeta] - Registry id
+ *        and content hash, passed on to nodes (the saver stores them); ancestry lists the graphs embedding this one
+ *        (to catch cycles); with a checkpointer, a second, resumable compilation is returned as well.
+ */
+function buildGraph(graphConfig, graphMeta = {}) {
+    if (!graphConfig) {
+        console.error(`FATAL: No graph config given for '${graphMeta.graphId}'.`);
+        throw new Error(`No graph config given for '${graphMeta.graphId}'.`);
+    }
+    const { nodeDefinitions, graphEdges, conditionalEdges, entryPointNodeId } = graphConfig;
 
-//     console.log(`[GRAPH_BUILDER] Successfully found and using graph_config.json at: ${foundPath}`);
-//     const rawConfig = fs.readFileSync(foundPath, 'utf-8');
-//     try {
-//         return JSON.parse(rawConfig);
-//     } catch (e) {
-//         console.error(`Error parsing graph_config.json from ${foundPath}: ${e.message}`);
-//         throw e;
-//     }
-// }
+    if (!nodeDefinitions || nodeDefinitions.length === 0) {
+        console.error(`FATAL: No nodeDefinitions found in graph config '${graphMeta.graphId}'.`);
+        throw new Error(`No nodeDefinitions found in graph config '${graphMeta.graphId}'. Cannot build graph.`);
+    }
 
-function buildGraph() {
-    const { nodeDefinitions, graphEdges, entryPointNodeId } = graphConfig;
+    // Channels come from the node definitions, so a new analyzer/reverter needs no state_definition.js edit
+    const appStateChannels = deriveStateChannels(graphConfig, customNodeOutputKeys);
 
-    if (!nodeDefinitions || nodeDefinitions.length === 0) {
-        console.error("FATAL: No nodeDefinitions found in the imported graph_config.json.");
-        throw new Error("No nodeDefinitions found in graph_config.json. Cannot build graph.");
+    // Fail fast on config mistakes instead of discovering them mid-run
+    const validation = validateGraphConfig(graphConfig, { appStateChannels, customNodeFunctions, customNodeOutputKeys, customRouterFunctions });
+    if (!validation.valid) {
+        const validationReport = formatValidationReport(validation, graphMeta.graphId);
+        console.error(`FATAL: ${validationReport}`);
+        throw new Error(validationReport);
     }
-    if (!graphConfig) { // Should not happen if require works
-         console.error("FATAL: graph_config.json was not imported correctly.");
-         throw new Error("graph_config.json import failed.");
+    if (validation.warnings.length > 0) {
+        console.warn(`[GRAPH_BUILDER] ${formatValidationReport(validation, graphMeta.graphId)}`);
     }
 
     const appGraph = new StateGraph({ channels: appStateChannels });
+    // Passed to local functions that need more than their own node config (e.g. the saver's DB mapping and graph id/version)
+    const graphContext = { graphConfig, graphId: graphMeta.graphId, graphVersion: graphMeta.graphVersion };
+
+    const childGraphsByNodeId = {}; // Compiled child graphs of subgraph nodes (and of map nodes that run a subgraph per item)
 
     // Add all nodes defined in nodeDefinitions ...
     for (const nodeConfig of nodeDefinitions) {
@@ -120,15 +69,13 @@ function buildGraph() {
         switch (nodeConfig.type) {
             case 'llm_agent':
                 langGraphNodeFunction = async (state) => {
-                    // console.log(`GraphBuilder: Invoking llm_agent node ${nodeConfig.id} with state:`, Object.keys(state));
-                    return await executeLlmAgentNode(state, nodeConfig);
+                    return await executeLlmAgentNode(state, nodeConfig, graphContext);
                 };
                 break;
             case 'local_function':
                 if (customNodeFunctions[nodeConfig.functionName]) {
                     langGraphNodeFunction = async (state) => {
-                        // console.log(`GraphBuilder: Invoking local_function node ${nodeConfig.id} (${nodeConfig.functionName}) with state:`, Object.keys(state));
-                        return await customNodeFunctions[nodeConfig.functionName](state, nodeConfig);
+                        return await customNodeFunctions[nodeConfig.functionName](state, nodeConfig, graphContext);
                     };
                 } else {
                     console.error(`Error: Local function '${nodeConfig.functionName}' for node '${nodeConfig.id}' not found in customNodeFunctions.`);
@@ -139,9 +86,9 @@ function buildGraph() {
                 }
                 break;
             case 'parallel_llm_group_coordinator':
-                langGraphNodeFunction = async (state) => {
+                langGraphNodeFunction = async (state, config) => {
                     console.log(`--- Running Parallel LLM Group Coordinator: ${nodeConfig.displayName} (ID: ${nodeConfig.id}) ---`);
-                    const update = { error_messages: [] }; // To collect errors from sub-tasks
+                    const update = { error_messages: [], llm_call_attempts: {} }; // To collect errors and attempt logs from sub-tasks
 
                     // Determine headlineToAnalyze (used by all sub-tasks)
                     let headlineToAnalyze;
@@ -179,16 +126,56 @@ function buildGraph() {
                              return { [taskConfig.stateOutputKey]: { error: `Prompt config missing for ${taskConfig.displayName}` } };
                         }
                         const taskPromptData = { ...state, headlineToAnalyze }; // Pass full state + specific headline
+                        // A labelling task is also asked for its frame labels (see frame_taxonomy.js)
+                        const labelDimensions = graphConfig.frameTaxonomy && Array.isArray(taskConfig.labels) && taskConfig.labels.length > 0 ? taskConfig.labels : null;
+                        const promptConfig = labelDimensions ? withLabelPrompt(taskConfig.promptConfig, graphConfig.frameTaxonomy, labelDimensions) : taskConfig.promptConfig;
                         
-                        const messages = [
-                            { role: 'system', content: interpolateTemplate(taskConfig.promptConfig.systemMessage, taskPromptData) },
-                            { role: 'developer', content: interpolateTemplate(taskConfig.promptConfig.developerInstructionsTemplate, taskPromptData) },
-                            { role: 'user', content: interpolateTemplate(taskConfig.promptConfig.userInputTemplate, taskPromptData) }
-                        ];
-                        const llmResult = await callModel(messages); // callModel from llm_utils.js
+                        let messages;
+                        let templateError;
+                        try {
+                            messages = buildMessagesFromPromptConfig(promptConfig, taskPromptData, {}, {
+                                strictTemplates: graphConfig.strictTemplates,
+                                label: taskConfig.id
+                            });
+                        } catch (error) {
+                            if (!(error instanceof TemplateError)) throw error;
+                            templateError = error;
+                        }
+                        // Task policy overrides the coordinator's, which overrides the graph-wide default
+                        const retryPolicy = resolveRetryPolicy(graphConfig.defaultRetryPolicy, nodeConfig.retryPolicy, taskConfig.retryPolicy);
+                        const { modelName, generationArgs } = getModelSettings(taskConfig.promptConfig); // Each task may use its own provider/model
+                        const drawSample = (sampleIndex) => callModelForStructuredOutput(messages, modelName, taskConfig.ensemble ? sampleGenerationArgs(generationArgs, taskConfig.ensemble) : generationArgs, {
+                            retryPolicy,
+                            outputSchema: promptConfig.outputSchema,
+                            maxReasks: taskConfig.promptConfig.maxReasks,
+                            useNativeResponseSchema: taskConfig.promptConfig.useNativeResponseSchema,
+                            label: taskConfig.id,
+                            cache: taskConfig.cache ?? nodeConfig.cache, // "cache": false on the task or the coordinator skips the LLM cache
+                            sampleIndex: taskConfig.ensemble ? sampleIndex : undefined // Each sample its own cache entry and recording
+                        });
+                        let llmResult, attempts;
+                        if (templateError) {
+                            llmResult = { error: `Template error: ${templateError.message}`, errorClass: 'config', rawContent: '' };
+                            attempts = [];
+                        } else if (taskConfig.ensemble) {
+                            // Several samples, aggregated by vote and ranking (see ensemble.js)
+                            ({ result: llmResult, attempts } = await runEnsemble(drawSample, taskConfig.ensemble, { headline: headlineToAnalyze, label: taskConfig.id }));
+                        } else {
+                            ({ result: llmResult, attempts } = await drawSample(0));
+                        }
+                        if (labelDimensions && !llmResult.error) {
+                            const { labels, problems } = normalizeLabels(llmResult.labels, graphConfig.frameTaxonomy, labelDimensions, headlineToAnalyze);
+                            problems.forEach(problem => console.warn(`[${taskConfig.id}] Frame labels: ${problem}.`));
+                            llmResult = { ...llmResult, labels };
+                        }
+                        update.llm_call_attempts[taskConfig.id] = attempts;
                         if (llmResult.error) {
                             update.error_messages.push(`${taskConfig.displayName}: ${llmResult.error}`);
                         }
+                        // When streaming (see graph_streaming.js), report each task as it completes instead of with the whole group
+                        if (config && config.writer) {
+                            config.writer({ node: nodeConfig.id, task: taskConfig.id, stateKey: taskConfig.stateOutputKey, output: llmResult, attempts });
+                        }
                         return { [taskConfig.stateOutputKey]: llmResult };
                     });
 
@@ -207,6 +194,19 @@ function buildGraph() {
                     return update;
                 };
                 break;
+            case 'subgraph':
+                childGraphsByNodeId[nodeConfig.id] = buildSubgraph(nodeConfig, graphMeta);
+                langGraphNodeFunction = createSubgraphNodeFunction(nodeConfig, childGraphsByNodeId[nodeConfig.id]);
+                break;
+            case 'map':
+                if (nodeConfig.subgraph) {
+                    childGraphsByNodeId[nodeConfig.id] = buildSubgraph({ id: nodeConfig.id, ...nodeConfig.subgraph }, graphMeta);
+                }
+                langGraphNodeFunction = createMapNodeFunction(nodeConfig, graphContext, childGraphsByNodeId[nodeConfig.id]);
+                break;
+            case 'llm_judge':
+                langGraphNodeFunction = createJudgeNodeFunction(nodeConfig, graphContext, deriveResponseKeys(graphConfig, customNodeOutputKeys).outputHeadlines);
+                break;
             default:
                 console.warn(`Warning: Node type '${nodeConfig.type}' for node '${nodeConfig.id}' is not recognized. Creating a pass-through node.`);
                 langGraphNodeFunction = async (state) => {
@@ -216,7 +216,8 @@ function buildGraph() {
                     };
                 };
         }
-        appGraph.addNode(nodeConfig.id, langGraphNodeFunction);
+        // Every node that logs model call attempts also reports their tokens and cost in llm_usage
+        appGraph.addNode(nodeConfig.id, withUsageAccounting(langGraphNodeFunction));
     }
 
     // Set the entry point
@@ -231,31 +232,83 @@ function buildGraph() {
         appGraph.setEntryPoint(entryPointNodeId);
     }
 
-    // Add edges
+    // Add edges. A "source" array joins branches: the target runs once, after every listed node has run.
     if (graphEdges && graphEdges.length > 0) {
         for (const edge of graphEdges) {
-            if (!nodeDefinitions.find(n => n.id === edge.source)) {
-                console.warn(`Warning: Source node '${edge.source}' in edge definition not found in nodeDefinitions. Skipping edge.`);
+            const missingSource = [].concat(edge.source).find(source => !nodeDefinitions.find(n => n.id === source));
+            if (missingSource !== undefined) {
+                console.warn(`Warning: Source node '${missingSource}' in edge definition not found in nodeDefinitions. Skipping edge.`);
                 continue;
             }
-            // MODIFICATION HERE:
-            if (edge.target !== END && !nodeDefinitions.find(n => n.id === edge.target)) {
+            const target = resolveEdgeTarget(edge.target);
+            if (target !== END && !nodeDefinitions.find(n => n.id === target)) {
                 console.warn(`Warning: Target node '${edge.target}' in edge definition not found in nodeDefinitions (and it's not END). Skipping edge.`);
                 continue;
             }
-            // END OF MODIFICATION
-            appGraph.addEdge(edge.source, edge.target);
+            if (Array.isArray(edge.source) && target === END) {
+                console.warn(`Warning: Edge from [${edge.source.join(', ')}] joins branches into END, which cannot wait for them. Skipping edge.`);
+                continue;
+            }
+            appGraph.addEdge(edge.source, target);
         }
-    } else {
+    } else if (!conditionalEdges || conditionalEdges.length === 0) {
         console.warn("No graphEdges defined in graph_config.json. The graph might not be fully connected.");
     }
 
+    // Add conditional edges: a router function picks a route key from state, "routes" maps it to a target node.
+    if (conditionalEdges && conditionalEdges.length > 0) {
+        for (const edgeConfig of conditionalEdges) {
+            if (!nodeDefinitions.find(n => n.id === edgeConfig.source)) {
+                console.warn(`Warning: Source node '${edgeConfig.source}' in conditional edge definition not found in nodeDefinitions. Skipping edge.`);
+                continue;
+            }
+            const routerFunction = customRouterFunctions[edgeConfig.routerFunction];
+            if (!routerFunction) {
+                console.warn(`Warning: Router function '${edgeConfig.routerFunction}' for conditional edge from '${edgeConfig.source}' not found in customRouterFunctions. Skipping edge.`);
+                continue;
+            }
+
+            const pathMap = {};
+            for (const [routeKey, routeTarget] of Object.entries(edgeConfig.routes || {})) {
+                const target = resolveEdgeTarget(routeTarget);
+                if (target !== END && !nodeDefinitions.find(n => n.id === target)) {
+                    console.warn(`Warning: Target node '${routeTarget}' for route '${routeKey}' from '${edgeConfig.source}' not found in nodeDefinitions (and it's not END). Skipping route.`);
+                    continue;
+                }
+                pathMap[routeKey] = target;
+            }
+            if (Object.keys(pathMap).length === 0) {
+                console.warn(`Warning: Conditional edge from '${edgeConfig.source}' has no valid routes. Skipping edge.`);
+                continue;
+            }
+
+            const routeState = (state) => {
+                const routeKey = routerFunction(state, edgeConfig);
+                if (routeKey !== undefined && pathMap.hasOwnProperty(routeKey)) {
+                    console.log(`[GRAPH_BUILDER] Conditional edge from '${edgeConfig.source}': route '${routeKey}' -> '${pathMap[routeKey]}'`);
+                    return routeKey;
+                }
+                if (edgeConfig.defaultRoute && pathMap.hasOwnProperty(edgeConfig.defaultRoute)) {
+                    console.log(`[GRAPH_BUILDER] Conditional edge from '${edgeConfig.source}': route '${routeKey}' not mapped, using default '${edgeConfig.defaultRoute}'`);
+                    return edgeConfig.defaultRoute;
+                }
+                throw new Error(`Conditional edge from '${edgeConfig.source}' produced route '${routeKey}', which has no target and no valid defaultRoute.`);
+            };
+            appGraph.addConditionalEdges(edgeConfig.source, routeState, pathMap);
+        }
+    }
+
 
     try {
         const compiledGraph = appGraph.compile();
-        console.log("LangGraph app compiled successfully.");
+        // Runs started from inside another graph (subgraph/map nodes) have no thread_id, so they use the plain
+        // compilation; top-level runs use the checkpointed one (see checkpointers.js)
+        const resumableGraph = graphMeta.checkpointer ? appGraph.compile({ checkpointer: graphMeta.checkpointer }) : undefined;
+        console.log(`LangGraph app '${graphMeta.graphId}' (version ${graphMeta.graphVersion}) compiled successfully.`);
         return {
             compiledGraph,
+            resumableGraph,
+            responseKeys: deriveResponseKeys(graphConfig, customNodeOutputKeys),
             // Provide loaded definitions for client/handler if needed (e.g., for constructing 'graphStructure')
             loadedNodeDefinitions: nodeDefinitions.map(n => ({
                 id: n.id,
@@ -270,6 +323,25 @@ function buildGraph() {
                         displayName: st.displayName,
                         stateOutputKey: st.stateOutputKey
                     }))
+                    : undefined,
+                // Outgoing conditional branches, so the client can draw which routes exist
+                conditionalRoutes: (conditionalEdges || [])
+                    .filter(edge => edge.source === n.id)
+                    .map(edge => ({
+                        routerFunction: edge.routerFunction,
+                        defaultRoute: edge.defaultRoute,
+                        routes: edge.routes || {}
+                    })),
+                isConditionalTarget: (conditionalEdges || []).some(edge =>
+                    Object.values(edge.routes || {}).includes(n.id)),
+                // For subgraph nodes, the child graph's own nodes (the handler shows them nested under this node)
+                subgraph: n.type === 'subgraph' && childGraphsByNodeId[n.id]
+                    ? {
+                        graphId: childGraphsByNodeId[n.id].graphId,
+                        graphVersion: childGraphsByNodeId[n.id].graphVersion,
+                        nodes: childGraphsByNodeId[n.id].nodeDefinitionsForClient,
+                        responseKeys: childGraphsByNodeId[n.id].responseKeys
+                    }
                     : undefined
             }))
         };
@@ -279,10 +351,51 @@ function buildGraph() {
     }
 }
 
-// Build the graph when this module is loaded
-const { compiledGraph, loadedNodeDefinitions } = buildGraph();
+function toGraphEntry({ compiledGraph, resumableGraph, loadedNodeDefinitions, responseKeys }, graphId, graphVersion) {
+    return {
+        app: compiledGraph,
+        resumableApp: resumableGraph, // Only when a checkpointer is configured; needs configurable.thread_id
+        nodeDefinitionsForClient: loadedNodeDefinitions, // For the Netlify handler or local runner
+        responseKeys, // Derived from the config: reverted headline, reverter details and raw analysis keys
+        graphId,
+        graphVersion
+    };
+}
+
+// Compiles the child graph of a subgraph node (or of a map node's "subgraph"): a registered config (shared with getGraph's cache) or an inline one.
+function buildSubgraph(nodeConfig, graphMeta) {
+    const ancestry = graphMeta.ancestry || [graphMeta.graphId];
+    if (nodeConfig.graphId) {
+        if (ancestry.includes(nodeConfig.graphId)) {
+            throw new Error(`Subgraph node '${nodeConfig.id}' embeds graph '${nodeConfig.graphId}', which embeds itself (${[...ancestry, nodeConfig.graphId].join(' -> ')}).`);
+        }
+        return getGraph(nodeConfig.graphId, ancestry);
+    }
+    const graphId = `${graphMeta.graphId}/${nodeConfig.id}`; // Inline configs are named after their node
+    const graphVersion = computeConfigVersion(nodeConfig.graphConfig);
+    return toGraphEntry(buildGraph(nodeConfig.graphConfig, { graphId, graphVersion, ancestry: [...ancestry, graphId] }), graphId, graphVersion);
+}
+
+// Compiled graphs by graphId. Each config is compiled the first time a request (or a subgraph node) asks for it.
+const compiledGraphCache = new Map();
+
+/**
+ * The compiled graph for a registered config (see graph_registry.js), compiling it on first use.
+ * Throws for an unknown graphId or an invalid config; failed builds are not cached.
+ * @param {string} [graphId=DEFAULT_GRAPH_ID]
+ * @param {string[]} [ancestry] - Graphs embedding this one through subgraph nodes (used internally to catch cycles).
+ * @returns {{app: object, resumableApp?: object, nodeDefinitionsForClient: object[], responseKeys: object, graphId: string, graphVersion: string}}
+ */
+function getGraph(graphId = DEFAULT_GRAPH_ID, ancestry = []) {
+    if (!compiledGraphCache.has(graphId)) {
+        const { graphConfig, graphVersion } = loadRegisteredConfig(graphId);
+        const built = buildGraph(graphConfig, { graphId, graphVersion, ancestry: [...ancestry, graphId], checkpointer: getDefaultCheckpointer() });
+        compiledGraphCache.set(graphId, toGraphEntry(built, graphId, graphVersion));
+    }
+    return compiledGraphCache.get(graphId);
+}
 
 module.exports = {
-  app: compiledGraph,
-  nodeDefinitionsForClient: loadedNodeDefinitions, // Export for Netlify handler or local runner
-};
\ No newline at end of file
+  getGraph,
+  buildGraph, // Compiles a config that is not in the registry (e.g. one being edited)
+};
@@ -0,0 +1,78 @@
+// src/graph_registry.js
+// Named graph configurations a request can choose with "graphId".
+// Each config is required statically (esbuild only bundles JSON it can see being required),
+// but only loaded when first asked for; graph_builder.js compiles and caches it on first use.
+
+const crypto = require('crypto');
+
+const DEFAULT_GRAPH_ID = 'full-five-analyzer';
+
+const graphRegistry = {
+    'full-five-analyzer': {
+        description: 'Proper noun masking, five parallel framing analyzers, a synthesized main flip and one reverted headline per analyzer, each headline checked for preserved facts (locally and by an LLM judge) and frame flip.',
+        loadConfig: () => require('./graph_config.json'),
+    },
+    'fast-single-pass': {
+        description: 'The mask-flip-revert unit (as a subgraph node), then saving the result.',
+        loadConfig: () => require('./graph_configs/fast_single_pass.json'),
+    },
+    'experimental': {
+        description: 'The five-analyzer pipeline run on the unmasked headline, to compare against proper noun masking; the cognitive frames analyzer is a 3-sample ensemble.',
+        loadConfig: () => require('./graph_configs/experimental.json'),
+    },
+    // Reusable unit, mainly for embedding with a "subgraph" node; it does not save anything on its own
+    'mask-flip-revert': {
+        description: 'Proper noun masking, a single LLM call that flips the headline directly (no analyzers), and reverting the placeholders.',
+        loadConfig: () => require('./graph_configs/mask_flip_revert.json'),
+    },
+};
+
+/**
+ * Short content hash of a config, so saved results can be traced to the exact config that produced them.
+ * Registered configs embedded through subgraph (or map) nodes count as part of the content.
+ * @param {object} graphConfig
+ * @param {Set<string>} [seen] - Registered ids already hashed on this path (guards against cycles).
+ * @returns {string} First 12 hex characters of the SHA-256 of the config's JSON.
+ */
+function computeConfigVersion(graphConfig, seen = new Set()) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(graphConfig));
+    for (const nodeConfig of graphConfig.nodeDefinitions || []) {
+        // Subgraph nodes name their child graph directly, map nodes inside "subgraph"
+        const childGraphId = nodeConfig.type === 'map' ? nodeConfig.subgraph?.graphId : nodeConfig.graphId;
+        if (['subgraph', 'map'].includes(nodeConfig.type) && isRegisteredGraphId(childGraphId) && !seen.has(childGraphId)) {
+            const childConfig = graphRegistry[childGraphId].loadConfig();
+            hash.update(computeConfigVersion(childConfig, new Set([...seen, childGraphId])));
+        }
+    }
+    return hash.digest('hex').slice(0, 12);
+}
+
+function listGraphIds() {
+    return Object.keys(graphRegistry);
+}
+
+function isRegisteredGraphId(graphId) {
+    return Object.prototype.hasOwnProperty.call(graphRegistry, graphId);
+}
+
+/**
+ * Loads a registered config.
+ * @param {string} [graphId=DEFAULT_GRAPH_ID]
+ * @returns {{graphId: string, graphVersion: string, description: string, graphConfig: object}}
+ */
+function loadRegisteredConfig(graphId = DEFAULT_GRAPH_ID) {
+    if (!isRegisteredGraphId(graphId)) {
+        throw new Error(`Unknown graphId '${graphId}'. Available: ${listGraphIds().join(', ')}.`);
+    }
+    const { description, loadConfig } = graphRegistry[graphId];
+    const graphConfig = loadConfig();
+    return { graphId, graphVersion: computeConfigVersion(graphConfig), description, graphConfig };
+}
+
+module.exports = {
+    DEFAULT_GRAPH_ID,
+    computeConfigVersion,
+    listGraphIds,
+    isRegisteredGraphId,
+    loadRegisteredConfig,
+};
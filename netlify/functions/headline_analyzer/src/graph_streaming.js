@@ -0,0 +1,69 @@
+// src/graph_streaming.js
+// Turns a graph run into per-node events, so the handler can send them to the browser as Server-Sent Events.
+// Built on app.stream with three stream modes:
+//   "debug"  - a "task" chunk when a node starts and a "task_result" chunk (with its state update) when it finishes
+//   "custom" - partial output a node writes through config.writer (e.g. each analyzer task of a parallel group),
+//              or { forwardedEvent } for events from inside a subgraph node (see subgraph_node.js)
+//   "values" - the full state after each step; the last one is the final state
+
+const STREAM_MODES = ['debug', 'custom', 'values'];
+
+/**
+ * Runs the graph and yields an event whenever a node starts, reports partial output, or finishes.
+ * Event types: node_started, node_partial, node_finished, node_error (the node reported error_messages, or threw),
+ * then exactly one of run_finished ({ state }: the final state) or run_error ({ error }).
+ * @param {object} app - The compiled graph.
+ * @param {object} initialState
+ * @param {object} [config] - Passed on to app.stream, e.g. { recursionLimit: 25 }.
+ * @returns {AsyncGenerator<{event: string, data: object}>}
+ */
+async function* streamGraphEvents(app, initialState, config = {}) {
+    const runningNodes = new Map(); // LangGraph task id -> node id
+    let finalState = initialState;
+
+    try {
+        const graphStream = await app.stream(initialState, { ...config, streamMode: STREAM_MODES });
+        for await (const [mode, chunk] of graphStream) {
+            if (mode === 'values') {
+                finalState = chunk;
+            } else if (mode === 'custom') {
+                yield chunk.forwardedEvent || { event: 'node_partial', data: chunk };
+            } else if (chunk.type === 'task') {
+                runningNodes.set(chunk.payload.id, chunk.payload.name);
+                yield { event: 'node_started', data: { node: chunk.payload.name, step: chunk.step, timestamp: chunk.timestamp } };
+            } else if (chunk.type === 'task_result') {
+                runningNodes.delete(chunk.payload.id);
+                const update = Object.fromEntries(chunk.payload.result);
+                const errors = update.error_messages || [];
+                yield { event: 'node_finished', data: { node: chunk.payload.name, step: chunk.step, timestamp: chunk.timestamp, update } };
+                if (errors.length > 0) {
+                    yield { event: 'node_error', data: { node: chunk.payload.name, step: chunk.step, errors } };
+                }
+            }
+        }
+    } catch (error) {
+        console.error('[GRAPH_STREAMING] Graph execution error:', error);
+        // Whatever was still running when the graph threw did not finish
+        for (const nodeId of runningNodes.values()) {
+            yield { event: 'node_error', data: { node: nodeId, errors: [error.message], fatal: true } };
+        }
+        yield { event: 'run_error', data: { error: error.message } };
+        return;
+    }
+
+    yield { event: 'run_finished', data: { state: finalState } };
+}
+
+/**
+ * Serializes one event as a Server-Sent Events frame.
+ * @param {{event: string, data: object}} graphEvent
+ * @returns {string}
+ */
+function formatSseEvent({ event, data }) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = {
+    streamGraphEvents,
+    formatSseEvent,
+};
@@ -0,0 +1,770 @@
+// src/graph_validator.js
+// Checks a graph config (graph_config.json) before buildGraph() compiles it, so config
+// mistakes fail loudly at build time instead of turning into runtime error nodes,
+// skipped edges or silently dropped state keys.
+
+const { getNodeOutputKeys, deriveStateChannels, deriveResponseKeys } = require('./config_derivation');
+const { isRegisteredGraphId, loadRegisteredConfig } = require('./graph_registry');
+const { LLM_ERROR_CLASSES, DEFAULT_RETRY_POLICY } = require('./retry_policy');
+const { checkSchemaDefinition, validateJsonSchema } = require('./utils/jsonSchemaUtils');
+const { listProviderNames } = require('./llm_providers');
+const { listTemplateVariables } = require('./utils/templateEngine');
+const { splitPath } = require('./analyzer_output');
+const { ENSEMBLE_SCORERS } = require('./ensemble');
+const { DEFAULT_REFERENCE_KEY, JUDGE_VARIABLES } = require('./judge_node');
+const { FACT_TYPES } = require('./fact_checker');
+const { getLabellingTasks } = require('./frame_taxonomy');
+
+const KNOWN_NODE_TYPES = ['llm_agent', 'local_function', 'parallel_llm_group_coordinator', 'subgraph', 'map', 'llm_judge'];
+const MAP_ITEM_VARIABLES = ['item', 'itemIndex']; // What a map node's task or subgraph sees of the current item
+const PROMPT_TEMPLATE_FIELDS = ['systemMessage', 'developerInstructionsTemplate', 'userInputTemplate'];
+const END_TARGET = 'END';
+const MAX_ENSEMBLE_SAMPLES = 10; // More is allowed, with a warning
+const MAX_ROUTE_COMBINATIONS = 256; // Conditional route choices tried when counting how often each node runs
+
+// Minimal schema: required fields and their expected types ("a|b" when either will do), per part of the config.
+const CONFIG_SCHEMA = {
+    root: { entryPointNodeId: 'string', nodeDefinitions: 'array' },
+    node: { id: 'string', displayName: 'string', type: 'string' },
+    edge: { source: 'string|array', target: 'string' },
+    conditionalEdge: { source: 'string', routerFunction: 'string', routes: 'object' },
+    analyzerTask: { id: 'string', displayName: 'string', stateOutputKey: 'string', promptConfig: 'object' },
+    mapNode: { itemsKey: 'string', stateOutputKey: 'string' },
+    judgeNode: { stateOutputKey: 'string', task: 'object' },
+    promptConfig: { systemMessage: 'string', userInputTemplate: 'string' },
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function checkSchema(obj, schemaName, where, report) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+        report.error('schema', `${where}: expected an object, got ${typeOf(obj)}.`);
+        return false;
+    }
+    let ok = true;
+    for (const [field, expectedType] of Object.entries(CONFIG_SCHEMA[schemaName])) {
+        if (obj[field] === undefined) {
+            report.error('schema', `${where}: missing required field '${field}'.`);
+            ok = false;
+        } else if (!expectedType.split('|').includes(typeOf(obj[field]))) {
+            report.error('schema', `${where}: field '${field}' should be ${expectedType.split('|').join(' or ')}, got ${typeOf(obj[field])}.`);
+            ok = false;
+        }
+    }
+    return ok;
+}
+
+function checkRetryPolicy(retryPolicy, where, report) {
+    if (retryPolicy === undefined) return;
+    if (typeOf(retryPolicy) !== 'object') {
+        report.error('schema', `${where}: retryPolicy should be object, got ${typeOf(retryPolicy)}.`);
+        return;
+    }
+    for (const [field, value] of Object.entries(retryPolicy)) {
+        if (!(field in DEFAULT_RETRY_POLICY)) {
+            report.error('schema', `${where}: unknown retryPolicy field '${field}' (expected: ${Object.keys(DEFAULT_RETRY_POLICY).join(', ')}).`);
+        } else if (field === 'retryOn') {
+            if (!Array.isArray(value)) {
+                report.error('schema', `${where}: retryPolicy.retryOn should be array, got ${typeOf(value)}.`);
+            } else {
+                value.filter(errorClass => !LLM_ERROR_CLASSES.includes(errorClass)).forEach(errorClass =>
+                    report.error('schema', `${where}: retryPolicy.retryOn has unknown error class '${errorClass}' (expected: ${LLM_ERROR_CLASSES.join(', ')}).`));
+            }
+        } else if (typeof value !== 'number' || value < 0) {
+            report.error('schema', `${where}: retryPolicy.${field} should be a non-negative number.`);
+        }
+    }
+    if (retryPolicy.maxAttempts !== undefined && retryPolicy.maxAttempts < 1) {
+        report.error('schema', `${where}: retryPolicy.maxAttempts must be at least 1.`);
+    }
+}
+
+// "cache": false opts a node (or one analyzer/map task) out of the LLM response cache (see llm_cache.js)
+function checkCacheSetting(cache, where, report) {
+    if (cache !== undefined && typeof cache !== 'boolean') {
+        report.error('schema', `${where}: cache should be boolean, got ${typeOf(cache)}.`);
+    }
+}
+
+function rootKey(stateKeyOrPath) {
+    return typeof stateKeyOrPath === 'string' ? stateKeyOrPath.split('.')[0] : stateKeyOrPath;
+}
+
+function checkOutputSchema(promptConfig, where, report) {
+    if (promptConfig.outputSchema !== undefined) {
+        checkSchemaDefinition(promptConfig.outputSchema, 'promptConfig.outputSchema')
+            .forEach(problem => report.error('schema', `${where}: ${problem}.`));
+    }
+    if (promptConfig.maxReasks !== undefined && (!Number.isInteger(promptConfig.maxReasks) || promptConfig.maxReasks < 0)) {
+        report.error('schema', `${where}: promptConfig.maxReasks should be a non-negative integer.`);
+    }
+}
+
+// "provider" must name an adapter in llm_providers/; "model" and "baseUrl" are strings
+function checkModelSettings(promptConfig, where, report) {
+    if (promptConfig.provider !== undefined && !listProviderNames().includes(promptConfig.provider)) {
+        report.error('schema', `${where}: unknown promptConfig.provider '${promptConfig.provider}' (expected one of: ${listProviderNames().join(', ')}).`);
+    }
+    for (const field of ['model', 'baseUrl']) {
+        if (promptConfig[field] !== undefined && typeof promptConfig[field] !== 'string') {
+            report.error('schema', `${where}: promptConfig.${field} should be string, got ${typeOf(promptConfig[field])}.`);
+        }
+    }
+}
+
+// "examples" are few-shot turns: { "input": string, "output": object or string }; object outputs should
+// match the outputSchema, or the examples teach the model a shape that then fails validation
+function checkExamples(promptConfig, where, report) {
+    const { examples, outputSchema } = promptConfig;
+    if (examples === undefined) return;
+    if (!Array.isArray(examples)) {
+        report.error('schema', `${where}: promptConfig.examples should be array, got ${typeOf(examples)}.`);
+        return;
+    }
+    examples.forEach((example, index) => {
+        const exampleWhere = `${where}: promptConfig.examples[${index}]`;
+        if (typeOf(example) !== 'object') {
+            report.error('schema', `${exampleWhere} should be object, got ${typeOf(example)}.`);
+            return;
+        }
+        if (typeof example.input !== 'string') {
+            report.error('schema', `${exampleWhere}.input should be string, got ${typeOf(example.input)}.`);
+        }
+        if (!['object', 'string'].includes(typeOf(example.output))) {
+            report.error('schema', `${exampleWhere}.output should be object or string, got ${typeOf(example.output)}.`);
+        } else if (outputSchema && typeOf(example.output) === 'object') {
+            validateJsonSchema(example.output, outputSchema, 'output')
+                .forEach(problem => report.warn('schema', `${exampleWhere} does not match the outputSchema: ${problem}`));
+        }
+    });
+}
+
+// "noAlternative" (reverters, allAnalyzersReportNoFraming): { patterns?: string[] of regular expressions, path?: string, equals? }
+function checkNoAlternative(noAlternative, where, report) {
+    if (noAlternative === undefined) return;
+    if (typeOf(noAlternative) !== 'object') {
+        report.error('schema', `${where}: noAlternative should be object, got ${typeOf(noAlternative)}.`);
+        return;
+    }
+    const { patterns, path } = noAlternative;
+    if (patterns !== undefined) {
+        if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+            report.error('schema', `${where}: noAlternative.patterns should be an array of strings.`);
+        } else {
+            patterns.forEach(pattern => {
+                try {
+                    new RegExp(pattern, 'i');
+                } catch (error) {
+                    report.error('schema', `${where}: noAlternative.patterns has an invalid regular expression '${pattern}': ${error.message}.`);
+                }
+            });
+        }
+    }
+    if (path !== undefined && (typeof path !== 'string' || path === '')) {
+        report.error('schema', `${where}: noAlternative.path should be a non-empty string.`);
+    }
+    if (path !== undefined && !('equals' in noAlternative)) {
+        report.warn('schema', `${where}: noAlternative.path is set without "equals", so it never matches.`);
+    }
+}
+
+// "revertPaths" (revertGenericAnalyzerHeadline): JSON paths in the analyzer result; their first segment should be a
+// property of the analyzer's outputSchema, when it has one
+function checkRevertPaths(nodeConfig, where, outputSchemaByStateKey, report) {
+    const { revertPaths } = nodeConfig;
+    if (revertPaths === undefined) return;
+    if (!Array.isArray(revertPaths) || revertPaths.length === 0 || revertPaths.some(path => typeof path !== 'string' || path === '')) {
+        report.error('schema', `${where}: revertPaths should be a non-empty array of paths (e.g. ["rewritten_headline", "alternatives[*]"]).`);
+        return;
+    }
+    const analyzerKey = nodeConfig.stateInputArgs && nodeConfig.stateInputArgs.analyzer_result_object;
+    const properties = outputSchemaByStateKey.get(rootKey(analyzerKey))?.properties;
+    if (!properties) return;
+    revertPaths.map(path => splitPath(path)[0])
+        .filter(property => property !== '*' && !(property in properties))
+        .forEach(property => report.warn('schema', `${where}: revertPaths reads '${property}', which is not in the outputSchema of '${analyzerKey}'.`));
+}
+
+// "ensemble" on an analyzer task (see ensemble.js)
+function checkEnsemble(ensemble, where, report) {
+    if (ensemble === undefined) return;
+    if (typeOf(ensemble) !== 'object') {
+        report.error('schema', `${where}: ensemble should be object, got ${typeOf(ensemble)}.`);
+        return;
+    }
+    const { samples, voteFields, textPath, scorers, temperature } = ensemble;
+    if (!Number.isInteger(samples) || samples < 2) {
+        report.error('schema', `${where}: ensemble.samples should be an integer of at least 2.`);
+    } else if (samples > MAX_ENSEMBLE_SAMPLES) {
+        report.warn('schema', `${where}: ensemble.samples is ${samples}; every sample is a model call.`);
+    }
+    if (voteFields !== undefined && (!Array.isArray(voteFields) || voteFields.some(path => typeof path !== 'string' || path === ''))) {
+        report.error('schema', `${where}: ensemble.voteFields should be an array of paths.`);
+    }
+    if (textPath !== undefined && (typeof textPath !== 'string' || textPath === '')) {
+        report.error('schema', `${where}: ensemble.textPath should be a non-empty string.`);
+    }
+    if (scorers !== undefined) {
+        if (!Array.isArray(scorers) || scorers.length === 0) {
+            report.error('schema', `${where}: ensemble.scorers should be a non-empty array.`);
+        } else {
+            scorers.filter(name => !ENSEMBLE_SCORERS[name]).forEach(name =>
+                report.error('schema', `${where}: unknown ensemble scorer '${name}' (expected: ${Object.keys(ENSEMBLE_SCORERS).join(', ')}).`));
+        }
+    }
+    if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0)) {
+        report.error('schema', `${where}: ensemble.temperature should be a non-negative number.`);
+    }
+    if (typeof temperature === 'number' && temperature === 0) {
+        report.warn('schema', `${where}: ensemble.temperature is 0, so the samples will hardly differ.`);
+    }
+    checkNoAlternative(ensemble.noAlternative, `${where} ensemble`, report);
+}
+
+// Templates must parse (see utils/templateEngine.js), and every variable they read must be supplied
+function checkPromptTemplates(promptConfig, suppliedVariables, where, report) {
+    if (promptConfig.strictTemplates !== undefined && typeof promptConfig.strictTemplates !== 'boolean') {
+        report.error('schema', `${where}: promptConfig.strictTemplates should be boolean, got ${typeOf(promptConfig.strictTemplates)}.`);
+    }
+    for (const field of PROMPT_TEMPLATE_FIELDS) {
+        let variables;
+        try {
+            variables = listTemplateVariables(promptConfig[field]);
+        } catch (error) {
+            report.error('templates', `${where}: promptConfig.${field}: ${error.message}.`);
+            continue;
+        }
+        for (const variable of variables) {
+            if (!suppliedVariables.has(variable)) {
+                report.error('templates', `${where}: promptConfig.${field} uses '{{${variable}}}', but no state channel or stateInputArgs entry supplies it.`);
+            }
+        }
+    }
+}
+
+// A subgraph node embeds a registered config ("graphId") or an inline one ("graphConfig"); its input/output
+// mappings must connect keys that exist on both sides. Inline configs are validated here as well; registered
+// ones are validated on their own (and again when they are built).
+// A map node's "subgraph" is checked the same way; its outputMapping is optional (without one, each item's
+// result is the child's whole final state).
+function checkSubgraphNode(nodeConfig, where, channelKeys, context, report, { isMapItem = false } = {}) {
+    const hasGraphId = nodeConfig.graphId !== undefined;
+    const hasInlineConfig = nodeConfig.graphConfig !== undefined;
+    if (hasGraphId === hasInlineConfig) {
+        report.error('subgraphs', `${where}: a subgraph node needs exactly one of 'graphId' or 'graphConfig'.`);
+        return;
+    }
+
+    let childConfig;
+    if (hasGraphId) {
+        if (!isRegisteredGraphId(nodeConfig.graphId)) {
+            report.error('subgraphs', `${where}: graphId '${nodeConfig.graphId}' is not a registered graph config.`);
+            return;
+        }
+        childConfig = loadRegisteredConfig(nodeConfig.graphId).graphConfig;
+    } else {
+        childConfig = nodeConfig.graphConfig;
+        const childValidation = validateGraphConfig(childConfig, {
+            ...context,
+            appStateChannels: deriveStateChannels(childConfig, context.customNodeOutputKeys)
+        });
+        childValidation.errors.forEach(err => report.error(err.category, `${where} graphConfig: ${err.message}`));
+        childValidation.warnings.forEach(warning => report.warn(warning.category, `${where} graphConfig: ${warning.message}`));
+        if (!childValidation.valid) return;
+    }
+    const childChannelKeys = new Set(Object.keys(deriveStateChannels(childConfig, context.customNodeOutputKeys)));
+
+    for (const field of ['inputMapping', 'outputMapping']) {
+        if (isMapItem && field === 'outputMapping' && nodeConfig[field] === undefined) continue;
+        if (typeOf(nodeConfig[field]) !== 'object') {
+            report.error('schema', `${where}: field '${field}' should be object, got ${typeOf(nodeConfig[field])}.`);
+        }
+    }
+    for (const [childKey, parentPath] of Object.entries(nodeConfig.inputMapping || {})) {
+        if (!channelKeys.has(rootKey(parentPath))) {
+            report.error('state', `${where}: inputMapping.${childKey} reads '${parentPath}', which no node writes (no state channel for it).`);
+        }
+        if (!childChannelKeys.has(childKey)) {
+            report.error('subgraphs', `${where}: inputMapping sets child key '${childKey}', which has no channel in the child graph.`);
+        }
+    }
+    const outputEntries = Object.entries(nodeConfig.outputMapping || {});
+    if (!isMapItem && typeOf(nodeConfig.outputMapping) === 'object' && outputEntries.length === 0) {
+        report.warn('subgraphs', `${where}: outputMapping is empty; only the child's full state (in '${nodeConfig.id}_state') reaches the parent.`);
+    }
+    for (const [parentKey, childPath] of outputEntries) {
+        if (!childChannelKeys.has(rootKey(childPath))) {
+            report.error('subgraphs', `${where}: outputMapping.${parentKey} reads child key '${childPath}', which no node in the child graph writes.`);
+        }
+    }
+}
+
+// A map node runs exactly one of "task" (an LLM call, like an analyzer task) or "subgraph" per item of "itemsKey".
+function checkMapNode(nodeConfig, where, channelKeys, suppliedVariables, context, report) {
+    if (!checkSchema(nodeConfig, 'mapNode', where, report)) return;
+    if (!channelKeys.has(rootKey(nodeConfig.itemsKey))) {
+        report.error('state', `${where}: itemsKey '${nodeConfig.itemsKey}' is not written by any node (no state channel for it).`);
+    }
+    if (nodeConfig.concurrency !== undefined && (!Number.isInteger(nodeConfig.concurrency) || nodeConfig.concurrency < 1)) {
+        report.error('schema', `${where}: concurrency should be a positive integer.`);
+    }
+    if ((nodeConfig.task === undefined) === (nodeConfig.subgraph === undefined)) {
+        report.error('nodes', `${where}: a map node needs exactly one of 'task' or 'subgraph'.`);
+        return;
+    }
+    if (nodeConfig.task !== undefined) {
+        if (typeOf(nodeConfig.task) !== 'object') {
+            report.error('schema', `${where}: field 'task' should be object, got ${typeOf(nodeConfig.task)}.`);
+            return;
+        }
+        checkRetryPolicy(nodeConfig.task.retryPolicy, `${where} task`, report);
+        checkCacheSetting(nodeConfig.task.cache, `${where} task`, report);
+        if (checkSchema(nodeConfig.task.promptConfig, 'promptConfig', `${where} task promptConfig`, report)) {
+            const taskSuppliedVariables = new Set([...suppliedVariables, ...MAP_ITEM_VARIABLES]);
+            checkPromptTemplates(nodeConfig.task.promptConfig, taskSuppliedVariables, `${where} task`, report);
+            checkOutputSchema(nodeConfig.task.promptConfig, `${where} task`, report);
+            checkModelSettings(nodeConfig.task.promptConfig, `${where} task`, report);
+            checkExamples(nodeConfig.task.promptConfig, `${where} task`, report);
+        }
+    } else if (typeOf(nodeConfig.subgraph) !== 'object') {
+        report.error('schema', `${where}: field 'subgraph' should be object, got ${typeOf(nodeConfig.subgraph)}.`);
+    } else {
+        const itemChannelKeys = new Set([...channelKeys, ...MAP_ITEM_VARIABLES]);
+        checkSubgraphNode(nodeConfig.subgraph, `${where} subgraph`, itemChannelKeys, context, report, { isMapItem: true });
+    }
+}
+
+// "headlineKeys" (judge and fact-checker nodes): the final headlines to check; without it, the config's output headlines.
+function checkHeadlineKeys(nodeConfig, where, channelKeys, outputHeadlines, report) {
+    const { headlineKeys } = nodeConfig;
+    if (headlineKeys === undefined) {
+        if (outputHeadlines.length === 0) {
+            report.warn('nodes', `${where}: the config has no output headlines (flipped_headline or analyzer reverters) and the node no headlineKeys; it will check nothing.`);
+        }
+        return;
+    }
+    if (!Array.isArray(headlineKeys) || headlineKeys.some(key => typeof key !== 'string')) {
+        report.error('schema', `${where}: headlineKeys should be an array of state keys.`);
+        return;
+    }
+    headlineKeys.filter(key => !channelKeys.has(rootKey(key))).forEach(key =>
+        report.error('state', `${where}: headlineKeys has '${key}', which no node writes (no state channel for it).`));
+    if (headlineKeys.length === 0) report.warn('nodes', `${where}: headlineKeys is empty; the node will check nothing.`);
+}
+
+// "factTypes" (checkFactPreservation): which kinds of fact to compare
+function checkFactTypes(factTypes, where, report) {
+    if (factTypes === undefined) return;
+    if (!Array.isArray(factTypes) || factTypes.length === 0) {
+        report.error('schema', `${where}: factTypes should be a non-empty array (of: ${FACT_TYPES.join(', ')}).`);
+        return;
+    }
+    factTypes.filter(type => !FACT_TYPES.includes(type)).forEach(type =>
+        report.error('schema', `${where}: factTypes has unknown type '${type}' (expected: ${FACT_TYPES.join(', ')}).`));
+}
+
+// "frameTaxonomy": dimension -> { values: [...], description? } (see frame_taxonomy.js)
+function checkFrameTaxonomy(taxonomy, report) {
+    if (taxonomy === undefined) return;
+    if (typeOf(taxonomy) !== 'object') {
+        report.error('schema', `config: frameTaxonomy should be object, got ${typeOf(taxonomy)}.`);
+        return;
+    }
+    for (const [dimension, definition] of Object.entries(taxonomy)) {
+        const where = `config frameTaxonomy.${dimension}`;
+        if (typeOf(definition) !== 'object') {
+            report.error('schema', `${where}: should be an object with "values", got ${typeOf(definition)}.`);
+            continue;
+        }
+        const { values, description } = definition;
+        if (!Array.isArray(values) || values.length === 0) {
+            report.error('schema', `${where}: values should be a non-empty array.`);
+        } else if (values.some(value => !['string', 'number', 'boolean'].includes(typeof value))) {
+            report.error('schema', `${where}: values should be strings, numbers or booleans.`);
+        } else if (new Set(values).size !== values.length) {
+            report.warn('schema', `${where}: values has duplicates.`);
+        }
+        if (description !== undefined && typeof description !== 'string') {
+            report.error('schema', `${where}: description should be string, got ${typeOf(description)}.`);
+        }
+    }
+}
+
+// An analyzer task's "labels": dimensions of the frameTaxonomy
+function checkTaskLabels(task, taxonomy, where, report) {
+    if (task.labels === undefined) return;
+    if (!Array.isArray(task.labels) || task.labels.some(dimension => typeof dimension !== 'string')) {
+        report.error('schema', `${where}: labels should be an array of frameTaxonomy dimensions.`);
+        return;
+    }
+    if (typeOf(taxonomy) !== 'object') {
+        report.error('schema', `${where}: has labels, but the config has no frameTaxonomy.`);
+        return;
+    }
+    task.labels.filter(dimension => !taxonomy[dimension]).forEach(dimension =>
+        report.error('schema', `${where}: labels has '${dimension}', which is not in frameTaxonomy (known: ${Object.keys(taxonomy).join(', ')}).`));
+    if (task.promptConfig && task.promptConfig.outputSchema && task.promptConfig.outputSchema.properties && task.promptConfig.outputSchema.properties.labels) {
+        report.warn('schema', `${where}: outputSchema already has a 'labels' property; the frame labels replace it.`);
+    }
+}
+
+// A judge node runs its "task" once per headline: "headlineKeys", or else the config's output headlines.
+function checkJudgeNode(nodeConfig, where, channelKeys, suppliedVariables, outputHeadlines, report) {
+    if (!checkSchema(nodeConfig, 'judgeNode', where, report)) return;
+    const referenceKey = nodeConfig.referenceKey || DEFAULT_REFERENCE_KEY;
+    if (!channelKeys.has(rootKey(referenceKey))) {
+        report.error('state', `${where}: referenceKey '${referenceKey}' is not written by any node (no state channel for it).`);
+    }
+    checkHeadlineKeys(nodeConfig, where, channelKeys, outputHeadlines, report);
+    if (nodeConfig.concurrency !== undefined && (!Number.isInteger(nodeConfig.concurrency) || nodeConfig.concurrency < 1)) {
+        report.error('schema', `${where}: concurrency should be a positive integer.`);
+    }
+    checkRetryPolicy(nodeConfig.task.retryPolicy, `${where} task`, report);
+    checkCacheSetting(nodeConfig.task.cache, `${where} task`, report);
+    if (checkSchema(nodeConfig.task.promptConfig, 'promptConfig', `${where} task promptConfig`, report)) {
+        const taskSuppliedVariables = new Set([...suppliedVariables, ...JUDGE_VARIABLES]);
+        checkPromptTemplates(nodeConfig.task.promptConfig, taskSuppliedVariables, `${where} task`, report);
+        checkOutputSchema(nodeConfig.task.promptConfig, `${where} task`, report);
+        checkModelSettings(nodeConfig.task.promptConfig, `${where} task`, report);
+        checkExamples(nodeConfig.task.promptConfig, `${where} task`, report);
+    }
+}
+
+// Plays the graph's supersteps the way LangGraph runs them, with one route picked per conditional edge: every node a
+// step ran triggers its plain edges' targets for the next step, and a multi-source edge ("join") triggers its target
+// once all its sources have run. Returns the steps each node ran at and the indexes of the joins that fired.
+function playSupersteps(flow, routeChoice, maxSteps) {
+    const runSteps = new Map();
+    const joinSeen = flow.joins.map(() => new Set());
+    const firedJoins = new Set();
+    let active = new Set([flow.entryPointNodeId]);
+    for (let step = 1; active.size > 0 && step <= maxSteps; step++) {
+        const next = new Set();
+        for (const nodeId of active) {
+            runSteps.set(nodeId, [...(runSteps.get(nodeId) || []), step]);
+            (flow.plainTargets.get(nodeId) || []).forEach(target => next.add(target));
+            flow.conditionals.forEach((conditional, index) => {
+                if (conditional.source === nodeId) next.add(routeChoice[index]);
+            });
+            flow.joins.forEach((join, index) => {
+                if (join.sources.includes(nodeId)) joinSeen[index].add(nodeId);
+            });
+        }
+        flow.joins.forEach((join, index) => {
+            if (joinSeen[index].size === join.sources.length) {
+                next.add(join.target);
+                joinSeen[index].clear();
+                firedJoins.add(index);
+            }
+        });
+        next.delete(END_TARGET);
+        active = next;
+    }
+    return { runSteps, firedJoins };
+}
+
+// A node reached from two branches of different length by plain edges runs once per branch (so the saver saves
+// twice, the first time without what the longer branch adds). Checked for every combination of conditional routes;
+// nodes on a cycle are meant to run again and are left alone.
+function checkRunCounts(flow, adjacency, report) {
+    const combinationCount = flow.conditionals.reduce((count, conditional) => count * conditional.targets.length, 1);
+    if (combinationCount > MAX_ROUTE_COMBINATIONS) {
+        report.warn('edges', `${combinationCount} combinations of conditional routes; run counts were not checked (at most ${MAX_ROUTE_COMBINATIONS}).`);
+        return;
+    }
+    const onCycle = (nodeId) => {
+        const seen = new Set();
+        const queue = [...adjacency.get(nodeId)];
+        while (queue.length > 0) {
+            const next = queue.shift();
+            if (next === nodeId) return true;
+            if (!seen.has(next)) {
+                seen.add(next);
+                queue.push(...adjacency.get(next));
+            }
+        }
+        return false;
+    };
+    const reported = new Set();
+    const firedJoins = new Set();
+    for (let combination = 0; combination < combinationCount; combination++) {
+        let rest = combination;
+        const routeChoice = flow.conditionals.map(conditional => {
+            const target = conditional.targets[rest % conditional.targets.length];
+            rest = Math.floor(rest / conditional.targets.length);
+            return target;
+        });
+        const played = playSupersteps(flow, routeChoice, adjacency.size + 1);
+        played.firedJoins.forEach(index => firedJoins.add(index));
+        for (const [nodeId, steps] of played.runSteps) {
+            if (steps.length < 2 || reported.has(nodeId) || onCycle(nodeId)) continue;
+            reported.add(nodeId);
+            const routes = flow.conditionals.map((conditional, index) => `'${conditional.source}' routes to '${routeChoice[index]}'`);
+            report.error('edges', `node '${nodeId}' runs ${steps.length} times (at steps ${steps.join(', ')})` +
+                (routes.length > 0 ? ` when ${routes.join(' and ')}` : '') +
+                `: branches of different length lead to it. Join them with one edge whose "source" lists the last node of each branch, so it runs once.`);
+        }
+    }
+    flow.joins.forEach((join, index) => {
+        if (!firedJoins.has(index)) {
+            report.error('edges', `${join.where}: '${join.target}' never runs, because [${join.sources.join(', ')}] never all run in the same path through the graph.`);
+        }
+    });
+}
+
+/**
+ * Validates a graph config against the schema and against the code it will run with.
+ * @param {object} config - Parsed graph_config.json.
+ * @param {object} context
+ * @param {object} context.appStateChannels - Channels the graph will be built with (see deriveStateChannels).
+ * @param {object} context.customNodeFunctions - From node_functions.js.
+ * @param {object} [context.customNodeOutputKeys] - From node_functions.js.
+ * @param {object} [context.customRouterFunctions] - From router_functions.js.
+ * @returns {{valid: boolean, errors: {category: string, message: string}[], warnings: {category: string, message: string}[]}}
+ */
+function validateGraphConfig(config, context) {
+    const {
+        appStateChannels,
+        customNodeFunctions,
+        customNodeOutputKeys = {},
+        customRouterFunctions = {}
+    } = context;
+    const errors = [];
+    const warnings = [];
+    const report = {
+        error: (category, message) => errors.push({ category, message }),
+        warn: (category, message) => warnings.push({ category, message }),
+    };
+    const result = () => ({ valid: errors.length === 0, errors, warnings });
+
+    if (!checkSchema(config, 'root', 'config', report)) return result();
+
+    const { nodeDefinitions, graphEdges = [], conditionalEdges = [], entryPointNodeId } = config;
+    if (!Array.isArray(graphEdges)) report.error('schema', `config: field 'graphEdges' should be array, got ${typeOf(graphEdges)}.`);
+    if (!Array.isArray(conditionalEdges)) report.error('schema', `config: field 'conditionalEdges' should be array, got ${typeOf(conditionalEdges)}.`);
+    if (nodeDefinitions.length === 0) report.error('schema', 'config: nodeDefinitions is empty.');
+    if (errors.length > 0) return result();
+    checkRetryPolicy(config.defaultRetryPolicy, 'config defaultRetryPolicy', report);
+    if (config.strictTemplates !== undefined && typeof config.strictTemplates !== 'boolean') {
+        report.error('schema', `config: strictTemplates should be boolean, got ${typeOf(config.strictTemplates)}.`);
+    }
+    checkFrameTaxonomy(config.frameTaxonomy, report);
+
+    const channelKeys = new Set(Object.keys(appStateChannels));
+    const nodeIds = new Set();
+    // LLM results by state key, for checking what reverters read from them
+    const outputSchemaByStateKey = new Map();
+    nodeDefinitions.flatMap(nodeConfig => [nodeConfig, ...((nodeConfig && nodeConfig.analyzerTasks) || [])])
+        .filter(llmConfig => llmConfig && llmConfig.stateOutputKey && llmConfig.promptConfig && llmConfig.promptConfig.outputSchema)
+        .forEach(llmConfig => outputSchemaByStateKey.set(llmConfig.stateOutputKey, llmConfig.promptConfig.outputSchema));
+    // The final headlines, which judge and fact-checker nodes check by default
+    const { outputHeadlines } = deriveResponseKeys(config, customNodeOutputKeys);
+
+    // --- Nodes ---
+    nodeDefinitions.forEach((nodeConfig, index) => {
+        if (!checkSchema(nodeConfig, 'node', `nodeDefinitions[${index}]`, report)) return;
+        const where = `node '${nodeConfig.id}'`;
+
+        if (nodeIds.has(nodeConfig.id)) report.error('nodes', `${where}: duplicate node id.`);
+        nodeIds.add(nodeConfig.id);
+
+        if (!KNOWN_NODE_TYPES.includes(nodeConfig.type)) {
+            report.error('nodes', `${where}: unknown node type '${nodeConfig.type}' (expected one of: ${KNOWN_NODE_TYPES.join(', ')}).`);
+            return;
+        }
+
+        checkRetryPolicy(nodeConfig.retryPolicy, where, report);
+        checkCacheSetting(nodeConfig.cache, where, report);
+
+        const stateInputArgs = nodeConfig.stateInputArgs || {};
+        for (const [argName, stateKeyOrPath] of Object.entries(stateInputArgs)) {
+            if (!channelKeys.has(rootKey(stateKeyOrPath))) {
+                report.error('state', `${where}: stateInputArgs.${argName} reads '${stateKeyOrPath}', which no node writes (no state channel for it).`);
+            }
+        }
+        const suppliedVariables = new Set([...channelKeys, ...Object.keys(stateInputArgs)]);
+
+        if (nodeConfig.type === 'llm_agent') {
+            if (checkSchema(nodeConfig.promptConfig, 'promptConfig', `${where} promptConfig`, report)) {
+                checkPromptTemplates(nodeConfig.promptConfig, suppliedVariables, where, report);
+                checkOutputSchema(nodeConfig.promptConfig, where, report);
+                checkModelSettings(nodeConfig.promptConfig, where, report);
+                checkExamples(nodeConfig.promptConfig, where, report);
+            }
+        } else if (nodeConfig.type === 'local_function') {
+            if (!nodeConfig.functionName) {
+                report.error('functions', `${where}: local_function node has no functionName.`);
+            } else if (!customNodeFunctions[nodeConfig.functionName]) {
+                report.error('functions', `${where}: functionName '${nodeConfig.functionName}' is not defined in customNodeFunctions (available: ${Object.keys(customNodeFunctions).join(', ')}).`);
+            }
+            checkRevertPaths(nodeConfig, where, outputSchemaByStateKey, report);
+            checkNoAlternative(nodeConfig.noAlternative, where, report);
+            if (nodeConfig.headlineKeys !== undefined) checkHeadlineKeys(nodeConfig, where, channelKeys, outputHeadlines, report);
+            checkFactTypes(nodeConfig.factTypes, where, report);
+        } else if (nodeConfig.type === 'parallel_llm_group_coordinator') {
+            const analyzerTasks = nodeConfig.analyzerTasks || [];
+            if (analyzerTasks.length === 0) report.warn('nodes', `${where}: no analyzerTasks defined; the coordinator will do nothing.`);
+            const taskSuppliedVariables = new Set([...suppliedVariables, 'headlineToAnalyze']);
+            analyzerTasks.forEach((task, taskIndex) => {
+                const taskWhere = `${where} analyzerTasks[${taskIndex}]${task && task.id ? ` ('${task.id}')` : ''}`;
+                if (!checkSchema(task, 'analyzerTask', taskWhere, report)) return;
+                checkRetryPolicy(task.retryPolicy, taskWhere, report);
+                checkCacheSetting(task.cache, taskWhere, report);
+                checkEnsemble(task.ensemble, taskWhere, report);
+                checkTaskLabels(task, config.frameTaxonomy, taskWhere, report);
+                if (checkSchema(task.promptConfig, 'promptConfig', `${taskWhere} promptConfig`, report)) {
+                    checkPromptTemplates(task.promptConfig, taskSuppliedVariables, taskWhere, report);
+                    checkOutputSchema(task.promptConfig, taskWhere, report);
+                    checkModelSettings(task.promptConfig, taskWhere, report);
+                    checkExamples(task.promptConfig, taskWhere, report);
+                }
+            });
+        } else if (nodeConfig.type === 'subgraph') {
+            checkSubgraphNode(nodeConfig, where, channelKeys, context, report);
+        } else if (nodeConfig.type === 'map') {
+            checkMapNode(nodeConfig, where, channelKeys, suppliedVariables, context, report);
+        } else if (nodeConfig.type === 'llm_judge') {
+            checkJudgeNode(nodeConfig, where, channelKeys, suppliedVariables, outputHeadlines, report);
+        }
+
+        for (const outputKey of getNodeOutputKeys(nodeConfig, customNodeOutputKeys)) {
+            if (outputKey === undefined) {
+                if (nodeConfig.type === 'llm_agent') report.warn('state', `${where}: no stateOutputKey; the LLM result will not be stored under a known key.`);
+                continue;
+            }
+            if (!channelKeys.has(outputKey)) {
+                report.error('state', `${where}: writes state key '${outputKey}', which has no channel in appStateChannels (the value would be silently dropped).`);
+            }
+        }
+    });
+
+    if (typeOf(config.frameTaxonomy) === 'object') {
+        const labelled = new Set(getLabellingTasks(config).flatMap(task => task.labels));
+        Object.keys(config.frameTaxonomy).filter(dimension => !labelled.has(dimension)).forEach(dimension =>
+            report.warn('nodes', `config frameTaxonomy.${dimension}: no analyzer task labels this dimension.`));
+    }
+
+    // --- Entry point & edges ---
+    if (!nodeIds.has(entryPointNodeId)) {
+        report.error('edges', `entryPointNodeId '${entryPointNodeId}' is not a defined node.`);
+    }
+
+    const adjacency = new Map([...nodeIds].map(id => [id, new Set()]));
+    // The edges again, as playSupersteps() follows them
+    const flow = { entryPointNodeId, plainTargets: new Map(), joins: [], conditionals: [] };
+    const checkTarget = (target, where) => {
+        if (target === END_TARGET) return true;
+        if (!nodeIds.has(target)) {
+            report.error('edges', `${where}: target node '${target}' is not defined (use "${END_TARGET}" to finish the graph).`);
+            return false;
+        }
+        return true;
+    };
+
+    graphEdges.forEach((edge, index) => {
+        const where = `graphEdges[${index}]`;
+        if (!checkSchema(edge, 'edge', where, report)) return;
+        const isJoin = Array.isArray(edge.source);
+        const sources = [].concat(edge.source);
+        if (isJoin && (sources.length < 2 || sources.some(source => typeof source !== 'string') || new Set(sources).size !== sources.length)) {
+            report.error('schema', `${where}: a "source" array should list two or more different node ids.`);
+            return;
+        }
+        const undefinedSources = sources.filter(source => !nodeIds.has(source));
+        undefinedSources.forEach(source => report.error('edges', `${where}: source node '${source}' is not defined.`));
+        if (isJoin && edge.target === END_TARGET) {
+            report.error('edges', `${where}: an edge with several sources cannot go to "${END_TARGET}"; join them into a node that does.`);
+            return;
+        }
+        const label = isJoin ? `[${sources.join(', ')}]` : `'${edge.source}'`;
+        if (checkTarget(edge.target, `${where} (${label} -> '${edge.target}')`) && undefinedSources.length === 0) {
+            if (edge.target !== END_TARGET) sources.forEach(source => adjacency.get(source).add(edge.target));
+            if (isJoin) {
+                flow.joins.push({ sources, target: edge.target, where });
+            } else {
+                flow.plainTargets.set(edge.source, [...(flow.plainTargets.get(edge.source) || []), edge.target]);
+            }
+        }
+    });
+
+    conditionalEdges.forEach((edgeConfig, index) => {
+        const where = `conditionalEdges[${index}]`;
+        if (!checkSchema(edgeConfig, 'conditionalEdge', where, report)) return;
+        const sourceOk = nodeIds.has(edgeConfig.source);
+        if (!sourceOk) report.error('edges', `${where}: source node '${edgeConfig.source}' is not defined.`);
+        if (!customRouterFunctions[edgeConfig.routerFunction]) {
+            report.error('functions', `${where}: routerFunction '${edgeConfig.routerFunction}' is not defined in customRouterFunctions (available: ${Object.keys(customRouterFunctions).join(', ')}).`);
+        }
+        const routes = Object.entries(edgeConfig.routes);
+        if (routes.length === 0) report.error('edges', `${where}: routes is empty.`);
+        const routeTargets = new Set();
+        for (const [route, target] of routes) {
+            if (checkTarget(target, `${where} route '${route}'`) && sourceOk) {
+                routeTargets.add(target);
+                if (target !== END_TARGET) adjacency.get(edgeConfig.source).add(target);
+            }
+        }
+        if (routeTargets.size > 0) flow.conditionals.push({ source: edgeConfig.source, targets: [...routeTargets] });
+        if (edgeConfig.defaultRoute !== undefined && !edgeConfig.routes.hasOwnProperty(edgeConfig.defaultRoute)) {
+            report.error('edges', `${where}: defaultRoute '${edgeConfig.defaultRoute}' is not one of its routes (${Object.keys(edgeConfig.routes).join(', ')}).`);
+        }
+        const routerArgs = edgeConfig.routerArgs || {};
+        checkNoAlternative(routerArgs.noAlternative, `${where} routerArgs`, report);
+        const statePaths = [...(routerArgs.analyzerResultKeys || []), ...(routerArgs.path ? [routerArgs.path] : [])];
+        for (const statePath of statePaths) {
+            if (!channelKeys.has(rootKey(statePath))) {
+                report.error('state', `${where}: routerArgs reads '${statePath}', which no node writes (no state channel for it).`);
+            }
+        }
+    });
+
+    // --- Reachability ---
+    if (nodeIds.has(entryPointNodeId)) {
+        const reached = new Set([entryPointNodeId]);
+        const queue = [entryPointNodeId];
+        while (queue.length > 0) {
+            for (const next of adjacency.get(queue.shift())) {
+                if (!reached.has(next)) {
+                    reached.add(next);
+                    queue.push(next);
+                }
+            }
+        }
+        for (const nodeId of nodeIds) {
+            if (!reached.has(nodeId)) report.error('reachability', `node '${nodeId}' is unreachable from entry point '${entryPointNodeId}'.`);
+        }
+        checkRunCounts(flow, adjacency, report);
+    }
+
+    return result();
+}
+
+/**
+ * Formats a validateGraphConfig() result as one readable report.
+ * @param {{valid: boolean, errors: object[], warnings: object[]}} validation
+ * @param {string} [configName='graph_config.json']
+ * @returns {string}
+ */
+function formatValidationReport(validation, configName = 'graph_config.json') {
+    const lines = [];
+    if (validation.valid) {
+        lines.push(`${configName} is valid.`);
+    } else {
+        lines.push(`${configName} failed validation with ${validation.errors.length} error(s):`);
+        validation.errors.forEach((err, index) => lines.push(`  ${index + 1}. [${err.category}] ${err.message}`));
+    }
+    if (validation.warnings.length > 0) {
+        lines.push(`Warnings (${validation.warnings.length}):`);
+        validation.warnings.forEach(warning => lines.push(`  - [${warning.category}] ${warning.message}`));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    validateGraphConfig,
+    formatValidationReport,
+};
@@ -0,0 +1,125 @@
+// src/judge_node.js
+// The "llm_judge" node type: an LLM grades every final headline of the run against the input headline and writes
+// the grades under "stateOutputKey", keyed by the headline's state key:
+//   { "flipped_headline": { headline, fact_preservation: { score, rationale }, added_claims: { claims, rationale },
+//                           frame_flip_strength: { score, rationale } }, "euphemism_reverted_headline": ..., ... }
+// Scores are 1-5 (5: every fact kept / the frame fully flipped). The judged headlines are "headlineKeys", or by default
+// the run's output headlines (flipped_headline and every analyzer reverter's output, see deriveResponseKeys).
+// A headline that was not produced (null, with the reason in its reverter's details) gets { skipped } instead of a
+// model call; a failed call gets { error }. The prompt sees the headline as {{headline}}, its state key as
+// {{headlineKey}} and the input headline ("referenceKey", default input_headline) as {{referenceHeadline}}.
+
+const { buildMessagesFromPromptConfig, getModelSettings } = require('./llm_utils');
+const { TemplateError } = require('./utils/templateEngine');
+const { resolveRetryPolicy } = require('./retry_policy');
+const { callModelForStructuredOutput } = require('./structured_output');
+const { resolvePath } = require('./utils/objectPathUtils');
+const { DEFAULT_MAP_CONCURRENCY } = require('./map_node');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { isGeneratedHeadline, describeMissingHeadline } = require('./analyzer_output');
+
+const DEFAULT_REFERENCE_KEY = 'input_headline';
+const JUDGE_VARIABLES = ['headline', 'headlineKey', 'referenceHeadline']; // What the judge's prompt sees of each headline
+
+// Log/attempt id for one headline, e.g. "headline_judge[flipped_headline]"
+function judgeId(nodeConfig, headlineKey) {
+    return `${nodeConfig.id}[${headlineKey}]`;
+}
+
+// Why a headline cannot be judged, or undefined
+function skipReason(headline, referenceHeadline, details) {
+    if (typeof referenceHeadline !== 'string' || referenceHeadline.trim() === '') return 'no input headline to compare with';
+    if (!isGeneratedHeadline(headline)) return describeMissingHeadline(details);
+    return undefined;
+}
+
+// One LLM call for one headline. Returns { output, attempts, errors }.
+async function judgeHeadline(state, nodeConfig, graphContext, headlineKey, headline, referenceHeadline) {
+    const { promptConfig } = nodeConfig.task;
+    const templateArgs = { ...state };
+    for (const [argName, stateKey] of Object.entries(nodeConfig.stateInputArgs || {})) {
+        templateArgs[argName] = resolvePath(state, stateKey);
+    }
+    Object.assign(templateArgs, { headline, headlineKey, referenceHeadline });
+
+    let messages;
+    try {
+        messages = buildMessagesFromPromptConfig(promptConfig, state, templateArgs, {
+            strictTemplates: graphContext.graphConfig?.strictTemplates,
+            label: judgeId(nodeConfig, headlineKey)
+        });
+    } catch (error) {
+        if (!(error instanceof TemplateError)) throw error;
+        const message = `Template error: ${error.message}`;
+        return { output: { error: message, errorClass: 'config', rawContent: '' }, attempts: {}, errors: [message] };
+    }
+    const { modelName, generationArgs } = getModelSettings(promptConfig);
+    // Task policy overrides the judge node's, which overrides the graph-wide default
+    const retryPolicy = resolveRetryPolicy(graphContext.graphConfig?.defaultRetryPolicy, nodeConfig.retryPolicy, nodeConfig.task.retryPolicy);
+    const { result, attempts } = await callModelForStructuredOutput(messages, modelName, generationArgs, {
+        retryPolicy,
+        outputSchema: promptConfig.outputSchema,
+        maxReasks: promptConfig.maxReasks,
+        useNativeResponseSchema: promptConfig.useNativeResponseSchema,
+        // The label is the node id, so one fixture or recording label covers every headline the node judges
+        label: nodeConfig.id,
+        cache: nodeConfig.task.cache ?? nodeConfig.cache
+    });
+    return {
+        output: result.error ? result : { headline, ...result },
+        attempts: { [judgeId(nodeConfig, headlineKey)]: attempts },
+        errors: result.error ? [result.error] : []
+    };
+}
+
+/**
+ * The LangGraph node function for an llm_judge node.
+ * @param {object} nodeConfig - The judge node definition.
+ * @param {object} graphContext - See graph_builder.js.
+ * @param {{stateKey: string, detailsKey?: string}[]} outputHeadlines - The config's final headlines (deriveResponseKeys),
+ *   judged when the node has no "headlineKeys".
+ * @returns {function(object, object): Promise<object>}
+ */
+function createJudgeNodeFunction(nodeConfig, graphContext, outputHeadlines = []) {
+    const headlineKeys = nodeConfig.headlineKeys || outputHeadlines.map(({ stateKey }) => stateKey);
+    const detailsKeys = Object.fromEntries(outputHeadlines.map(({ stateKey, detailsKey }) => [stateKey, detailsKey]));
+    return async (state, config) => {
+        console.log(`--- Running Judge Node: ${nodeConfig.displayName} (ID: ${nodeConfig.id}) ---`);
+        const referenceKey = nodeConfig.referenceKey || DEFAULT_REFERENCE_KEY;
+        const referenceHeadline = resolvePath(state, referenceKey);
+
+        const update = { error_messages: [], llm_call_attempts: {} };
+        const concurrency = nodeConfig.concurrency || DEFAULT_MAP_CONCURRENCY;
+        const verdicts = await mapWithConcurrency(headlineKeys, concurrency, async (headlineKey) => {
+            const headline = resolvePath(state, headlineKey);
+            const reason = skipReason(headline, referenceHeadline, detailsKeys[headlineKey] && state[detailsKeys[headlineKey]]);
+            if (reason) return { skipped: reason };
+
+            let judged;
+            try {
+                judged = await judgeHeadline(state, nodeConfig, graphContext, headlineKey, headline, referenceHeadline);
+            } catch (error) {
+                // Isolate the failure to this headline's verdict
+                console.error(`${judgeId(nodeConfig, headlineKey)} failed:`, error);
+                judged = { output: { error: error.message }, attempts: {}, errors: [error.message] };
+            }
+            Object.assign(update.llm_call_attempts, judged.attempts);
+            judged.errors.forEach(message => update.error_messages.push(`${nodeConfig.displayName} [${headlineKey}]: ${message}`));
+            if (config && config.writer) {
+                config.writer({ node: nodeConfig.id, task: judgeId(nodeConfig, headlineKey), stateKey: nodeConfig.stateOutputKey, headlineKey, output: judged.output, attempts: judged.attempts });
+            }
+            return judged.output;
+        });
+
+        update[nodeConfig.stateOutputKey] = Object.fromEntries(headlineKeys.map((headlineKey, index) => [headlineKey, verdicts[index]]));
+        const judgedCount = verdicts.filter(verdict => !verdict.skipped && !verdict.error).length;
+        console.log(`[${nodeConfig.id}] Judged ${judgedCount}/${headlineKeys.length} headline(s).`);
+        return update;
+    };
+}
+
+module.exports = {
+    DEFAULT_REFERENCE_KEY,
+    JUDGE_VARIABLES,
+    createJudgeNodeFunction,
+};
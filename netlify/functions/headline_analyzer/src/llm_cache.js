@@ -0,0 +1,205 @@
+// src/llm_cache.js
+// Content-addressed cache for model responses, so re-analyzing a headline with unchanged prompts costs nothing.
+// A response is keyed by the model, the generation args and a hash of the rendered messages, i.e. by everything
+// callModel sends, plus the sample index of an ensemble sample (see ensemble.js); only successful (parsed) results are stored, and of those with an outputSchema only the ones
+// that match it. Chosen with the LLM_CACHE environment variable:
+//   "none" (default) - no caching
+//   "memory"         - an LRU of LLM_CACHE_MAX_ENTRIES (default 500) responses; lives as long as the process
+//   "file"           - one JSON file per response in LLM_CACHE_DIR (default: <os tmpdir>/newsframes-llm-cache)
+//   "dynamodb"       - one item per response in LLM_CACHE_TABLE_NAME (default: NewsFramesLlmCache, partition
+//                      key "cache_key"), in the same DynamoDB account as the saved results
+// Entries expire after LLM_CACHE_TTL_SECONDS (default 7 days; 0 = never). Nodes (and analyzer/map tasks) opt out
+// with "cache": false. A cache that cannot be read or written only logs a warning; the model is called as usual.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getDocClient } = require('./aws_utils');
+
+const LLM_CACHE_KINDS = ['none', 'memory', 'file', 'dynamodb'];
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_MAX_ENTRIES = 500;
+
+function getTtlSeconds() {
+    return process.env.LLM_CACHE_TTL_SECONDS !== undefined ? Number(process.env.LLM_CACHE_TTL_SECONDS) : DEFAULT_TTL_SECONDS;
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Cache key of a model request.
+ * @param {object[]} messages - As passed to callModel (role/content, already rendered).
+ * @param {string} [modelName]
+ * @param {object} [generationArgs]
+ * @param {number} [sampleIndex] - Of an ensemble sample: every sample (even the first) gets its own entry, apart
+ *   from the plain request's.
+ * @returns {string} Hex SHA-256.
+ */
+function computeCacheKey(messages, modelName, generationArgs, sampleIndex) {
+    const key = { model: modelName || null, generationArgs: generationArgs || {}, messagesHash: sha256(messages) };
+    if (sampleIndex !== undefined) key.sample = sampleIndex;
+    return sha256(key);
+}
+
+// { result, model, label, cached_at, expires_at? } - expires_at in epoch seconds
+function createEntry(result, { modelName, label }) {
+    const ttlSeconds = getTtlSeconds();
+    const now = Date.now();
+    const entry = { result, model: modelName, label, cached_at: new Date(now).toISOString() };
+    if (ttlSeconds > 0) entry.expires_at = Math.floor(now / 1000) + ttlSeconds;
+    return entry;
+}
+
+function isExpired(entry) {
+    return entry.expires_at !== undefined && entry.expires_at <= Date.now() / 1000;
+}
+
+class MemoryLlmCache {
+    constructor(maxEntries = Number(process.env.LLM_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map(); // key -> entry, least recently used first
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        this.entries.delete(key);
+        if (isExpired(entry)) return undefined;
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        for (const oldestKey of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries) break;
+            this.entries.delete(oldestKey);
+        }
+    }
+}
+
+class FileLlmCache {
+    constructor(directory = process.env.LLM_CACHE_DIR || path.join(os.tmpdir(), 'newsframes-llm-cache')) {
+        this.directory = directory;
+    }
+
+    entryPath(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+
+    async get(key) {
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(this.entryPath(key), 'utf-8'));
+            if (!isExpired(entry)) return entry;
+            await fs.promises.unlink(this.entryPath(key)).catch(() => {});
+            return undefined;
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    }
+
+    async set(key, entry) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(this.entryPath(key), JSON.stringify(entry));
+    }
+}
+
+class DynamoDBLlmCache {
+    constructor(tableName = process.env.LLM_CACHE_TABLE_NAME || 'NewsFramesLlmCache') {
+        this.tableName = tableName;
+    }
+
+    async get(key) {
+        const { Item } = await getDocClient().get({ TableName: this.tableName, Key: { cache_key: key } }).promise();
+        if (!Item) return undefined;
+        const entry = JSON.parse(Item.entry);
+        return isExpired(entry) ? undefined : entry; // The table's TTL deletes expired items only eventually
+    }
+
+    async set(key, entry) {
+        // Stored as one JSON string: results may hold empty strings and deep nesting
+        const item = { cache_key: key, entry: JSON.stringify(entry), model: entry.model, cached_at: entry.cached_at };
+        if (entry.expires_at !== undefined) item.expires_at = entry.expires_at;
+        await getDocClient().put({ TableName: this.tableName, Item: item }).promise();
+    }
+}
+
+/**
+ * Creates a response cache of the given kind.
+ * @param {string} [kind=process.env.LLM_CACHE] - One of LLM_CACHE_KINDS; unset means "none".
+ * @returns {{get: function(string): Promise<object|undefined>, set: function(string, object): Promise<void>}|undefined}
+ */
+function createLlmCache(kind = process.env.LLM_CACHE || 'none') {
+    switch (kind) {
+        case 'none':
+            return undefined;
+        case 'memory':
+            return new MemoryLlmCache();
+        case 'file':
+            return new FileLlmCache();
+        case 'dynamodb':
+            return new DynamoDBLlmCache();
+        default:
+            throw new Error(`Unknown LLM cache '${kind}'. Available: ${LLM_CACHE_KINDS.join(', ')}.`);
+    }
+}
+
+let defaultLlmCache;
+let defaultLlmCacheCreated = false;
+
+// The process-wide cache from LLM_CACHE (created once; the CLI may pick one first with setDefaultLlmCache)
+function getDefaultLlmCache() {
+    if (!defaultLlmCacheCreated) {
+        defaultLlmCache = createLlmCache();
+        defaultLlmCacheCreated = true;
+    }
+    return defaultLlmCache;
+}
+
+function setDefaultLlmCache(kind) {
+    defaultLlmCache = createLlmCache(kind);
+    defaultLlmCacheCreated = true;
+}
+
+/**
+ * The cached result of a model request, if any.
+ * @returns {Promise<object|undefined>} The entry ({ result, cached_at, ... }), or undefined on a miss or cache failure.
+ */
+async function lookupCachedResponse(messages, modelName, generationArgs, label, sampleIndex) {
+    const cache = getDefaultLlmCache();
+    if (!cache) return undefined;
+    try {
+        return await cache.get(computeCacheKey(messages, modelName, generationArgs, sampleIndex));
+    } catch (error) {
+        console.warn(`[LLM_CACHE] ${label}: lookup failed, calling the model instead:`, error.message);
+        return undefined;
+    }
+}
+
+async function storeCachedResponse(messages, modelName, generationArgs, label, result, sampleIndex) {
+    const cache = getDefaultLlmCache();
+    if (!cache) return;
+    try {
+        await cache.set(computeCacheKey(messages, modelName, generationArgs, sampleIndex), createEntry(result, { modelName, label }));
+    } catch (error) {
+        console.warn(`[LLM_CACHE] ${label}: could not store the response:`, error.message);
+    }
+}
+
+module.exports = {
+    LLM_CACHE_KINDS,
+    MemoryLlmCache,
+    FileLlmCache,
+    DynamoDBLlmCache,
+    computeCacheKey,
+    createLlmCache,
+    getDefaultLlmCache,
+    setDefaultLlmCache,
+    lookupCachedResponse,
+    storeCachedResponse,
+};
@@ -0,0 +1,87 @@
+// src/llm_providers/anthropic.js
+// Anthropic messages API (ANTHROPIC_API_KEY; ANTHROPIC_BASE_URL or the promptConfig's "baseUrl" to override the endpoint).
+// There is no JSON mode, so the reply is prefilled with "{" (and the outputSchema, if any, is added to the system prompt).
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1';
+const API_VERSION = '2023-06-01';
+const JSON_PREFILL = '{';
+
+function getBaseUrl(generationArgs) {
+    return (generationArgs.baseUrl || process.env.ANTHROPIC_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+// System and developer messages become the top-level "system"; the rest must alternate user/assistant,
+// so consecutive turns of one role are joined
+function mapMessagesForAnthropic(messages) {
+    const systemParts = [];
+    const turns = [];
+    for (const msg of messages) {
+        const roleLower = msg.role.toLowerCase();
+        if (roleLower.startsWith('system') || roleLower.startsWith('developer')) {
+            systemParts.push(msg.content);
+            continue;
+        }
+        const role = (roleLower.startsWith('assistant') || roleLower.startsWith('ai') || roleLower.startsWith('model')) ? 'assistant' : 'user';
+        const previousTurn = turns[turns.length - 1];
+        if (previousTurn && previousTurn.role === role) previousTurn.content += `\n\n${msg.content}`;
+        else turns.push({ role, content: msg.content });
+    }
+    if (turns.length === 0 || turns[0].role !== 'user') turns.unshift({ role: 'user', content: 'Continue.' });
+    return { system: systemParts.join('\n\n'), turns };
+}
+
+const FINISH_REASONS = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'max_tokens', refusal: 'safety' };
+
+module.exports = {
+    name: 'anthropic',
+    defaultModel: 'claude-3-5-haiku-latest',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    requiresApiKey: () => true,
+
+    buildRequest(messages, modelName, generationArgs, apiKey) {
+        const { system, turns } = mapMessagesForAnthropic(messages);
+        const systemParts = system ? [system] : [];
+        if (generationArgs.responseSchema) {
+            systemParts.push(`Respond with a single JSON object matching this JSON schema:\n${JSON.stringify(generationArgs.responseSchema, null, 2)}`);
+        }
+        if (turns[turns.length - 1].role === 'user') turns.push({ role: 'assistant', content: JSON_PREFILL });
+
+        const body = {
+            model: modelName,
+            max_tokens: generationArgs.maxOutputTokens ?? 2048,
+            temperature: generationArgs.temperature ?? 0.3,
+            messages: turns
+        };
+        if (systemParts.length > 0) body.system = systemParts.join('\n\n');
+        const headers = { 'Content-Type': 'application/json', 'anthropic-version': API_VERSION };
+        if (apiKey) headers['x-api-key'] = apiKey;
+        return { url: `${getBaseUrl(generationArgs)}/messages`, headers, body };
+    },
+
+    // requestBody: to put the prefilled "{" back in front of the reply
+    parseResponse(responseJson, requestBody) {
+        const textBlocks = (responseJson?.content || []).filter(block => block.type === 'text').map(block => block.text);
+        const lastTurn = requestBody?.messages?.[requestBody.messages.length - 1];
+        const prefill = lastTurn && lastTurn.role === 'assistant' ? lastTurn.content : '';
+        const usage = responseJson?.usage;
+        return {
+            text: textBlocks.length > 0 ? prefill + textBlocks.join('') : undefined,
+            finishReason: responseJson?.stop_reason ? (FINISH_REASONS[responseJson.stop_reason] || 'other') : undefined,
+            rawFinishReason: responseJson?.stop_reason,
+            usage: usage ? {
+                prompt_tokens: usage.input_tokens || 0,
+                completion_tokens: usage.output_tokens || 0,
+                total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+            } : undefined
+        };
+    },
+
+    // The text of a reply to a prefilled request starts after the prefill
+    formatResponse({ text, finishReason, usage }) {
+        const rawFinishReason = Object.keys(FINISH_REASONS).find(raw => FINISH_REASONS[raw] === finishReason) || finishReason;
+        const replyText = text !== undefined && text.startsWith(JSON_PREFILL) ? text.slice(JSON_PREFILL.length) : text;
+        const body = { type: 'message', role: 'assistant', content: replyText !== undefined ? [{ type: 'text', text: replyText }] : [], stop_reason: rawFinishReason };
+        if (usage) body.usage = { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens };
+        return body;
+    },
+};
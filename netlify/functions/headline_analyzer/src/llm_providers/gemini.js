@@ -0,0 +1,103 @@
+// src/llm_providers/gemini.js
+// Google Gemini (generateContent). JSON mode: response_mime_type, plus response_schema when the node has an outputSchema.
+
+const API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Gemini has no system role in "contents": system and developer messages go in "systemInstruction"
+// (as user turns for models without it); assistant turns, e.g. few-shot example replies, become "model" turns
+function mapMessagesForGemini(messages, useSystemInstruction) {
+    const systemParts = [];
+    const contents = [];
+    for (const msg of messages) {
+        const roleLower = msg.role.toLowerCase();
+        if (useSystemInstruction && (roleLower.startsWith('system') || roleLower.startsWith('developer'))) {
+            systemParts.push({ text: msg.content });
+            continue;
+        }
+        const geminiRole = (roleLower.startsWith('assistant') || roleLower.startsWith('ai') || roleLower.startsWith('model')) ? 'model' : 'user';
+        contents.push({ role: geminiRole, parts: [{ text: msg.content }] });
+    }
+    return { systemInstruction: systemParts.length > 0 ? { parts: systemParts } : undefined, contents };
+}
+
+// Gemini's responseSchema is an OpenAPI subset: uppercase types, no type unions, no minLength/additionalProperties.
+function toGeminiResponseSchema(schema) {
+    if (!schema || typeof schema !== 'object') return undefined;
+    const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+    const nonNullTypes = types.filter(type => type !== 'null');
+
+    const geminiSchema = {};
+    if (nonNullTypes.length > 0) geminiSchema.type = nonNullTypes[0].toUpperCase();
+    if (schema.nullable || types.includes('null')) geminiSchema.nullable = true;
+    if (schema.description) geminiSchema.description = schema.description;
+    if (schema.enum) geminiSchema.enum = schema.enum.map(String);
+    if (schema.required) geminiSchema.required = schema.required;
+    if (schema.minItems !== undefined) geminiSchema.minItems = schema.minItems;
+    if (schema.items) geminiSchema.items = toGeminiResponseSchema(schema.items);
+    if (schema.properties) {
+        geminiSchema.properties = {};
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+            geminiSchema.properties[key] = toGeminiResponseSchema(propertySchema);
+        }
+    }
+    return geminiSchema;
+}
+
+// Gemini 1.0 models accept neither responseSchema nor systemInstruction.
+function isGemini10Model(modelName) {
+    return /^gemini-(1\.0|pro$)/.test(modelName);
+}
+
+const FINISH_REASONS = { STOP: 'stop', MAX_TOKENS: 'max_tokens', SAFETY: 'safety', RECITATION: 'recitation' };
+
+module.exports = {
+    name: 'gemini',
+    defaultModel: 'gemini-1.5-flash-latest',
+    apiKeyEnv: 'GEMINI_API_KEY',
+    requiresApiKey: () => true,
+
+    buildRequest(messages, modelName, generationArgs, apiKey) {
+        const { systemInstruction, contents } = mapMessagesForGemini(messages, !isGemini10Model(modelName));
+        const body = {
+            contents,
+            generationConfig: {
+                temperature: generationArgs.temperature ?? 0.3,
+                maxOutputTokens: generationArgs.maxOutputTokens ?? 2048,
+                response_mime_type: "application/json"
+            }
+        };
+        if (systemInstruction) body.systemInstruction = systemInstruction;
+        if (generationArgs.responseSchema && !isGemini10Model(modelName)) {
+            body.generationConfig.response_schema = toGeminiResponseSchema(generationArgs.responseSchema);
+        }
+        return {
+            url: `${generationArgs.baseUrl || API_BASE_URL}/models/${modelName}:generateContent`,
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+            body
+        };
+    },
+
+    parseResponse(responseJson) {
+        const candidate = responseJson?.candidates?.[0];
+        const usageMetadata = responseJson?.usageMetadata;
+        return {
+            text: candidate?.content?.parts?.[0]?.text,
+            finishReason: candidate?.finishReason ? (FINISH_REASONS[candidate.finishReason] || 'other') : undefined,
+            rawFinishReason: candidate?.finishReason,
+            usage: usageMetadata ? {
+                prompt_tokens: usageMetadata.promptTokenCount || 0,
+                completion_tokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0), // Thinking tokens are billed as output
+                total_tokens: usageMetadata.totalTokenCount
+            } : undefined
+        };
+    },
+
+    formatResponse({ text, finishReason, usage }) {
+        const rawFinishReason = Object.keys(FINISH_REASONS).find(raw => FINISH_REASONS[raw] === finishReason) || finishReason.toUpperCase();
+        const candidate = { finishReason: rawFinishReason };
+        if (text !== undefined) candidate.content = { parts: [{ text }], role: 'model' };
+        const body = { candidates: [candidate] };
+        if (usage) body.usageMetadata = { promptTokenCount: usage.prompt_tokens, candidatesTokenCount: usage.completion_tokens, totalTokenCount: usage.total_tokens };
+        return body;
+    },
+};
@@ -0,0 +1,46 @@
+// src/llm_providers/index.js
+// Model API adapters. A promptConfig picks one with "provider" (default: gemini) and "model" (default: the
+// provider's defaultModel); "baseUrl" points a provider at another endpoint (e.g. a local OpenAI-compatible server).
+// An adapter turns the rendered messages into one HTTP request and reads the reply back:
+//   name, defaultModel, apiKeyEnv
+//   requiresApiKey(generationArgs)                            - false e.g. for a local server
+//   buildRequest(messages, modelName, generationArgs, apiKey) -> { url, headers, body }  (role mapping, JSON mode)
+//   parseResponse(responseJson, requestBody)                  -> { text, finishReason, rawFinishReason, usage }
+//   formatResponse({ text, finishReason, usage })             -> a response body (for mock_llm_provider.js)
+// finishReason is normalized to stop | max_tokens | safety | recitation | other; usage to
+// { prompt_tokens, completion_tokens, total_tokens }.
+
+const gemini = require('./gemini');
+const openaiCompatible = require('./openai_compatible');
+const anthropic = require('./anthropic');
+
+const DEFAULT_PROVIDER = 'gemini';
+
+const providers = {
+    [gemini.name]: gemini,
+    [openaiCompatible.name]: openaiCompatible,
+    [anthropic.name]: anthropic,
+};
+
+function listProviderNames() {
+    return Object.keys(providers);
+}
+
+/**
+ * @param {string} [providerName=DEFAULT_PROVIDER]
+ * @returns {object} The adapter.
+ * @throws {Error} For an unknown provider (graph_validator.js reports these before a graph is built).
+ */
+function getProvider(providerName = DEFAULT_PROVIDER) {
+    const provider = providers[providerName];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider '${providerName}'. Available: ${listProviderNames().join(', ')}.`);
+    }
+    return provider;
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    getProvider,
+    listProviderNames,
+};
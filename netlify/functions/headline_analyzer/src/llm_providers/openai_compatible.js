@@ -0,0 +1,80 @@
+// src/llm_providers/openai_compatible.js
+// OpenAI chat completions, and any server speaking the same API (llama.cpp's server, Ollama, vLLM, ...).
+// The endpoint is OPENAI_BASE_URL (default https://api.openai.com/v1) or the promptConfig's "baseUrl",
+// e.g. http://localhost:11434/v1 for Ollama. Local servers need no OPENAI_API_KEY.
+// JSON mode: response_format json_schema when the node has an outputSchema, json_object otherwise.
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+function getBaseUrl(generationArgs) {
+    return (generationArgs.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+// Developer instructions go in as system messages: not every compatible server knows the "developer" role
+function mapMessagesForOpenAI(messages) {
+    return messages.map(msg => {
+        const roleLower = msg.role.toLowerCase();
+        let role = 'user';
+        if (roleLower.startsWith('system') || roleLower.startsWith('developer')) role = 'system';
+        else if (roleLower.startsWith('assistant') || roleLower.startsWith('ai') || roleLower.startsWith('model')) role = 'assistant';
+        return { role, content: msg.content };
+    });
+}
+
+// outputSchema's "nullable" is not JSON Schema; it becomes a "null" type
+function toStandardJsonSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const { nullable, ...standardSchema } = schema;
+    if (nullable && standardSchema.type) {
+        const types = Array.isArray(standardSchema.type) ? standardSchema.type : [standardSchema.type];
+        standardSchema.type = types.includes('null') ? types : [...types, 'null'];
+    }
+    if (standardSchema.items) standardSchema.items = toStandardJsonSchema(standardSchema.items);
+    if (standardSchema.properties) {
+        standardSchema.properties = Object.fromEntries(Object.entries(standardSchema.properties)
+            .map(([key, propertySchema]) => [key, toStandardJsonSchema(propertySchema)]));
+    }
+    return standardSchema;
+}
+
+const FINISH_REASONS = { stop: 'stop', length: 'max_tokens', content_filter: 'safety' };
+
+module.exports = {
+    name: 'openai',
+    defaultModel: 'gpt-4o-mini',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresApiKey: (generationArgs) => getBaseUrl(generationArgs) === DEFAULT_BASE_URL,
+
+    buildRequest(messages, modelName, generationArgs, apiKey) {
+        const body = {
+            model: modelName,
+            messages: mapMessagesForOpenAI(messages),
+            temperature: generationArgs.temperature ?? 0.3,
+            max_tokens: generationArgs.maxOutputTokens ?? 2048,
+            response_format: generationArgs.responseSchema
+                ? { type: 'json_schema', json_schema: { name: 'output', schema: toStandardJsonSchema(generationArgs.responseSchema) } }
+                : { type: 'json_object' }
+        };
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+        return { url: `${getBaseUrl(generationArgs)}/chat/completions`, headers, body };
+    },
+
+    parseResponse(responseJson) {
+        const choice = responseJson?.choices?.[0];
+        const usage = responseJson?.usage;
+        return {
+            text: choice?.message?.content,
+            finishReason: choice?.finish_reason ? (FINISH_REASONS[choice.finish_reason] || 'other') : undefined,
+            rawFinishReason: choice?.finish_reason,
+            usage: usage ? { prompt_tokens: usage.prompt_tokens || 0, completion_tokens: usage.completion_tokens || 0, total_tokens: usage.total_tokens } : undefined
+        };
+    },
+
+    formatResponse({ text, finishReason, usage }) {
+        const rawFinishReason = Object.keys(FINISH_REASONS).find(raw => FINISH_REASONS[raw] === finishReason) || finishReason;
+        const body = { choices: [{ index: 0, message: { role: 'assistant', content: text ?? null }, finish_reason: rawFinishReason }] };
+        if (usage) body.usage = usage;
+        return body;
+    },
+};
@@ -1,5 +1,9 @@
 // src/llm_utils.js
 const fetch = require('node-fetch');
+const { getMockMode, mockModelRequest, recordModelExchange } = require('./mock_llm_provider');
+const { toUsageRecord } = require('./usage_accounting');
+const { getProvider } = require('./llm_providers');
+const { renderTemplate } = require('./utils/templateEngine');
 
 function extractAndParseJson(text) {
     if (!text || typeof text !== 'string') {
@@ -44,129 +48,130 @@ function extractAndParseJson(text) {
 }
 
 
-function renderTemplate(templateString, data) {
-    if (typeof templateString !== 'string') {
-        console.warn("renderTemplate: templateString is not a string", templateString);
-        return ""; // Return empty string for invalid templates
-    }
-    let rendered = templateString;
-    // Simpler {{variable}} replacement. Your existing one is more complex.
-    // This basic one assumes data keys don't contain regex special characters.
-    for (const key in data) {
-        if (data.hasOwnProperty(key)) {
-            const value = data[key];
-            // Ensure value is stringifiable for the template
-            const stringValue = (typeof value === 'object' && value !== null) ? JSON.stringify(value, null, 2) : String(value);
-            const regex = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-            rendered = rendered.replace(regex, stringValue);
-        }
-    }
-    return rendered;
+// Few-shot examples ("examples": [{ "input": "...", "output": {...} }]) become real user/assistant turns between
+// the instructions and the input. "input" is the user turn as userInputTemplate would render it; an object
+// "output" is sent as the JSON reply the model should give.
+function buildExampleMessages(examples) {
+    if (!Array.isArray(examples)) return [];
+    return examples.flatMap(example => [
+        { role: 'user', content: example.input },
+        { role: 'assistant', content: typeof example.output === 'string' ? example.output : JSON.stringify(example.output, null, 2) }
+    ]);
 }
 
 // This function now takes the 'promptConfig' from graph_config.json's nodeDefinition
 // and the current 'state'. It constructs the messages array.
-function buildMessagesFromPromptConfig(promptConfig, state, nodeSpecificArgs = {}) {
+// Templates are rendered by utils/templateEngine.js. With "strictTemplates" (on the promptConfig, or the graph-wide
+// default passed in options) a missing variable throws a TemplateError instead of staying in the prompt as written.
+function buildMessagesFromPromptConfig(promptConfig, state, nodeSpecificArgs = {}, { strictTemplates = false, label } = {}) {
     if (!promptConfig || !promptConfig.systemMessage || !promptConfig.userInputTemplate) {
         console.error("buildMessagesFromPromptConfig: promptConfig is incomplete.", promptConfig);
         return [{ role: 'user', parts: [{ text: "Error: Prompt configuration is incomplete." }] }]; // Return error message
     }
 
     const templateData = { ...state, ...nodeSpecificArgs }; // Combine state with any specific args for this node
+    const strict = promptConfig.strictTemplates ?? strictTemplates;
+    const render = (field) => renderTemplate(promptConfig[field], templateData, { strict, label: label ? `${label} ${field}` : field });
 
     const messages = [];
 
     if (promptConfig.systemMessage) {
         messages.push({
-            role: 'system', // This will be mapped to 'user' for Gemini later
-            content: renderTemplate(promptConfig.systemMessage, templateData)
+            role: 'system', // Mapped per provider (see llm_providers/)
+            content: render('systemMessage')
         });
     }
     if (promptConfig.developerInstructionsTemplate) {
         messages.push({
-            role: 'developer', // Mapped to 'user'
-            content: renderTemplate(promptConfig.developerInstructionsTemplate, templateData)
+            role: 'developer', // Sent with the system message where the provider has a place for it
+            content: render('developerInstructionsTemplate')
         });
     }
+    messages.push(...buildExampleMessages(promptConfig.examples));
     if (promptConfig.userInputTemplate) {
         messages.push({
             role: 'user',
-            content: renderTemplate(promptConfig.userInputTemplate, templateData)
+            content: render('userInputTemplate')
         });
     }
     return messages;
 }
 
 
-// This function adapts message roles for the Gemini API
-function mapMessagesForGemini(messagesFromBuilder) {
-    if (!Array.isArray(messagesFromBuilder)) {
-        console.error("mapMessagesForGemini: input is not an array", messagesFromBuilder);
-        return [{ role: 'user', parts: [{ text: "Error: Invalid message array." }] }];
-    }
-
-    return messagesFromBuilder.map(msg => {
-        if (!msg || typeof msg.role !== 'string' || typeof msg.content !== 'string') {
-            console.warn("mapMessagesForGemini: Invalid message structure:", msg);
-            return { role: 'user', parts: [{ text: `Error: Malformed message. Role: ${msg?.role}` }] };
-        }
+// Model settings from a promptConfig: which provider and model (see llm_providers/), and how to generate.
+// generationArgs also carries the provider and endpoint, so they are part of the LLM cache key.
+function getModelSettings(promptConfig = {}) {
+    const generationArgs = {
+        temperature: promptConfig.temperature ?? 0.3,
+        maxOutputTokens: promptConfig.maxOutputTokens ?? 2048
+    };
+    if (promptConfig.provider) generationArgs.provider = promptConfig.provider;
+    if (promptConfig.baseUrl) generationArgs.baseUrl = promptConfig.baseUrl;
+    return { modelName: promptConfig.model, generationArgs };
+}
 
-        let geminiRole = 'user'; // Default
-        const roleLower = msg.role.toLowerCase();
+function isValidMessageList(messages) {
+    return Array.isArray(messages) && messages.every(msg => msg && typeof msg.role === 'string' && typeof msg.content === 'string');
+}
 
-        if (roleLower.startsWith('system') || roleLower.startsWith('developer')) {
-            geminiRole = 'user';
-        } else if (roleLower.startsWith('assistant') || roleLower.startsWith('ai') || roleLower.startsWith('model')) {
-            geminiRole = 'model';
-        } else if (roleLower === 'user') {
-            geminiRole = 'user';
-        }
-        // else, it's 'user' by default. Could add a warning for unknown roles.
 
-        return {
-            role: geminiRole,
-            parts: [{ text: msg.content }]
-        };
-    });
+// Maps an HTTP status from the model API to an error class (see retry_policy.js for which classes are retriable).
+function classifyHttpStatus(status) {
+    if (status === 429) return 'rate_limit';
+    if (status === 408) return 'timeout';
+    if (status >= 500) return 'server_error';
+    return 'client_error';
 }
 
-
+// Every error result from callModel carries an errorClass:
+// config | rate_limit | server_error | client_error | network | timeout | safety | empty_response | parse_error
 async function callModel(
     messages, // This will be the array from buildMessagesFromPromptConfig
-    modelName = 'gemini-1.5-flash-latest', // modelName from promptConfig or default
-    generationArgs = {} // temperature, maxOutputTokens from promptConfig or defaults
+    modelName, // model from promptConfig; defaults to the provider's defaultModel
+    generationArgs = {}, // provider, baseUrl, temperature, maxOutputTokens (and optionally responseSchema); see getModelSettings
+    requestOptions = {} // timeoutMs: abort this single request after N ms (0/undefined = no timeout); label: node/task id;
+                        // onUsage: called with the response's token usage (see usage_accounting.js), when it reports any;
+                        // sampleIndex: of an ensemble sample, part of the mock's request hash (see mock_llm_provider.js)
 ) {
-    if (!process.env.GEMINI_API_KEY) {
-        return { error: 'Missing GEMINI_API_KEY', rawContent: '' };
+    let provider, mockMode;
+    try {
+        provider = getProvider(generationArgs.provider);
+        mockMode = getMockMode(); // See mock_llm_provider.js; an unknown LLM_MOCK_MODE is a config error, not retried
+    } catch (error) {
+        return { error: error.message, errorClass: 'config', rawContent: '' };
+    }
+    modelName = modelName || provider.defaultModel;
+    const apiKey = process.env[provider.apiKeyEnv];
+    if (!apiKey && provider.requiresApiKey(generationArgs) && mockMode !== 'replay') { // Replay needs no API key
+        return { error: `Missing ${provider.apiKeyEnv}`, errorClass: 'config', rawContent: '' };
     }
-    const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent`;
-
-    const geminiContents = mapMessagesForGemini(messages);
 
-    // Check if mapping introduced errors
-    if (geminiContents.some(c => c.parts[0].text.startsWith("Error:"))) {
-        console.error("callModel: Error during message role mapping for Gemini.", geminiContents);
-        return { error: "Internal error: Malformed message structure for LLM after role mapping.", rawContent: JSON.stringify(geminiContents) };
+    if (!isValidMessageList(messages)) {
+        console.error("callModel: Malformed message structure for LLM.", messages);
+        return { error: "Internal error: Malformed message structure for LLM.", errorClass: 'config', rawContent: JSON.stringify(messages) };
     }
+    const request = provider.buildRequest(messages, modelName, generationArgs, apiKey); // Role mapping and JSON mode
+    // console.log(`[LLM_UTILS] Calling ${provider.name}/${modelName} with payload:`, JSON.stringify(request.body, null, 2).substring(0,500));
 
-    const payload = {
-        contents: geminiContents,
-        generationConfig: {
-            temperature: generationArgs.temperature || 0.3,
-            maxOutputTokens: generationArgs.maxOutputTokens || 2048,
-            response_mime_type: "application/json"
-        }
-    };
-    // console.log(`[LLM_UTILS] Calling ${modelName} with payload:`, JSON.stringify(payload, null, 2).substring(0,500));
+    const abortController = requestOptions.timeoutMs > 0 ? new AbortController() : null;
+    const timeoutHandle = abortController ? setTimeout(() => abortController.abort(), requestOptions.timeoutMs) : null;
 
     try {
-        const res = await fetch(API_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': process.env.GEMINI_API_KEY },
-            body: JSON.stringify(payload)
-        });
+        const signal = abortController ? abortController.signal : undefined;
+        const res = mockMode === 'replay'
+            ? await mockModelRequest({ provider, modelName, messages, label: requestOptions.label, sampleIndex: requestOptions.sampleIndex, signal })
+            : await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal
+            });
 
         const responseBodyText = await res.text(); // Get text first for better error details
+        if (timeoutHandle) clearTimeout(timeoutHandle);
+        if (mockMode === 'record') {
+            recordModelExchange({ provider, modelName, messages, label: requestOptions.label, sampleIndex: requestOptions.sampleIndex, status: res.status, body: responseBodyText });
+        }
 
         if (!res.ok) {
             console.error(`Model API error: ${res.status}. Response body: ${responseBodyText.substring(0, 500)}`);
@@ -175,24 +180,26 @@ async function callModel(
                 const errorJson = JSON.parse(responseBodyText); // Try to parse if it's JSON error
                 errorDetail = JSON.stringify(errorJson.error || errorJson);
             } catch (e) { /* already have text */ }
-            return { error: `Model API error: ${res.status}. Details: ${errorDetail}`, rawContent: responseBodyText };
+            return { error: `Model API error: ${res.status}. Details: ${errorDetail}`, errorClass: classifyHttpStatus(res.status), httpStatus: res.status, rawContent: responseBodyText };
         }
 
         const responseJson = JSON.parse(responseBodyText); // Parse if res.ok
-        const rawContent = responseJson?.candidates?.[0]?.content?.parts?.[0]?.text;
-        const finishReason = responseJson?.candidates?.[0]?.finishReason;
-
-        if (finishReason && finishReason !== "STOP" && finishReason !== "MAX_TOKENS") {
-             console.warn(`Gemini generation for ${modelName} finished with reason: ${finishReason}.`);
-             let errMessage = `Content generation stopped due to: ${finishReason}.`;
-             if (finishReason === "SAFETY") errMessage = "Content generation stopped due to safety settings.";
-             else if (finishReason === "RECITATION") errMessage = "Content generation stopped due to recitation policy.";
-             return { error: errMessage, rawContent: rawContent || `Blocked by ${finishReason}.`, fullResponse: responseJson };
+        const { text: rawContent, finishReason, rawFinishReason, usage } = provider.parseResponse(responseJson, request.body);
+        if (usage && requestOptions.onUsage) {
+            requestOptions.onUsage(toUsageRecord(modelName, usage)); // Blocked responses are billed too
+        }
+
+        if (finishReason && finishReason !== "stop" && finishReason !== "max_tokens") {
+             console.warn(`${provider.name} generation for ${modelName} finished with reason: ${rawFinishReason}.`);
+             let errMessage = `Content generation stopped due to: ${rawFinishReason}.`;
+             if (finishReason === "safety") errMessage = "Content generation stopped due to safety settings.";
+             else if (finishReason === "recitation") errMessage = "Content generation stopped due to recitation policy.";
+             return { error: errMessage, errorClass: 'safety', rawContent: rawContent || `Blocked by ${rawFinishReason}.`, fullResponse: responseJson };
         }
 
         if (typeof rawContent !== 'string' || rawContent.trim() === '') {
             console.warn('Received empty or non-string content from model:', responseJson);
-            return { error: "Model returned empty or invalid content", rawContent: rawContent || '', fullResponse: responseJson };
+            return { error: "Model returned empty or invalid content", errorClass: 'empty_response', rawContent: rawContent || '', fullResponse: responseJson };
         }
 
         const parsedJson = extractAndParseJson(rawContent); // Use your robust parser
@@ -200,11 +207,16 @@ async function callModel(
             return parsedJson;
         } else {
             console.error('Failed to parse JSON from model response. Raw content:', rawContent.substring(0, 500));
-            return { error: "Failed to parse JSON response from model", rawContent: rawContent };
+            return { error: "Failed to parse JSON response from model", errorClass: 'parse_error', rawContent: rawContent };
         }
     } catch (error) {
+        if (timeoutHandle) clearTimeout(timeoutHandle);
+        if (error.name === 'AbortError') {
+            console.error(`Model call to ${modelName} timed out after ${requestOptions.timeoutMs}ms.`);
+            return { error: `Model call timed out after ${requestOptions.timeoutMs}ms`, errorClass: 'timeout', rawContent: '' };
+        }
         console.error('Error calling model or processing response:', error);
-        return { error: `Network or unexpected error in callModel: ${error.message}`, rawContent: '' };
+        return { error: `Network or unexpected error in callModel: ${error.message}`, errorClass: 'network', rawContent: '' };
     }
 }
 
@@ -212,5 +224,7 @@ module.exports = {
     extractAndParseJson, // Keep your robust one
     callModel,
     buildMessagesFromPromptConfig, // New helper
-    renderTemplate // Keep your template renderer
+    buildExampleMessages,
+    getModelSettings,
+    renderTemplate // Re-exported from utils/templateEngine.js
 };
\ No newline at end of file
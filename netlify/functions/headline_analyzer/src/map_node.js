@@ -0,0 +1,134 @@
+// src/map_node.js
+// The "map" node type: runs one LLM task, or one subgraph, per element of an array in state (e.g. every
+// headline of a story cluster) and collects the results into an array under "stateOutputKey", in item order.
+// At most "concurrency" items run at once. A failing item gets { error } in its slot; the other items are
+// unaffected. Each run sees the current item as "item" and its position as "itemIndex": in prompt templates
+// ({{item}}) for an LLM task, or as inputMapping paths ("item", "item.headline") for a subgraph.
+
+const { buildMessagesFromPromptConfig, getModelSettings } = require('./llm_utils');
+const { TemplateError } = require('./utils/templateEngine');
+const { resolveRetryPolicy } = require('./retry_policy');
+const { callModelForStructuredOutput } = require('./structured_output');
+const { resolvePath } = require('./utils/objectPathUtils');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { namespaceKeys, getChildRunConfig } = require('./subgraph_node');
+
+const DEFAULT_MAP_CONCURRENCY = 4;
+
+// Log/attempt id for one item, e.g. "cluster_flipper[2]"
+function itemId(nodeConfig, index) {
+    return `${nodeConfig.id}[${index}]`;
+}
+
+// One LLM call for one item. Returns { output, attempts, errors }.
+async function runTaskForItem(state, nodeConfig, graphContext, item, index) {
+    const { promptConfig } = nodeConfig.task;
+    const templateArgs = { ...state };
+    for (const [argName, stateKey] of Object.entries(nodeConfig.stateInputArgs || {})) {
+        templateArgs[argName] = resolvePath(state, stateKey);
+    }
+    templateArgs.item = item;
+    templateArgs.itemIndex = index;
+
+    let messages;
+    try {
+        messages = buildMessagesFromPromptConfig(promptConfig, state, templateArgs, {
+            strictTemplates: graphContext.graphConfig?.strictTemplates,
+            label: itemId(nodeConfig, index)
+        });
+    } catch (error) {
+        if (!(error instanceof TemplateError)) throw error;
+        const message = `Template error: ${error.message}`;
+        return { output: { error: message, errorClass: 'config', rawContent: '' }, attempts: {}, errors: [message] };
+    }
+    const { modelName, generationArgs } = getModelSettings(promptConfig);
+    // Task policy overrides the map node's, which overrides the graph-wide default
+    const retryPolicy = resolveRetryPolicy(graphContext.graphConfig?.defaultRetryPolicy, nodeConfig.retryPolicy, nodeConfig.task.retryPolicy);
+    const { result, attempts } = await callModelForStructuredOutput(messages, modelName, generationArgs, {
+        retryPolicy,
+        outputSchema: promptConfig.outputSchema,
+        maxReasks: promptConfig.maxReasks,
+        useNativeResponseSchema: promptConfig.useNativeResponseSchema,
+        label: itemId(nodeConfig, index),
+        cache: nodeConfig.task.cache ?? nodeConfig.cache
+    });
+    return {
+        output: result,
+        attempts: { [itemId(nodeConfig, index)]: attempts },
+        errors: result.error ? [result.error] : []
+    };
+}
+
+// One child graph run for one item. Returns { output, attempts, errors }.
+async function runSubgraphForItem(state, nodeConfig, childGraph, item, index, config) {
+    const { inputMapping = {}, outputMapping } = nodeConfig.subgraph;
+    const itemScope = { ...state, item, itemIndex: index };
+    const childInput = {};
+    for (const [childKey, parentPath] of Object.entries(inputMapping)) {
+        childInput[childKey] = resolvePath(itemScope, parentPath);
+    }
+
+    const childState = await childGraph.app.invoke(childInput, getChildRunConfig(config));
+    let output = childState;
+    if (outputMapping) {
+        output = {};
+        for (const [outputKey, childPath] of Object.entries(outputMapping)) {
+            const value = resolvePath(childState, childPath);
+            if (value !== undefined) output[outputKey] = value;
+        }
+    }
+    return {
+        output,
+        attempts: namespaceKeys(itemId(nodeConfig, index), childState.llm_call_attempts),
+        errors: childState.error_messages || []
+    };
+}
+
+/**
+ * The LangGraph node function for a map node.
+ * @param {object} nodeConfig - The map node definition.
+ * @param {object} graphContext - See graph_builder.js.
+ * @param {{app: object, graphId: string}} [childGraph] - The compiled child graph, for a node with "subgraph".
+ * @returns {function(object, object): Promise<object>}
+ */
+function createMapNodeFunction(nodeConfig, graphContext, childGraph) {
+    return async (state, config) => {
+        console.log(`--- Running Map Node: ${nodeConfig.displayName} (ID: ${nodeConfig.id}) ---`);
+        const items = resolvePath(state, nodeConfig.itemsKey);
+        if (!Array.isArray(items)) {
+            const message = `'${nodeConfig.itemsKey}' is ${items === undefined ? 'not set' : 'not an array'}; nothing to map over.`;
+            console.warn(`${nodeConfig.id}: ${message}`);
+            return { [nodeConfig.stateOutputKey]: [], error_messages: [`${nodeConfig.displayName}: ${message}`] };
+        }
+
+        const update = { error_messages: [], llm_call_attempts: {} };
+        const concurrency = nodeConfig.concurrency || DEFAULT_MAP_CONCURRENCY;
+        update[nodeConfig.stateOutputKey] = await mapWithConcurrency(items, concurrency, async (item, index) => {
+            const label = `${nodeConfig.displayName} [item ${index}]`;
+            let itemResult;
+            try {
+                itemResult = childGraph
+                    ? await runSubgraphForItem(state, nodeConfig, childGraph, item, index, config)
+                    : await runTaskForItem(state, nodeConfig, graphContext, item, index);
+            } catch (error) {
+                // Isolate the failure to this item's slot
+                console.error(`${itemId(nodeConfig, index)} failed:`, error);
+                itemResult = { output: { error: error.message }, attempts: {}, errors: [error.message] };
+            }
+            Object.assign(update.llm_call_attempts, itemResult.attempts);
+            itemResult.errors.forEach(message => update.error_messages.push(`${label}: ${message}`));
+            // When streaming (see graph_streaming.js), report each item as it completes instead of with the whole map.
+            // "attempts" is keyed by attempt log id here, since a subgraph item logs one entry per child LLM node.
+            if (config && config.writer) {
+                config.writer({ node: nodeConfig.id, task: itemId(nodeConfig, index), stateKey: nodeConfig.stateOutputKey, itemIndex: index, output: itemResult.output, attempts: itemResult.attempts });
+            }
+            return itemResult.output;
+        });
+        return update;
+    };
+}
+
+module.exports = {
+    DEFAULT_MAP_CONCURRENCY,
+    createMapNodeFunction,
+};
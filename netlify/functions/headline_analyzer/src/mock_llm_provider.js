@@ -0,0 +1,199 @@
+// src/mock_llm_provider.js
+// Offline stand-in for the model APIs, so tests and demos run without API keys or network access.
+// Selected with LLM_MOCK_MODE:
+//   (unset)  - live calls, as before
+//   "record" - live calls, and every request/response pair is saved to LLM_MOCK_DIR as <hash>.json, keyed by
+//              a hash of the provider, the model name and the rendered messages (and the sample index of an
+//              ensemble sample, so each sample replays its own response)
+//   "replay" - no network: scripted fixtures (LLM_MOCK_FIXTURES) first, then recorded pairs, then the fixtures'
+//              "default"; a request that matches none of them gets an HTTP 404 (a non-retriable client_error)
+// The mock answers at the HTTP level (status + response body, in the provider's wire format; see llm_providers/),
+// so callModel's parsing, safety and error handling run exactly as they do for live responses.
+//
+// Fixtures file (JSON):
+//   {
+//     "fixtures": [
+//       { "label": "cognitive_frames_analyzer", "response": { "finishReason": "safety" } },
+//       { "match": "Process this text", "responses": [ { "text": "{not json" }, { "json": { ... } } ] }
+//     ],
+//     "default": { "json": { ... } }
+//   }
+// A fixture applies when all of its "label" (node/task id), "provider", "model", "sample" (ensemble sample index),
+// "match" (substring of the rendered messages, or an array of substrings that must all be there) and "hash" match; the first one that
+// applies is used. "responses" are served in order, the last one repeating. A response is:
+//   { "json": {...} } or { "text": "..." }  - a reply with that content ("text" can be malformed JSON)
+//   "finishReason": "safety"                - with either of the above (or alone) for a blocked reply; also
+//                                             max_tokens, recitation, or a provider's own reason
+//   { "status": 429, "body": ... }           - an HTTP error
+//   { "networkError": "ECONNRESET" }         - the request fails without a response
+//   "delayMs": 5000                          - with any of the above; honours callModel's timeout
+//   "usage": { "prompt_tokens": 120, "completion_tokens": 40 } - with a reply, for token accounting
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MOCK_MODES = ['record', 'replay'];
+const DEFAULT_RECORDINGS_DIR = path.resolve(__dirname, '../llm_recordings');
+
+function getMockMode() {
+    const mode = process.env.LLM_MOCK_MODE;
+    if (!mode) return undefined;
+    if (!MOCK_MODES.includes(mode)) {
+        throw new Error(`Unknown LLM_MOCK_MODE '${mode}'. Available: ${MOCK_MODES.join(', ')}.`);
+    }
+    return mode;
+}
+
+// In replay mode no request leaves the process, so no API key is needed
+function isOfflineMode() {
+    return getMockMode() === 'replay';
+}
+
+function getRecordingsDir() {
+    return process.env.LLM_MOCK_DIR || DEFAULT_RECORDINGS_DIR;
+}
+
+function renderedText(messages) {
+    return (messages || []).map(msg => msg.content).join('\n');
+}
+
+/**
+ * Key of a request: the provider, the model and the rendered messages (generation settings are not part of it),
+ * plus the sample index of an ensemble sample.
+ * @param {string} providerName
+ * @param {string} modelName
+ * @param {object[]} messages - As passed to callModel (role/content).
+ * @param {number} [sampleIndex] - Left out of the hash when undefined, so plain requests keep their recordings.
+ * @returns {string} Hex SHA-256.
+ */
+function hashModelRequest(providerName, modelName, messages, sampleIndex) {
+    const key = { provider: providerName, model: modelName, messages };
+    if (sampleIndex !== undefined) key.sample = sampleIndex;
+    return crypto.createHash('sha256').update(JSON.stringify(key)).digest('hex');
+}
+
+let loadedFixtures; // { path, fixtures, defaultResponse, callCounts }
+
+function getFixtures() {
+    const fixturesPath = process.env.LLM_MOCK_FIXTURES;
+    if (!fixturesPath) return undefined;
+    if (!loadedFixtures || loadedFixtures.path !== fixturesPath) {
+        const parsed = JSON.parse(fs.readFileSync(path.resolve(fixturesPath), 'utf-8'));
+        loadedFixtures = { path: fixturesPath, fixtures: parsed.fixtures || [], defaultResponse: parsed.default, callCounts: new Map() };
+    }
+    return loadedFixtures;
+}
+
+function fixtureMatches(fixture, request) {
+    if (fixture.label !== undefined && fixture.label !== request.label) return false;
+    if (fixture.provider !== undefined && fixture.provider !== request.providerName) return false;
+    if (fixture.model !== undefined && fixture.model !== request.modelName) return false;
+    if (fixture.sample !== undefined && fixture.sample !== request.sampleIndex) return false;
+    if (fixture.hash !== undefined && fixture.hash !== request.hash) return false;
+    if (fixture.match !== undefined) {
+        const text = renderedText(request.messages);
+        if (![].concat(fixture.match).every(phrase => text.includes(phrase))) return false;
+    }
+    return true;
+}
+
+// The scripted response for a request, or undefined; a fixture's "responses" advance once per matching call
+function findScriptedResponse(request) {
+    const loaded = getFixtures();
+    if (!loaded) return undefined;
+    const fixture = loaded.fixtures.find(candidate => fixtureMatches(candidate, request));
+    if (!fixture) return undefined;
+    const responses = fixture.responses || [fixture.response];
+    const callCount = loaded.callCounts.get(fixture) || 0;
+    loaded.callCounts.set(fixture, callCount + 1);
+    return responses[Math.min(callCount, responses.length - 1)];
+}
+
+// A scripted response as an HTTP status + body, the way the provider's API would send it
+function toHttpResponse(scripted, provider) {
+    if (scripted.status !== undefined && scripted.status !== 200) {
+        return { status: scripted.status, body: typeof scripted.body === 'string' ? scripted.body : JSON.stringify(scripted.body || {}) };
+    }
+    const body = provider.formatResponse({
+        text: scripted.json !== undefined ? JSON.stringify(scripted.json) : scripted.text,
+        finishReason: (scripted.finishReason || 'stop').toLowerCase(),
+        usage: scripted.usage
+    });
+    return { status: 200, body: JSON.stringify(body) };
+}
+
+function readRecording(hash) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(getRecordingsDir(), `${hash}.json`), 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw error;
+    }
+}
+
+function wait(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+        const abortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+        if (signal && signal.aborted) return reject(abortError());
+        const onAbort = () => { clearTimeout(timer); reject(abortError()); };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort); // The signal may outlive this request
+            resolve();
+        }, delayMs);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Answers a model request offline (replay mode), with a fetch-like response.
+ * @param {{provider: object, modelName: string, messages: object[], label?: string, sampleIndex?: number, signal?: AbortSignal}} request
+ *        provider is the llm_providers/ adapter the request is for.
+ * @returns {Promise<{ok: boolean, status: number, text: function(): Promise<string>}>}
+ * @throws Like fetch: for a scripted networkError, or an AbortError when the signal fires during delayMs.
+ */
+async function mockModelRequest({ provider, modelName, messages, label, sampleIndex, signal }) {
+    const request = { providerName: provider.name, modelName, label, sampleIndex, messages, hash: hashModelRequest(provider.name, modelName, messages, sampleIndex) };
+    const scripted = findScriptedResponse(request);
+    const recording = scripted ? undefined : readRecording(request.hash);
+    const response = scripted || (recording ? undefined : getFixtures()?.defaultResponse);
+
+    let httpResponse;
+    if (recording) {
+        httpResponse = { status: recording.status, body: recording.body }; // Replayed as it was received
+    } else if (response) {
+        if (response.delayMs) await wait(response.delayMs, signal);
+        if (response.networkError) throw new Error(response.networkError);
+        httpResponse = toHttpResponse(response, provider);
+    } else {
+        httpResponse = {
+            status: 404,
+            body: JSON.stringify({ error: `LLM_MOCK_MODE=replay: no fixture or recording for ${label || modelName} (${provider.name}, request hash ${request.hash}).` })
+        };
+    }
+    return { ok: httpResponse.status >= 200 && httpResponse.status < 300, status: httpResponse.status, text: async () => httpResponse.body };
+}
+
+/**
+ * Saves a live request/response pair (record mode).
+ * @param {{provider: object, modelName: string, messages: object[], label?: string, sampleIndex?: number, status: number, body: string}} exchange
+ */
+function recordModelExchange({ provider, modelName, messages, label, sampleIndex, status, body }) {
+    const hash = hashModelRequest(provider.name, modelName, messages, sampleIndex);
+    const recording = { provider: provider.name, model: modelName, label, sample: sampleIndex, messages, status, body, recorded_at: new Date().toISOString() };
+    try {
+        fs.mkdirSync(getRecordingsDir(), { recursive: true });
+        fs.writeFileSync(path.join(getRecordingsDir(), `${hash}.json`), JSON.stringify(recording, null, 2));
+    } catch (error) {
+        console.error(`[MOCK_LLM] Could not record response for ${label || modelName}:`, error.message);
+    }
+}
+
+module.exports = {
+    MOCK_MODES,
+    getMockMode,
+    isOfflineMode,
+    hashModelRequest,
+    mockModelRequest,
+    recordModelExchange,
+};
@@ -1,13 +1,41 @@
 // src/node_functions.js
-const { callModel, buildMessagesFromPromptConfig } = require('./llm_utils');
+const { buildMessagesFromPromptConfig, getModelSettings } = require('./llm_utils');
+const { resolveRetryPolicy } = require('./retry_policy');
+const { callModelForStructuredOutput } = require('./structured_output');
 const { saveHeadlineData } = require('./aws_utils');
 const { resolvePath } = require('./utils/objectPathUtils'); // Make sure this path is correct
+const { deriveDbAttributeMapping, deriveResponseKeys } = require('./config_derivation');
+const { TemplateError } = require('./utils/templateEngine');
+const { maskProperNouns, compareMasks } = require('./proper_noun_masker');
+const { revertPlaceholders } = require('./placeholder_integrity');
+const { DEFAULT_REVERT_PATHS, collectPathValues, withPathValue, reportsNoAlternative, isGeneratedHeadline, describeMissingHeadline } = require('./analyzer_output');
+const { extractFacts, compareFacts } = require('./fact_checker');
+const { getLabellingTasks } = require('./frame_taxonomy');
 
-// ... (interpolateTemplate can be removed if renderTemplate from llm_utils is used consistently)
 // ... (resolvePath can be imported from a utils file)
 
+// derivedStateOutputs: state keys set from a path in the node's result, or (missing value or failed node) from
+// fallbackKey / fallbackValue
+function deriveStateOutputs(result, nodeConfig, state) {
+    const update = {};
+    const succeeded = result && !result.error;
+    for (const [derivedKey, V_config] of Object.entries(nodeConfig.derivedStateOutputs || {})) {
+        const value = succeeded ? resolvePath(result, V_config.path) : undefined;
+        if (value !== undefined) {
+            update[derivedKey] = value;
+        } else if (V_config.fallbackKey && state[V_config.fallbackKey] !== undefined) {
+            update[derivedKey] = state[V_config.fallbackKey];
+        } else if (V_config.fallbackValue !== undefined) {
+            update[derivedKey] = V_config.fallbackValue;
+        } else {
+            update[derivedKey] = undefined;
+        }
+    }
+    return update;
+}
+
 // --- Generic LLM Node Function ---
-async function executeLlmAgentNode(state, nodeConfig) {
+async function executeLlmAgentNode(state, nodeConfig, graphContext = {}) {
     console.log(`--- Running LLM Agent Node: ${nodeConfig.displayName} (ID: ${nodeConfig.id}) ---`);
     const { promptConfig } = nodeConfig;
 
@@ -31,20 +59,36 @@ async function executeLlmAgentNode(state, nodeConfig) {
 
 
     // 1. Build messages using promptConfig and current state/args
-    const messages = buildMessagesFromPromptConfig(promptConfig, state, templateArgs);
+    let messages;
+    let templateError;
+    try {
+        messages = buildMessagesFromPromptConfig(promptConfig, state, templateArgs, {
+            strictTemplates: graphContext.graphConfig?.strictTemplates,
+            label: nodeConfig.id
+        });
+    } catch (error) {
+        if (!(error instanceof TemplateError)) throw error;
+        templateError = error;
+    }
     // console.log(`[NODE_FUNCTIONS] Built messages for ${nodeConfig.id}:`, JSON.stringify(messages, null, 2));
 
 
-    // 2. Call the model with these messages
-    // Extract model name and generation args from promptConfig if they exist
-    const modelName = promptConfig.model || 'gemini-1.5-flash-latest';
-    const generationArgs = {
-        temperature: promptConfig.temperature || 0.3,
-        maxOutputTokens: promptConfig.maxOutputTokens || 2048
-    };
-    const llmResult = await callModel(messages, modelName, generationArgs);
-
-    const update = {};
+    // 2. Call the model with these messages (a template error fails the node like any other config error, without a call)
+    // Provider, model name and generation args from promptConfig (provider defaults apply where unset)
+    const { modelName, generationArgs } = getModelSettings(promptConfig);
+    const retryPolicy = resolveRetryPolicy(graphContext.graphConfig?.defaultRetryPolicy, nodeConfig.retryPolicy);
+    const { result: llmResult, attempts } = templateError
+        ? { result: { error: `Template error: ${templateError.message}`, errorClass: 'config', rawContent: '' }, attempts: [] }
+        : await callModelForStructuredOutput(messages, modelName, generationArgs, {
+            retryPolicy,
+            outputSchema: promptConfig.outputSchema,
+            maxReasks: promptConfig.maxReasks,
+            useNativeResponseSchema: promptConfig.useNativeResponseSchema,
+            label: nodeConfig.id,
+            cache: nodeConfig.cache
+        });
+
+    const update = { llm_call_attempts: { [nodeConfig.id]: attempts } };
     if (nodeConfig.stateOutputKey) {
         update[nodeConfig.stateOutputKey] = llmResult;
     } else {
@@ -54,37 +98,8 @@ async function executeLlmAgentNode(state, nodeConfig) {
         else update[`${nodeConfig.id}_error`] = llmResult || { error: "LLM call failed or returned no result." };
     }
 
-    if (llmResult && !llmResult.error) {
-        if (nodeConfig.derivedStateOutputs) {
-            for (const [derivedKey, V_config] of Object.entries(nodeConfig.derivedStateOutputs)) {
-                let value = resolvePath(llmResult, V_config.path); // Use resolvePath from llm_utils
-                if (value !== undefined) {
-                    update[derivedKey] = value;
-                } else if (V_config.fallbackKey && state[V_config.fallbackKey] !== undefined) {
-                    update[derivedKey] = state[V_config.fallbackKey];
-                } else if (V_config.fallbackValue !== undefined) {
-                    update[derivedKey] = V_config.fallbackValue;
-                } else {
-                    update[derivedKey] = undefined;
-                }
-            }
-        }
-    } else {
-        console.warn(`LLM Node ${nodeConfig.id} failed or returned error: ${llmResult?.error}`);
-        // Error already stored in stateOutputKey. Apply fallbacks for derived outputs.
-        if (nodeConfig.derivedStateOutputs) {
-            for (const [derivedKey, V_config] of Object.entries(nodeConfig.derivedStateOutputs)) {
-                // Apply fallbacks as before
-                if (V_config.fallbackKey && state[V_config.fallbackKey] !== undefined) {
-                    update[derivedKey] = state[V_config.fallbackKey];
-                } else if (V_config.fallbackValue !== undefined) {
-                    update[derivedKey] = V_config.fallbackValue;
-                } else {
-                    update[derivedKey] = undefined;
-                }
-            }
-        }
-    }
+    if (!llmResult || llmResult.error) console.warn(`LLM Node ${nodeConfig.id} failed or returned error: ${llmResult?.error}`);
+    Object.assign(update, deriveStateOutputs(llmResult, nodeConfig, state));
     return update;
 }
 
@@ -93,6 +108,23 @@ async function executeLlmAgentNode(state, nodeConfig) {
 // These should largely remain the same as in the previous version, but ensure they use
 // resolvePath if accessing nested state properties via stateInputArgs.
 
+function logIntegrityProblems(nodeConfig, integrity, field) {
+    if (integrity.status === 'ok') return;
+    const problems = [
+        ...integrity.repaired_variants.map(({ found, placeholder }) => `variant '${found}' read as ${placeholder}`),
+        ...integrity.unresolved_placeholders.map(found => `unknown placeholder '${found}'`),
+        ...integrity.missing_entities.map(({ placeholder, name }) => `${placeholder} (${name}) missing`),
+    ];
+    console.warn(`[${nodeConfig.id}] Placeholder integrity${field ? ` of '${field}'` : ''}: ${integrity.status} - ${problems.join('; ')}`);
+}
+
+// A rewrite that still has placeholders nobody can fill in is not a usable headline: the reverters leave the headline
+// null (its text stays in the details) and report it in error_messages. Returns that report, or undefined.
+function unresolvedPlaceholdersError(nodeConfig, integrity) {
+    if (integrity.status !== 'unresolved_placeholders') return undefined;
+    return `${nodeConfig.displayName}: the rewrite has placeholders not in the properNoun map (${integrity.unresolved_placeholders.join(', ')}); no headline kept.`;
+}
+
 async function revertMainSynthesizedHeadline(state, nodeConfig) {
     console.log(`--- Running Node: ${nodeConfig.displayName} (ID: ${nodeConfig.id}) ---`);
     const textToProcessKey = nodeConfig.stateInputArgs.text_with_placeholders;
@@ -106,44 +138,45 @@ async function revertMainSynthesizedHeadline(state, nodeConfig) {
     const detailsOutputKey = "properNoun_replacement2_details";
 
     update[detailsOutputKey] = { /* ... initial details ... */ };
-    update[finalHeadlineOutputKey] = textToProcess || `Error: Missing text for ${nodeConfig.displayName}`;
 
-    // ... rest of the logic from previous version ...
+    // No flipped headline to revert (e.g. the synthesizer failed): an error for the run, not a headline
     if (!textToProcess || typeof textToProcess !== 'string') {
-        // console.warn(`${nodeConfig.id}: No valid text to process from state key '${textToProcessKey}'.`);
+        const errorMessage = `${nodeConfig.displayName}: no flipped headline to revert at '${textToProcessKey}'.`;
+        console.warn(`[${nodeConfig.id}] ${errorMessage}`);
+        update[finalHeadlineOutputKey] = null;
         update[detailsOutputKey].status = "Skipped - no input text";
+        update.error_messages = [errorMessage];
         return update;
     }
-    // ... (proper noun map check & replacement logic)
-    let processedText = textToProcess;
-    const replacementsMade = {};
-    if (Object.keys(properNounMap).length > 0) {
-        for (const placeholder in properNounMap) {
-            if (properNounMap.hasOwnProperty(placeholder)) {
-                const originalProperNoun = properNounMap[placeholder];
-                const escapedPlaceholder = placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                const regex = new RegExp(escapedPlaceholder, 'g');
-                if (processedText.includes(placeholder)) {
-                    processedText = processedText.replace(regex, originalProperNoun);
-                    replacementsMade[placeholder] = originalProperNoun;
-                }
-            }
-        }
-    } else {
-        // console.log(`${nodeConfig.id}: No properNoun map. Text remains as is.`);
-    }
-    
-    update[finalHeadlineOutputKey] = processedText;
+    // Proper noun map replacement, tolerating placeholder variants (see placeholder_integrity.js)
+    const { text: processedText, replacements_made: replacementsMade, integrity } = revertPlaceholders(textToProcess, properNounMap);
+    logIntegrityProblems(nodeConfig, integrity);
+
+    const unresolvedError = unresolvedPlaceholdersError(nodeConfig, integrity);
+    update[finalHeadlineOutputKey] = unresolvedError ? null : processedText;
     update[detailsOutputKey] = {
-        status: Object.keys(properNounMap).length > 0 ? "Completed" : "Skipped - no properNoun map",
+        status: unresolvedError ? "Failed - unresolved placeholders"
+            : (Object.keys(properNounMap).length > 0 ? "Completed" : "Skipped - no properNoun map"),
         original_text_with_placeholders: textToProcess,
         final_text: processedText,
         replacements_made: replacementsMade,
-        properNoun_map_used: properNounMap
+        properNoun_map_used: properNounMap,
+        integrity
     };
+    if (unresolvedError) update.error_messages = [unresolvedError];
     return update;
 }
 
+// The "no_framing" alternative to synthesizing and reverting a main flip: when no analyzer found framing there is
+// nothing to flip, so flipped_headline is explicitly empty (null) and the details say why.
+async function reportNoReframingNeeded(state, nodeConfig) {
+    console.log(`--- Running Node: ${nodeConfig.displayName} (ID: ${nodeConfig.id}) ---`);
+    return {
+        flipped_headline: null,
+        properNoun_replacement2_details: { status: "Not needed - no analyzer found significant framing" }
+    };
+}
+
 // src/node_functions.js
 
 async function revertGenericAnalyzerHeadline(state, nodeConfig) {
@@ -152,11 +185,10 @@ async function revertGenericAnalyzerHeadline(state, nodeConfig) {
 
     const analyzerResultObjectKey = nodeConfig.stateInputArgs.analyzer_result_object;
     const properNounMapKey = nodeConfig.stateInputArgs.properNoun_map;
-    
-    // --- CHANGE IS HERE ---
-    // We've removed the configurable path. The function now correctly and explicitly
-    // expects the key to always be 'rewritten_headline'.
-    const analyzerHeadlineKey = 'rewritten_headline';
+
+    // Fields to revert and how the analyzer says "no alternative" (see analyzer_output.js)
+    const revertPaths = nodeConfig.revertPaths || DEFAULT_REVERT_PATHS;
+    const [primaryPath] = revertPaths;
 
     const analyzerResultObject = resolvePath(state, analyzerResultObjectKey);
     const properNounMap = resolvePath(state, properNounMapKey, {});
@@ -165,57 +197,162 @@ async function revertGenericAnalyzerHeadline(state, nodeConfig) {
     const detailsStateKey = `${nodeConfig.id}_details`;
 
     update[detailsStateKey] = { /* ... initial details ... */ };
-    update[outputStateKey] = `Error: Initial conditions not met for ${nodeConfig.displayName}`;
 
+    // No headline from this analyzer: the output is null and the details say why
     if (!analyzerResultObject || typeof analyzerResultObject !== 'object' || analyzerResultObject.error) {
-        const errorMessage = `Skipped - Analyzer data missing/errored: ${analyzerResultObject?.error || 'Not found'}`;
-        update[detailsStateKey].status = errorMessage;
-        // Also update the main output key for clarity in the final result
-        update[outputStateKey] = "Not applicable - " + errorMessage;
+        update[detailsStateKey].status = `Skipped - Analyzer data missing/errored: ${analyzerResultObject?.error || 'Not found'}`;
+        update[outputStateKey] = null;
         return update;
     }
 
-    // Now we use the hardcoded, standardized key.
-    const textToProcess = analyzerResultObject[analyzerHeadlineKey];
+    const textToProcess = collectPathValues(analyzerResultObject, primaryPath)[0]?.value;
     update[detailsStateKey].text_found_for_reversion = textToProcess;
 
-    if (!textToProcess || typeof textToProcess !== 'string' || textToProcess.toLowerCase().includes("no alternative") || textToProcess.toLowerCase().includes("no significant")) {
-        const reason = !textToProcess ? 'no text at key' : 'analyzer indicated no flip was generated';
+    if (reportsNoAlternative(analyzerResultObject, textToProcess, nodeConfig.noAlternative)) {
+        const reason = !textToProcess ? `no text at '${primaryPath}'` : 'analyzer indicated no flip was generated';
         update[detailsStateKey].status = `Skipped - ${reason}`;
-        update[outputStateKey] = "Not applicable or no text generated by analyzer";
+        update[outputStateKey] = null;
         update[detailsStateKey].final_reverted_text = textToProcess;
         return update;
     }
-    
-    let processedText = textToProcess;
+
+    // Every string at every revert path; only the primary output must keep all the masked entities.
+    // The reverter's integrity is the primary output's; fields_integrity has each field's.
+    let revertedResult = analyzerResultObject;
+    const revertedFields = {};
+    const fieldsIntegrity = {};
     const replacementsMade = {};
-    if (Object.keys(properNounMap).length > 0) {
-       for (const placeholder in properNounMap) {
-            if (properNounMap.hasOwnProperty(placeholder)) {
-                const originalProperNoun = properNounMap[placeholder];
-                const escapedPlaceholder = placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                const regex = new RegExp(escapedPlaceholder, 'g');
-                if (processedText.includes(placeholder)) {
-                    processedText = processedText.replace(regex, originalProperNoun);
-                    replacementsMade[placeholder] = originalProperNoun;
-                }
-            }
-        }
-    }
-    
-    update[outputStateKey] = processedText;
+    revertPaths.forEach((path, pathIndex) => {
+        collectPathValues(analyzerResultObject, path)
+            .filter(match => typeof match.value === 'string' && !(match.path in revertedFields))
+            .forEach((match, matchIndex) => {
+                const isPrimary = pathIndex === 0 && matchIndex === 0;
+                const reverted = revertPlaceholders(match.value, properNounMap, { expectAllEntities: isPrimary });
+                revertedResult = withPathValue(revertedResult, match.path, reverted.text);
+                revertedFields[match.path] = reverted.text;
+                fieldsIntegrity[match.path] = reverted.integrity;
+                Object.assign(replacementsMade, reverted.replacements_made);
+            });
+    });
+    const primaryField = Object.keys(revertedFields)[0];
+    const processedText = revertedFields[primaryField];
+    const integrity = fieldsIntegrity[primaryField];
+    Object.entries(fieldsIntegrity).forEach(([field, fieldIntegrity]) => logIntegrityProblems(nodeConfig, fieldIntegrity, field));
+
+    const unresolvedError = unresolvedPlaceholdersError(nodeConfig, integrity);
+    update[outputStateKey] = unresolvedError ? null : processedText;
     update[detailsStateKey] = {
-        status: "Completed",
+        status: unresolvedError ? "Failed - unresolved placeholders" : "Completed",
         original_analyzer_result: analyzerResultObject,
-        text_with_placeholders_key: analyzerHeadlineKey,
+        text_with_placeholders_key: primaryPath,
         text_found_for_reversion: textToProcess,
         final_reverted_text: processedText,
+        reverted_fields: revertedFields,
+        reverted_analyzer_result: revertedResult,
+        fields_integrity: fieldsIntegrity,
         replacements_made: replacementsMade,
-        properNoun_map_used: properNounMap
+        properNoun_map_used: properNounMap,
+        integrity
     };
+    if (unresolvedError) update.error_messages = [unresolvedError];
+    return update;
+}
+
+
+// Local alternative to the LLM proper-noun replacer: same stateOutputKey / derivedStateOutputs config, no model call.
+// stateInputArgs.compareWith (optional): the state key of an LLM mask result; the result then also has a
+// "comparison" of the two masks (see compareMasks in proper_noun_masker.js).
+async function maskProperNounsLocally(state, nodeConfig) {
+    console.log(`--- Running Node: ${nodeConfig.displayName} (ID: ${nodeConfig.id}) ---`);
+    const { headline: headlineKey = 'input_headline', compareWith: compareWithKey } = nodeConfig.stateInputArgs || {};
+    const headline = resolvePath(state, headlineKey);
+
+    let result;
+    if (typeof headline !== 'string' || headline.trim() === '') {
+        result = { error: `Local proper noun masker: no text to mask at '${headlineKey}'.`, errorClass: 'config', rawContent: '' };
+    } else {
+        result = maskProperNouns(headline);
+        if (compareWithKey) {
+            const llmResult = resolvePath(state, compareWithKey);
+            if (llmResult && !llmResult.error && llmResult.properNoun_map) {
+                result.comparison = compareMasks(llmResult.properNoun_map, result.properNoun_map);
+                console.log(`[${nodeConfig.id}] Local vs LLM mask ('${compareWithKey}'): ${result.comparison.agreed.length} agreed, ${result.comparison.disagreement_count} disagreement(s).`);
+            } else {
+                result.comparison = { skipped: `No LLM mask to compare with at '${compareWithKey}'${llmResult?.error ? ` (${llmResult.error})` : ''}.` };
+            }
+        }
+    }
+
+    const update = { [nodeConfig.stateOutputKey]: result, ...deriveStateOutputs(result, nodeConfig, state) };
+    if (result.error) update.error_messages = [result.error];
     return update;
 }
 
+// Checks the final headlines against the input headline without a model (see fact_checker.js).
+// headlineKeys (optional): the headlines to check; default: the config's output headlines (as judged by llm_judge).
+// stateInputArgs.reference (default input_headline): the headline they must keep the facts of.
+// factTypes (optional): a subset of entity, number, date, quote.
+// The result's "status" is "flagged" when any headline is, so a conditional edge can route on it with
+// routeByStateValue ("path": "<stateOutputKey>.status").
+async function checkFactPreservation(state, nodeConfig, graphContext = {}) {
+    console.log(`--- Running Node: ${nodeConfig.displayName} (ID: ${nodeConfig.id}) ---`);
+    const referenceKey = (nodeConfig.stateInputArgs && nodeConfig.stateInputArgs.reference) || 'input_headline';
+    const reference = resolvePath(state, referenceKey);
+    const { outputHeadlines } = deriveResponseKeys(graphContext.graphConfig || {}, customNodeOutputKeys);
+    const headlineKeys = nodeConfig.headlineKeys || outputHeadlines.map(({ stateKey }) => stateKey);
+
+    if (typeof reference !== 'string' || reference.trim() === '') {
+        const error = `Fact checker: no input headline to compare with at '${referenceKey}'.`;
+        return { [nodeConfig.stateOutputKey]: { error, errorClass: 'config', rawContent: '' }, error_messages: [error] };
+    }
+
+    const headlines = {};
+    for (const headlineKey of headlineKeys) {
+        const headline = resolvePath(state, headlineKey);
+        if (!isGeneratedHeadline(headline)) {
+            const detailsKey = outputHeadlines.find(({ stateKey }) => stateKey === headlineKey)?.detailsKey;
+            headlines[headlineKey] = { skipped: describeMissingHeadline(detailsKey && state[detailsKey]) };
+            continue;
+        }
+        headlines[headlineKey] = { headline, ...compareFacts(reference, headline, { factTypes: nodeConfig.factTypes }) };
+        const { findings } = headlines[headlineKey];
+        if (findings.length > 0) {
+            console.warn(`[${nodeConfig.id}] '${headlineKey}': ${findings.map(f => `${f.type} ${f.change} (${[f.original, f.rewrite].filter(Boolean).join(' -> ')})`).join('; ')}`);
+        }
+    }
+    const flaggedHeadlines = Object.keys(headlines).filter(key => headlines[key].status === 'flagged');
+    return {
+        [nodeConfig.stateOutputKey]: {
+            status: flaggedHeadlines.length > 0 ? 'flagged' : 'ok',
+            flagged_headlines: flaggedHeadlines,
+            reference_facts: extractFacts(reference),
+            headlines
+        }
+    };
+}
+
+// Gathers the frame labels of the labelling analyzer tasks (see frame_taxonomy.js) into one label per dimension:
+// the most confident one, with the analyzer it came from. Spans get their proper nouns back from
+// stateInputArgs.properNoun_map (optional), since the analyzers see the masked headline.
+async function collectFrameLabels(state, nodeConfig, graphContext = {}) {
+    console.log(`--- Running Node: ${nodeConfig.displayName} (ID: ${nodeConfig.id}) ---`);
+    const properNounMapKey = nodeConfig.stateInputArgs && nodeConfig.stateInputArgs.properNoun_map;
+    const properNounMap = properNounMapKey ? resolvePath(state, properNounMapKey, {}) : {};
+    const rank = (label) => (typeof label.confidence === 'number' ? label.confidence : -1);
+
+    const frameLabels = {};
+    for (const task of getLabellingTasks(graphContext.graphConfig || {})) {
+        const result = resolvePath(state, task.stateOutputKey);
+        if (!result || result.error || !result.labels) continue;
+        for (const [dimension, label] of Object.entries(result.labels)) {
+            if (frameLabels[dimension] && rank(frameLabels[dimension]) >= rank(label)) continue;
+            const span = label.span ? revertPlaceholders(label.span, properNounMap, { expectAllEntities: false }).text : label.span;
+            frameLabels[dimension] = { ...label, span, analyzer: task.id };
+        }
+    }
+    console.log(`[${nodeConfig.id}] Frame labels: ${Object.entries(frameLabels).map(([dimension, label]) => `${dimension}=${label.value}`).join(', ') || 'none'}.`);
+    return { [nodeConfig.stateOutputKey]: frameLabels };
+}
 
 async function collectAndVerifyDataForSaver(state, nodeConfig) {
     console.log(`--- Running Node: ${nodeConfig.displayName} (ID: ${nodeConfig.id}) ---`);
@@ -262,7 +399,7 @@ async function collectAndVerifyDataForSaver(state, nodeConfig) {
     };
 }
 
-async function saveAllToDynamoDBNode(state, nodeConfig) {
+async function saveAllToDynamoDBNode(state, nodeConfig, graphContext = {}) {
     console.log(`--- Running Node: ${nodeConfig.displayName} (ID: ${nodeConfig.id}) ---`);
     
     // The data to save now comes from a single state key, which is an object (the package)
@@ -293,20 +430,42 @@ async function saveAllToDynamoDBNode(state, nodeConfig) {
     }
 
 
-    const status = await saveHeadlineData(finalDataForAws); // saveHeadlineData is from aws_utils.js
+    // Package keys -> DB attribute names, derived from the data collector and reverter nodes in the config
+    const dbAttributeMapping = graphContext.graphConfig ? deriveDbAttributeMapping(graphContext.graphConfig) : undefined;
+    // Which registered config (and which version of it) produced this result, and what its model calls cost
+    const runMetadata = { graph_id: graphContext.graphId, graph_version: graphContext.graphVersion, llm_usage: state.llm_usage };
+    const status = await saveHeadlineData(finalDataForAws, dbAttributeMapping, runMetadata); // saveHeadlineData is from aws_utils.js
     console.log(`[${nodeConfig.id}] Result from saveHeadlineData:`, JSON.stringify(status, null, 2));
     
     return { [nodeConfig.stateOutputKey || 'db_save_status']: status };
 }
 
 const customNodeFunctions = {
+    maskProperNounsLocally: maskProperNounsLocally,
     revertProperNouns: revertMainSynthesizedHeadline,
+    reportNoReframingNeeded: reportNoReframingNeeded,
     revertGenericAnalyzerHeadline: revertGenericAnalyzerHeadline,
+    checkFactPreservation: checkFactPreservation,
+    collectFrameLabels: collectFrameLabels,
     collectAndVerifyDataForSaver: collectAndVerifyDataForSaver, // Add new function
     saveAllToDynamoDB: saveAllToDynamoDBNode,
 };
 
+// State keys each custom function writes, given its node config (besides error_messages).
+// Used by graph_validator.js to check every written key has a channel in state_definition.js.
+const customNodeOutputKeys = {
+    maskProperNounsLocally: (nodeConfig) => [nodeConfig.stateOutputKey, ...Object.keys(nodeConfig.derivedStateOutputs || {})],
+    revertProperNouns: () => ["flipped_headline", "properNoun_replacement2_details"],
+    reportNoReframingNeeded: () => ["flipped_headline", "properNoun_replacement2_details"],
+    revertGenericAnalyzerHeadline: (nodeConfig) => [nodeConfig.stateOutputKey, `${nodeConfig.id}_details`],
+    checkFactPreservation: (nodeConfig) => [nodeConfig.stateOutputKey],
+    collectFrameLabels: (nodeConfig) => [nodeConfig.stateOutputKey],
+    collectAndVerifyDataForSaver: (nodeConfig) => [nodeConfig.stateOutputKey],
+    saveAllToDynamoDB: (nodeConfig) => [nodeConfig.stateOutputKey || 'db_save_status'],
+};
+
 module.exports = {
     executeLlmAgentNode,
-    customNodeFunctions
+    customNodeFunctions,
+    customNodeOutputKeys
 };
\ No newline at end of file
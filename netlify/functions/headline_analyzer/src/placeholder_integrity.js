@@ -0,0 +1,102 @@
+// src/placeholder_integrity.js
+// Restores proper nouns in a model's rewrite and checks the placeholders survived it. Besides the exact placeholders
+// of the properNoun_map, common variants are matched to their placeholder: a changed case ("[person_a]"), spaces or
+// dashes instead of the underscore ("[PERSON A]"), other brackets ("{PERSON_A}", "<PERSON_A>") or none ("PERSON_A").
+// Placeholder-like text counts as a placeholder only when its category (the part before the suffix) is one the
+// maskers use or one of the map's; other bracketed or underscored text ("[Update 2]", "COVID_19") is headline text.
+// The integrity status in a reverter's details says what happened:
+//   ok                       - every placeholder was exact and every masked entity is in the rewrite
+//   repaired                 - some placeholders were variants (now restored)
+//   missing_entities         - a masked entity is not in the rewrite (neither as a placeholder nor by name)
+//   unresolved_placeholders  - the rewrite has placeholder-like text not in the map (left as is); the headline is unusable,
+//                              so the reverters leave it null and report it in error_messages
+
+const STATUS_ORDER = ['ok', 'repaired', 'missing_entities', 'unresolved_placeholders'];
+// The categories of proper_noun_masker.js, and PROPER_NOUN; the LLM masker's own (COMPANY, CITY, ...) come with its map
+const PLACEHOLDER_CATEGORIES = ['PERSON', 'LOCATION', 'ORGANIZATION', 'NATIONALITY', 'ENTITY', 'PROPER_NOUN'];
+
+// "PERSON_A", "person a", "ORG-1", "PROPER_NOUN_B": a category word (or words) and a short suffix
+const PLACEHOLDER_BODY = '[A-Za-z]+(?:[ _-][A-Za-z]+)*[ _-][A-Za-z0-9]{1,3}';
+const BRACKETED_VARIANT = `[\\[{<]\\s*${PLACEHOLDER_BODY}\\s*[\\]}>]`;
+const BARE_VARIANT = '\\b[A-Z]+(?:_[A-Z]+)*_[A-Z0-9]{1,3}\\b';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "[person a]", "{PERSON-A}", "PERSON_A" -> "PERSON_A"
+function normalizePlaceholder(text) {
+    return String(text).replace(/[[\]{}<>]/g, '').trim().replace(/[\s-]+/g, '_').toUpperCase();
+}
+
+// "PERSON_A" -> "PERSON", "PROPER_NOUN_B" -> "PROPER_NOUN"
+function placeholderCategory(normalized) {
+    return normalized.replace(/_[A-Z0-9]{1,3}$/, '');
+}
+
+/**
+ * Replaces the placeholders of a properNoun_map in a rewrite with their proper nouns, and checks its integrity.
+ * @param {string} text - The rewrite, with placeholders.
+ * @param {object} [properNounMap] - placeholder -> proper noun.
+ * @param {{expectAllEntities?: boolean}} [options] - expectAllEntities: report masked entities missing from the text
+ *   (off for fields that need not mention every entity, like an explanation).
+ * @returns {{text: string, replacements_made: object, integrity: {status: string, repaired_variants: object[],
+ *   unresolved_placeholders: string[], missing_entities: object[]}}}
+ */
+function revertPlaceholders(text, properNounMap = {}, { expectAllEntities = true } = {}) {
+    const entries = Object.entries(properNounMap || {}).filter(([, name]) => typeof name === 'string');
+    const placeholderByNormalized = new Map(entries.map(([placeholder]) => [normalizePlaceholder(placeholder), placeholder]));
+    const categories = new Set([...PLACEHOLDER_CATEGORIES, ...[...placeholderByNormalized.keys()].map(placeholderCategory)]);
+    const replacementsMade = {};
+    const repairedVariants = [];
+    const unresolvedPlaceholders = [];
+
+    // One pass, longest exact placeholders first, so restored names are never scanned again
+    const exactAlternatives = entries.map(([placeholder]) => placeholder)
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+    const pattern = new RegExp([...exactAlternatives, BRACKETED_VARIANT, BARE_VARIANT].join('|'), 'g');
+    const revertedText = text.replace(pattern, (found) => {
+        if (Object.prototype.hasOwnProperty.call(properNounMap, found)) {
+            replacementsMade[found] = properNounMap[found];
+            return properNounMap[found];
+        }
+        const normalized = normalizePlaceholder(found);
+        const placeholder = placeholderByNormalized.get(normalized);
+        if (placeholder) {
+            replacementsMade[placeholder] = properNounMap[placeholder];
+            repairedVariants.push({ found, placeholder });
+            return properNounMap[placeholder];
+        }
+        if (categories.has(placeholderCategory(normalized)) && !unresolvedPlaceholders.includes(found)) {
+            unresolvedPlaceholders.push(found);
+        }
+        return found;
+    });
+
+    // A masked entity the model wrote out by name (rather than as its placeholder) still counts as present
+    const lowerText = text.toLowerCase();
+    const missingEntities = !expectAllEntities ? [] : entries
+        .filter(([placeholder, name]) => !replacementsMade[placeholder] && !lowerText.includes(name.toLowerCase()))
+        .map(([placeholder, name]) => ({ placeholder, name }));
+
+    const status = STATUS_ORDER[Math.max(
+        repairedVariants.length > 0 ? 1 : 0,
+        missingEntities.length > 0 ? 2 : 0,
+        unresolvedPlaceholders.length > 0 ? 3 : 0
+    )];
+    return {
+        text: revertedText,
+        replacements_made: replacementsMade,
+        integrity: {
+            status,
+            repaired_variants: repairedVariants,
+            unresolved_placeholders: unresolvedPlaceholders,
+            missing_entities: missingEntities
+        }
+    };
+}
+
+module.exports = {
+    INTEGRITY_STATUSES: STATUS_ORDER,
+    normalizePlaceholder,
+    revertPlaceholders,
+};
@@ -0,0 +1,229 @@
+// src/proper_noun_masker.js
+// Deterministic proper-noun masking with on-device NLP (compromise), as an alternative to the LLM
+// properNoun_replacer1 node. Same input, same output, no model call: the result has the shape the LLM returns
+// ({ original_text, text_with_placeholders, properNoun_map }) plus the entities found, so the reverters work unchanged.
+// Placeholders are [PERSON_A], [LOCATION_A], [ORGANIZATION_A], [NATIONALITY_A] or [ENTITY_A] (proper nouns compromise
+// cannot type); the same name (case-insensitive) always gets the same placeholder.
+// Known gaps: a headline-initial name compromise does not know ("Biden meets ...") and bare acronyms ("U.S.") are left
+// unmasked; compareMasks() reports where this and an LLM mask disagree.
+// In a config (node_functions.js maskProperNounsLocally):
+//   instead of the LLM:  { "type": "local_function", "functionName": "maskProperNounsLocally",
+//                          "stateInputArgs": { "headline": "input_headline" }, plus the LLM node's stateOutputKey and derivedStateOutputs }
+//   alongside it:        add "compareWith": "<the LLM node's stateOutputKey>" to stateInputArgs (see graph_config.json)
+
+const nlp = require('compromise');
+
+const CATEGORY_TAGS = [
+    ['PERSON', ['Person', 'FirstName', 'LastName']],
+    ['ORGANIZATION', ['Organization']],
+    ['LOCATION', ['Place']],
+];
+const PROPER_TAGS = ['ProperNoun', 'Demonym', ...CATEGORY_TAGS.flatMap(([, tags]) => tags)];
+// Nationality adjectives compromise does not tag as Demonym ("British PM", "Goan fishermen")
+const DEMONYM_SUFFIX = /(?:ish|an|ese)$/;
+const POSSESSIVE_SUFFIX = /['’]s?$/;
+
+const hasAnyTag = (term, tags) => tags.some(tag => term.tags.includes(tag));
+const isCapitalized = (term) => /^[A-Z]/.test(term.text);
+
+function isProperTerm(term) {
+    return hasAnyTag(term, PROPER_TAGS) && isCapitalized(term);
+}
+
+// A capitalized adjective-like word in front of a common noun, e.g. "British" in "British PM"
+function isDemonymTerm(term, nextTerm) {
+    if (term.tags.includes('Demonym')) return true;
+    return isCapitalized(term) && DEMONYM_SUFFIX.test(term.text) && hasAnyTag(term, ['Adjective', 'ProperNoun'])
+        && !hasAnyTag(term, CATEGORY_TAGS.flatMap(([, tags]) => tags))
+        && Boolean(nextTerm) && nextTerm.tags.includes('Noun') && !isProperTerm(nextTerm);
+}
+
+function categorize(spanTerms) {
+    for (const [category, tags] of CATEGORY_TAGS) {
+        if (spanTerms.some(term => hasAnyTag(term, tags))) return category;
+    }
+    if (spanTerms.length === 1 && spanTerms[0].isDemonym) return 'NATIONALITY';
+    return 'ENTITY';
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function placeholderSuffix(index) {
+    let suffix = '';
+    for (let n = index; n >= 0; n = Math.floor(n / 26) - 1) suffix = String.fromCharCode(65 + (n % 26)) + suffix;
+    return suffix;
+}
+
+function normalizeName(text) {
+    return String(text).replace(POSSESSIVE_SUFFIX, '').trim().toLowerCase();
+}
+
+function toSpan(text, spanTerms) {
+    const first = spanTerms[0];
+    const last = spanTerms[spanTerms.length - 1];
+    const start = first.offset.start;
+    const spanText = text.slice(start, last.offset.start + last.offset.length).replace(POSSESSIVE_SUFFIX, '');
+    return { text: spanText, category: categorize(spanTerms), start, end: start + spanText.length, terms: spanTerms };
+}
+
+/**
+ * Finds proper-noun spans: runs of adjacent proper terms, broken at punctuation and after a possessive
+ * ("Elon Musk's SpaceX" -> "Elon Musk", "SpaceX"). A capitalized noun opening a sentence joins the proper term
+ * after it (compromise often misses a headline-initial first name, as in "Satya Nadella"), and a name found once
+ * is masked wherever else it appears.
+ * @param {string} text
+ * @returns {{text: string, category: string, start: number, end: number}[]} In text order; end is exclusive.
+ */
+function findProperNouns(text) {
+    const terms = nlp(text).json({ offset: true })
+        .flatMap(sentence => sentence.terms.map((term, index) => ({ ...term, isSentenceStart: index === 0 })));
+    terms.forEach((term, index) => {
+        term.isDemonym = isDemonymTerm(term, terms[index + 1]);
+        term.isProper = isProperTerm(term) || term.isDemonym;
+    });
+    terms.forEach((term, index) => {
+        const nextTerm = terms[index + 1];
+        if (term.isSentenceStart && !term.isProper && isCapitalized(term) && term.tags.includes('Noun')
+            && nextTerm && nextTerm.isProper && !nextTerm.isDemonym && term.post.trim() === '') {
+            term.isProper = true;
+        }
+    });
+
+    const runs = [];
+    let current = null;
+    terms.forEach((term, index) => {
+        const previousTerm = terms[index - 1];
+        const continuesRun = current && term.isProper && previousTerm.post.trim() === '' && term.pre.trim() === ''
+            && !previousTerm.tags.includes('Possessive') && !previousTerm.isDemonym && !term.isDemonym;
+        if (continuesRun) {
+            current.push(term);
+        } else {
+            if (current) runs.push(current);
+            current = term.isProper ? [term] : null;
+        }
+    });
+    if (current) runs.push(current);
+    const spans = runs.map(run => toSpan(text, run)).filter(span => span.text.length > 0);
+
+    // Other occurrences of the names found ("Modi visits ...; Modi promises ...")
+    const wordsOf = (spanTerms) => spanTerms.map(term => term.text.replace(POSSESSIVE_SUFFIX, ''));
+    const covered = new Set(spans.flatMap(span => span.terms));
+    for (const span of [...spans]) {
+        const words = wordsOf(span.terms);
+        for (let index = 0; index + words.length <= terms.length; index++) {
+            const candidate = terms.slice(index, index + words.length);
+            if (candidate.some(term => covered.has(term))) continue;
+            if (wordsOf(candidate).join(' ') !== words.join(' ')) continue;
+            candidate.forEach(term => covered.add(term));
+            spans.push({ ...toSpan(text, candidate), category: span.category });
+        }
+    }
+
+    return spans
+        .sort((a, b) => a.start - b.start)
+        .map(({ text: spanText, category, start, end }) => ({ text: spanText, category, start, end }));
+}
+
+/**
+ * Masks the proper nouns in a text.
+ * @param {string} text
+ * @returns {{original_text: string, text_with_placeholders: string, properNoun_map: object,
+ *   entities: {text: string, category: string, placeholder: string, start: number, end: number}[]}}
+ */
+function maskProperNouns(text) {
+    const originalText = typeof text === 'string' ? text : '';
+    const placeholderByName = new Map();
+    const countByCategory = {};
+    const properNounMap = {};
+    const entities = findProperNouns(originalText).map(span => {
+        const name = normalizeName(span.text);
+        let placeholder = placeholderByName.get(name);
+        if (!placeholder) {
+            const index = countByCategory[span.category] || 0;
+            countByCategory[span.category] = index + 1;
+            placeholder = `[${span.category}_${placeholderSuffix(index)}]`;
+            placeholderByName.set(name, placeholder);
+            properNounMap[placeholder] = span.text;
+        }
+        return { ...span, placeholder };
+    });
+
+    // Replace from the end so earlier offsets stay valid
+    let textWithPlaceholders = originalText;
+    for (const entity of [...entities].reverse()) {
+        textWithPlaceholders = textWithPlaceholders.slice(0, entity.start) + entity.placeholder + textWithPlaceholders.slice(entity.end);
+    }
+    return {
+        original_text: originalText,
+        text_with_placeholders: textWithPlaceholders,
+        properNoun_map: properNounMap,
+        entities
+    };
+}
+
+function placeholderCategory(placeholder) {
+    const match = String(placeholder).match(/^\[([A-Z]+)_/);
+    return match ? match[1] : undefined;
+}
+
+/**
+ * Compares two placeholder maps (e.g. the LLM's and maskProperNouns') by the names they mask.
+ * Names match case-insensitively, ignoring a possessive "'s"; a name containing the other ("Elon Musk" / "Musk")
+ * is a partial match.
+ * @param {object} llmMap - placeholder -> name
+ * @param {object} localMap - placeholder -> name
+ * @returns {{agreed: object[], partial: object[], llm_only: object[], local_only: object[], category_mismatches: object[],
+ *   disagreement_count: number}}
+ */
+function compareMasks(llmMap, localMap) {
+    const toEntries = (map) => Object.entries(map || {})
+        .filter(([, name]) => typeof name === 'string' && name.trim() !== '')
+        .map(([placeholder, name]) => ({ placeholder, name, key: normalizeName(name) }));
+    const llmEntries = toEntries(llmMap);
+    const localEntries = toEntries(localMap);
+    const matchedLlm = new Set();
+    const matchedLocal = new Set();
+    const agreed = [];
+    const partial = [];
+    const categoryMismatches = [];
+
+    const pair = (llm, local) => ({
+        llm_name: llm.name, llm_placeholder: llm.placeholder,
+        local_name: local.name, local_placeholder: local.placeholder
+    });
+    for (const [isMatch, matches] of [
+        [(a, b) => a.key === b.key, agreed],
+        [(a, b) => a.key.includes(b.key) || b.key.includes(a.key), partial],
+    ]) {
+        for (const llm of llmEntries) {
+            if (matchedLlm.has(llm)) continue;
+            const local = localEntries.find(candidate => !matchedLocal.has(candidate) && isMatch(llm, candidate));
+            if (!local) continue;
+            matchedLlm.add(llm);
+            matchedLocal.add(local);
+            matches.push(pair(llm, local));
+            if (matches === agreed && placeholderCategory(llm.placeholder) !== placeholderCategory(local.placeholder)) {
+                categoryMismatches.push(pair(llm, local));
+            }
+        }
+    }
+
+    const unmatched = (entries, matched) => entries
+        .filter(entry => !matched.has(entry))
+        .map(({ placeholder, name }) => ({ placeholder, name }));
+    const llmOnly = unmatched(llmEntries, matchedLlm);
+    const localOnly = unmatched(localEntries, matchedLocal);
+    return {
+        agreed,
+        partial,
+        llm_only: llmOnly,
+        local_only: localOnly,
+        category_mismatches: categoryMismatches,
+        disagreement_count: partial.length + llmOnly.length + localOnly.length + categoryMismatches.length
+    };
+}
+
+module.exports = {
+    findProperNouns,
+    maskProperNouns,
+    compareMasks,
+};
@@ -0,0 +1,121 @@
+// src/retry_policy.js
+// Retry, backoff and timeout handling around callModel. Policies come from graph_config.json:
+// a graph-wide "defaultRetryPolicy", overridden per node (and per analyzer task) by "retryPolicy".
+
+const { callModel } = require('./llm_utils');
+const { lookupCachedResponse, storeCachedResponse } = require('./llm_cache');
+
+// Error classes callModel can report (see llm_utils.js).
+const LLM_ERROR_CLASSES = ['config', 'rate_limit', 'server_error', 'client_error', 'network', 'timeout', 'safety', 'empty_response', 'parse_error'];
+
+// Without any configured policy a node makes a single attempt with no timeout (the original behaviour).
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 1,
+    initialDelayMs: 1000,
+    backoffMultiplier: 2,
+    maxDelayMs: 10000,
+    jitter: 0.25, // +/- fraction of the computed delay
+    timeoutMs: 0, // Per attempt; 0 = no timeout
+    retryOn: ['rate_limit', 'server_error', 'network', 'timeout']
+};
+
+/**
+ * Merges policies left to right on top of DEFAULT_RETRY_POLICY (later ones win). Undefined entries are skipped.
+ * @param {...object} policies - e.g. (graphConfig.defaultRetryPolicy, coordinatorConfig.retryPolicy, taskConfig.retryPolicy)
+ * @returns {object}
+ */
+function resolveRetryPolicy(...policies) {
+    return Object.assign({}, DEFAULT_RETRY_POLICY, ...policies.filter(Boolean));
+}
+
+/**
+ * Exponential backoff with jitter for the delay after a failed attempt.
+ * @param {object} policy - A resolved retry policy.
+ * @param {number} attemptNumber - The attempt that just failed (1-based).
+ * @param {function(): number} [random=Math.random]
+ * @returns {number} Delay in ms.
+ */
+function computeBackoffDelay(policy, attemptNumber, random = Math.random) {
+    const baseDelay = Math.min(policy.maxDelayMs, policy.initialDelayMs * Math.pow(policy.backoffMultiplier, attemptNumber - 1));
+    const jitterFactor = 1 + policy.jitter * (2 * random() - 1);
+    return Math.max(0, Math.round(baseDelay * jitterFactor));
+}
+
+function isRetriable(result, policy) {
+    return Boolean(result && result.error && policy.retryOn.includes(result.errorClass));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calls the model until it succeeds, hits a non-retriable error, or runs out of attempts.
+ * A response in the LLM cache (see llm_cache.js) is returned as a single attempt with cache_hit: true. Only results
+ * the caller accepts are stored or served from the cache (structured_output.js only accepts schema-valid ones).
+ * @param {object[]} messages
+ * @param {string} modelName
+ * @param {object} generationArgs
+ * @param {object} retryPolicy - A resolved retry policy (see resolveRetryPolicy).
+ * @param {string} [label] - Node/task id for logging.
+ * @param {{cache?: boolean, isCacheable?: function(object): boolean, sampleIndex?: number}} [options] - cache: false
+ *   skips the LLM cache (the node's "cache" setting); isCacheable: whether a successful result may be cached (default:
+ *   any); sampleIndex: of an ensemble sample, part of the cache key and of the mock's request hash.
+ * @returns {Promise<{result: object, attempts: object[]}>} The last result, plus one record per attempt for state.
+ */
+async function callModelWithRetry(messages, modelName, generationArgs, retryPolicy, label = 'llm', options = {}) {
+    const attempts = [];
+    let result;
+
+    const useCache = options.cache !== false;
+    const isCacheable = options.isCacheable || (() => true);
+    if (useCache) {
+        const startedAt = Date.now();
+        const cached = await lookupCachedResponse(messages, modelName, generationArgs, label, options.sampleIndex);
+        // An entry the caller would not store now (e.g. cached before it checked results) is ignored
+        if (cached && isCacheable(cached.result)) {
+            console.log(`[LLM_CACHE] ${label}: cache hit (cached at ${cached.cached_at}).`);
+            attempts.push({ attempt: 1, started_at: new Date(startedAt).toISOString(), duration_ms: Date.now() - startedAt, outcome: 'success', cache_hit: true, cached_at: cached.cached_at });
+            return { result: cached.result, attempts };
+        }
+    }
+
+    for (let attemptNumber = 1; attemptNumber <= retryPolicy.maxAttempts; attemptNumber++) {
+        const startedAt = Date.now();
+        let usage;
+        result = await callModel(messages, modelName, generationArgs, { timeoutMs: retryPolicy.timeoutMs, label, sampleIndex: options.sampleIndex, onUsage: reported => { usage = reported; } });
+
+        const attemptRecord = {
+            attempt: attemptNumber,
+            started_at: new Date(startedAt).toISOString(),
+            duration_ms: Date.now() - startedAt,
+            outcome: result && !result.error ? 'success' : 'error'
+        };
+        if (usage) attemptRecord.usage = usage; // Tokens and estimated cost (see usage_accounting.js)
+        attempts.push(attemptRecord);
+        if (attemptRecord.outcome === 'success') break;
+
+        attemptRecord.error = result?.error;
+        attemptRecord.error_class = result?.errorClass;
+        if (result?.httpStatus) attemptRecord.http_status = result.httpStatus;
+        attemptRecord.retriable = isRetriable(result, retryPolicy);
+
+        if (!attemptRecord.retriable || attemptNumber === retryPolicy.maxAttempts) break;
+
+        const delayMs = computeBackoffDelay(retryPolicy, attemptNumber);
+        attemptRecord.retry_delay_ms = delayMs;
+        console.warn(`[RETRY] ${label}: attempt ${attemptNumber}/${retryPolicy.maxAttempts} failed (${result.errorClass}: ${result.error}). Retrying in ${delayMs}ms.`);
+        await sleep(delayMs);
+    }
+
+    if (useCache && result && !result.error && isCacheable(result)) {
+        await storeCachedResponse(messages, modelName, generationArgs, label, result, options.sampleIndex);
+    }
+    return { result, attempts };
+}
+
+module.exports = {
+    LLM_ERROR_CLASSES,
+    DEFAULT_RETRY_POLICY,
+    resolveRetryPolicy,
+    computeBackoffDelay,
+    callModelWithRetry,
+};
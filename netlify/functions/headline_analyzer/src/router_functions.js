@@ -0,0 +1,54 @@
+// src/router_functions.js
+const { resolvePath } = require('./utils/objectPathUtils');
+const { DEFAULT_REVERT_PATHS, collectPathValues, reportsNoAlternative } = require('./analyzer_output');
+
+// Router functions back the "conditionalEdges" section of graph_config.json.
+// Each one receives the current state and its edge config, and returns a route key.
+// graph_builder.js maps that key to a target node via the edge's "routes" object,
+// falling back to "defaultRoute" when the key isn't listed.
+
+function reportsNoFraming(analyzerResult, { outputPath = DEFAULT_REVERT_PATHS[0], noAlternative } = {}) {
+    if (!analyzerResult || typeof analyzerResult !== 'object' || analyzerResult.error) {
+        return false; // Errored/missing analyzers didn't report anything, so they don't count as "no framing"
+    }
+    const rewritten = collectPathValues(analyzerResult, outputPath)[0]?.value;
+    return reportsNoAlternative(analyzerResult, rewritten, noAlternative);
+}
+
+/**
+ * Routes to "no_framing" when every listed analyzer result reports no significant framing,
+ * otherwise to "has_framing".
+ * routerArgs.analyzerResultKeys: state keys (or dot paths) of the analyzer results to check.
+ * routerArgs.outputPath / routerArgs.noAlternative (optional): the analyzers' output field and "no alternative"
+ * detection, as in the reverters' revertPaths[0] and noAlternative (see analyzer_output.js).
+ */
+function allAnalyzersReportNoFraming(state, edgeConfig) {
+    const analyzerResultKeys = (edgeConfig.routerArgs && edgeConfig.routerArgs.analyzerResultKeys) || [];
+    if (analyzerResultKeys.length === 0) {
+        console.warn(`[ROUTER] allAnalyzersReportNoFraming on '${edgeConfig.source}': no analyzerResultKeys configured.`);
+        return "has_framing";
+    }
+    const allReportNoFraming = analyzerResultKeys.every(key => reportsNoFraming(resolvePath(state, key), edgeConfig.routerArgs));
+    return allReportNoFraming ? "no_framing" : "has_framing";
+}
+
+/**
+ * Routes on the value found at routerArgs.path in state (e.g. a detected topic).
+ * The value is stringified (and lowercased unless routerArgs.caseSensitive is true) to form the route key.
+ */
+function routeByStateValue(state, edgeConfig) {
+    const { path, caseSensitive } = edgeConfig.routerArgs || {};
+    const value = resolvePath(state, path);
+    if (value === undefined || value === null) return undefined; // Builder falls back to defaultRoute
+    const routeKey = String(value);
+    return caseSensitive ? routeKey : routeKey.toLowerCase();
+}
+
+const customRouterFunctions = {
+    allAnalyzersReportNoFraming,
+    routeByStateValue,
+};
+
+module.exports = {
+    customRouterFunctions
+};
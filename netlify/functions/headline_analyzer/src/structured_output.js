@@ -0,0 +1,101 @@
+// src/structured_output.js
+// Checks parsed LLM output against promptConfig.outputSchema and, on a mismatch, re-asks the
+// model with the validation errors (up to promptConfig.maxReasks times).
+
+const { callModelWithRetry } = require('./retry_policy');
+const { validateJsonSchema } = require('./utils/jsonSchemaUtils');
+
+const DEFAULT_MAX_REASKS = 1;
+
+function buildCorrectionMessage(schemaErrors, outputSchema) {
+    return [
+        "Your previous response did not match the required JSON output schema.",
+        "Validation errors:",
+        ...schemaErrors.map(err => `- ${err}`),
+        "",
+        "Required JSON schema:",
+        JSON.stringify(outputSchema, null, 2),
+        "",
+        "Respond again with a single, valid JSON object that fixes these errors. Output ONLY the JSON."
+    ].join('\n');
+}
+
+/**
+ * callModelWithRetry plus output schema validation and corrective re-asks.
+ * @param {object[]} messages
+ * @param {string} modelName
+ * @param {object} generationArgs
+ * @param {object} options
+ * @param {object} options.retryPolicy - Resolved retry policy, applied to every request (including re-asks).
+ * @param {object} [options.outputSchema] - promptConfig.outputSchema; without it this is just callModelWithRetry.
+ * @param {number} [options.maxReasks=1] - promptConfig.maxReasks.
+ * @param {boolean} [options.useNativeResponseSchema=true] - Also send the schema in the provider's JSON mode (see llm_providers/).
+ * @param {string} [options.label]
+ * @param {boolean} [options.cache=true] - false bypasses the LLM response cache (see llm_cache.js).
+ * @param {number} [options.sampleIndex] - Of an ensemble sample (see ensemble.js); keeps its cache entry and mock
+ *   recording apart from the other samples'.
+ * @returns {Promise<{result: object, attempts: object[]}>} On a final mismatch, result is an error object with schemaErrors and parsedOutput.
+ */
+async function callModelForStructuredOutput(messages, modelName, generationArgs, options) {
+    const {
+        retryPolicy,
+        outputSchema,
+        maxReasks = DEFAULT_MAX_REASKS,
+        useNativeResponseSchema = true,
+        label = 'llm',
+        cache = true,
+        sampleIndex
+    } = options;
+    const effectiveGenerationArgs = outputSchema && useNativeResponseSchema
+        ? { ...generationArgs, responseSchema: outputSchema }
+        : generationArgs;
+
+    let conversation = messages;
+    const allAttempts = [];
+    // A result that does not match the schema is never cached, so a later run asks the model again
+    const isCacheable = (result) => !outputSchema || validateJsonSchema(result, outputSchema).length === 0;
+
+    for (let reask = 0; ; reask++) {
+        const { result, attempts } = await callModelWithRetry(conversation, modelName, effectiveGenerationArgs, retryPolicy, label, { cache, isCacheable, sampleIndex });
+        if (reask > 0) attempts.forEach(attempt => { attempt.reask = reask; });
+        allAttempts.push(...attempts);
+
+        if (!outputSchema || !result || result.error) {
+            return { result, attempts: allAttempts };
+        }
+
+        const schemaErrors = validateJsonSchema(result, outputSchema);
+        if (schemaErrors.length === 0) {
+            return { result, attempts: allAttempts };
+        }
+
+        const lastAttempt = allAttempts[allAttempts.length - 1];
+        lastAttempt.outcome = 'schema_mismatch';
+        lastAttempt.schema_errors = schemaErrors;
+
+        if (reask >= maxReasks) {
+            console.warn(`[STRUCTURED_OUTPUT] ${label}: output still does not match outputSchema after ${reask} re-ask(s): ${schemaErrors.join('; ')}`);
+            return {
+                result: {
+                    error: `Output did not match outputSchema: ${schemaErrors.join('; ')}`,
+                    errorClass: 'schema_mismatch',
+                    schemaErrors,
+                    parsedOutput: result,
+                    rawContent: JSON.stringify(result)
+                },
+                attempts: allAttempts
+            };
+        }
+
+        console.warn(`[STRUCTURED_OUTPUT] ${label}: output does not match outputSchema (${schemaErrors.length} error(s)). Re-asking (${reask + 1}/${maxReasks}).`);
+        conversation = [
+            ...conversation,
+            { role: 'assistant', content: JSON.stringify(result) },
+            { role: 'user', content: buildCorrectionMessage(schemaErrors, outputSchema) }
+        ];
+    }
+}
+
+module.exports = {
+    callModelForStructuredOutput,
+};
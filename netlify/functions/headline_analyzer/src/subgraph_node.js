@@ -0,0 +1,112 @@
+// src/subgraph_node.js
+// The "subgraph" node type: runs another graph config, compiled separately, as a single node of the parent graph.
+// "inputMapping" ({ childKey: parentKeyOrPath }) builds the child's initial state from the parent state, and
+// "outputMapping" ({ parentKey: childKeyOrPath }) copies child results back. The child's whole final state is
+// kept under "<id>_state", and its node ids appear namespaced as "<id>/<childNodeId>" (in llm_call_attempts,
+// the client graphStructure and streamed events).
+
+const { resolvePath } = require('./utils/objectPathUtils');
+const { getSubgraphStateKey } = require('./config_derivation');
+const { streamGraphEvents } = require('./graph_streaming');
+
+const SUBGRAPH_ID_SEPARATOR = '/';
+
+function namespaceId(prefix, id) {
+    return `${prefix}${SUBGRAPH_ID_SEPARATOR}${id}`;
+}
+
+function namespaceKeys(prefix, obj) {
+    return Object.fromEntries(Object.entries(obj || {}).map(([key, value]) => [namespaceId(prefix, key), value]));
+}
+
+// A child node's state update as seen from the parent: state keys and attempt log ids get the prefix
+function namespaceStateUpdate(prefix, update) {
+    const namespaced = {};
+    for (const [key, value] of Object.entries(update || {})) {
+        if (key === 'error_messages') namespaced[key] = value;
+        else if (key === 'llm_call_attempts') namespaced[key] = namespaceKeys(prefix, value);
+        else namespaced[namespaceId(prefix, key)] = value;
+    }
+    return namespaced;
+}
+
+/**
+ * Rewrites a child graph's event (see graph_streaming.js) so it refers to the namespaced node ids and state keys.
+ * @param {string} prefix - The subgraph node's id.
+ * @param {{event: string, data: object}} graphEvent
+ * @returns {{event: string, data: object}}
+ */
+function namespaceGraphEvent(prefix, { event, data }) {
+    const namespacedData = { ...data, node: namespaceId(prefix, data.node) };
+    if (data.update) namespacedData.update = namespaceStateUpdate(prefix, data.update);
+    if (data.task) namespacedData.task = namespaceId(prefix, data.task);
+    if (data.stateKey) namespacedData.stateKey = namespaceId(prefix, data.stateKey);
+    return { event, data: namespacedData };
+}
+
+/**
+ * Run config for a child graph started from inside a parent node.
+ * An explicit (empty) "configurable" runs the child as its own graph run. Otherwise LangGraph picks up the
+ * parent's run from async context and treats the child as nested, which drops its "debug" stream chunks.
+ * @param {object} [parentConfig] - The parent node's LangGraph config.
+ * @returns {{recursionLimit: number, configurable: object}}
+ */
+function getChildRunConfig(parentConfig) {
+    return { recursionLimit: (parentConfig && parentConfig.recursionLimit) || 25, configurable: {} };
+}
+
+/**
+ * The LangGraph node function for a subgraph node.
+ * @param {object} nodeConfig - The subgraph node definition.
+ * @param {{app: object, graphId: string}} childGraph - The compiled child graph (see graph_builder.js).
+ * @returns {function(object, object): Promise<object>}
+ */
+function createSubgraphNodeFunction(nodeConfig, childGraph) {
+    return async (state, config) => {
+        console.log(`--- Running Subgraph: ${nodeConfig.displayName} (ID: ${nodeConfig.id}, graph: ${childGraph.graphId}) ---`);
+        const childInput = {};
+        for (const [childKey, parentPath] of Object.entries(nodeConfig.inputMapping || {})) {
+            childInput[childKey] = resolvePath(state, parentPath);
+        }
+        const childRunConfig = getChildRunConfig(config);
+
+        let childState;
+        try {
+            if (config && config.writer) {
+                // Streaming: forward the child's node events so its internal nodes light up live too
+                for await (const graphEvent of streamGraphEvents(childGraph.app, childInput, childRunConfig)) {
+                    if (graphEvent.event === 'run_finished') childState = graphEvent.data.state;
+                    else if (graphEvent.event === 'run_error') throw new Error(graphEvent.data.error);
+                    else config.writer({ forwardedEvent: namespaceGraphEvent(nodeConfig.id, graphEvent) });
+                }
+            } else {
+                childState = await childGraph.app.invoke(childInput, childRunConfig);
+            }
+        } catch (error) {
+            console.error(`${nodeConfig.id}: subgraph '${childGraph.graphId}' failed:`, error);
+            return {
+                [getSubgraphStateKey(nodeConfig)]: { error: `Subgraph '${childGraph.graphId}' failed: ${error.message}` },
+                error_messages: [`${nodeConfig.displayName}: subgraph '${childGraph.graphId}' failed: ${error.message}`]
+            };
+        }
+
+        const update = {
+            [getSubgraphStateKey(nodeConfig)]: childState,
+            error_messages: (childState.error_messages || []).map(message => `[${nodeConfig.id}] ${message}`),
+            llm_call_attempts: namespaceKeys(nodeConfig.id, childState.llm_call_attempts)
+        };
+        for (const [parentKey, childPath] of Object.entries(nodeConfig.outputMapping || {})) {
+            const value = resolvePath(childState, childPath);
+            if (value !== undefined) update[parentKey] = value;
+        }
+        return update;
+    };
+}
+
+module.exports = {
+    SUBGRAPH_ID_SEPARATOR,
+    namespaceKeys,
+    namespaceGraphEvent,
+    getChildRunConfig,
+    createSubgraphNodeFunction,
+};
@@ -0,0 +1,147 @@
+// src/usage_accounting.js
+// Token, latency and cost accounting for model calls. callModel reports each response's token usage, each attempt
+// record carries it (see retry_policy.js), and the attempts every node logs are added up into "llm_usage":
+//   { by_node: { <attempt log id>: totals + from_cache }, run: totals }
+// where totals = { calls, cache_hits, prompt_tokens, completion_tokens, total_tokens, latency_ms, cost_usd, unpriced_models? }.
+// A response served from the LLM cache (see llm_cache.js) is a cache hit rather than a call, and costs nothing;
+// from_cache says a node's (or task's) result came from the cache alone, without calling the model.
+// Costs are estimates from the price table in llm_prices.json (or the LLM_PRICE_TABLE environment variable).
+
+const defaultPriceTable = require('./llm_prices.json');
+
+const USAGE_COUNTERS = ['calls', 'cache_hits', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'latency_ms', 'cost_usd'];
+
+let priceTable;
+
+function getPriceTable() {
+    if (!priceTable) {
+        priceTable = process.env.LLM_PRICE_TABLE ? JSON.parse(process.env.LLM_PRICE_TABLE) : defaultPriceTable;
+    }
+    return priceTable;
+}
+
+// USD per million tokens for a model ({ input, output }), from the longest matching name prefix
+function findModelPrice(modelName) {
+    const models = getPriceTable().models || {};
+    const prefix = Object.keys(models)
+        .filter(candidate => typeof modelName === 'string' && modelName.startsWith(candidate))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? models[prefix] : undefined;
+}
+
+// Avoids float noise such as 0.30000000000000004 in summed costs
+function roundCost(value) {
+    return Math.round(value * 1e9) / 1e9;
+}
+
+/**
+ * Usage of one model response, with its estimated cost.
+ * @param {string} modelName
+ * @param {{prompt_tokens?: number, completion_tokens?: number, total_tokens?: number}} tokenCounts - As normalized by
+ *        the provider adapter (see llm_providers/).
+ * @returns {{model: string, prompt_tokens: number, completion_tokens: number, total_tokens: number, cost_usd?: number}}
+ *          cost_usd is left out for a model missing from the price table.
+ */
+function toUsageRecord(modelName, tokenCounts) {
+    const promptTokens = tokenCounts.prompt_tokens || 0;
+    const completionTokens = tokenCounts.completion_tokens || 0;
+    const usage = {
+        model: modelName,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: tokenCounts.total_tokens || promptTokens + completionTokens
+    };
+    const price = findModelPrice(modelName);
+    if (price) {
+        usage.cost_usd = roundCost((promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6);
+    }
+    return usage;
+}
+
+function emptyTotals() {
+    const totals = {};
+    USAGE_COUNTERS.forEach(counter => { totals[counter] = 0; });
+    return totals;
+}
+
+// Adds source's counters into target (and merges their unpriced_models)
+function addTotals(target, source = {}) {
+    USAGE_COUNTERS.forEach(counter => { target[counter] = (target[counter] || 0) + (source[counter] || 0); });
+    target.cost_usd = roundCost(target.cost_usd);
+    if (source.unpriced_models) {
+        target.unpriced_models = [...new Set([...(target.unpriced_models || []), ...source.unpriced_models])];
+    }
+    return target;
+}
+
+// A node's result came from the cache when it has cache hits and made no calls
+function withFromCache(totals) {
+    totals.from_cache = totals.calls === 0 && totals.cache_hits > 0;
+    return totals;
+}
+
+/**
+ * Totals for one attempt log: every attempt is a call (or a cache hit), its duration the call's latency.
+ * @param {object[]} attempts - Attempt records from callModelWithRetry.
+ * @returns {object} Usage totals, with from_cache.
+ */
+function summarizeAttempts(attempts = []) {
+    const totals = emptyTotals();
+    for (const attempt of attempts) {
+        if (attempt.cache_hit) totals.cache_hits += 1;
+        else totals.calls += 1;
+        totals.latency_ms += attempt.duration_ms || 0;
+        if (!attempt.usage) continue; // No response (network error, timeout) or no usageMetadata in it
+        const { model, cost_usd, ...tokenCounts } = attempt.usage;
+        addTotals(totals, cost_usd !== undefined ? { ...tokenCounts, cost_usd } : { ...tokenCounts, unpriced_models: [model] });
+    }
+    return withFromCache(totals);
+}
+
+/**
+ * The llm_usage update for a node's attempt logs.
+ * @param {Object<string, object[]>} attemptsByLogId - The node's llm_call_attempts update.
+ * @returns {{by_node: Object<string, object>, run: object}}
+ */
+function usageFromAttemptLogs(attemptsByLogId) {
+    const usage = { by_node: {}, run: emptyTotals() };
+    for (const [logId, attempts] of Object.entries(attemptsByLogId || {})) {
+        usage.by_node[logId] = summarizeAttempts(attempts);
+        addTotals(usage.run, usage.by_node[logId]);
+    }
+    return usage;
+}
+
+// Reducer for the llm_usage channel: per-node and run totals are added up, never replaced
+function mergeUsage(current, update) {
+    const merged = { by_node: { ...(current?.by_node || {}) }, run: addTotals(emptyTotals(), current?.run) };
+    for (const [logId, totals] of Object.entries(update?.by_node || {})) {
+        merged.by_node[logId] = withFromCache(addTotals(addTotals(emptyTotals(), merged.by_node[logId]), totals));
+    }
+    addTotals(merged.run, update?.run);
+    return merged;
+}
+
+/**
+ * Wraps a LangGraph node function so its update also reports the usage of the model calls it logged.
+ * @param {function(object, object): Promise<object>} nodeFunction
+ * @returns {function(object, object): Promise<object>}
+ */
+function withUsageAccounting(nodeFunction) {
+    return async (state, config) => {
+        const update = await nodeFunction(state, config);
+        if (update && update.llm_call_attempts && Object.keys(update.llm_call_attempts).length > 0) {
+            return { ...update, llm_usage: usageFromAttemptLogs(update.llm_call_attempts) };
+        }
+        return update;
+    };
+}
+
+module.exports = {
+    USAGE_COUNTERS,
+    toUsageRecord,
+    summarizeAttempts,
+    usageFromAttemptLogs,
+    mergeUsage,
+    withUsageAccounting,
+};
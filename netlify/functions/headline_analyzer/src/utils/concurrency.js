@@ -0,0 +1,19 @@
+// src/utils/concurrency.js
+
+// Runs worker(item, index) over items with at most `limit` in flight; results keep item order.
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency,
+};
@@ -0,0 +1,98 @@
+// src/utils/jsonSchemaUtils.js
+// A small JSON Schema subset, enough for describing LLM outputs in promptConfig.outputSchema.
+// Supported keywords: type, properties, required, items, enum, minLength, minItems, nullable, additionalProperties (false only).
+
+const SUPPORTED_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+const SUPPORTED_KEYWORDS = ['type', 'properties', 'required', 'items', 'enum', 'minLength', 'minItems', 'nullable', 'additionalProperties', 'description'];
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        case 'null': return value === null;
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Validates a value against a schema.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [path='$'] - Location used in error messages.
+ * @returns {string[]} Human-readable errors; empty when the value matches.
+ */
+function validateJsonSchema(value, schema, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+
+    if (value === null && schema.nullable) return errors;
+
+    if (schema.type) {
+        const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!allowedTypes.some(type => matchesType(value, type))) {
+            const actualType = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+            errors.push(`${path}: expected ${allowedTypes.join(' or ')}, got ${actualType}`);
+            return errors; // Nested checks make no sense on the wrong type
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}, got ${JSON.stringify(value)}`);
+    }
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path}: must be at least ${schema.minLength} character(s) long`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`)));
+        }
+    }
+
+    if (matchesType(value, 'object')) {
+        for (const requiredKey of schema.required || []) {
+            if (value[requiredKey] === undefined) errors.push(`${path}: missing required property '${requiredKey}'`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) errors.push(...validateJsonSchema(value[key], propertySchema, `${path}.${key}`));
+        }
+        if (schema.additionalProperties === false) {
+            Object.keys(value)
+                .filter(key => !(schema.properties || {}).hasOwnProperty(key))
+                .forEach(key => errors.push(`${path}: unexpected property '${key}'`));
+        }
+    }
+    return errors;
+}
+
+/**
+ * Checks that a schema only uses the supported subset (for config validation).
+ * @param {object} schema
+ * @param {string} [path='outputSchema']
+ * @returns {string[]} Problems with the schema itself; empty when it is usable.
+ */
+function checkSchemaDefinition(schema, path = 'outputSchema') {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return [`${path}: must be an object`];
+    const problems = [];
+    Object.keys(schema)
+        .filter(keyword => !SUPPORTED_KEYWORDS.includes(keyword))
+        .forEach(keyword => problems.push(`${path}: unsupported keyword '${keyword}'`));
+    const types = schema.type === undefined ? [] : (Array.isArray(schema.type) ? schema.type : [schema.type]);
+    types.filter(type => !SUPPORTED_TYPES.includes(type))
+        .forEach(type => problems.push(`${path}: unsupported type '${type}'`));
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        problems.push(...checkSchemaDefinition(propertySchema, `${path}.properties.${key}`));
+    }
+    if (schema.items) problems.push(...checkSchemaDefinition(schema.items, `${path}.items`));
+    return problems;
+}
+
+module.exports = {
+    validateJsonSchema,
+    checkSchemaDefinition,
+};
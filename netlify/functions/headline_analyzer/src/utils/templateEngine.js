@@ -0,0 +1,265 @@
+// src/utils/templateEngine.js
+// The prompt template language (systemMessage, developerInstructionsTemplate, userInputTemplate):
+//   {{headline}}  {{analysis1.rewritten_headline}}        values by dot path; objects render as pretty JSON
+//   {{analysis1 | json:0}}  {{text | truncate:200}}       filters, chained with "|", arguments after ":"
+//   {{#if analysis1.error}}...{{else}}...{{/if}}         also {{#unless ...}}; empty arrays/objects are false
+//   {{#each results}}{{@index}}: {{this}}{{else}}none{{/each}}   arrays or objects; inside, {{this}}, {{@index}},
+//                                                         {{@key}}, {{@first}}, {{@last}}, and the item's own fields
+// A placeholder that resolves to undefined is "missing": strict rendering throws a TemplateError listing them all,
+// lenient rendering leaves the placeholder as written and logs a warning. {{x | default:"n/a"}} is never missing.
+
+const FILTERS = {
+    json: (value, indent = 2) => JSON.stringify(value, null, indent || undefined),
+    truncate: (value, length = 100) => {
+        const text = stringify(value);
+        return text.length > length ? `${text.slice(0, Math.max(0, length - 1))}…` : text;
+    },
+    default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+    join: (value, separator = ', ') => (Array.isArray(value) ? value.map(stringify).join(separator) : value),
+    length: (value) => (Array.isArray(value) || typeof value === 'string' ? value.length : Object.keys(value || {}).length),
+    upper: (value) => stringify(value).toUpperCase(),
+    lower: (value) => stringify(value).toLowerCase(),
+    trim: (value) => stringify(value).trim(),
+};
+// Applied to missing values too; every other filter passes a missing value through
+const FILTERS_FOR_MISSING = ['default'];
+
+const LOOP_VARIABLES = ['this', '@index', '@key', '@first', '@last'];
+const PATH_PATTERN = /^(?:@index|@key|@first|@last|(?:this|[A-Za-z_$][\w$]*)(?:\.[\w$-]+)*)$/;
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+
+class TemplateError extends Error {
+    /**
+     * @param {string} message
+     * @param {{missingVariables?: string[]}} [details]
+     */
+    constructor(message, { missingVariables = [] } = {}) {
+        super(message);
+        this.name = 'TemplateError';
+        this.missingVariables = missingVariables;
+    }
+}
+
+function stringify(value) {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'object' && value !== null) return JSON.stringify(value, null, 2);
+    return String(value);
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.keys(value).length > 0;
+    return Boolean(value);
+}
+
+// Splits on a separator character outside of quoted strings
+function splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === separator) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.map(part => part.trim());
+}
+
+function parseFilterArgument(text) {
+    if (/^(".*"|'.*')$/s.test(text)) return text.slice(1, -1);
+    if (text !== '' && !Number.isNaN(Number(text))) return Number(text);
+    if (text === 'true' || text === 'false') return text === 'true';
+    if (text === 'null') return null;
+    throw new TemplateError(`invalid filter argument '${text}' (quote strings)`);
+}
+
+// "path | filter:arg | filter" -> { path, filters: [{ name, args }] }
+function parseExpression(source) {
+    const [path, ...filterSources] = splitOutsideQuotes(source, '|');
+    if (!PATH_PATTERN.test(path)) throw new TemplateError(`unsupported expression '{{${source}}}'`);
+    const filters = filterSources.map(filterSource => {
+        const [name, ...args] = splitOutsideQuotes(filterSource, ':');
+        if (!FILTERS[name]) {
+            throw new TemplateError(`unknown filter '${name}' in '{{${source}}}' (available: ${Object.keys(FILTERS).join(', ')})`);
+        }
+        return { name, args: args.map(parseFilterArgument) };
+    });
+    return { path, filters };
+}
+
+/**
+ * Parses a template into a tree of text, variable, if/unless and each nodes.
+ * @param {string} template
+ * @returns {object[]}
+ * @throws {TemplateError} On unsupported expressions, unknown filters or unbalanced blocks.
+ */
+function parseTemplate(template) {
+    const body = [];
+    const frames = [{ block: null, target: body }]; // Open blocks, and where the text before each one goes
+    const current = () => frames[frames.length - 1];
+    let lastIndex = 0;
+    let match;
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(template)) !== null) {
+        if (match.index > lastIndex) current().target.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+        lastIndex = TAG_PATTERN.lastIndex;
+        const [raw, source] = match;
+        const frame = current();
+        const open = source.match(/^#(if|unless|each)\s+([\s\S]+)$/);
+        if (open) {
+            const block = { type: open[1], expression: parseExpression(open[2]), body: [], elseBody: [] };
+            frame.target.push(block);
+            frames.push({ block, target: block.body });
+        } else if (source === 'else') {
+            if (!frame.block || frame.target === frame.block.elseBody) {
+                throw new TemplateError("'{{else}}' outside of an #if, #unless or #each block");
+            }
+            frame.target = frame.block.elseBody;
+        } else if (source.startsWith('/')) {
+            if (!frame.block || source !== `/${frame.block.type}`) {
+                throw new TemplateError(`unexpected '${raw}'${frame.block ? ` (expected '{{/${frame.block.type}}}')` : ''}`);
+            }
+            frames.pop();
+        } else {
+            frame.target.push({ type: 'variable', raw, expression: parseExpression(source) });
+        }
+    }
+    if (frames.length > 1) throw new TemplateError(`'{{#${current().block.type}}}' is never closed`);
+    if (lastIndex < template.length) body.push({ type: 'text', value: template.slice(lastIndex) });
+    return body;
+}
+
+// Scopes are searched innermost first: loop variables, then the loop item's fields, then the template data
+function lookup(scopes, path) {
+    const [head, ...rest] = path.split('.');
+    let value;
+    let found = false;
+    for (let i = scopes.length - 1; i >= 0 && !found; i--) {
+        const scope = scopes[i];
+        if (scope !== null && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, head)) {
+            value = scope[head];
+            found = true;
+        }
+    }
+    for (const key of rest) {
+        if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+function evaluate(expression, scopes) {
+    let value = lookup(scopes, expression.path);
+    for (const { name, args } of expression.filters) {
+        if (value === undefined && !FILTERS_FOR_MISSING.includes(name)) continue;
+        value = FILTERS[name](value, ...args);
+    }
+    return value;
+}
+
+function renderNodes(nodes, scopes, missing) {
+    let output = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'variable') {
+            const value = evaluate(node.expression, scopes);
+            if (value === undefined) {
+                missing.push(node.expression.path);
+                output += node.raw;
+            } else {
+                output += stringify(value);
+            }
+        } else if (node.type === 'if' || node.type === 'unless') {
+            const condition = isTruthy(evaluate(node.expression, scopes));
+            output += renderNodes(condition === (node.type === 'if') ? node.body : node.elseBody, scopes, missing);
+        } else if (node.type === 'each') {
+            const collection = evaluate(node.expression, scopes);
+            const entries = Array.isArray(collection) ? collection.map((item, index) => [index, item])
+                : (collection && typeof collection === 'object' ? Object.entries(collection) : []);
+            if (entries.length === 0) {
+                output += renderNodes(node.elseBody, scopes, missing);
+                continue;
+            }
+            entries.forEach(([key, item], index) => {
+                const loopVariables = { this: item, '@index': index, '@key': key, '@first': index === 0, '@last': index === entries.length - 1 };
+                output += renderNodes(node.body, [...scopes, item, loopVariables], missing);
+            });
+        }
+    }
+    return output;
+}
+
+/**
+ * Renders a template.
+ * @param {string} template
+ * @param {object} data - Values for the placeholders (state plus the node's stateInputArgs).
+ * @param {{strict?: boolean, label?: string}} [options] - strict: throw on missing variables instead of leaving them
+ *   in the text; label: who is rendering, for messages.
+ * @returns {string}
+ * @throws {TemplateError} On a syntax error, or a missing variable when strict.
+ */
+function renderTemplate(template, data, { strict = false, label = 'template' } = {}) {
+    if (typeof template !== 'string') {
+        console.warn(`renderTemplate (${label}): template is not a string`, template);
+        return ""; // Return empty string for invalid templates
+    }
+    let nodes;
+    try {
+        nodes = parseTemplate(template);
+    } catch (error) {
+        throw new TemplateError(`${label}: ${error.message}`);
+    }
+    const missing = [];
+    const rendered = renderNodes(nodes, [data || {}], missing);
+    if (missing.length > 0) {
+        const missingVariables = [...new Set(missing)];
+        const message = `${label}: missing template variable(s): ${missingVariables.join(', ')}`;
+        if (strict) throw new TemplateError(message, { missingVariables });
+        console.warn(`${message} (left as written)`);
+    }
+    return rendered;
+}
+
+/**
+ * Root names of the variables a template reads from its data, e.g. "analysis1" for "{{#if analysis1.error}}".
+ * Inside #each blocks only the collection is listed (other names may be fields of the loop item).
+ * @param {string} template
+ * @returns {string[]}
+ * @throws {TemplateError} On a syntax error.
+ */
+function listTemplateVariables(template) {
+    if (typeof template !== 'string') return [];
+    const variables = new Set();
+    const visit = (nodes) => {
+        for (const node of nodes) {
+            if (node.type === 'text') continue;
+            const root = node.expression.path.split('.')[0];
+            if (!LOOP_VARIABLES.includes(root)) variables.add(root);
+            if (node.type === 'if' || node.type === 'unless') {
+                visit(node.body);
+                visit(node.elseBody);
+            } else if (node.type === 'each') {
+                visit(node.elseBody);
+            }
+        }
+    };
+    visit(parseTemplate(template));
+    return [...variables];
+}
+
+module.exports = {
+    TemplateError,
+    parseTemplate,
+    renderTemplate,
+    listTemplateVariables,
+    FILTER_NAMES: Object.keys(FILTERS),
+};
@@ -0,0 +1,200 @@
+// run_golden_tests.js (in project root)
+// Usage: node run_golden_tests.js [--update] [--record] [--case <caseId>] [--verbose]
+// Regression suite for the analysis graph: runs every headline in golden/corpus.json through the compiled
+// graph and through the handler (JSON mode), with LLM responses replayed offline (see src/mock_llm_provider.js),
+// and compares what the run produced with the golden files in golden/expected/. A golden file keeps the outputs
+// under test, not the whole state: the final headlines and how they were reverted, the judge's scores, the fact
+// check, the frame labels, what was saved, the errors, and how many times each node ran; and of the handler's
+// response, its status, message, errors, headlines and the graph's node ids.
+//   --update   rewrite the golden files from this run (after an intended change; review the git diff)
+//   --record   make live LLM calls (needs the providers' API keys, e.g. GEMINI_API_KEY) and save them to golden/llm_recordings/ for replay
+//   --case     only run the corpus entry with this id
+//   --verbose  show the graph's own logging
+// Requests with no recording get their case's answer in golden/llm_fixtures.json. Nothing is written to DynamoDB.
+// Exits with code 1 if any case differs from (or has no) golden file.
+
+const fs = require('fs');
+const path = require('path');
+
+const goldenDir = path.join(__dirname, 'golden');
+const expectedDir = path.join(goldenDir, 'expected');
+
+const args = process.argv.slice(2);
+const update = args.includes('--update');
+const record = args.includes('--record');
+const verbose = args.includes('--verbose');
+const onlyCaseId = args.includes('--case') ? args[args.indexOf('--case') + 1] : undefined;
+
+// Must be set before the graph modules load
+process.env.LLM_MOCK_MODE = record ? 'record' : 'replay';
+process.env.LLM_MOCK_DIR = path.join(goldenDir, 'llm_recordings');
+process.env.LLM_MOCK_FIXTURES = path.join(goldenDir, 'llm_fixtures.json');
+process.env.DYNAMODB_DRY_RUN = 'true';
+process.env.CHECKPOINTER = 'none';
+process.env.LLM_CACHE = 'none'; // Each case runs twice (graph, then handler); both must reach the recordings
+
+const functionDir = './netlify/functions/headline_analyzer';
+const { getGraph } = require(`${functionDir}/src/graph_builder`);
+const { DEFAULT_GRAPH_ID } = require(`${functionDir}/src/graph_registry`);
+const { analyzeHeadline } = require(`${functionDir}/headline_analyzer`);
+
+// Values that change on every run (ids, timestamps, timings) are replaced before comparing
+const VOLATILE_KEYS = ['headline_id', 'created_at', 'started_at', 'duration_ms', 'latency_ms', 'retry_delay_ms', 'thread_id', 'recorded_at'];
+const VOLATILE_PLACEHOLDER = '<volatile>';
+
+function scrubVolatile(value) {
+    if (Array.isArray(value)) return value.map(scrubVolatile);
+    if (value && typeof value === 'object') {
+        const scrubbed = {};
+        for (const key of Object.keys(value).sort()) {
+            if (value[key] === undefined) continue;
+            scrubbed[key] = VOLATILE_KEYS.includes(key) ? VOLATILE_PLACEHOLDER : scrubVolatile(value[key]);
+        }
+        return scrubbed;
+    }
+    return value;
+}
+
+// One line per differing path, e.g. "  ~ final_state.flipped_headline: "A" -> "B""
+function diffValues(expected, actual, pathSoFar = '', lines = []) {
+    const isObject = (value) => value !== null && typeof value === 'object';
+    if (isObject(expected) && isObject(actual) && Array.isArray(expected) === Array.isArray(actual)) {
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        for (const key of keys) {
+            const childPath = Array.isArray(expected) ? `${pathSoFar}[${key}]` : (pathSoFar ? `${pathSoFar}.${key}` : key);
+            if (!(key in actual)) lines.push(`  - ${childPath}: ${JSON.stringify(expected[key])}`);
+            else if (!(key in expected)) lines.push(`  + ${childPath}: ${JSON.stringify(actual[key])}`);
+            else diffValues(expected[key], actual[key], childPath, lines);
+        }
+    } else if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+        lines.push(`  ~ ${pathSoFar || '(root)'}: ${JSON.stringify(expected)} -> ${JSON.stringify(actual)}`);
+    }
+    return lines;
+}
+
+// Runs fn with the graph's console output muted (unless --verbose)
+async function quietly(fn) {
+    if (verbose) return fn();
+    const saved = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, saved);
+    }
+}
+
+// The judge's verdict on one headline, without its rationales
+function judgeScores(verdict) {
+    if (!verdict || verdict.skipped || verdict.error) return verdict;
+    return {
+        fact_preservation: verdict.fact_preservation?.score,
+        added_claims: verdict.added_claims?.claims,
+        frame_flip_strength: verdict.frame_flip_strength?.score
+    };
+}
+
+function mapValues(object, fn) {
+    return object ? Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)])) : undefined;
+}
+
+// What a golden file keeps of a run's final state (see the header)
+function summarizeFinalState(finalState, responseKeys, nodeRuns) {
+    const outputHeadlineKeys = responseKeys.outputHeadlines.map(({ stateKey }) => stateKey);
+    const factCheck = responseKeys.factCheckKey && finalState[responseKeys.factCheckKey];
+    return {
+        input_headline: finalState.input_headline,
+        headline_with_placeholders: finalState.headline_with_placeholders,
+        properNoun_map: finalState.properNoun_map,
+        output_headlines: Object.fromEntries(outputHeadlineKeys.map(key => [key, finalState[key]])),
+        reverters: Object.fromEntries(responseKeys.reverterDetailsKeys
+            .filter(key => finalState[key])
+            .map(key => [key, { status: finalState[key].status, integrity: finalState[key].integrity?.status }])),
+        judge_scores: responseKeys.judgeScoresKey ? mapValues(finalState[responseKeys.judgeScoresKey], judgeScores) : undefined,
+        fact_check: factCheck
+            ? { status: factCheck.status, error: factCheck.error, findings: mapValues(factCheck.headlines, headline => headline.findings || headline) }
+            : undefined,
+        frame_labels: responseKeys.frameLabelsKey ? finalState[responseKeys.frameLabelsKey] : undefined,
+        saved: finalState.db_save_status && { success: finalState.db_save_status.success, saved_item_keys: finalState.db_save_status.saved_item_keys },
+        error_messages: finalState.error_messages,
+        llm_calls: finalState.llm_usage?.run?.calls,
+        node_runs: nodeRuns
+    };
+}
+
+function summarizeHandlerOutput(response, responseKeys) {
+    const body = JSON.parse(response.body);
+    return {
+        statusCode: response.statusCode,
+        message: body.message,
+        error: body.error,
+        errors: body.errors,
+        output_headlines: body.data && Object.fromEntries(responseKeys.outputHeadlines.map(({ stateKey }) => [stateKey, body.data[stateKey]])),
+        graph_nodes: body.graphStructure && body.graphStructure.nodes.map(node => node.id)
+    };
+}
+
+async function runCase(testCase, graphId) {
+    const graph = getGraph(graphId);
+    const input = { input_headline: testCase.headline, error_messages: [] };
+    // Streamed, to count how many times each node runs (a node triggered twice shows up here)
+    const { finalState, nodeRuns } = await quietly(async () => {
+        const run = { finalState: undefined, nodeRuns: {} };
+        for await (const [mode, chunk] of await graph.app.stream(input, { recursionLimit: 25, streamMode: ['updates', 'values'] })) {
+            if (mode === 'values') run.finalState = chunk;
+            else Object.keys(chunk).forEach(nodeId => { run.nodeRuns[nodeId] = (run.nodeRuns[nodeId] || 0) + 1; });
+        }
+        return run;
+    });
+    const response = await quietly(() => analyzeHeadline({ httpMethod: 'POST', body: JSON.stringify({ headline: testCase.headline, graphId }) }, {}));
+    return scrubVolatile({
+        final_state: summarizeFinalState(finalState, graph.responseKeys, nodeRuns),
+        handler_output: summarizeHandlerOutput(response, graph.responseKeys)
+    });
+}
+
+async function main() {
+    const corpus = JSON.parse(fs.readFileSync(path.join(goldenDir, 'corpus.json'), 'utf-8')).cases;
+    const cases = corpus.filter(testCase => !onlyCaseId || testCase.id === onlyCaseId);
+    if (cases.length === 0) {
+        console.error(`No corpus case with id '${onlyCaseId}'.`);
+        process.exit(1);
+    }
+
+    let failures = 0;
+    for (const testCase of cases) {
+        for (const graphId of testCase.graphIds || [DEFAULT_GRAPH_ID]) {
+            const name = `${testCase.id} [${graphId}]`;
+            const goldenPath = path.join(expectedDir, `${testCase.id}.${graphId}.json`);
+            const actual = await runCase(testCase, graphId);
+
+            if (update) {
+                fs.mkdirSync(expectedDir, { recursive: true });
+                fs.writeFileSync(goldenPath, JSON.stringify(actual, null, 2) + '\n');
+                console.log(`UPDATED  ${name}`);
+                continue;
+            }
+            if (!fs.existsSync(goldenPath)) {
+                console.error(`MISSING  ${name}: no golden file (run with --update to create ${path.relative(__dirname, goldenPath)})`);
+                failures++;
+                continue;
+            }
+            const diffLines = diffValues(JSON.parse(fs.readFileSync(goldenPath, 'utf-8')), actual);
+            if (diffLines.length === 0) {
+                console.log(`PASS     ${name}`);
+            } else {
+                console.error(`FAIL     ${name}: ${diffLines.length} difference(s) from ${path.relative(__dirname, goldenPath)}`);
+                diffLines.forEach(line => console.error(line));
+                failures++;
+            }
+        }
+    }
+
+    if (!update) console.log(`\n${failures === 0 ? 'All golden cases passed.' : `${failures} golden case(s) failed. If the change is intended, rerun with --update.`}`);
+    if (failures > 0) process.exit(1);
+}
+
+main().catch(error => {
+    console.error('Golden suite crashed:', error);
+    process.exit(1);
+});
@@ -1,12 +1,59 @@
 // run_local_analyzer.js (in project root)
+// Usage: node run_local_analyzer.js [--graph <graphId>] [--checkpointer <kind>] [--cache <kind>] [headline...]
+//        node run_local_analyzer.js --resume <thread_id> [--checkpointer <kind>]
+// graphId is one of the configs in graph_registry.js (default: full-five-analyzer).
+// --checkpointer kind is none, memory, file or dynamodb (default: the CHECKPOINTER environment variable, see checkpointers.js).
+// With a checkpointer, each run prints its thread id; --resume continues that run from its last completed step.
+// --cache kind is none, memory, file or dynamodb (default: the LLM_CACHE environment variable, see llm_cache.js);
+// with "file", analyzing the same headline again reuses the earlier model responses.
+// Offline (no API keys or network): LLM_MOCK_MODE=replay LLM_MOCK_FIXTURES=netlify/functions/headline_analyzer/llm_fixtures/offline_demo.json
+// (see src/mock_llm_provider.js for recording live responses and scripting error cases).
 
 // Load environment variables from .env file in the project root
 require('dotenv').config();
 
-// Path to the compiled app, relative from project root
-const { app, nodeDefinitionsForClient } = require('./netlify/functions/headline_analyzer/src/graph_builder');
+// Path to the graph builder, relative from project root
+const { getGraph } = require('./netlify/functions/headline_analyzer/src/graph_builder');
+const { DEFAULT_GRAPH_ID, isRegisteredGraphId, listGraphIds } = require('./netlify/functions/headline_analyzer/src/graph_registry');
+const { setDefaultCheckpointer, createThreadId, getThreadGraphId } = require('./netlify/functions/headline_analyzer/src/checkpointers');
+const { setDefaultLlmCache } = require('./netlify/functions/headline_analyzer/src/llm_cache');
 const readline = require('readline');
 
+const OPTIONS = ['graph', 'checkpointer', 'cache', 'resume'];
+
+// Pull "--<option> <value>" / "--<option>=<value>" out of the arguments; everything else is the headline
+function parseArgs(argv) {
+    const headlineWords = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const option = OPTIONS.find(name => argv[i] === `--${name}` || argv[i].startsWith(`--${name}=`));
+        if (!option) {
+            headlineWords.push(argv[i]);
+        } else if (argv[i] === `--${option}`) {
+            options[option] = argv[++i];
+        } else {
+            options[option] = argv[i].slice(`--${option}=`.length);
+        }
+    }
+    return { ...options, headline: headlineWords.join(" ") };
+}
+
+const { graph: graphArg, checkpointer, cache, resume: resumeThreadId, headline: headlineFromArgs } = parseArgs(process.argv.slice(2));
+// A resumed run uses the graph its thread was started with
+const graphId = resumeThreadId ? getThreadGraphId(resumeThreadId) : (graphArg || DEFAULT_GRAPH_ID);
+if (!isRegisteredGraphId(graphId)) {
+    console.error(`Unknown graph '${graphId}'. Available: ${listGraphIds().join(', ')}`);
+    process.exit(1);
+}
+if (checkpointer) setDefaultCheckpointer(checkpointer); // Before getGraph, which compiles with it
+if (cache) setDefaultLlmCache(cache);
+const { app: plainApp, resumableApp, responseKeys, graphVersion } = getGraph(graphId);
+if (resumeThreadId && !resumableApp) {
+    console.error("Cannot resume: no checkpointer configured (use --checkpointer or set CHECKPOINTER).");
+    process.exit(1);
+}
+const app = resumableApp || plainApp;
+
 function prettyPrint(obj) {
     return JSON.stringify(obj, null, 2);
 }
@@ -17,24 +64,37 @@ function prettyPrint(obj) {
 // from my previous response for 'headline_analyzer.js' (the one that was a runner).
 // Just ensure the require path for graph_builder is correct as above.
 
-async function runAnalysis(headline) {
-    if (!headline || headline.trim() === '') {
+// threadId: resume that run (headline is then ignored)
+async function runAnalysis(headline, threadId) {
+    if (!threadId && (!headline || headline.trim() === '')) {
         console.log("Please provide a headline.");
         return;
     }
 
+    const runConfig = { recursionLimit: 25 };
+    let input = { input_headline: headline, error_messages: [] };
+    if (resumableApp) {
+        runConfig.configurable = { thread_id: threadId || createThreadId(graphId) };
+    }
+    if (threadId) {
+        const snapshot = await app.getState(runConfig);
+        if (!snapshot.config.configurable.checkpoint_id) {
+            console.error(`No checkpoint found for thread ${threadId}.`);
+            return;
+        }
+        headline = snapshot.values.input_headline;
+        input = null; // Continue from the last checkpoint
+    }
+
     console.log("\n===================================");
-    console.log(" Starting Headline Analysis for:");
+    console.log(threadId ? " Resuming Headline Analysis for:" : " Starting Headline Analysis for:");
     console.log(` "${headline}"`);
+    console.log(` Graph: ${graphId} (version ${graphVersion})`);
+    if (runConfig.configurable) console.log(` Thread: ${runConfig.configurable.thread_id}`);
     console.log("===================================\n");
 
-    const initialState = {
-        input_headline: headline,
-        error_messages: []
-    };
-
     try {
-        const finalState = await app.invoke(initialState, { recursionLimit: 25 });
+        const finalState = await app.invoke(input, runConfig);
 
         console.log("\n===================================");
         console.log(" Analysis Complete. Final State:");
@@ -46,15 +106,10 @@ async function runAnalysis(headline) {
         console.log("Main Flipped Headline (Synthesized):", finalState.flipped_headline || "N/A");
         console.log("-----------------------------------");
 
-        if (finalState.speculative_reframing_reverted_headline) {
-            console.log("Speculative Reverted Headline:", finalState.speculative_reframing_reverted_headline);
-        }
-        if (finalState.episodic_thematic_reverted_headline) {
-            console.log("episodic_thematic Reverted Suggestion:", finalState.episodic_thematic_reverted_headline);
-        }
-        if (finalState.violence_type_reverted_headline) {
-            console.log("Violence Type Reverted Headline:", finalState.violence_type_reverted_headline);
-        }
+        // Analyzer headlines, derived from the reverter nodes in graph_config.json
+        responseKeys.outputHeadlines
+            .filter(({ stateKey }) => stateKey !== 'flipped_headline' && finalState[stateKey])
+            .forEach(({ stateKey, displayName }) => console.log(`${displayName}:`, finalState[stateKey]));
         console.log("-----------------------------------");
 
         if (finalState.db_save_status) {
@@ -67,6 +122,12 @@ async function runAnalysis(headline) {
         }
         console.log("-----------------------------------");
 
+        if (finalState.llm_usage) {
+            const { calls, cache_hits, prompt_tokens, completion_tokens, latency_ms, cost_usd } = finalState.llm_usage.run;
+            console.log(`LLM Usage: ${calls} call(s), ${cache_hits} cache hit(s), ${prompt_tokens} prompt + ${completion_tokens} completion tokens, ${latency_ms}ms, ~$${cost_usd.toFixed(6)}`);
+            console.log("-----------------------------------");
+        }
+
         if (finalState.error_messages && finalState.error_messages.length > 0) {
             console.warn("\nEncountered Errors During Processing:");
             finalState.error_messages.forEach((err, index) => console.warn(`  ${index + 1}: ${err}`));
@@ -81,6 +142,7 @@ async function runAnalysis(headline) {
         console.error(" Critical Error Running Graph:");
         console.error(error.message);
         console.error(error.stack);
+        if (runConfig.configurable) console.error(` Resume with: node run_local_analyzer.js --resume ${runConfig.configurable.thread_id}`);
         console.error("xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx\n");
     }
 }
@@ -101,9 +163,10 @@ function askForHeadline() {
     });
 }
 
-if (process.argv.length > 2) {
-    const headlineFromArg = process.argv.slice(2).join(" ");
-    runAnalysis(headlineFromArg).then(() => askForHeadline());
+if (resumeThreadId) {
+    runAnalysis(undefined, resumeThreadId).then(() => askForHeadline());
+} else if (headlineFromArgs) {
+    runAnalysis(headlineFromArgs).then(() => askForHeadline());
 } else {
     askForHeadline();
 }
\ No newline at end of file
@@ -0,0 +1,45 @@
+// test/analyzer_output.test.js
+// Final headlines that were not generated are null, with the reason in their reverter's details; any text counts as
+// a headline, whatever its first word.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isGeneratedHeadline, describeMissingHeadline } = require('../netlify/functions/headline_analyzer/src/analyzer_output');
+const { customNodeFunctions } = require('../netlify/functions/headline_analyzer/src/node_functions');
+
+const reverterConfig = {
+    id: 'euphemism_reverter',
+    displayName: 'Revert Euphemism',
+    stateInputArgs: { analyzer_result_object: 'euphemism_analysis_result', properNoun_map: 'properNoun_map' },
+    stateOutputKey: 'euphemism_reverted_headline'
+};
+
+test('a headline starting with "No" is a generated headline', () => {
+    assert.strictEqual(isGeneratedHeadline('No charges filed after police shooting of unarmed teen'), true);
+    assert.strictEqual(isGeneratedHeadline('Not applicable to most renters, new rule still stirs debate'), true);
+    assert.strictEqual(isGeneratedHeadline(null), false);
+    assert.strictEqual(isGeneratedHeadline('  '), false);
+});
+
+test('a missing headline is described by its details status', () => {
+    assert.strictEqual(describeMissingHeadline({ status: 'Skipped - no text' }), 'no headline generated (Skipped - no text)');
+    assert.strictEqual(describeMissingHeadline(undefined), 'no headline generated');
+});
+
+test('the generic reverter leaves the headline null when the analyzer offered none', async () => {
+    const update = await customNodeFunctions.revertGenericAnalyzerHeadline({
+        euphemism_analysis_result: { rewritten_headline: 'No significant euphemism found' },
+        properNoun_map: {}
+    }, reverterConfig);
+    assert.strictEqual(update.euphemism_reverted_headline, null);
+    assert.strictEqual(update.euphemism_reverter_details.status, 'Skipped - analyzer indicated no flip was generated');
+});
+
+test('the generic reverter keeps a rewrite that starts with "No"', async () => {
+    const update = await customNodeFunctions.revertGenericAnalyzerHeadline({
+        euphemism_analysis_result: { rewritten_headline: 'No charges filed after [PERSON_A] shot unarmed teen' },
+        properNoun_map: { '[PERSON_A]': 'Officer Lee' }
+    }, reverterConfig);
+    assert.strictEqual(update.euphemism_reverted_headline, 'No charges filed after Officer Lee shot unarmed teen');
+    assert.strictEqual(update.euphemism_reverter_details.status, 'Completed');
+});
@@ -0,0 +1,32 @@
+// test/batch_analyzer.test.js
+// The batch API's gate: every request needs BATCH_API_KEY, and a deployed function without one refuses them all.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { handler } = require('../netlify/functions/batch_analyzer/batch_analyzer');
+
+const poll = (headers) => handler({ httpMethod: 'GET', headers, queryStringParameters: { job_id: 'no-such-job' } });
+
+test('requests without the right API key are refused', async () => {
+    process.env.BATCH_API_KEY = 'batch-test-key';
+    try {
+        assert.strictEqual((await poll({})).statusCode, 401);
+        assert.strictEqual((await poll({ 'x-api-key': 'wrong-key' })).statusCode, 401);
+        assert.strictEqual((await poll({ 'x-api-key': 'batch-test-key' })).statusCode, 404);
+        assert.strictEqual((await poll({ authorization: 'Bearer batch-test-key' })).statusCode, 404);
+        const created = await handler({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ headlines: ['Headline'] }) });
+        assert.strictEqual(created.statusCode, 401);
+    } finally {
+        delete process.env.BATCH_API_KEY;
+    }
+});
+
+test('without BATCH_API_KEY only a local run answers', async () => {
+    assert.strictEqual((await poll({})).statusCode, 404);
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'batch_analyzer';
+    try {
+        assert.strictEqual((await poll({})).statusCode, 503);
+    } finally {
+        delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+    }
+});
@@ -0,0 +1,317 @@
+// test/batch_jobs.test.js
+// The batch job state machine, with an in-memory store and a stub instead of the graph run: creating, processing,
+// cancelling (queued, running or stale) and retrying jobs, the concurrency bound, conditional saves, the worker's
+// time budget, and the defaults refused in a deployed function.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    MAX_BATCH_ITEMS, createJob, getJob, cancelJob, retryFailedItems, processJob, startJobProcessing
+} = require('../netlify/functions/headline_analyzer/src/batch_jobs');
+const { MemoryBatchJobStore, BatchJobConflictError, createBatchJobStore } = require('../netlify/functions/headline_analyzer/src/batch_job_store');
+const { createThreadId } = require('../netlify/functions/headline_analyzer/src/checkpointers');
+
+const graphId = 'full-five-analyzer';
+const succeed = async (job, item) => ({ result: { output_headlines: { flipped_headline: `${item.headline} (flipped)` } } });
+
+function createTestJob(store, headlines = ['First headline', 'Second headline', 'Third headline'], concurrency = 1) {
+    return createJob({ headlines, graphId, concurrency }, store);
+}
+
+// Changes the stored job in place, as another process would have left it
+async function editStoredJob(store, jobId, change) {
+    const job = await store.load(jobId);
+    change(job);
+    await store.save(job, job.version);
+}
+
+test('a created job is queued with pending items', async () => {
+    const store = new MemoryBatchJobStore();
+    const job = await createTestJob(store, ['First headline', { headline: ' Second headline ', metadata: { source: 'wire' } }]);
+    assert.strictEqual(job.status, 'queued');
+    assert.strictEqual(job.version, 1);
+    assert.deepStrictEqual(job.items.map(item => [item.headline, item.status]), [['First headline', 'pending'], ['Second headline', 'pending']]);
+    assert.deepStrictEqual(job.items[1].metadata, { source: 'wire' });
+    assert.strictEqual(job.progress.pending, 2);
+    assert.deepStrictEqual(await getJob(job.job_id, store), JSON.parse(JSON.stringify(job)));
+});
+
+test('an invalid request is refused with a 400', async () => {
+    const store = new MemoryBatchJobStore();
+    const invalidRequests = [
+        { headlines: [], graphId },
+        { headlines: new Array(MAX_BATCH_ITEMS + 1).fill('Headline'), graphId },
+        { headlines: ['Headline', '  '], graphId },
+        { headlines: ['Headline '.repeat(60)], graphId },
+        { headlines: [{ headline: 'Headline', metadata: { note: 'x'.repeat(500) } }], graphId },
+        { headlines: [{ headline: 'Headline', metadata: [] }], graphId },
+        { headlines: ['Headline'], graphId: 'no-such-graph' },
+        { headlines: ['Headline'], graphId, concurrency: 0 },
+    ];
+    for (const request of invalidRequests) {
+        await assert.rejects(createJob(request, store), { name: 'BatchJobError', statusCode: 400 });
+    }
+});
+
+test('an unknown job is a 404', async () => {
+    const store = new MemoryBatchJobStore();
+    await assert.rejects(getJob('no-such-job', store), { name: 'BatchJobError', statusCode: 404 });
+    await assert.rejects(cancelJob('no-such-job', store), { statusCode: 404 });
+    await assert.rejects(retryFailedItems('no-such-job', {}, store), { statusCode: 404 });
+});
+
+test('a processed job completes, with failed items for runs that failed or threw', async () => {
+    const store = new MemoryBatchJobStore();
+    const job = await createTestJob(store);
+    const runItem = async (job, item) => {
+        if (item.index === 1) return { result: { errors: ['No headline'] }, error: 'No headline' };
+        if (item.index === 2) throw new Error('Model unavailable');
+        return succeed(job, item);
+    };
+    const processed = await processJob(job.job_id, { store, runItem });
+    assert.strictEqual(processed.status, 'completed');
+    assert.deepStrictEqual(processed.items.map(item => [item.status, item.error]), [
+        ['succeeded', undefined], ['failed', 'No headline'], ['failed', 'Model unavailable']
+    ]);
+    assert.deepStrictEqual(await getJob(job.job_id, store), processed);
+});
+
+test('a job cancelled while queued is never processed', async () => {
+    const store = new MemoryBatchJobStore();
+    const job = await createTestJob(store);
+    const cancelled = await cancelJob(job.job_id, store);
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.deepStrictEqual(cancelled.items.map(item => item.status), ['cancelled', 'cancelled', 'cancelled']);
+
+    let runs = 0;
+    const processed = await processJob(job.job_id, { store, runItem: async () => { runs += 1; return succeed(); } });
+    assert.strictEqual(runs, 0);
+    assert.strictEqual(processed.status, 'cancelled');
+});
+
+test('a job cancelled while running finishes its running item and cancels the rest', async () => {
+    const store = new MemoryBatchJobStore();
+    const job = await createTestJob(store);
+    const runItem = async (job, item) => {
+        const requested = await cancelJob(job.job_id, store); // Saved between the worker's saves
+        assert.strictEqual(requested.status, 'running');
+        assert.ok(requested.cancel_requested_at);
+        return succeed(job, item);
+    };
+    const processed = await processJob(job.job_id, { store, runItem });
+    assert.strictEqual(processed.status, 'cancelled');
+    assert.deepStrictEqual(processed.items.map(item => item.status), ['succeeded', 'cancelled', 'cancelled']);
+    assert.deepStrictEqual(await getJob(job.job_id, store), processed);
+});
+
+test('failed items are retried, and cancelled ones when listed', async () => {
+    const store = new MemoryBatchJobStore();
+    const job = await createTestJob(store);
+    await processJob(job.job_id, { store, runItem: async (job, item) => (item.index === 0 ? succeed(job, item) : { result: {}, error: 'No headline' }) });
+    await editStoredJob(store, job.job_id, (stored) => { stored.items[2].status = 'cancelled'; });
+
+    const retried = await retryFailedItems(job.job_id, {}, store);
+    assert.strictEqual(retried.status, 'queued');
+    assert.deepStrictEqual(retried.items.map(item => item.status), ['succeeded', 'pending', 'cancelled']);
+    assert.strictEqual(retried.items[1].error, undefined);
+
+    const processed = await processJob(job.job_id, { store, runItem: succeed });
+    assert.deepStrictEqual(processed.items.map(item => [item.status, item.attempts]), [['succeeded', 1], ['succeeded', 2], ['cancelled', 1]]);
+
+    const listed = await retryFailedItems(job.job_id, { itemIndexes: [2] }, store);
+    assert.deepStrictEqual(listed.items.map(item => item.status), ['succeeded', 'succeeded', 'pending']);
+    await assert.rejects(retryFailedItems(job.job_id, { itemIndexes: [3] }, store), { statusCode: 400 });
+});
+
+test('a retry is refused with a 409 while the job runs, or when nothing failed', async () => {
+    const store = new MemoryBatchJobStore();
+    const job = await createTestJob(store, ['Only headline']);
+    const runItem = async (job, item) => {
+        await assert.rejects(retryFailedItems(job.job_id, {}, store), { statusCode: 409, message: /still running/ });
+        return succeed(job, item);
+    };
+    await processJob(job.job_id, { store, runItem });
+    await assert.rejects(retryFailedItems(job.job_id, {}, store), { statusCode: 409, message: /no failed items/ });
+});
+
+test('a stale job (its worker died) can be cancelled at once, or retried including its running items', async () => {
+    const store = new MemoryBatchJobStore();
+    const markStale = (stored) => {
+        stored.status = 'running';
+        stored.items[0].status = 'succeeded';
+        stored.items[1].status = 'running';
+        stored.updated_at = new Date(Date.now() - 21 * 60 * 1000).toISOString();
+    };
+
+    const cancelledJob = await createTestJob(store);
+    await editStoredJob(store, cancelledJob.job_id, markStale);
+    const cancelled = await cancelJob(cancelledJob.job_id, store);
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.deepStrictEqual(cancelled.items.map(item => item.status), ['succeeded', 'cancelled', 'cancelled']);
+
+    const retriedJob = await createTestJob(store);
+    await editStoredJob(store, retriedJob.job_id, markStale);
+    const retried = await retryFailedItems(retriedJob.job_id, {}, store);
+    assert.strictEqual(retried.status, 'queued');
+    assert.deepStrictEqual(retried.items.map(item => item.status), ['succeeded', 'pending', 'pending']);
+});
+
+test('at most "concurrency" items run at a time', async () => {
+    const store = new MemoryBatchJobStore();
+    const job = await createTestJob(store, Array.from({ length: 7 }, (_, index) => `Headline ${index}`), 3);
+    let running = 0;
+    let mostRunning = 0;
+    const runItem = async (job, item) => {
+        running += 1;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running -= 1;
+        return succeed(job, item);
+    };
+    const processed = await processJob(job.job_id, { store, runItem });
+    assert.strictEqual(processed.progress.succeeded, 7);
+    assert.strictEqual(mostRunning, 3);
+});
+
+test('only one of two workers started at once claims the job', async () => {
+    const store = new MemoryBatchJobStore();
+    const job = await createTestJob(store);
+    let runs = 0;
+    const runItem = async (job, item) => { runs += 1; return succeed(job, item); };
+    await Promise.all([processJob(job.job_id, { store, runItem }), processJob(job.job_id, { store, runItem })]);
+    assert.strictEqual(runs, 3);
+    assert.strictEqual((await getJob(job.job_id, store)).status, 'completed');
+});
+
+test('a save of an outdated version is refused', async () => {
+    const store = new MemoryBatchJobStore();
+    const job = await createTestJob(store);
+    const outdated = await store.load(job.job_id);
+    await cancelJob(job.job_id, store);
+    await assert.rejects(store.save({ ...outdated, version: 2 }, 1), BatchJobConflictError);
+    assert.strictEqual((await getJob(job.job_id, store)).status, 'cancelled');
+});
+
+test('a worker out of time queues the remaining items for another worker', async () => {
+    const store = new MemoryBatchJobStore();
+    const job = await createTestJob(store);
+    const continued = [];
+    const options = { store, runItem: succeed, timeBudgetMs: 0, continueJob: async (jobId) => { continued.push(jobId); } };
+
+    const first = await processJob(job.job_id, options);
+    assert.strictEqual(first.status, 'queued');
+    assert.strictEqual(first.worker_id, null);
+    assert.deepStrictEqual(first.items.map(item => item.status), ['succeeded', 'pending', 'pending']);
+    assert.deepStrictEqual(continued, [job.job_id]);
+
+    await processJob(job.job_id, options);
+    const last = await processJob(job.job_id, options);
+    assert.strictEqual(last.status, 'completed');
+    assert.strictEqual(continued.length, 2);
+});
+
+// A memory store whose saves of a job fail (with a plain Error, as on throttling) at the given save numbers
+class FailingStore extends MemoryBatchJobStore {
+    constructor(failingSaves) {
+        super();
+        this.failingSaves = failingSaves;
+        this.saveCount = 0;
+    }
+
+    async save(job, expectedVersion) {
+        if (job.job_id.startsWith('quota#')) return super.save(job, expectedVersion);
+        this.saveCount += 1;
+        if (this.failingSaves.includes(this.saveCount)) throw new Error('ProvisionedThroughputExceededException');
+        return super.save(job, expectedVersion);
+    }
+}
+
+test('a worker retries saves that fail', async () => {
+    const store = new FailingStore([3, 4, 7]); // Save 1 creates the job, 2 claims it
+    const job = await createTestJob(store);
+    const processed = await processJob(job.job_id, { store, runItem: succeed, saveRetryBaseMs: 1 });
+    assert.strictEqual(processed.status, 'completed');
+    assert.deepStrictEqual((await getJob(job.job_id, store)).items.map(item => item.status), ['succeeded', 'succeeded', 'succeeded']);
+});
+
+test('a worker whose saves keep failing releases the job', async () => {
+    const store = new FailingStore([3, 4, 5, 6]); // Every attempt to save the first item's start
+    const job = await createTestJob(store);
+    let runs = 0;
+    const runItem = async (job, item) => { runs += 1; return succeed(job, item); };
+    const released = await processJob(job.job_id, { store, runItem, saveRetryBaseMs: 1 });
+    assert.strictEqual(runs, 1);
+    const stored = await getJob(job.job_id, store);
+    assert.strictEqual(stored.status, 'queued');
+    assert.strictEqual(stored.worker_id, null);
+    assert.deepStrictEqual(stored.items.map(item => item.status), ['succeeded', 'pending', 'pending']);
+    assert.deepStrictEqual(released, stored);
+
+    const processed = await processJob(job.job_id, { store, runItem, saveRetryBaseMs: 1 });
+    assert.strictEqual(processed.status, 'completed');
+    assert.strictEqual(runs, 3);
+});
+
+test('a job of the largest headlines, metadata and results fits in one DynamoDB item', async () => {
+    const store = new MemoryBatchJobStore();
+    const headlines = Array.from({ length: MAX_BATCH_ITEMS }, () => ({
+        headline: 'é'.repeat(250), // 500 bytes
+        metadata: { note: 'x'.repeat(488) } // 499 bytes
+    }));
+    const job = await createJob({ headlines, graphId, concurrency: 8 }, store);
+    const longText = 'w'.repeat(5000);
+    // The largest result kept whole: 2000 bytes
+    const largestResult = {
+        output_headlines: { flipped_headline: '' },
+        headline_id: 'a2a5e5f0-6c7d-4a36-9a52-1d2f5e0b9c11',
+        saved: true,
+        errors: ['e'.repeat(300)],
+        cost_usd: 0.0123456789,
+        fact_check_status: 'flagged'
+    };
+    largestResult.output_headlines.flipped_headline = 'w'.repeat(2000 - Buffer.byteLength(JSON.stringify(largestResult)));
+    const oversizedResult = {
+        ...largestResult,
+        output_headlines: { flipped_headline: longText },
+        errors: Array.from({ length: 20 }, () => longText),
+        frame_labels: { stance: { label: 'critical', confidence: 0.9, span: longText } }
+    };
+    const runItem = async (job, item) => {
+        item.thread_id = createThreadId(graphId);
+        return { result: item.index === 0 ? oversizedResult : largestResult, error: longText };
+    };
+    const processed = await processJob(job.job_id, { store, runItem });
+    assert.strictEqual(processed.progress.failed, MAX_BATCH_ITEMS);
+    assert.strictEqual(processed.items[0].result.truncated, true);
+    assert.deepStrictEqual(processed.items[1].result, largestResult);
+    // The job's JSON, and room for the item's other attributes (job_id, status, version, updated_at, expires_at)
+    const jobBytes = Buffer.byteLength(JSON.stringify(await store.load(job.job_id)));
+    assert.ok(jobBytes < 400 * 1024 - 1024, `a full job is ${jobBytes} bytes`);
+});
+
+test('headlines queued beyond the hourly quota are refused with a 429', async () => {
+    process.env.BATCH_MAX_HEADLINES_PER_HOUR = '5';
+    try {
+        const store = new MemoryBatchJobStore();
+        const job = await createTestJob(store);
+        await assert.rejects(createTestJob(store), { statusCode: 429, message: /At most 5 headlines .* \(2 left this hour\)/ });
+        await processJob(job.job_id, { store, runItem: async () => ({ result: {}, error: 'No headline' }) });
+        await assert.rejects(retryFailedItems(job.job_id, {}, store), { statusCode: 429 });
+        assert.strictEqual((await retryFailedItems(job.job_id, { itemIndexes: [0, 1] }, store)).status, 'queued');
+        await assert.rejects(getJob(`quota#${new Date().toISOString().slice(0, 13)}`, store), { statusCode: 404 });
+    } finally {
+        delete process.env.BATCH_MAX_HEADLINES_PER_HOUR;
+    }
+});
+
+test('a deployed function refuses the in-process runner and instance-local stores', async () => {
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'batch_analyzer';
+    try {
+        assert.strictEqual(createBatchJobStore().constructor.name, 'DynamoDBBatchJobStore');
+        assert.throws(() => createBatchJobStore('memory'), /BATCH_JOB_STORE=dynamodb/);
+        assert.throws(() => createBatchJobStore('file'), /BATCH_JOB_STORE=dynamodb/);
+        await assert.rejects(startJobProcessing('some-job', 'inline'), /BATCH_RUNNER=background/);
+    } finally {
+        delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+    }
+});
@@ -0,0 +1,123 @@
+// test/checkpointers.test.js
+// The file and DynamoDB checkpointer round trips: a run that fails halfway is resumed, from what was saved, by a
+// fresh saver. DynamoDB is a stand-in DocumentClient that keeps items in a Map.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateGraph, Annotation, START, END } = require('@langchain/langgraph');
+const { FileCheckpointSaver, DynamoDBCheckpointSaver } = require('../netlify/functions/headline_analyzer/src/checkpointers');
+
+const State = Annotation.Root({
+    steps: Annotation({ reducer: (current, update) => current.concat(update), default: () => [] }),
+});
+
+// first -> second; second fails while `failSecond` is set. first adds `firstStep` (default "first") to steps.
+function buildApp(checkpointer, calls, failSecond, firstStep = 'first') {
+    return new StateGraph(State)
+        .addNode('first', () => { calls.push('first'); return { steps: [firstStep] }; })
+        .addNode('second', () => {
+            calls.push('second');
+            if (failSecond) throw new Error('second failed');
+            return { steps: ['second'] };
+        })
+        .addEdge(START, 'first')
+        .addEdge('first', 'second')
+        .addEdge('second', END)
+        .compile({ checkpointer });
+}
+
+test('a run saved by one FileCheckpointSaver is resumed by another', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'newsframes-checkpoints-test-'));
+    try {
+        const config = { configurable: { thread_id: 'test:round-trip' } };
+        const firstCalls = [];
+        await assert.rejects(buildApp(new FileCheckpointSaver(directory), firstCalls, true).invoke({}, config), /second failed/);
+        assert.deepStrictEqual(firstCalls, ['first', 'second']);
+
+        const resumedApp = buildApp(new FileCheckpointSaver(directory), [], false);
+        const snapshot = await resumedApp.getState(config);
+        assert.deepStrictEqual(snapshot.values.steps, ['first']);
+        assert.deepStrictEqual(snapshot.next, ['second']);
+
+        const resumedCalls = [];
+        const result = await buildApp(new FileCheckpointSaver(directory), resumedCalls, false).invoke(null, config);
+        assert.deepStrictEqual(resumedCalls, ['second']);
+        assert.deepStrictEqual(result.steps, ['first', 'second']);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('the saver keeps only the latest checkpoints of a thread', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'newsframes-checkpoints-test-'));
+    try {
+        const config = { configurable: { thread_id: 'test:pruned' } };
+        await buildApp(new FileCheckpointSaver(directory), [], false).invoke({}, config);
+        const record = JSON.parse(fs.readFileSync(path.join(directory, `${encodeURIComponent('test:pruned')}.json`), 'utf-8'));
+        assert.strictEqual(Object.keys(record.checkpoints['']).length, 2);
+
+        const history = [];
+        for await (const checkpointTuple of new FileCheckpointSaver(directory).list(config)) history.push(checkpointTuple);
+        assert.strictEqual(history.length, 2);
+        assert.deepStrictEqual(history[0].checkpoint.channel_values.steps, ['first', 'second']);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+// The DocumentClient calls DynamoDBCheckpointSaver makes; a query returns pages of two items
+class FakeDocClient {
+    constructor() {
+        this.items = new Map(); // "<thread_id> <item_key>" -> item
+    }
+
+    put({ Item }) {
+        return { promise: async () => { this.items.set(`${Item.thread_id} ${Item.item_key}`, JSON.parse(JSON.stringify(Item))); } };
+    }
+
+    delete({ Key }) {
+        return { promise: async () => { this.items.delete(`${Key.thread_id} ${Key.item_key}`); } };
+    }
+
+    query({ ExpressionAttributeValues, ExclusiveStartKey }) {
+        return {
+            promise: async () => {
+                const threadItems = [...this.items.values()]
+                    .filter(item => item.thread_id === ExpressionAttributeValues[':threadId'])
+                    .sort((a, b) => a.item_key.localeCompare(b.item_key));
+                const start = ExclusiveStartKey ? threadItems.findIndex(item => item.item_key === ExclusiveStartKey.item_key) + 1 : 0;
+                const Items = threadItems.slice(start, start + 2);
+                const isLastPage = start + 2 >= threadItems.length;
+                return { Items, LastEvaluatedKey: isLastPage ? undefined : { thread_id: Items[1].thread_id, item_key: Items[1].item_key } };
+            }
+        };
+    }
+}
+
+test('a run saved by one DynamoDBCheckpointSaver is resumed by another, one item per checkpoint and write', async () => {
+    const docClient = new FakeDocClient();
+    const config = { configurable: { thread_id: 'test:dynamodb' } };
+    await assert.rejects(buildApp(new DynamoDBCheckpointSaver('Checkpoints', docClient), [], true).invoke({}, config), /second failed/);
+    const itemKinds = [...docClient.items.values()].map(item => item.kind);
+    assert.strictEqual(itemKinds.filter(kind => kind === 'checkpoint').length, 2);
+    assert.ok(itemKinds.includes('write'));
+
+    const resumedCalls = [];
+    const result = await buildApp(new DynamoDBCheckpointSaver('Checkpoints', docClient), resumedCalls, false).invoke(null, config);
+    assert.deepStrictEqual(resumedCalls, ['second']);
+    assert.deepStrictEqual(result.steps, ['first', 'second']);
+    // Pruned: the latest checkpoint and its parent, and no writes of dropped checkpoints
+    const checkpointIds = [...docClient.items.values()].filter(item => item.kind === 'checkpoint').map(item => item.checkpoint_id);
+    assert.strictEqual(checkpointIds.length, 2);
+    assert.ok([...docClient.items.values()].every(item => checkpointIds.includes(item.checkpoint_id)));
+});
+
+test('a checkpoint over DynamoDB\'s item limit fails the run with an error saying so', async () => {
+    const docClient = new FakeDocClient();
+    const config = { configurable: { thread_id: 'test:too-large' } };
+    const app = buildApp(new DynamoDBCheckpointSaver('Checkpoints', docClient), [], false, 'x'.repeat(500 * 1024));
+    await assert.rejects(app.invoke({}, config), /is \d+ KB, over DynamoDB's 400 KB item limit/);
+});
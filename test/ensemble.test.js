@@ -0,0 +1,106 @@
+// test/ensemble.test.js
+// Ensembles: how samples are voted on, ranked and tie-broken, and that each sample (even the first) has its own LLM
+// cache entry and, in replay, its own fixture or recording, apart from the plain request's.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'newsframes-ensemble-test-'));
+const fixturesPath = path.join(directory, 'fixtures.json');
+fs.writeFileSync(fixturesPath, JSON.stringify({
+    fixtures: [
+        { label: 'ensemble_test', sample: 0, response: { json: { frame: 'conflict', rewritten_headline: 'Council backs budget' } } },
+        { label: 'ensemble_test', sample: 1, response: { json: { frame: 'economic', rewritten_headline: 'Budget wins council vote' } } },
+        { label: 'ensemble_test', sample: 2, response: { json: { frame: 'conflict', rewritten_headline: 'Council backs the budget' } } },
+        { label: 'ensemble_test', response: { json: { frame: 'plain', rewritten_headline: 'Council approves budget' } } }
+    ]
+}));
+process.env.LLM_MOCK_MODE = 'replay';
+process.env.LLM_MOCK_DIR = directory;
+process.env.LLM_MOCK_FIXTURES = fixturesPath;
+
+const { computeCacheKey, setDefaultLlmCache } = require('../netlify/functions/headline_analyzer/src/llm_cache');
+const { hashModelRequest } = require('../netlify/functions/headline_analyzer/src/mock_llm_provider');
+const { resolveRetryPolicy } = require('../netlify/functions/headline_analyzer/src/retry_policy');
+const { callModelForStructuredOutput } = require('../netlify/functions/headline_analyzer/src/structured_output');
+const { sampleGenerationArgs, aggregateSamples, runEnsemble } = require('../netlify/functions/headline_analyzer/src/ensemble');
+
+const messages = [{ role: 'user', content: 'Reframe: "Council approves budget"' }];
+const ensembleConfig = { samples: 3, voteFields: ['frame'], temperature: 0.9 };
+
+test('the majority label wins and the best-ranked sample that agrees with it is chosen', () => {
+    const result = aggregateSamples([
+        { frame: 'conflict', rewritten_headline: 'Mayor backs budget' },
+        { frame: 'economic', rewritten_headline: 'Budget wins vote' },
+        { frame: 'conflict', rewritten_headline: '[PERSON_A] backs budget' }
+    ], ensembleConfig, { headline: '[PERSON_A] approves budget' });
+    assert.strictEqual(result.frame, 'conflict');
+    assert.strictEqual(result.rewritten_headline, '[PERSON_A] backs budget'); // Keeps the placeholder
+    assert.deepStrictEqual(result.ensemble.votes.frame.counts, [{ value: 'conflict', count: 2 }, { value: 'economic', count: 1 }]);
+    assert.deepStrictEqual(result.ensemble.candidates.map(candidate => candidate.rewritten_headline), ['[PERSON_A] backs budget', 'Mayor backs budget']);
+    assert.strictEqual(result.confidence, 0.834); // Mean of the no-alternative (1) and frame (0.667) agreement
+});
+
+test('a tied vote goes to the earliest sample, and tied candidates keep sample order', () => {
+    const tiedVote = aggregateSamples([{ frame: 'economic', rewritten_headline: 'Budget wins vote' }, { frame: 'conflict', rewritten_headline: 'Council backs budget' }], ensembleConfig);
+    assert.deepStrictEqual([tiedVote.frame, tiedVote.ensemble.votes.frame.agreement], ['economic', 0.5]);
+
+    // No sample agrees with both votes: the pool falls back to all of them and the voted labels are written in
+    const tiedScores = aggregateSamples([
+        { frame: 'conflict', tone: 'calm', rewritten_headline: 'a b' },
+        { frame: 'economic', tone: 'angry', rewritten_headline: 'a c' },
+        { frame: 'human', tone: 'angry', rewritten_headline: 'a d' }
+    ], { samples: 3, voteFields: ['frame', 'tone'] });
+    assert.deepStrictEqual([tiedScores.rewritten_headline, tiedScores.frame, tiedScores.tone], ['a b', 'conflict', 'angry']);
+});
+
+test('when most samples offer no alternative, none is ranked', () => {
+    const result = aggregateSamples([
+        { frame: 'conflict', rewritten_headline: 'No alternative framing needed' },
+        { frame: 'economic', rewritten_headline: 'Budget wins vote' },
+        { frame: 'conflict', rewritten_headline: 'No significant framing' }
+    ], ensembleConfig);
+    assert.strictEqual(result.rewritten_headline, 'No alternative framing needed');
+    assert.strictEqual(result.ensemble.votes.no_alternative.value, true);
+    assert.deepStrictEqual(result.ensemble.candidates, []);
+});
+
+test('failed samples are left out; if all fail, the first error is the result', () => {
+    const result = aggregateSamples([{ error: 'Model call timed out', errorClass: 'timeout' }, { frame: 'conflict', rewritten_headline: 'Council backs budget' }], ensembleConfig);
+    assert.deepStrictEqual([result.frame, result.ensemble.samples, result.ensemble.succeeded], ['conflict', 2, 1]);
+    assert.deepStrictEqual(aggregateSamples([{ error: 'first' }, { error: 'second' }], ensembleConfig), { error: 'first' });
+});
+
+test('sample args only change the temperature; the sample index keys the cache and the mock apart', () => {
+    assert.deepStrictEqual(sampleGenerationArgs({ provider: 'openai', temperature: 0.2 }, ensembleConfig), { provider: 'openai', temperature: 0.9 });
+    const args = { temperature: 0.9 };
+    const cacheKeys = [undefined, 0, 1].map(sampleIndex => computeCacheKey(messages, 'gpt-4o', args, sampleIndex));
+    assert.strictEqual(new Set(cacheKeys).size, 3);
+    const requestHashes = [undefined, 0, 1].map(sampleIndex => hashModelRequest('openai', 'gpt-4o', messages, sampleIndex));
+    assert.strictEqual(new Set(requestHashes).size, 3);
+    assert.strictEqual(requestHashes[0], hashModelRequest('openai', 'gpt-4o', messages)); // Plain requests keep their recordings
+});
+
+test('each sample replays its own fixture and is cached on its own', async () => {
+    setDefaultLlmCache('memory');
+    const options = { retryPolicy: resolveRetryPolicy(), label: 'ensemble_test' };
+    const drawSample = (sampleIndex) => callModelForStructuredOutput(messages, undefined, sampleGenerationArgs({}, ensembleConfig), { ...options, sampleIndex });
+
+    const first = await runEnsemble(drawSample, ensembleConfig);
+    assert.strictEqual(first.result.frame, 'conflict');
+    assert.strictEqual(first.result.ensemble.votes.frame.agreement, 0.667);
+    assert.ok(first.attempts.every(attempt => !attempt.cache_hit));
+
+    const second = await runEnsemble(drawSample, ensembleConfig);
+    assert.deepStrictEqual(second.result, first.result);
+    assert.deepStrictEqual(second.attempts.map(attempt => [attempt.sample, attempt.cache_hit]), [[0, true], [1, true], [2, true]]);
+
+    // The plain request shares no entry with sample 0
+    const plain = await callModelForStructuredOutput(messages, undefined, sampleGenerationArgs({}, ensembleConfig), options);
+    assert.strictEqual(plain.result.frame, 'plain');
+    assert.strictEqual(plain.attempts[0].cache_hit, undefined);
+    setDefaultLlmCache('none');
+});
@@ -0,0 +1,68 @@
+// test/fact_checker.test.js
+// The deterministic fact-preservation check: which facts of a headline it reads, what it reports as dropped, altered
+// or invented, and the known gaps listed in fact_checker.js.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { extractFacts, compareFacts } = require('../netlify/functions/headline_analyzer/src/fact_checker');
+
+const input = 'Police say 12 dead in Chicago shooting on Monday';
+
+test('a casualty count changed from 12 to 20 is an altered number', () => {
+    const comparison = compareFacts(input, 'Police say 20 dead in Chicago shooting on Monday');
+    assert.strictEqual(comparison.status, 'flagged');
+    assert.deepStrictEqual(comparison.findings, [{ type: 'number', change: 'altered', original: '12', rewrite: '20' }]);
+    assert.deepStrictEqual(comparison.counts, { dropped: 0, altered: 1, invented: 0 });
+});
+
+test('rewording around the same facts is ok', () => {
+    const comparison = compareFacts(input, 'Chicago shooting leaves 12 dead, police said Monday');
+    assert.strictEqual(comparison.status, 'ok');
+    assert.deepStrictEqual(comparison.findings, []);
+});
+
+test('dropped, altered and invented facts of each type', () => {
+    assert.deepStrictEqual(compareFacts('Senator Warren calls bill "a giveaway"', 'Senator Warren criticizes bill').findings,
+        [{ type: 'quote', change: 'dropped', original: 'a giveaway' }]);
+    assert.deepStrictEqual(compareFacts('Council approves budget on Monday', 'Council approves budget on Tuesday').findings,
+        [{ type: 'date', change: 'altered', original: 'Monday', rewrite: 'Tuesday' }]);
+    assert.deepStrictEqual(compareFacts('Apple cuts 600 jobs', 'Apple cuts 600 jobs in California').findings,
+        [{ type: 'entity', change: 'invented', rewrite: 'California' }]);
+});
+
+test('only the chosen fact types are checked', () => {
+    const comparison = compareFacts(input, 'Police say 20 dead in Chicago shooting on Tuesday', { factTypes: ['date'] });
+    assert.deepStrictEqual(comparison.findings, [{ type: 'date', change: 'altered', original: 'Monday', rewrite: 'Tuesday' }]);
+});
+
+test('numbers keep their currency, scale and percent; a date is not a number', () => {
+    const facts = extractFacts('$2bn deal for 40% stake announced March 3, 2024');
+    assert.deepStrictEqual(facts.number.map(({ text, value, unit }) => [text, value, unit]), [['$2bn', '$2000000000', 'deal'], ['40%', '40%', 'stake']]);
+    assert.deepStrictEqual(facts.date.map(({ text, kind }) => [text, kind]), [['March 3, 2024', 'month']]);
+    assert.deepStrictEqual(facts.entity, []);
+});
+
+test('number words are read only as whole words', () => {
+    const numberValues = (text) => extractFacts(text).number.map(number => number.value);
+    assert.deepStrictEqual(numberValues('Ninety migrants rescued, sixteen still missing'), ['90', '16']);
+    assert.deepStrictEqual(numberValues('Seventeen arrested as tenants protest rent hikes'), ['17']);
+    assert.deepStrictEqual(numberValues('Tense talks often stall as fourth round opens'), []);
+});
+
+test('an ordinal word is not a number', () => {
+    assert.deepStrictEqual(compareFacts('Council holds tense meeting', 'Council holds fourth meeting').findings, []);
+    assert.deepStrictEqual(compareFacts('Storm kills ten on tenth day of floods', 'Storm kills four on tenth day of floods').findings,
+        [{ type: 'number', change: 'altered', original: 'ten', rewrite: 'four' }]);
+});
+
+// Known gaps (see the header of fact_checker.js): if one is closed, update the header and these tests together
+test('known gap: "a dozen" is not read as 12', () => {
+    const comparison = compareFacts('Police say a dozen dead in Chicago shooting', 'Police say 12 dead in Chicago shooting');
+    assert.deepStrictEqual(comparison.findings, [{ type: 'number', change: 'invented', rewrite: '12' }]);
+});
+
+test('known gap: a different spelling of an entity is reported as invented', () => {
+    const comparison = compareFacts('U.S. imposes tariffs on Chinese steel', 'United States imposes tariffs on Chinese steel');
+    assert.strictEqual(comparison.status, 'flagged');
+    assert.deepStrictEqual(comparison.findings, [{ type: 'entity', change: 'invented', rewrite: 'United States' }]);
+});
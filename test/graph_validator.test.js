@@ -0,0 +1,72 @@
+// test/graph_validator.test.js
+// The edge checks that play the graph's supersteps: a node that branches of different length reach runs once per
+// branch unless they are joined, and a join whose sources never all run never fires.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateGraphConfig } = require('../netlify/functions/headline_analyzer/src/graph_validator');
+const { deriveStateChannels } = require('../netlify/functions/headline_analyzer/src/config_derivation');
+
+const customNodeFunctions = { step: async () => ({}) };
+const customRouterFunctions = { pickRoute: () => 'short' };
+
+function node(id) {
+    return { id, displayName: id, type: 'local_function', functionName: 'step', stateOutputKey: `${id}_result` };
+}
+
+// start -> (short | long_1 -> long_2), both branches and a side branch (side) ending in collector -> saver
+function buildConfig(edgesIntoCollector) {
+    return {
+        entryPointNodeId: 'start',
+        nodeDefinitions: ['start', 'short', 'long_1', 'long_2', 'side', 'collector', 'saver'].map(node),
+        graphEdges: [
+            { source: 'start', target: 'side' },
+            { source: 'long_1', target: 'long_2' },
+            ...edgesIntoCollector,
+            { source: 'collector', target: 'saver' },
+            { source: 'saver', target: 'END' },
+        ],
+        conditionalEdges: [
+            { source: 'start', routerFunction: 'pickRoute', routes: { short: 'short', long: 'long_1' } },
+        ],
+    };
+}
+
+function validate(config) {
+    return validateGraphConfig(config, { appStateChannels: deriveStateChannels(config, {}), customNodeFunctions, customRouterFunctions });
+}
+
+test('a node reached by branches of different length is rejected', () => {
+    const validation = validate(buildConfig([
+        { source: 'short', target: 'collector' },
+        { source: 'long_2', target: 'collector' },
+        { source: 'side', target: 'collector' },
+    ]));
+    assert.strictEqual(validation.valid, false);
+    assert.match(validation.errors[0].message, /node 'collector' runs 2 times \(at steps 3, 4\) when 'start' routes to 'long_1'/);
+});
+
+test('joined branches run their target once', () => {
+    const validation = validate(buildConfig([
+        { source: ['short', 'side'], target: 'collector' },
+        { source: ['long_2', 'side'], target: 'collector' },
+    ]));
+    assert.deepStrictEqual(validation.errors, []);
+});
+
+test('a join of branches that never both run is rejected', () => {
+    const validation = validate(buildConfig([
+        { source: ['short', 'long_2'], target: 'collector' },
+        { source: 'side', target: 'saver' },
+    ]));
+    assert.strictEqual(validation.valid, false);
+    assert.match(validation.errors.map(error => error.message).join('\n'), /graphEdges\[2\]: 'collector' never runs/);
+});
+
+test('a join cannot go to END', () => {
+    const validation = validate(buildConfig([
+        { source: 'short', target: 'collector' },
+        { source: ['long_2', 'side'], target: 'END' },
+    ]));
+    assert.match(validation.errors.map(error => error.message).join('\n'), /cannot go to "END"/);
+});
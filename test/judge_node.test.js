@@ -0,0 +1,98 @@
+// test/judge_node.test.js
+// The llm_judge node: a verdict per headline, { skipped } for headlines that were not produced, and a failure kept
+// to the verdict of the headline it happened on.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'newsframes-judge-node-test-'));
+const fixturesPath = path.join(directory, 'fixtures.json');
+fs.writeFileSync(fixturesPath, JSON.stringify({
+    fixtures: [
+        { label: 'judge', match: 'Rewrite: Budget row erupts', response: { status: 400, body: { error: 'bad request' } } },
+        { label: 'judge', response: { json: { fact_preservation: { score: 4, rationale: 'Facts kept.' } } } }
+    ]
+}));
+process.env.LLM_MOCK_MODE = 'replay';
+process.env.LLM_MOCK_DIR = directory;
+process.env.LLM_MOCK_FIXTURES = fixturesPath;
+
+const { createJudgeNodeFunction } = require('../netlify/functions/headline_analyzer/src/judge_node');
+
+const nodeConfig = {
+    id: 'judge',
+    displayName: 'Judge',
+    type: 'llm_judge',
+    stateOutputKey: 'judge_scores',
+    cache: false,
+    task: { promptConfig: { provider: 'openai', systemMessage: 'Judge the rewrite.', userInputTemplate: 'Original: {{referenceHeadline}}\nRewrite: {{headline}}' } }
+};
+const outputHeadlines = [
+    { stateKey: 'flipped_headline' },
+    { stateKey: 'euphemism_headline', detailsKey: 'euphemism_details' },
+    { stateKey: 'passive_headline', detailsKey: 'passive_details' }
+];
+const graphContext = { graphConfig: {} };
+
+test('each output headline gets a verdict; one that was not produced is skipped with its reason', async () => {
+    const judge = createJudgeNodeFunction(nodeConfig, graphContext, outputHeadlines);
+    const update = await judge({
+        input_headline: 'Council approves budget',
+        flipped_headline: 'Budget approved over objections',
+        euphemism_headline: null,
+        euphemism_details: { status: 'no_alternative' },
+        passive_headline: ''
+    });
+    assert.deepStrictEqual(update.judge_scores, {
+        flipped_headline: { headline: 'Budget approved over objections', fact_preservation: { score: 4, rationale: 'Facts kept.' } },
+        euphemism_headline: { skipped: 'no headline generated (no_alternative)' },
+        passive_headline: { skipped: 'no headline generated' }
+    });
+    assert.deepStrictEqual(Object.keys(update.llm_call_attempts), ['judge[flipped_headline]']);
+    assert.deepStrictEqual(update.error_messages, []);
+});
+
+test('without an input headline nothing is judged', async () => {
+    const judge = createJudgeNodeFunction({ ...nodeConfig, headlineKeys: ['flipped_headline'] }, graphContext);
+    const update = await judge({ flipped_headline: 'Budget approved over objections' });
+    assert.deepStrictEqual(update.judge_scores, { flipped_headline: { skipped: 'no input headline to compare with' } });
+    assert.deepStrictEqual(update.llm_call_attempts, {});
+});
+
+test('a failed call or a thrown error only fails that headline\'s verdict', async () => {
+    const judge = createJudgeNodeFunction({ ...nodeConfig, headlineKeys: ['thrown_headline', 'failed_headline', 'flipped_headline'] }, graphContext);
+    const state = {
+        input_headline: 'Council approves budget',
+        thrown_headline: 'Council passes budget',
+        failed_headline: 'Budget row erupts',
+        flipped_headline: 'Budget approved over objections'
+    };
+    // The first judged headline cannot even read the state
+    let reads = 0;
+    Object.defineProperty(state, 'flaky_field', {
+        enumerable: true,
+        get: () => { reads += 1; if (reads === 1) throw new Error('state read failed'); return 'ok'; }
+    });
+    const update = await judge(state);
+    assert.deepStrictEqual(update.judge_scores.thrown_headline, { error: 'state read failed' });
+    assert.strictEqual(update.judge_scores.failed_headline.errorClass, 'client_error');
+    assert.strictEqual(update.judge_scores.flipped_headline.fact_preservation.score, 4);
+    assert.deepStrictEqual(update.error_messages.map(message => message.split(':')[0]), ['Judge [thrown_headline]', 'Judge [failed_headline]']);
+    assert.deepStrictEqual(Object.keys(update.llm_call_attempts).sort(), ['judge[failed_headline]', 'judge[flipped_headline]']);
+});
+
+test('a template error is a config error in the verdict, not a thrown one', async () => {
+    const strictContext = { graphConfig: { strictTemplates: true } };
+    const judge = createJudgeNodeFunction({
+        ...nodeConfig,
+        headlineKeys: ['flipped_headline'],
+        task: { promptConfig: { ...nodeConfig.task.promptConfig, userInputTemplate: 'Rewrite: {{headline}} ({{missing_context}})' } }
+    }, strictContext);
+    const update = await judge({ input_headline: 'Council approves budget', flipped_headline: 'Budget approved over objections' });
+    assert.strictEqual(update.judge_scores.flipped_headline.errorClass, 'config');
+    assert.match(update.judge_scores.flipped_headline.error, /^Template error: .*missing_context/);
+    assert.strictEqual(update.error_messages.length, 1);
+});
@@ -0,0 +1,91 @@
+// test/llm_cache.test.js
+// The LLM response cache: its key, the memory cache's LRU eviction, expiry, and what a cache hit looks like in a
+// node's attempts and usage.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'newsframes-llm-cache-test-'));
+const fixturesPath = path.join(directory, 'fixtures.json');
+fs.writeFileSync(fixturesPath, JSON.stringify({
+    fixtures: [{ label: 'cache_test', response: { json: { rewritten_headline: 'Council backs budget' }, usage: { prompt_tokens: 100, completion_tokens: 20 } } }]
+}));
+process.env.LLM_MOCK_MODE = 'replay';
+process.env.LLM_MOCK_DIR = directory;
+process.env.LLM_MOCK_FIXTURES = fixturesPath;
+
+const { MemoryLlmCache, FileLlmCache, computeCacheKey, setDefaultLlmCache, getDefaultLlmCache, lookupCachedResponse, storeCachedResponse } = require('../netlify/functions/headline_analyzer/src/llm_cache');
+const { resolveRetryPolicy, callModelWithRetry } = require('../netlify/functions/headline_analyzer/src/retry_policy');
+const { usageFromAttemptLogs, mergeUsage } = require('../netlify/functions/headline_analyzer/src/usage_accounting');
+
+const messages = [{ role: 'user', content: 'Rewrite: "Council approves budget"' }];
+
+test('the key covers the model, the generation args and the messages', () => {
+    const key = computeCacheKey(messages, 'gpt-4o', { temperature: 0.2 });
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.strictEqual(computeCacheKey(messages, 'gpt-4o', { temperature: 0.2 }), key);
+    assert.notStrictEqual(computeCacheKey(messages, 'gpt-4o-mini', { temperature: 0.2 }), key);
+    assert.notStrictEqual(computeCacheKey(messages, 'gpt-4o', { temperature: 0.7 }), key);
+    assert.notStrictEqual(computeCacheKey([{ role: 'user', content: 'Rewrite: "Council rejects budget"' }], 'gpt-4o', { temperature: 0.2 }), key);
+});
+
+test('the memory cache evicts the least recently used entry', async () => {
+    const cache = new MemoryLlmCache(2);
+    await cache.set('a', { result: 'A' });
+    await cache.set('b', { result: 'B' });
+    await cache.get('a'); // "b" is now the least recently used
+    await cache.set('c', { result: 'C' });
+    assert.deepStrictEqual([...cache.entries.keys()], ['a', 'c']);
+    assert.strictEqual(await cache.get('b'), undefined);
+});
+
+test('entries expire after LLM_CACHE_TTL_SECONDS; 0 keeps them', async () => {
+    setDefaultLlmCache('memory');
+    try {
+        process.env.LLM_CACHE_TTL_SECONDS = '60';
+        await storeCachedResponse(messages, 'gpt-4o', {}, 'ttl_test', { analysis: 'fresh' });
+        const stored = await lookupCachedResponse(messages, 'gpt-4o', {}, 'ttl_test');
+        assert.deepStrictEqual(stored.result, { analysis: 'fresh' });
+        assert.ok(Math.abs(stored.expires_at - (Date.now() / 1000 + 60)) < 5);
+
+        process.env.LLM_CACHE_TTL_SECONDS = '0';
+        await storeCachedResponse(messages, 'gpt-4o', {}, 'ttl_test', { analysis: 'kept' });
+        assert.strictEqual((await lookupCachedResponse(messages, 'gpt-4o', {}, 'ttl_test')).expires_at, undefined);
+
+        await getDefaultLlmCache().set(computeCacheKey(messages, 'gpt-4o', {}), { result: { analysis: 'stale' }, expires_at: Math.floor(Date.now() / 1000) - 1 });
+        assert.strictEqual(await lookupCachedResponse(messages, 'gpt-4o', {}, 'ttl_test'), undefined);
+    } finally {
+        delete process.env.LLM_CACHE_TTL_SECONDS;
+        setDefaultLlmCache('none');
+    }
+});
+
+test('the file cache deletes an expired entry when it is read', async () => {
+    const cache = new FileLlmCache(path.join(directory, 'cache'));
+    await cache.set('old', { result: 'old', expires_at: Math.floor(Date.now() / 1000) - 1 });
+    await cache.set('new', { result: 'new' });
+    assert.strictEqual(await cache.get('old'), undefined);
+    assert.strictEqual(fs.existsSync(cache.entryPath('old')), false);
+    assert.deepStrictEqual(await cache.get('new'), { result: 'new' });
+});
+
+test('a result served from the cache is marked from_cache in the node usage', async () => {
+    setDefaultLlmCache('memory');
+    const first = await callModelWithRetry(messages, 'gpt-4o', { provider: 'openai' }, resolveRetryPolicy(), 'cache_test');
+    const second = await callModelWithRetry(messages, 'gpt-4o', { provider: 'openai' }, resolveRetryPolicy(), 'cache_test');
+    assert.deepStrictEqual(second.result, first.result);
+    assert.strictEqual(second.attempts[0].cache_hit, true);
+
+    const firstUsage = usageFromAttemptLogs({ cache_test: first.attempts });
+    const secondUsage = usageFromAttemptLogs({ cache_test: second.attempts });
+    assert.strictEqual(firstUsage.by_node.cache_test.from_cache, false);
+    assert.strictEqual(firstUsage.by_node.cache_test.prompt_tokens, 100);
+    assert.strictEqual(secondUsage.by_node.cache_test.from_cache, true);
+    assert.deepStrictEqual([secondUsage.by_node.cache_test.calls, secondUsage.by_node.cache_test.cache_hits, secondUsage.by_node.cache_test.total_tokens], [0, 1, 0]);
+    // A node that ran again and called the model is no longer served from the cache alone
+    assert.strictEqual(mergeUsage(secondUsage, firstUsage).by_node.cache_test.from_cache, false);
+    setDefaultLlmCache('none');
+});
@@ -0,0 +1,94 @@
+// test/llm_providers.test.js
+// The model API adapters: how each maps message roles and JSON mode into its request, and reads text, finish
+// reason and usage back from its reply.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getProvider, listProviderNames } = require('../netlify/functions/headline_analyzer/src/llm_providers');
+
+const messages = [
+    { role: 'system', content: 'You analyze headlines.' },
+    { role: 'developer', content: 'Answer in JSON.' },
+    { role: 'user', content: 'Example headline' },
+    { role: 'assistant', content: '{"frame": "conflict"}' },
+    { role: 'user', content: 'Council approves budget' }
+];
+const outputSchema = { type: 'object', required: ['frame'], properties: { frame: { type: 'string', nullable: true } } };
+
+test('unknown providers are refused with the available ones', () => {
+    assert.deepStrictEqual(listProviderNames(), ['gemini', 'openai', 'anthropic']);
+    assert.throws(() => getProvider('mistral'), /Unknown LLM provider 'mistral'. Available: gemini, openai, anthropic./);
+    assert.strictEqual(getProvider().name, 'gemini');
+});
+
+test('gemini: system and developer messages become systemInstruction, assistant turns "model" turns', () => {
+    const { url, headers, body } = getProvider('gemini').buildRequest(messages, 'gemini-1.5-flash', { responseSchema: outputSchema }, 'key');
+    assert.strictEqual(url, 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent');
+    assert.strictEqual(headers['x-goog-api-key'], 'key');
+    assert.deepStrictEqual(body.systemInstruction, { parts: [{ text: 'You analyze headlines.' }, { text: 'Answer in JSON.' }] });
+    assert.deepStrictEqual(body.contents.map(content => content.role), ['user', 'model', 'user']);
+    assert.deepStrictEqual(body.generationConfig.response_schema,
+        { type: 'OBJECT', required: ['frame'], properties: { frame: { type: 'STRING', nullable: true } } });
+});
+
+test('gemini 1.0: system messages stay user turns and no response schema is sent', () => {
+    const { body } = getProvider('gemini').buildRequest(messages, 'gemini-1.0-pro', { responseSchema: outputSchema }, 'key');
+    assert.strictEqual(body.systemInstruction, undefined);
+    assert.deepStrictEqual(body.contents.map(content => content.role), ['user', 'user', 'user', 'model', 'user']);
+    assert.strictEqual(body.generationConfig.response_schema, undefined);
+});
+
+test('openai: developer messages become system messages; an outputSchema becomes a json_schema response format', () => {
+    const provider = getProvider('openai');
+    const { url, headers, body } = provider.buildRequest(messages, 'gpt-4o', { responseSchema: outputSchema }, 'key');
+    assert.strictEqual(url, 'https://api.openai.com/v1/chat/completions');
+    assert.strictEqual(headers.Authorization, 'Bearer key');
+    assert.deepStrictEqual(body.messages.map(msg => msg.role), ['system', 'system', 'user', 'assistant', 'user']);
+    assert.deepStrictEqual(body.response_format.json_schema.schema.properties.frame, { type: ['string', 'null'] });
+    assert.deepStrictEqual(provider.buildRequest(messages, 'gpt-4o', {}, 'key').body.response_format, { type: 'json_object' });
+
+    const local = provider.buildRequest(messages, 'llama3', { baseUrl: 'http://localhost:11434/v1/' }, undefined);
+    assert.strictEqual(local.url, 'http://localhost:11434/v1/chat/completions');
+    assert.strictEqual(local.headers.Authorization, undefined);
+    assert.strictEqual(provider.requiresApiKey({ baseUrl: 'http://localhost:11434/v1' }), false);
+});
+
+test('anthropic: system messages go to "system", turns alternate and the reply is prefilled with "{"', () => {
+    const { headers, body } = getProvider('anthropic').buildRequest([
+        { role: 'system', content: 'You analyze headlines.' },
+        { role: 'user', content: 'First' },
+        { role: 'user', content: 'Second' }
+    ], 'claude-3-5-haiku-latest', { responseSchema: outputSchema }, 'key');
+    assert.strictEqual(headers['x-api-key'], 'key');
+    assert.match(body.system, /^You analyze headlines\.\n\nRespond with a single JSON object matching this JSON schema:/);
+    assert.deepStrictEqual(body.messages, [{ role: 'user', content: 'First\n\nSecond' }, { role: 'assistant', content: '{' }]);
+
+    const startsWithAssistant = getProvider('anthropic').buildRequest([{ role: 'assistant', content: '{}' }], 'claude-3-5-haiku-latest', {}, 'key');
+    assert.deepStrictEqual(startsWithAssistant.body.messages[0], { role: 'user', content: 'Continue.' });
+});
+
+test('replies are read back to text, a normalized finish reason and usage', () => {
+    const gemini = getProvider('gemini').parseResponse({
+        candidates: [{ content: { parts: [{ text: '{"frame":"conflict"}' }] }, finishReason: 'SAFETY' }],
+        usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 4, thoughtsTokenCount: 2, totalTokenCount: 16 }
+    });
+    assert.deepStrictEqual(gemini, { text: '{"frame":"conflict"}', finishReason: 'safety', rawFinishReason: 'SAFETY', usage: { prompt_tokens: 10, completion_tokens: 6, total_tokens: 16 } });
+
+    const openai = getProvider('openai').parseResponse({ choices: [{ message: { content: '{}' }, finish_reason: 'length' }] });
+    assert.deepStrictEqual(openai, { text: '{}', finishReason: 'max_tokens', rawFinishReason: 'length', usage: undefined });
+
+    const anthropic = getProvider('anthropic');
+    const { body } = anthropic.buildRequest([{ role: 'user', content: 'Analyze' }], 'claude-3-5-haiku-latest', {}, 'key');
+    const reply = anthropic.parseResponse({ content: [{ type: 'text', text: '"frame":"conflict"}' }], stop_reason: 'end_turn', usage: { input_tokens: 8, output_tokens: 3 } }, body);
+    assert.deepStrictEqual(reply, { text: '{"frame":"conflict"}', finishReason: 'stop', rawFinishReason: 'end_turn', usage: { prompt_tokens: 8, completion_tokens: 3, total_tokens: 11 } });
+});
+
+test('formatResponse writes a reply that parseResponse reads back', () => {
+    for (const name of listProviderNames()) {
+        const provider = getProvider(name);
+        const { body } = provider.buildRequest([{ role: 'user', content: 'Analyze' }], provider.defaultModel, {}, 'key');
+        const formatted = provider.formatResponse({ text: '{"frame":"conflict"}', finishReason: 'max_tokens', usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } });
+        const parsed = provider.parseResponse(formatted, body);
+        assert.deepStrictEqual([parsed.text, parsed.finishReason, parsed.usage], ['{"frame":"conflict"}', 'max_tokens', { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }], name);
+    }
+});
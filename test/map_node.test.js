@@ -0,0 +1,95 @@
+// test/map_node.test.js
+// The map node: one LLM task or one subgraph run per item, results in item order, at most "concurrency" items at
+// once, and a failing item kept to its own slot.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateGraph, Annotation, START, END } = require('@langchain/langgraph');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'newsframes-map-node-test-'));
+const fixturesPath = path.join(directory, 'fixtures.json');
+fs.writeFileSync(fixturesPath, JSON.stringify({
+    fixtures: [
+        { label: 'flip_each[1]', response: { status: 500, body: { error: 'overloaded' } } },
+        { label: 'flip_each[0]', response: { json: { rewritten_headline: 'Budget passes' } } },
+        { label: 'flip_each[2]', response: { json: { rewritten_headline: 'Mayor resigns' } } }
+    ]
+}));
+process.env.LLM_MOCK_MODE = 'replay';
+process.env.LLM_MOCK_DIR = directory;
+process.env.LLM_MOCK_FIXTURES = fixturesPath;
+
+const { createMapNodeFunction } = require('../netlify/functions/headline_analyzer/src/map_node');
+
+const state = { cluster: { headlines: [{ title: 'Council approves budget' }, { title: 'Storm hits coast' }, { title: 'Mayor quits' }] } };
+const graphContext = { graphConfig: {} };
+
+test('an LLM task runs per item; a failed item gets { error } in its slot', async () => {
+    const nodeConfig = {
+        id: 'flip_each',
+        displayName: 'Flip each',
+        type: 'map',
+        itemsKey: 'cluster.headlines',
+        stateOutputKey: 'flipped',
+        cache: false,
+        task: { promptConfig: { provider: 'openai', systemMessage: 'Flip the frame.', userInputTemplate: 'Flip headline {{itemIndex}}: {{item.title}}' } }
+    };
+    const written = [];
+    const update = await createMapNodeFunction(nodeConfig, graphContext)(state, { writer: (chunk) => written.push(chunk) });
+    assert.deepStrictEqual(update.flipped[0], { rewritten_headline: 'Budget passes' });
+    assert.strictEqual(update.flipped[1].errorClass, 'server_error');
+    assert.deepStrictEqual(update.flipped[2], { rewritten_headline: 'Mayor resigns' });
+    assert.deepStrictEqual(Object.keys(update.llm_call_attempts).sort(), ['flip_each[0]', 'flip_each[1]', 'flip_each[2]']);
+    assert.deepStrictEqual(update.error_messages.map(message => message.split(':')[0]), ['Flip each [item 1]']);
+    assert.deepStrictEqual(written.map(chunk => chunk.itemIndex).sort(), [0, 1, 2]);
+});
+
+const ChildState = Annotation.Root({
+    title: Annotation(),
+    position: Annotation(),
+    rewritten: Annotation(),
+});
+
+test('a subgraph runs per item through its mappings, at most "concurrency" at once, results in item order', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const app = new StateGraph(ChildState)
+        .addNode('rewrite', async (childState) => {
+            running += 1;
+            mostRunning = Math.max(mostRunning, running);
+            await new Promise(resolve => setTimeout(resolve, childState.position === 0 ? 30 : 5)); // The first item finishes last
+            running -= 1;
+            if (childState.title === 'Storm hits coast') throw new Error('rewrite exploded');
+            return { rewritten: childState.title.toUpperCase() };
+        })
+        .addEdge(START, 'rewrite')
+        .addEdge('rewrite', END)
+        .compile();
+    const nodeConfig = {
+        id: 'flip_each',
+        displayName: 'Flip each',
+        type: 'map',
+        itemsKey: 'cluster.headlines',
+        stateOutputKey: 'flipped',
+        concurrency: 2,
+        subgraph: { inputMapping: { title: 'item.title', position: 'itemIndex' }, outputMapping: { headline: 'rewritten' } }
+    };
+    const update = await createMapNodeFunction(nodeConfig, graphContext, { app, graphId: 'child' })(state);
+    assert.strictEqual(mostRunning, 2);
+    assert.deepStrictEqual(update.flipped[0], { headline: 'COUNCIL APPROVES BUDGET' });
+    assert.match(update.flipped[1].error, /rewrite exploded/);
+    assert.deepStrictEqual(update.flipped[2], { headline: 'MAYOR QUITS' });
+    assert.strictEqual(update.error_messages.length, 1);
+    assert.match(update.error_messages[0], /^Flip each \[item 1\]: .*rewrite exploded/);
+});
+
+test('items that are missing or not an array map to an empty result with an error', async () => {
+    const nodeConfig = { id: 'flip_each', displayName: 'Flip each', type: 'map', itemsKey: 'cluster.items', stateOutputKey: 'flipped', task: { promptConfig: {} } };
+    const update = await createMapNodeFunction(nodeConfig, graphContext)(state);
+    assert.deepStrictEqual(update, { flipped: [], error_messages: ["Flip each: 'cluster.items' is not set; nothing to map over."] });
+    const notArray = await createMapNodeFunction({ ...nodeConfig, itemsKey: 'cluster' }, graphContext)(state);
+    assert.deepStrictEqual(notArray.error_messages, ["Flip each: 'cluster' is not an array; nothing to map over."]);
+});
@@ -0,0 +1,47 @@
+// test/mock_llm_provider.test.js
+// The offline model mock: delayed replies release their abort listener, and an unknown LLM_MOCK_MODE is a config
+// error that is not retried.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getEventListeners } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'newsframes-mock-llm-test-'));
+const fixturesPath = path.join(directory, 'fixtures.json');
+fs.writeFileSync(fixturesPath, JSON.stringify({
+    fixtures: [{ label: 'mock_test', response: { json: { analysis: 'slow answer' }, delayMs: 5 } }]
+}));
+process.env.LLM_MOCK_MODE = 'replay';
+process.env.LLM_MOCK_DIR = directory;
+process.env.LLM_MOCK_FIXTURES = fixturesPath;
+
+const { mockModelRequest } = require('../netlify/functions/headline_analyzer/src/mock_llm_provider');
+const { getProvider } = require('../netlify/functions/headline_analyzer/src/llm_providers');
+const { resolveRetryPolicy, callModelWithRetry } = require('../netlify/functions/headline_analyzer/src/retry_policy');
+
+const messages = [{ role: 'user', content: 'Analyze: "Council approves budget"' }];
+
+test('a delayed reply removes its abort listener once it is sent', async () => {
+    const controller = new AbortController();
+    const request = { provider: getProvider('openai'), modelName: 'gpt-4o', messages, label: 'mock_test', signal: controller.signal };
+    await mockModelRequest(request);
+    await mockModelRequest(request);
+    assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('an unknown LLM_MOCK_MODE is a config error and is not retried', async () => {
+    process.env.LLM_MOCK_MODE = 'replya';
+    try {
+        const retryPolicy = resolveRetryPolicy({ maxAttempts: 3, initialDelayMs: 1 });
+        const { result, attempts } = await callModelWithRetry(messages, 'gpt-4o', { provider: 'openai' }, retryPolicy, 'mock_test', { cache: false });
+        assert.strictEqual(result.errorClass, 'config');
+        assert.match(result.error, /Unknown LLM_MOCK_MODE 'replya'/);
+        assert.strictEqual(attempts.length, 1);
+        assert.strictEqual(attempts[0].retriable, false);
+    } finally {
+        process.env.LLM_MOCK_MODE = 'replay';
+    }
+});
@@ -0,0 +1,49 @@
+// test/placeholder_integrity.test.js
+// Restoring proper nouns in a rewrite: exact placeholders, repaired variants, masked entities missing from the
+// rewrite, and which leftover bracketed or underscored text counts as an unresolved placeholder.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizePlaceholder, revertPlaceholders } = require('../netlify/functions/headline_analyzer/src/placeholder_integrity');
+
+const properNounMap = { '[PERSON_A]': 'Maria Lopez', '[COMPANY_A]': 'Acme Corp' };
+
+test('exact placeholders are restored', () => {
+    const reverted = revertPlaceholders('[PERSON_A] leaves [COMPANY_A]', properNounMap);
+    assert.strictEqual(reverted.text, 'Maria Lopez leaves Acme Corp');
+    assert.deepStrictEqual(reverted.replacements_made, properNounMap);
+    assert.strictEqual(reverted.integrity.status, 'ok');
+});
+
+test('placeholder variants are repaired', () => {
+    assert.strictEqual(normalizePlaceholder('{person-a}'), 'PERSON_A');
+    const reverted = revertPlaceholders('[person a] leaves <COMPANY_A>', properNounMap);
+    assert.strictEqual(reverted.text, 'Maria Lopez leaves Acme Corp');
+    assert.strictEqual(reverted.integrity.status, 'repaired');
+    assert.deepStrictEqual(reverted.integrity.repaired_variants, [
+        { found: '[person a]', placeholder: '[PERSON_A]' },
+        { found: '<COMPANY_A>', placeholder: '[COMPANY_A]' }
+    ]);
+});
+
+test('a masked entity written out by name counts as present; a dropped one is missing', () => {
+    assert.strictEqual(revertPlaceholders('Maria Lopez leaves [COMPANY_A]', properNounMap).integrity.status, 'ok');
+    const reverted = revertPlaceholders('[PERSON_A] resigns', properNounMap);
+    assert.strictEqual(reverted.integrity.status, 'missing_entities');
+    assert.deepStrictEqual(reverted.integrity.missing_entities, [{ placeholder: '[COMPANY_A]', name: 'Acme Corp' }]);
+    assert.strictEqual(revertPlaceholders('[PERSON_A] resigns', properNounMap, { expectAllEntities: false }).integrity.status, 'ok');
+});
+
+test('a placeholder of a known or mapped category that is not in the map is unresolved', () => {
+    const reverted = revertPlaceholders('[PERSON_A] and [PERSON_B] leave [COMPANY_B] for ORGANIZATION_C', properNounMap);
+    assert.strictEqual(reverted.text, 'Maria Lopez and [PERSON_B] leave [COMPANY_B] for ORGANIZATION_C');
+    assert.strictEqual(reverted.integrity.status, 'unresolved_placeholders');
+    assert.deepStrictEqual(reverted.integrity.unresolved_placeholders, ['[PERSON_B]', '[COMPANY_B]', 'ORGANIZATION_C']);
+});
+
+test('other bracketed or underscored text is left alone', () => {
+    const reverted = revertPlaceholders('[PERSON_A] says COVID_19 rules end at [COMPANY_A] [Update 2]', properNounMap);
+    assert.strictEqual(reverted.text, 'Maria Lopez says COVID_19 rules end at Acme Corp [Update 2]');
+    assert.strictEqual(reverted.integrity.status, 'ok');
+    assert.deepStrictEqual(reverted.integrity.unresolved_placeholders, []);
+});
@@ -0,0 +1,55 @@
+// test/proper_noun_masker.test.js
+// Local proper-noun masking: placeholders by category, one placeholder per name, the known gaps listed in
+// proper_noun_masker.js, and how compareMasks() lines up an LLM mask with a local one.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { maskProperNouns, compareMasks } = require('../netlify/functions/headline_analyzer/src/proper_noun_masker');
+
+test('people, places, organizations and nationalities get placeholders of their category', () => {
+    const masked = maskProperNouns('President Joe Biden meets Emmanuel Macron in Paris');
+    assert.strictEqual(masked.original_text, 'President Joe Biden meets Emmanuel Macron in Paris');
+    assert.strictEqual(masked.text_with_placeholders, '[PERSON_A] meets [PERSON_B] in [LOCATION_A]');
+    assert.deepStrictEqual(masked.properNoun_map, { '[PERSON_A]': 'President Joe Biden', '[PERSON_B]': 'Emmanuel Macron', '[LOCATION_A]': 'Paris' });
+    assert.deepStrictEqual(masked.entities.map(({ text, start, end }) => [text, start, end]), [['President Joe Biden', 0, 19], ['Emmanuel Macron', 26, 41], ['Paris', 45, 50]]);
+
+    assert.strictEqual(maskProperNouns('British PM criticizes Google over privacy').text_with_placeholders, '[NATIONALITY_A] PM criticizes [ORGANIZATION_A] over privacy');
+});
+
+test('the same name always gets the same placeholder, and a possessive keeps its "\'s"', () => {
+    const masked = maskProperNouns("Apple's CEO Tim Cook praises Apple staff");
+    assert.strictEqual(masked.text_with_placeholders, "[ENTITY_A]'s CEO [PERSON_A] praises [ENTITY_A] staff");
+    assert.deepStrictEqual(masked.properNoun_map, { '[ENTITY_A]': 'Apple', '[PERSON_A]': 'Tim Cook' });
+});
+
+test('text without proper nouns (or no text) is left as it is', () => {
+    assert.deepStrictEqual(maskProperNouns('stocks rise as rates fall'),
+        { original_text: 'stocks rise as rates fall', text_with_placeholders: 'stocks rise as rates fall', properNoun_map: {}, entities: [] });
+    assert.strictEqual(maskProperNouns(undefined).text_with_placeholders, '');
+});
+
+// Known gaps (see the header of proper_noun_masker.js): if one is closed, update the header and this test together
+test('known gap: a headline-initial name and a bare acronym stay unmasked', () => {
+    assert.strictEqual(maskProperNouns('Biden meets Xi in U.S.').text_with_placeholders, 'Biden meets [ENTITY_A] in U.S.');
+});
+
+test('compareMasks: agreed, partial, one-sided and miscategorized names', () => {
+    const comparison = compareMasks(
+        { '[PERSON_A]': 'Elon Musk', '[ORGANIZATION_A]': 'Tesla', '[LOCATION_A]': "Germany's", '[PERSON_B]': 'Olaf Scholz' },
+        { '[ENTITY_A]': 'Musk', '[ENTITY_B]': 'tesla', '[LOCATION_A]': 'Germany', '[LOCATION_B]': 'Berlin' }
+    );
+    assert.deepStrictEqual(comparison.agreed, [
+        { llm_name: 'Tesla', llm_placeholder: '[ORGANIZATION_A]', local_name: 'tesla', local_placeholder: '[ENTITY_B]' },
+        { llm_name: "Germany's", llm_placeholder: '[LOCATION_A]', local_name: 'Germany', local_placeholder: '[LOCATION_A]' }
+    ]);
+    assert.deepStrictEqual(comparison.partial, [{ llm_name: 'Elon Musk', llm_placeholder: '[PERSON_A]', local_name: 'Musk', local_placeholder: '[ENTITY_A]' }]);
+    assert.deepStrictEqual(comparison.llm_only, [{ placeholder: '[PERSON_B]', name: 'Olaf Scholz' }]);
+    assert.deepStrictEqual(comparison.local_only, [{ placeholder: '[LOCATION_B]', name: 'Berlin' }]);
+    assert.deepStrictEqual(comparison.category_mismatches.map(mismatch => mismatch.llm_name), ['Tesla']);
+    assert.strictEqual(comparison.disagreement_count, 4);
+});
+
+test('compareMasks ignores empty names and missing maps', () => {
+    assert.deepStrictEqual(compareMasks({ '[PERSON_A]': ' ' }, undefined),
+        { agreed: [], partial: [], llm_only: [], local_only: [], category_mismatches: [], disagreement_count: 0 });
+});
@@ -0,0 +1,61 @@
+// test/retry_policy.test.js
+// Retry policies: how they merge, the backoff delay, and which failed attempts callModelWithRetry retries.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'newsframes-retry-policy-test-'));
+const fixturesPath = path.join(directory, 'fixtures.json');
+fs.writeFileSync(fixturesPath, JSON.stringify({
+    fixtures: [
+        { label: 'flaky', responses: [{ status: 429, body: { error: 'slow down' } }, { status: 503 }, { json: { analysis: 'third time' } }] },
+        { label: 'bad_request', response: { status: 400, body: { error: 'bad request' } } },
+        { label: 'slow', response: { json: { analysis: 'too late' }, delayMs: 200 } }
+    ]
+}));
+process.env.LLM_MOCK_MODE = 'replay';
+process.env.LLM_MOCK_DIR = directory;
+process.env.LLM_MOCK_FIXTURES = fixturesPath;
+
+const { DEFAULT_RETRY_POLICY, resolveRetryPolicy, computeBackoffDelay, callModelWithRetry } = require('../netlify/functions/headline_analyzer/src/retry_policy');
+
+const messages = [{ role: 'user', content: 'Analyze: "Council approves budget"' }];
+const fastPolicy = (overrides) => resolveRetryPolicy({ maxAttempts: 3, initialDelayMs: 1, jitter: 0 }, overrides);
+
+test('later policies win and undefined ones are skipped', () => {
+    const policy = resolveRetryPolicy({ maxAttempts: 3, timeoutMs: 5000 }, undefined, { maxAttempts: 5 });
+    assert.deepStrictEqual(policy, { ...DEFAULT_RETRY_POLICY, maxAttempts: 5, timeoutMs: 5000 });
+});
+
+test('the backoff delay grows exponentially up to maxDelayMs, with jitter either way', () => {
+    const policy = resolveRetryPolicy({ initialDelayMs: 1000, backoffMultiplier: 2, maxDelayMs: 5000, jitter: 0.25 });
+    const noJitter = () => 0.5;
+    assert.deepStrictEqual([1, 2, 3, 4].map(attempt => computeBackoffDelay(policy, attempt, noJitter)), [1000, 2000, 4000, 5000]);
+    assert.strictEqual(computeBackoffDelay(policy, 1, () => 0), 750);
+    assert.strictEqual(computeBackoffDelay(policy, 1, () => 1), 1250);
+});
+
+test('rate limits and server errors are retried until a success', async () => {
+    const { result, attempts } = await callModelWithRetry(messages, 'gpt-4o', { provider: 'openai' }, fastPolicy(), 'flaky', { cache: false });
+    assert.deepStrictEqual(result, { analysis: 'third time' });
+    assert.deepStrictEqual(attempts.map(attempt => [attempt.outcome, attempt.error_class, attempt.retriable]),
+        [['error', 'rate_limit', true], ['error', 'server_error', true], ['success', undefined, undefined]]);
+    assert.deepStrictEqual(attempts.map(attempt => attempt.retry_delay_ms), [1, 2, undefined]);
+});
+
+test('an error class missing from retryOn is not retried', async () => {
+    const { result, attempts } = await callModelWithRetry(messages, 'gpt-4o', { provider: 'openai' }, fastPolicy(), 'bad_request', { cache: false });
+    assert.strictEqual(result.errorClass, 'client_error');
+    assert.strictEqual(attempts.length, 1);
+    assert.strictEqual(attempts[0].http_status, 400);
+    assert.strictEqual(attempts[0].retriable, false);
+});
+
+test('an attempt over timeoutMs times out, and the last attempt is not followed by a delay', async () => {
+    const { result, attempts } = await callModelWithRetry(messages, 'gpt-4o', { provider: 'openai' }, fastPolicy({ maxAttempts: 2, timeoutMs: 20 }), 'slow', { cache: false });
+    assert.strictEqual(result.errorClass, 'timeout');
+    assert.deepStrictEqual(attempts.map(attempt => [attempt.error_class, attempt.retry_delay_ms]), [['timeout', 1], ['timeout', undefined]]);
+});
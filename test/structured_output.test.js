@@ -0,0 +1,58 @@
+// test/structured_output.test.js
+// The LLM cache and outputSchema: an answer that does not match the schema (nor its re-ask) is never cached, so the
+// next run asks the model again instead of getting the same schema_mismatch from the cache.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'newsframes-structured-output-test-'));
+const fixturesPath = path.join(directory, 'fixtures.json');
+fs.writeFileSync(fixturesPath, JSON.stringify({
+    fixtures: [{
+        label: 'cache_test',
+        // The first run's answer and re-ask miss "rewritten_headline"; the second run's answer has it
+        responses: [
+            { json: { analysis: 'first answer' } },
+            { json: { analysis: 're-asked answer' } },
+            { json: { analysis: 'second run', rewritten_headline: 'Council backs library budget' } }
+        ]
+    }]
+}));
+process.env.LLM_MOCK_MODE = 'replay';
+process.env.LLM_MOCK_DIR = directory;
+process.env.LLM_MOCK_FIXTURES = fixturesPath;
+
+const { setDefaultLlmCache } = require('../netlify/functions/headline_analyzer/src/llm_cache');
+const { resolveRetryPolicy } = require('../netlify/functions/headline_analyzer/src/retry_policy');
+const { callModelForStructuredOutput } = require('../netlify/functions/headline_analyzer/src/structured_output');
+
+const messages = [{ role: 'user', content: 'Rewrite: "Council approves library budget"' }];
+const options = {
+    retryPolicy: resolveRetryPolicy(),
+    outputSchema: { type: 'object', required: ['rewritten_headline'], properties: { rewritten_headline: { type: 'string' } } },
+    maxReasks: 1,
+    label: 'cache_test'
+};
+
+test('only schema-valid answers are cached', async () => {
+    setDefaultLlmCache('memory');
+    try {
+        const first = await callModelForStructuredOutput(messages, undefined, {}, options);
+        assert.strictEqual(first.result.errorClass, 'schema_mismatch');
+        assert.strictEqual(first.attempts.length, 2);
+
+        const second = await callModelForStructuredOutput(messages, undefined, {}, options);
+        assert.strictEqual(second.result.rewritten_headline, 'Council backs library budget');
+        assert.strictEqual(second.attempts[0].cache_hit, undefined);
+
+        const third = await callModelForStructuredOutput(messages, undefined, {}, options);
+        assert.strictEqual(third.result.rewritten_headline, 'Council backs library budget');
+        assert.strictEqual(third.attempts[0].cache_hit, true);
+    } finally {
+        setDefaultLlmCache('none');
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,68 @@
+// test/subgraph_node.test.js
+// The subgraph node: its input and output mappings, the namespaced attempt logs and streamed events of the child
+// graph, and a failing child reported as an error instead of a thrown one.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { StateGraph, Annotation, START, END } = require('@langchain/langgraph');
+const { createSubgraphNodeFunction } = require('../netlify/functions/headline_analyzer/src/subgraph_node');
+
+const ChildState = Annotation.Root({
+    headline: Annotation(),
+    rewritten: Annotation(),
+    error_messages: Annotation({ reducer: (current, update) => current.concat(update), default: () => [] }),
+    llm_call_attempts: Annotation({ reducer: (current, update) => ({ ...current, ...update }), default: () => ({}) }),
+});
+
+// One "rewrite" node that upper-cases the headline (or throws)
+function buildChildGraph(fail = false) {
+    const app = new StateGraph(ChildState)
+        .addNode('rewrite', (state) => {
+            if (fail) throw new Error('rewrite exploded');
+            return { rewritten: state.headline.toUpperCase(), error_messages: ['placeholder repaired'], llm_call_attempts: { rewrite: [{ attempt: 1, outcome: 'success' }] } };
+        })
+        .addEdge(START, 'rewrite')
+        .addEdge('rewrite', END)
+        .compile();
+    return { app, graphId: 'child' };
+}
+
+const nodeConfig = {
+    id: 'flipper',
+    displayName: 'Flipper',
+    type: 'subgraph',
+    inputMapping: { headline: 'story.title' },
+    outputMapping: { flipped_headline: 'rewritten', missing_output: 'not_there' }
+};
+const parentState = { story: { title: 'Council approves budget' } };
+
+test('the child starts from the input mapping and its results are copied back by the output mapping', async () => {
+    const update = await createSubgraphNodeFunction(nodeConfig, buildChildGraph())(parentState);
+    assert.strictEqual(update.flipped_headline, 'COUNCIL APPROVES BUDGET');
+    assert.ok(!('missing_output' in update)); // Undefined child values are not copied
+    assert.strictEqual(update.flipper_state.headline, 'Council approves budget');
+    assert.deepStrictEqual(update.error_messages, ['[flipper] placeholder repaired']);
+    assert.deepStrictEqual(update.llm_call_attempts, { 'flipper/rewrite': [{ attempt: 1, outcome: 'success' }] });
+});
+
+test('when streaming, the child\'s node events are forwarded with namespaced ids', async () => {
+    const written = [];
+    const update = await createSubgraphNodeFunction(nodeConfig, buildChildGraph())(parentState, { writer: (chunk) => written.push(chunk) });
+    assert.strictEqual(update.flipped_headline, 'COUNCIL APPROVES BUDGET');
+    const events = written.map(chunk => chunk.forwardedEvent);
+    assert.deepStrictEqual(events.map(({ event, data }) => [event, data.node]),
+        [['node_started', 'flipper/rewrite'], ['node_finished', 'flipper/rewrite'], ['node_error', 'flipper/rewrite']]);
+    const finished = events[1].data.update;
+    assert.deepStrictEqual(Object.keys(finished).sort(), ['error_messages', 'flipper/rewritten', 'llm_call_attempts']);
+    assert.deepStrictEqual(Object.keys(finished.llm_call_attempts), ['flipper/rewrite']);
+});
+
+test('a failing child is an error in the node\'s state, with or without streaming', async () => {
+    for (const config of [undefined, { writer: () => {} }]) {
+        const update = await createSubgraphNodeFunction(nodeConfig, buildChildGraph(true))(parentState, config);
+        assert.match(update.flipper_state.error, /^Subgraph 'child' failed: .*rewrite exploded/);
+        assert.strictEqual(update.error_messages.length, 1);
+        assert.match(update.error_messages[0], /^Flipper: subgraph 'child' failed/);
+        assert.ok(!('flipped_headline' in update));
+    }
+});
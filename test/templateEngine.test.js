@@ -0,0 +1,60 @@
+// test/templateEngine.test.js
+// The prompt template language: paths and filters, #if/#unless, #each with its loop variables, and strict versus
+// lenient handling of missing variables.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TemplateError, renderTemplate, listTemplateVariables } = require('../netlify/functions/headline_analyzer/src/utils/templateEngine');
+
+const data = {
+    headline: 'Council approves budget',
+    analysis1: { rewritten_headline: 'Budget passes', frames: ['economic', 'conflict'] },
+    analysis2: { error: 'Model API error: 500' },
+    results: [{ id: 'a', score: 4 }, { id: 'b', score: 2 }],
+    labels: { frame: 'conflict', tone: 'neutral' }
+};
+
+test('values by dot path, with chained filters', () => {
+    assert.strictEqual(renderTemplate('"{{ headline }}" -> "{{analysis1.rewritten_headline}}"', data), '"Council approves budget" -> "Budget passes"');
+    assert.strictEqual(renderTemplate('{{analysis1.frames | join:" / " | upper}}', data), 'ECONOMIC / CONFLICT');
+    assert.strictEqual(renderTemplate('{{analysis1.frames | json:0}}', data), '["economic","conflict"]');
+    assert.strictEqual(renderTemplate('{{headline | truncate:8}}', data), 'Council…');
+    assert.strictEqual(renderTemplate('{{analysis3.note | default:"n/a"}}', data, { strict: true }), 'n/a');
+});
+
+test('#if and #unless pick a branch; empty arrays and objects are false', () => {
+    const template = '{{#if analysis2.error}}failed: {{analysis2.error}}{{else}}ok{{/if}}';
+    assert.strictEqual(renderTemplate(template, data), 'failed: Model API error: 500');
+    assert.strictEqual(renderTemplate(template, { analysis2: {} }), 'ok');
+    assert.strictEqual(renderTemplate('{{#if items}}some{{else}}none{{/if}}', { items: [] }), 'none');
+    assert.strictEqual(renderTemplate('{{#unless analysis1.error}}clean{{/unless}}', data), 'clean');
+});
+
+test('#each loops over arrays and objects, with the item\'s fields and loop variables in scope', () => {
+    assert.strictEqual(renderTemplate('{{#each results}}{{@index}}:{{id}}={{score}}{{#unless @last}}, {{/unless}}{{/each}}', data), '0:a=4, 1:b=2');
+    assert.strictEqual(renderTemplate('{{#each labels}}{{@key}}={{this}};{{/each}}', data), 'frame=conflict;tone=neutral;');
+    assert.strictEqual(renderTemplate('{{#each results}}{{headline}}{{#if @first}}!{{/if}} {{/each}}', data), 'Council approves budget! Council approves budget ');
+    assert.strictEqual(renderTemplate('{{#each missing}}{{this}}{{else}}none{{/each}}', data), 'none');
+});
+
+test('strict rendering throws a TemplateError listing every missing variable once', () => {
+    assert.throws(() => renderTemplate('{{headline}} {{analysis3.rewritten_headline}} {{analysis3.rewritten_headline}} {{extra}}', data, { strict: true, label: 'reframer' }),
+        (error) => error instanceof TemplateError
+            && error.message === 'reframer: missing template variable(s): analysis3.rewritten_headline, extra'
+            && JSON.stringify(error.missingVariables) === JSON.stringify(['analysis3.rewritten_headline', 'extra']));
+});
+
+test('lenient rendering leaves a missing placeholder as written', () => {
+    assert.strictEqual(renderTemplate('{{headline}} / {{ extra | upper }}', data), 'Council approves budget / {{ extra | upper }}');
+});
+
+test('syntax errors are TemplateErrors in either mode', () => {
+    assert.throws(() => renderTemplate('{{#if headline}}open', data), TemplateError);
+    assert.throws(() => renderTemplate('{{headline | shout}}', data), TemplateError);
+    assert.throws(() => renderTemplate('{{headline + 1}}', data), TemplateError);
+});
+
+test('the variables a template reads, without loop variables or loop item fields', () => {
+    assert.deepStrictEqual(listTemplateVariables('{{headline}} {{#if analysis2.error}}{{analysis2.error}}{{/if}} {{#each results}}{{id}} {{@index}}{{else}}{{fallback}}{{/each}}'),
+        ['headline', 'analysis2', 'results', 'fallback']);
+});
@@ -0,0 +1,48 @@
+// validate_graph_config.js (in project root)
+// Usage: node validate_graph_config.js [graphId | path/to/graph_config.json ...]
+// Runs the same checks buildGraph() runs before compiling, without building the graph.
+// Arguments are graph ids from graph_registry.js or paths to config files; with none, every registered
+// config is checked. Exits with code 1 if any config is invalid.
+
+const fs = require('fs');
+const path = require('path');
+
+const functionSrcDir = './netlify/functions/headline_analyzer/src';
+const { validateGraphConfig, formatValidationReport } = require(`${functionSrcDir}/graph_validator`);
+const { deriveStateChannels } = require(`${functionSrcDir}/config_derivation`);
+const { listGraphIds, isRegisteredGraphId, loadRegisteredConfig } = require(`${functionSrcDir}/graph_registry`);
+const { customNodeFunctions, customNodeOutputKeys } = require(`${functionSrcDir}/node_functions`);
+const { customRouterFunctions } = require(`${functionSrcDir}/router_functions`);
+
+// { name, config } for a registered graph id or a config file path
+function loadTarget(target) {
+    if (isRegisteredGraphId(target)) {
+        const { graphConfig, graphVersion } = loadRegisteredConfig(target);
+        return { name: `${target} (version ${graphVersion})`, config: graphConfig };
+    }
+    const configPath = path.resolve(target);
+    try {
+        return { name: path.basename(configPath), config: JSON.parse(fs.readFileSync(configPath, 'utf-8')) };
+    } catch (error) {
+        console.error(`Could not read ${configPath}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+const targets = process.argv.length > 2 ? process.argv.slice(2) : listGraphIds();
+let allValid = true;
+
+for (const target of targets) {
+    const { name, config } = loadTarget(target);
+    const appStateChannels = deriveStateChannels(config, customNodeOutputKeys);
+    const validation = validateGraphConfig(config, { appStateChannels, customNodeFunctions, customNodeOutputKeys, customRouterFunctions });
+    const report = formatValidationReport(validation, name);
+    if (validation.valid) {
+        console.log(report);
+    } else {
+        console.error(report);
+        allValid = false;
+    }
+}
+
+if (!allValid) process.exit(1);